@@ -1,19 +1,30 @@
 const mongoose = require('mongoose');
 
+// Set when there is no usable MongoDB; repositories then keep data in memory
+let mockMode = false;
+
+const useMockMode = () => {
+  mockMode = true;
+  // Anything still querying mongoose directly should fail fast instead of buffering forever
+  mongoose.set('bufferCommands', false);
+};
+
 const connectDB = async () => {
   try {
     // Check if MongoDB URI is set
     const mongoUri = process.env.MONGODB_URI;
     
     if (!mongoUri) {
-      console.log('⚠️  MongoDB not configured, using mock data mode');
+      console.log('⚠️  MongoDB not configured, using mock data mode with in-memory storage');
       console.log('💡 To enable real database: Set MONGODB_URI environment variable to MongoDB Atlas or local MongoDB');
+      useMockMode();
       return;
     }
     
     // Only skip localhost in development mode
     if ((mongoUri.includes('localhost:27017') || mongoUri.includes('127.0.0.1:27017')) && process.env.NODE_ENV !== 'development') {
-      console.log('⚠️  Local MongoDB not supported in production, using mock data mode');
+      console.log('⚠️  Local MongoDB not supported in production, using mock data mode with in-memory storage');
+      useMockMode();
       return;
     }
 
@@ -27,11 +38,10 @@ const connectDB = async () => {
     // Handle connection events
     mongoose.connection.on('error', (err) => {
       console.error('MongoDB connection error:', err.message);
-      console.log('⚠️  Falling back to mock data mode');
     });
 
     mongoose.connection.on('disconnected', () => {
-      console.log('MongoDB disconnected, using mock data mode');
+      console.log('MongoDB disconnected, waiting for it to reconnect');
     });
 
     // Graceful shutdown
@@ -45,6 +55,7 @@ const connectDB = async () => {
     console.error('❌ Error connecting to MongoDB:', error.message);
     console.log('⚠️  Falling back to mock data mode - application will continue with in-memory storage');
     console.log('💡 To fix: Set MONGODB_URI environment variable to a valid MongoDB connection string');
+    useMockMode();
   }
 };
 
@@ -64,4 +75,9 @@ const getConnectionState = () => {
   return states[mongoose.connection.readyState] || 'unknown';
 };
 
-module.exports = { connectDB, isConnected, getConnectionState };
\ No newline at end of file
+// Check if data is kept in memory instead of MongoDB
+const isMockMode = () => {
+  return mockMode;
+};
+
+module.exports = { connectDB, isConnected, isMockMode, getConnectionState };
\ No newline at end of file
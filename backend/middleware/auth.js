@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
+const { userRepository } = require('../repositories');
 
 // Initialize Google OAuth client
 const client = new OAuth2Client(
@@ -69,7 +70,7 @@ const authenticate = async (req, res, next) => {
     const decoded = verifyToken(token);
     
     // Find user in database
-    let user = await User.findOne({ uid: decoded.uid });
+    let user = await userRepository.findOne({ uid: decoded.uid });
     
     // If user doesn't exist, create them (for first login)
     if (!user && decoded.email) {
@@ -84,7 +85,7 @@ const authenticate = async (req, res, next) => {
         }
       });
       
-      await user.save();
+      await userRepository.save(user);
       console.log('New user created:', user.email);
     }
 
@@ -107,7 +108,7 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      let user = await User.findOne({ uid: decoded.uid });
+      let user = await userRepository.findOne({ uid: decoded.uid });
       
       if (user) {
         req.user = user;
@@ -121,6 +122,17 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Admin-only routes; use after authenticate
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+  next();
+};
+
 // Generate refresh token (optional for future use)
 const generateRefreshToken = (user) => {
   return jwt.sign(
@@ -133,6 +145,7 @@ const generateRefreshToken = (user) => {
 module.exports = {
   authenticate,
   optionalAuth,
+  requireAdmin,
   verifyGoogleToken,
   generateToken,
   verifyToken,
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const likeSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['story', 'storybook']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One like per user and target
+likeSchema.index({ userId: 1, targetType: 1, targetId: 1 }, { unique: true });
+likeSchema.index({ targetType: 1, targetId: 1 });
+
+module.exports = mongoose.model('Like', likeSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A generated audio or image file, indexed by the inputs that produced it and by the documents that use it
+const mediaAssetSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ['audio', 'image']
+  },
+  filename: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the normalized generation inputs; files without one were not generated through the cache
+  cacheKey: {
+    type: String
+  },
+  provider: {
+    type: String
+  },
+  size: {
+    type: Number,
+    min: 0
+  },
+  // Audio length in seconds
+  duration: {
+    type: Number,
+    min: 0
+  },
+  // uid of the user the file was first generated for; files from before media records have none
+  ownerId: {
+    type: String,
+    index: true
+  },
+  // Private files are only served to their owner, the owners of the documents using them, moderators,
+  // and URLs signed for them. A file is private when every document using it is private
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'public'
+  },
+  // Linked documents using the file, as 'story:<id>' or 'storybook:<id>'; cleanup keeps files with any
+  references: [{
+    type: String
+  }],
+  // The references whose documents are public
+  publicReferences: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+mediaAssetSchema.index({ kind: 1, cacheKey: 1 });
+mediaAssetSchema.index({ references: 1 });
+
+mediaAssetSchema.virtual('refCount').get(function() {
+  return this.references.length;
+});
+
+module.exports = mongoose.model('MediaAsset', mediaAssetSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// One TTS request's worth of text; start and end are character offsets into the narration text
+const chunkSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  start: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  end: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  filename: {
+    type: String
+  },
+  provider: {
+    type: String
+  },
+  duration: {
+    type: Number,
+    min: 0
+  },
+  error: {
+    type: String,
+    maxLength: 500
+  },
+  // Multi-voice narrations give each dialogue turn its own voice; other chunks use the narration voice
+  speaker: {
+    type: String
+  },
+  voice: {
+    type: String
+  },
+  voiceProvider: {
+    type: String
+  },
+  // Speaking rate from [slow], [fast] or [rate] markup, multiplied with the narration speed
+  rate: {
+    type: Number,
+    min: 0.5,
+    max: 2
+  }
+}, { _id: false });
+
+const narrationSchema = new mongoose.Schema({
+  storyId: {
+    type: String,
+    index: true
+  },
+  // uid of the user the narration was started for; only they and admins can see or resume it
+  ownerId: {
+    type: String,
+    index: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  textHash: {
+    type: String,
+    required: true
+  },
+  voice: {
+    type: String,
+    default: 'alloy'
+  },
+  speed: {
+    type: Number,
+    default: 1.0
+  },
+  // Fingerprint of the voice cast, empty for single-voice narrations
+  castHash: {
+    type: String,
+    default: ''
+  },
+  // Pauses, emphasis and rates parsed from speech markup and the pronunciations the text uses,
+  // see utils/speechMarkup; chunks are compiled from them per provider
+  speech: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Fingerprint of speech, empty for narrations without markup or pronunciations
+  speechHash: {
+    type: String,
+    default: ''
+  },
+  // Cache key of the finished narration file, see utils/mediaCache
+  cacheKey: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partial', 'completed', 'failed'],
+    default: 'pending'
+  },
+  chunks: [chunkSchema],
+  audioUrl: {
+    type: String
+  },
+  filename: {
+    type: String
+  },
+  duration: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+narrationSchema.index({ storyId: 1, textHash: 1, voice: 1, speed: 1, castHash: 1, speechHash: 1, status: 1 });
+
+// Text ranges with no audio yet, for clients to show what the narration skips
+narrationSchema.methods.getMissingRanges = function() {
+  return this.chunks
+    .filter(chunk => chunk.status !== 'completed')
+    .map(chunk => ({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      text: this.text.substring(chunk.start, chunk.end),
+      attempts: chunk.attempts,
+      error: chunk.error
+    }));
+};
+
+module.exports = mongoose.model('Narration', narrationSchema);
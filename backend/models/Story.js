@@ -1,5 +1,118 @@
 const mongoose = require('mongoose');
 
+const chapterSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 200
+  },
+  summary: {
+    type: String,
+    maxLength: 1000
+  },
+  beats: [{
+    type: String,
+    maxLength: 300
+  }],
+  content: {
+    type: String,
+    default: ''
+  },
+  recap: {
+    type: String,
+    maxLength: 1000
+  },
+  wordCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  provider: {
+    type: String
+  },
+  error: {
+    type: String,
+    maxLength: 500
+  },
+  generatedAt: Date
+}, { _id: false });
+
+// A TTS voice; see utils/voiceCast for the voices each provider accepts
+const castVoiceSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['openai', 'elevenlabs'],
+    default: 'openai'
+  },
+  voice: {
+    type: String,
+    required: true,
+    maxLength: 100
+  }
+}, { _id: false });
+
+const castMemberSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  // Other names the text uses for the character, such as "the dragon"
+  aliases: [{
+    type: String,
+    trim: true,
+    maxLength: 100
+  }],
+  provider: {
+    type: String,
+    enum: ['openai', 'elevenlabs'],
+    default: 'openai'
+  },
+  voice: {
+    type: String,
+    required: true,
+    maxLength: 100
+  }
+}, { _id: false });
+
+const voiceCastSchema = new mongoose.Schema({
+  narrator: castVoiceSchema,
+  characters: [castMemberSchema]
+}, { _id: false });
+
+// How to say an invented name; see utils/pronunciations
+const pronunciationSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 50
+  },
+  respelling: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  ipa: {
+    type: String,
+    trim: true,
+    maxLength: 100
+  }
+}, { _id: false });
+
 const storySchema = new mongoose.Schema({
   title: {
     type: String,
@@ -87,12 +200,34 @@ const storySchema = new mongoose.Schema({
     trim: true,
     maxLength: 50
   }],
+  outline: {
+    logline: {
+      type: String,
+      maxLength: 1000
+    },
+    provider: String,
+    generatedAt: Date
+  },
+  chapters: [chapterSchema],
+  voiceCast: voiceCastSchema,
+  // Pronunciations for this story's names; they override the author's own
+  pronunciations: [pronunciationSchema],
+  currentRevision: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   metadata: {
     aiProvider: {
       type: String,
-      enum: ['huggingface', 'openai', 'google', 'template'],
+      enum: ['huggingface', 'openai', 'google', 'openai-compatible', 'template'],
       default: 'template'
     },
+    generationMode: {
+      type: String,
+      enum: ['single', 'chapters'],
+      default: 'single'
+    },
     generationTime: {
       type: Number, // milliseconds
       min: 0
@@ -134,15 +269,22 @@ storySchema.methods.incrementViews = function() {
   return this.save();
 };
 
-storySchema.methods.toggleLike = function() {
-  this.likes = this.likes > 0 ? this.likes - 1 : this.likes + 1;
-  return this.save();
-};
-
 storySchema.methods.canEdit = function(userId) {
   return this.creatorId === userId;
 };
 
+// Rebuild the full text and reading stats from the written chapters
+storySchema.methods.rebuildFromChapters = function() {
+  const written = this.chapters.filter(chapter => chapter.status === 'completed' && chapter.content);
+
+  this.content = written
+    .map(chapter => `Chapter ${chapter.number}: ${chapter.title}\n\n${chapter.content.trim()}`)
+    .join('\n\n');
+  this.wordCount = Math.max(1, written.reduce((total, chapter) => total + chapter.wordCount, 0));
+  this.estimatedReadingTime = Math.max(1, Math.ceil(this.wordCount / 200));
+  return this;
+};
+
 // Static methods
 storySchema.statics.findByGenre = function(genre, options = {}) {
   const query = { genre, isPublic: true };
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Story = require('./Story');
+
+const storyRevisionSchema = new mongoose.Schema({
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: true,
+    maxLength: 200
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  chapters: [Story.schema.path('chapters').schema],
+  wordCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  estimatedReadingTime: {
+    type: Number,
+    min: 0
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['initial', 'manual', 'ai-continue', 'ai-rewrite', 'restore']
+  },
+  authorId: {
+    type: String,
+    required: true
+  },
+  authorName: {
+    type: String
+  },
+  note: {
+    type: String,
+    maxLength: 500
+  },
+  aiProvider: {
+    type: String
+  },
+  restoredFrom: {
+    type: Number,
+    min: 1
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+storyRevisionSchema.index({ storyId: 1, number: -1 }, { unique: true });
+
+// Revisions are a permanent record of past text; both repositories call this before every save
+storyRevisionSchema.statics.prepareForSave = function(revision) {
+  if (!revision.isNew) {
+    throw new Error('Story revisions are immutable');
+  }
+};
+
+storyRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Story revisions are immutable'));
+});
+
+// Methods
+// Copy this revision's text back onto a story document
+storyRevisionSchema.methods.applyTo = function(story) {
+  story.title = this.title;
+  story.content = this.content;
+  story.chapters = this.chapters;
+  story.wordCount = this.wordCount;
+  story.estimatedReadingTime = this.estimatedReadingTime || Math.max(1, Math.ceil(this.wordCount / 200));
+  return story;
+};
+
+module.exports = mongoose.model('StoryRevision', storyRevisionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getThumbnailUrl, isThumbnailUrl } = require('../utils/imageVariants');
 
 const pageSchema = new mongoose.Schema({
   pageNumber: {
@@ -9,7 +10,7 @@ const pageSchema = new mongoose.Schema({
   content: {
     type: String,
     required: true,
-    maxLength: 2000
+    maxLength: 5000
   },
   imageUrl: {
     type: String,
@@ -130,6 +131,19 @@ const storybookSchema = new mongoose.Schema({
     maxLength: 500,
     default: ''
   },
+  genre: {
+    type: String,
+    enum: ['fantasy', 'adventure', 'mystery', 'romance', 'sci-fi', 'horror', 'comedy', 'drama', 'thriller']
+  },
+  style: {
+    type: String,
+    enum: ['children-book', 'storybook', 'watercolor', 'cartoon', 'realistic'],
+    default: 'children-book'
+  },
+  audioUrl: {
+    type: String,
+    maxLength: 500
+  },
   totalDuration: {
     type: Number, // seconds
     required: true,
@@ -180,7 +194,34 @@ const storybookSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxLength: 50
-  }]
+  }],
+  metadata: {
+    imagesGenerated: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    imagesErrors: [{
+      type: String,
+      maxLength: 500
+    }],
+    audioGenerated: {
+      type: Boolean,
+      default: false
+    },
+    audioError: {
+      type: String,
+      maxLength: 500
+    },
+    estimatedAgeGroup: {
+      type: String,
+      maxLength: 20
+    },
+    fallback: {
+      type: Boolean,
+      default: false
+    }
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -216,11 +257,6 @@ storybookSchema.methods.incrementViews = function() {
   return this.save();
 };
 
-storybookSchema.methods.toggleLike = function() {
-  this.likes = this.likes > 0 ? this.likes - 1 : this.likes + 1;
-  return this.save();
-};
-
 storybookSchema.methods.canEdit = function(userId) {
   return this.creatorId === userId;
 };
@@ -269,14 +305,21 @@ storybookSchema.statics.getRecentStorybooks = function(limit = 10) {
     .limit(limit);
 };
 
-// Middleware to update total duration when pages change
-storybookSchema.pre('save', function(next) {
-  if (this.pages && this.pages.length > 0) {
-    this.totalDuration = this.pages.reduce((total, page) => {
+// Fields derived from the pages, set by both repositories before every save: the total duration and,
+// unless the creator picked another image, a thumbnail of the first page's picture
+storybookSchema.statics.prepareForSave = function(storybook) {
+  if (storybook.pages && storybook.pages.length > 0) {
+    const totalDuration = storybook.pages.reduce((total, page) => {
       return total + (page.duration || 5); // Default 5 seconds per page
     }, 0);
+    // Page durations are rounded to milliseconds; summing them adds float noise
+    storybook.totalDuration = Number(totalDuration.toFixed(3));
   }
-  next();
-});
+
+  if (!storybook.thumbnail || isThumbnailUrl(storybook.thumbnail)) {
+    const firstImage = storybook.pages?.[0]?.imageUrl;
+    storybook.thumbnail = firstImage ? getThumbnailUrl(firstImage) : undefined;
+  }
+};
 
 module.exports = mongoose.model('Storybook', storybookSchema);
\ No newline at end of file
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+const stepSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['scenes', 'image', 'narration', 'save']
+  },
+  sceneIndex: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  error: {
+    type: String,
+    maxLength: 500
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  startedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+const storybookJobSchema = new mongoose.Schema({
+  creatorId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  storybookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Storybook'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  options: {
+    storyText: {
+      type: String,
+      required: true
+    },
+    style: {
+      type: String,
+      default: 'children-book'
+    },
+    includeImages: {
+      type: Boolean,
+      default: true
+    },
+    includeAudio: {
+      type: Boolean,
+      default: true
+    },
+    sceneCount: {
+      type: Number,
+      default: 8,
+      min: 1,
+      max: 15
+    }
+  },
+  scenes: [{
+    content: String,
+    description: String
+  }],
+  steps: [stepSchema],
+  error: {
+    type: String,
+    maxLength: 500
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.options.storyText;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+storybookJobSchema.index({ creatorId: 1, createdAt: -1 });
+
+// Virtuals
+storybookJobSchema.virtual('progress').get(function() {
+  const total = this.steps ? this.steps.length : 0;
+  const completed = total > 0 ? this.steps.filter(step => step.status === 'completed').length : 0;
+  return {
+    completed,
+    failed: total > 0 ? this.steps.filter(step => step.status === 'failed').length : 0,
+    total,
+    percent: total > 0 ? Math.round((completed / total) * 100) : 0
+  };
+});
+
+storybookJobSchema.virtual('isFinished').get(function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+});
+
+// Methods
+storybookJobSchema.methods.canView = function(userId) {
+  return this.creatorId === userId;
+};
+
+storybookJobSchema.methods.getStep = function(key) {
+  return this.steps.find(step => step.key === key);
+};
+
+// Reset failed and cancelled steps so the worker picks them up again
+storybookJobSchema.methods.resetForRetry = function() {
+  this.steps.forEach(step => {
+    if (['failed', 'cancelled', 'running'].includes(step.status)) {
+      step.status = 'pending';
+      step.error = undefined;
+    }
+  });
+
+  // The storybook has to be saved again to pick up regenerated pages
+  const saveStep = this.getStep('save');
+  if (saveStep) {
+    saveStep.status = 'pending';
+  }
+
+  this.status = 'queued';
+  this.error = undefined;
+  this.completedAt = undefined;
+};
+
+module.exports = mongoose.model('StorybookJob', storybookJobSchema);
@@ -1,6 +1,27 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// How to say an invented name; see utils/pronunciations
+const pronunciationSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 50
+  },
+  respelling: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  ipa: {
+    type: String,
+    trim: true,
+    maxLength: 100
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   // Firebase/Google OAuth fields
   uid: {
@@ -68,6 +89,9 @@ const userSchema = new mongoose.Schema({
       maxLength: 5
     }
   },
+
+  // Pronunciations used when narrating any of the user's stories
+  pronunciations: [pronunciationSchema],
   
   // Stats and achievements
   stats: {
@@ -0,0 +1,57 @@
+/**
+ * Repositories
+ * Data access for routes. Each repository uses MongoDB when connected and in-memory storage
+ * in mock mode, so the backend runs without a database
+ */
+
+const Story = require('../models/Story');
+const Storybook = require('../models/Storybook');
+const StorybookJob = require('../models/StorybookJob');
+const StoryRevision = require('../models/StoryRevision');
+const User = require('../models/User');
+const Like = require('../models/Like');
+const Narration = require('../models/Narration');
+const MediaAsset = require('../models/MediaAsset');
+const { isMockMode } = require('../config/database');
+const { createMongoRepository } = require('./mongoRepository');
+const { createMemoryRepository, clearMemoryStorage } = require('./memoryRepository');
+const { addStoryRevisionMethods } = require('./storyRevisionRepository');
+const { addLikeMethods } = require('./likeRepository');
+const { addMediaAssetMethods, trackMediaReferences, getStoryMediaUrls, getStorybookMediaUrls } = require('./mediaAssetRepository');
+
+/**
+ * Create a repository that picks its storage on every call, since mock mode is only
+ * known once the database connection has been attempted
+ * @param {Object} Model - Mongoose model
+ * @returns {Object} - Repository
+ */
+function createRepository(Model) {
+  const mongo = createMongoRepository(Model);
+  const memory = createMemoryRepository(Model);
+
+  return Object.fromEntries(
+    Object.keys(mongo).map(method => [method, (...args) => (isMockMode() ? memory : mongo)[method](...args)])
+  );
+}
+
+const mediaAssetRepository = addMediaAssetMethods(createRepository(MediaAsset));
+const storyRepository = trackMediaReferences(createRepository(Story), mediaAssetRepository, 'story', getStoryMediaUrls);
+const storybookRepository = trackMediaReferences(createRepository(Storybook), mediaAssetRepository, 'storybook', getStorybookMediaUrls);
+const storybookJobRepository = createRepository(StorybookJob);
+const userRepository = createRepository(User);
+const storyRevisionRepository = addStoryRevisionMethods(createRepository(StoryRevision));
+const likeRepository = addLikeMethods(createRepository(Like));
+const narrationRepository = createRepository(Narration);
+
+module.exports = {
+  storyRepository,
+  storybookRepository,
+  storybookJobRepository,
+  userRepository,
+  storyRevisionRepository,
+  likeRepository,
+  narrationRepository,
+  mediaAssetRepository,
+  createRepository,
+  clearMemoryStorage
+};
@@ -0,0 +1,72 @@
+/**
+ * Like Repository Methods
+ * One like per user and target; the unique index also makes liking idempotent under concurrent requests
+ */
+
+/**
+ * Add like methods to the like repository
+ * @param {Object} repository - Repository for the Like model
+ * @returns {Object} - The same repository
+ */
+function addLikeMethods(repository) {
+  /**
+   * Like a target for a user
+   * @param {string} userId - uid of the user
+   * @param {string} targetType - 'story' or 'storybook'
+   * @param {string} targetId - Id of the liked document
+   * @returns {boolean} - True if the like is new, false if the user already liked the target
+   */
+  repository.addLike = async function(userId, targetType, targetId) {
+    try {
+      const result = await repository.updateOne(
+        { userId, targetType, targetId },
+        { $setOnInsert: { userId, targetType, targetId } },
+        { upsert: true }
+      );
+      return result.upsertedCount === 1;
+    } catch (error) {
+      // Two concurrent upserts can both miss and one then hits the unique index
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  };
+
+  /**
+   * Remove a user's like from a target
+   * @returns {boolean} - True if a like was removed, false if there was none
+   */
+  repository.removeLike = async function(userId, targetType, targetId) {
+    const result = await repository.deleteOne({ userId, targetType, targetId });
+    return result.deletedCount === 1;
+  };
+
+  /**
+   * Set isLikedByMe on plain documents for the requesting user
+   * @param {Object|Array} docs - Lean story or storybook documents
+   * @param {string} targetType - 'story' or 'storybook'
+   * @param {Object} user - Authenticated user, if any
+   * @returns {Object|Array} - The same documents
+   */
+  repository.markLikedByMe = async function(docs, targetType, user) {
+    const list = Array.isArray(docs) ? docs : [docs];
+    let likedIds = new Set();
+
+    if (user && list.length > 0) {
+      const userLikes = await repository.find({
+        userId: user.uid,
+        targetType,
+        targetId: { $in: list.map(doc => doc._id) }
+      }, { select: 'targetId', lean: true });
+      likedIds = new Set(userLikes.map(like => String(like.targetId)));
+    }
+
+    list.forEach(doc => {
+      doc.isLikedByMe = likedIds.has(String(doc._id));
+    });
+    return docs;
+  };
+
+  return repository;
+}
+
+module.exports = { addLikeMethods };
@@ -0,0 +1,179 @@
+/**
+ * Media Asset Repository Methods
+ * An index of generated files: which generation inputs produced each file, for serving repeat requests
+ * from the cache, who owns it and which stories and storybooks use it, so cleanup never deletes a file
+ * in use and private documents keep their media private
+ */
+
+const MEDIA_URL_PATTERN = /^\/api\/(audio|images)\/([^/?#]+)/;
+
+/**
+ * Find the file a media URL points at
+ * @param {string} url - Media URL such as /api/audio/narration-1.mp3
+ * @returns {Object|null} - { kind, filename }, or null for URLs that are not generated media
+ */
+function parseMediaUrl(url) {
+  const match = typeof url === 'string' ? url.match(MEDIA_URL_PATTERN) : null;
+  return match ? { kind: match[1] === 'audio' ? 'audio' : 'image', filename: decodeURIComponent(match[2]) } : null;
+}
+
+/**
+ * Media URLs a story uses
+ * @param {Object} story - Story document
+ * @returns {Array} - URLs, possibly empty or not pointing at generated media
+ */
+function getStoryMediaUrls(story) {
+  return [story.audioUrl];
+}
+
+/**
+ * Media URLs a storybook uses: its narration, its thumbnail and its pages' pictures and audio
+ * @param {Object} storybook - Storybook document
+ * @returns {Array} - URLs, possibly empty or not pointing at generated media
+ */
+function getStorybookMediaUrls(storybook) {
+  return [
+    storybook.audioUrl,
+    storybook.thumbnail,
+    ...(storybook.pages || []).flatMap(page => [page.imageUrl, page.audioUrl])
+  ];
+}
+
+/**
+ * Add media asset methods to the media asset repository
+ * @param {Object} repository - Repository for the MediaAsset model
+ * @returns {Object} - The same repository
+ */
+function addMediaAssetMethods(repository) {
+  /**
+   * Find the asset generated from the same inputs
+   * @param {string} kind - 'audio' or 'image'
+   * @param {string} cacheKey - Hash of the generation inputs
+   * @returns {Object|null} - Lean asset, or null on a cache miss
+   */
+  repository.findCached = function(kind, cacheKey) {
+    return repository.findOne({ kind, cacheKey }, { sort: { updatedAt: -1 }, lean: true });
+  };
+
+  /**
+   * Index a newly written file, keeping the references of a file written again under the same name
+   * @param {Object} asset - { kind, filename, cacheKey, provider, size, duration }
+   */
+  repository.recordAsset = async function({ filename, ...fields }) {
+    await repository.updateOne(
+      { filename },
+      { $set: fields, $setOnInsert: { references: [], publicReferences: [], visibility: 'public' } },
+      { upsert: true }
+    );
+  };
+
+  /**
+   * Give files without an owner to a user; files that already have one keep it
+   * @param {Array} filenames - File names
+   * @param {string} ownerId - uid of the user
+   */
+  repository.claimAssets = async function(filenames, ownerId) {
+    if (!ownerId || filenames.length === 0) return;
+    await repository.updateMany({ filename: { $in: filenames }, ownerId: null }, { $set: { ownerId } });
+  };
+
+  // A file is private only when documents use it and none of them is public
+  const refreshVisibility = async (filenames) => {
+    const assets = await repository.find({ filename: { $in: filenames } }, { select: 'filename visibility references publicReferences', lean: true });
+
+    for (const asset of assets) {
+      // Files nothing uses any more keep their last visibility, so media of a deleted private story stays private
+      if (!asset.references?.length) continue;
+
+      const visibility = asset.publicReferences?.length ? 'public' : 'private';
+      if (asset.visibility !== visibility) {
+        await repository.updateOne({ filename: asset.filename }, { $set: { visibility } });
+      }
+    }
+  };
+
+  /**
+   * Make a document's references match the media it uses now, and its files' visibility match the document's
+   * @param {string} owner - 'story:<id>' or 'storybook:<id>'
+   * @param {Array} urls - Media URLs the document uses; other URLs are ignored
+   * @param {Object} document - { isPublic, creatorId } of the document
+   */
+  repository.setReferences = async function(owner, urls, { isPublic = true, creatorId } = {}) {
+    const files = new Map();
+    urls.map(parseMediaUrl).filter(Boolean).forEach(file => files.set(file.filename, file));
+    const filenames = [...files.keys()];
+
+    const released = await repository.find({ references: owner, filename: { $nin: filenames } }, { select: 'filename', lean: true });
+    await repository.updateMany(
+      { references: owner, filename: { $nin: filenames } },
+      { $pull: { references: owner, publicReferences: owner } }
+    );
+
+    for (const { kind, filename } of files.values()) {
+      await repository.updateOne(
+        { filename },
+        {
+          $addToSet: isPublic ? { references: owner, publicReferences: owner } : { references: owner },
+          ...(isPublic ? {} : { $pull: { publicReferences: owner } }),
+          $setOnInsert: { kind }
+        },
+        { upsert: true }
+      );
+    }
+
+    await repository.claimAssets(filenames, creatorId);
+    await refreshVisibility([...released.map(asset => asset.filename), ...filenames]);
+  };
+
+  /**
+   * Which of a set of files some story or storybook still uses
+   * @param {Array} filenames - File names
+   * @returns {Set} - The referenced file names
+   */
+  repository.findReferencedFilenames = async function(filenames) {
+    const assets = await repository.find({ filename: { $in: filenames } }, { select: 'filename references', lean: true });
+    return new Set(assets.filter(asset => asset.references?.length > 0).map(asset => asset.filename));
+  };
+
+  return repository;
+}
+
+/**
+ * Keep the media index up to date whenever documents of a repository are saved or deleted
+ * @param {Object} repository - Story or storybook repository
+ * @param {Object} mediaAssetRepository - Repository with media asset methods
+ * @param {string} ownerType - 'story' or 'storybook'
+ * @param {Function} getMediaUrls - Returns the media URLs a document uses
+ * @returns {Object} - The same repository
+ */
+function trackMediaReferences(repository, mediaAssetRepository, ownerType, getMediaUrls) {
+  const { save, create, deleteById } = repository;
+
+  const sync = async (doc) => {
+    if (doc?._id) {
+      await mediaAssetRepository.setReferences(`${ownerType}:${doc._id}`, getMediaUrls(doc), {
+        isPublic: doc.isPublic !== false,
+        creatorId: doc.creatorId
+      });
+    }
+    return doc;
+  };
+
+  repository.save = async (doc, ...args) => sync(await save(doc, ...args));
+  repository.create = async (data, ...args) => sync(await create(data, ...args));
+  repository.deleteById = async (id, ...args) => {
+    const result = await deleteById(id, ...args);
+    await mediaAssetRepository.setReferences(`${ownerType}:${id}`, []);
+    return result;
+  };
+
+  return repository;
+}
+
+module.exports = {
+  parseMediaUrl,
+  getStoryMediaUrls,
+  getStorybookMediaUrls,
+  addMediaAssetMethods,
+  trackMediaReferences
+};
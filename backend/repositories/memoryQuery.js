@@ -0,0 +1,322 @@
+/**
+ * In-memory Query Helpers
+ * Evaluates the subset of MongoDB filters, updates, sorts and projections the routes use
+ * against plain objects, so the in-memory repository answers queries like MongoDB would
+ */
+
+const QUERY_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$exists', '$regex', '$options', '$elemMatch'];
+
+function isObjectId(value) {
+  return value?._bsontype === 'ObjectId' || value?._bsontype === 'ObjectID';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !isObjectId(value) && !Buffer.isBuffer(value);
+}
+
+// Compare ids as strings and dates as timestamps, as MongoDB does after casting
+function normalize(value) {
+  if (isObjectId(value)) return value.toString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function isEqual(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left !== null && right !== null && typeof left === 'object' && typeof right === 'object') {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+  return left === right;
+}
+
+function compareValues(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Deep copy stored data so callers never share objects with the store
+ * @param {*} value - Plain data, possibly holding ObjectIds, Dates and Buffers
+ * @returns {*} - Copy
+ */
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (!isPlainObject(value)) return value;
+
+  const copy = {};
+  Object.keys(value).forEach(key => {
+    copy[key] = clone(value[key]);
+  });
+  return copy;
+}
+
+/**
+ * Read every value at a dot path, descending into arrays like MongoDB does
+ * @param {Object} doc - Plain document
+ * @param {string} path - Dot path, e.g. 'stats.storiesCreated' or 'pages.imageUrl'
+ * @returns {Array} - Candidate values
+ */
+function getValues(doc, path) {
+  let current = [doc];
+
+  for (const part of path.split('.')) {
+    const next = [];
+    current.forEach(value => {
+      if (Array.isArray(value) && !/^\d+$/.test(part)) {
+        value.forEach(item => {
+          if (item !== null && typeof item === 'object') next.push(item[part]);
+        });
+      } else if (value !== null && typeof value === 'object') {
+        next.push(value[part]);
+      }
+    });
+    current = next;
+  }
+
+  // An array field matches on the array itself and on each of its elements
+  return current.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+}
+
+function getValue(doc, path) {
+  return path.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), doc);
+}
+
+function setValue(doc, path, value) {
+  const parts = path.split('.');
+  let target = doc;
+  parts.slice(0, -1).forEach(part => {
+    if (target[part] === null || typeof target[part] !== 'object') {
+      target[part] = {};
+    }
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetValue(doc, path) {
+  const parts = path.split('.');
+  const parent = parts.length > 1 ? getValue(doc, parts.slice(0, -1).join('.')) : doc;
+  if (parent !== null && typeof parent === 'object') {
+    delete parent[parts[parts.length - 1]];
+  }
+}
+
+function matchesCondition(values, condition) {
+  if (condition instanceof RegExp) {
+    return values.some(value => typeof value === 'string' && condition.test(value));
+  }
+
+  const isOperatorObject = isPlainObject(condition) && Object.keys(condition).length > 0 &&
+    Object.keys(condition).every(key => QUERY_OPERATORS.includes(key));
+
+  if (!isOperatorObject) {
+    // Missing fields match null, as in MongoDB
+    if (condition === null) return values.length === 0 || values.some(value => value === null || value === undefined);
+    return values.some(value => isEqual(value, condition));
+  }
+
+  const present = values.filter(value => value !== undefined);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return matchesCondition(values, operand);
+      case '$ne':
+        return !matchesCondition(values, operand);
+      case '$in':
+        return operand.some(option => matchesCondition(values, option));
+      case '$nin':
+        return !operand.some(option => matchesCondition(values, option));
+      case '$gt':
+        return present.some(value => !Array.isArray(value) && compareValues(value, operand) > 0);
+      case '$gte':
+        return present.some(value => !Array.isArray(value) && compareValues(value, operand) >= 0);
+      case '$lt':
+        return present.some(value => !Array.isArray(value) && value !== null && compareValues(value, operand) < 0);
+      case '$lte':
+        return present.some(value => !Array.isArray(value) && value !== null && compareValues(value, operand) <= 0);
+      case '$exists':
+        return operand ? present.length > 0 : present.length === 0;
+      case '$regex': {
+        const pattern = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+        return matchesCondition(values, pattern);
+      }
+      case '$options':
+        return true;
+      case '$elemMatch':
+        return present.some(value => Array.isArray(value) && value.some(item => matchesFilter(item, operand)));
+      default:
+        return false;
+    }
+  });
+}
+
+// $text: a document matches when any search word appears as a word in a text-indexed field
+function matchesText(doc, search, textFields) {
+  const terms = String(search || '').toLowerCase().split(/\W+/).filter(Boolean);
+  if (terms.length === 0 || textFields.length === 0) return false;
+
+  const words = new Set(
+    textFields
+      .flatMap(field => getValues(doc, field))
+      .filter(value => typeof value === 'string')
+      .flatMap(value => value.toLowerCase().split(/\W+/))
+  );
+  return terms.some(term => words.has(term));
+}
+
+/**
+ * Check a plain document against a MongoDB-style filter
+ * @param {Object} doc - Plain document
+ * @param {Object} filter - Filter with field conditions, $and, $or, $nor and $text
+ * @param {Array} textFields - Paths covered by the model's text index
+ * @returns {boolean} - Whether the document matches
+ */
+function matchesFilter(doc, filter = {}, textFields = []) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return condition.every(part => matchesFilter(doc, part, textFields));
+      case '$or':
+        return condition.some(part => matchesFilter(doc, part, textFields));
+      case '$nor':
+        return !condition.some(part => matchesFilter(doc, part, textFields));
+      case '$text':
+        return matchesText(doc, condition.$search, textFields);
+      default:
+        return matchesCondition(getValues(doc, key), condition);
+    }
+  });
+}
+
+/**
+ * Apply a MongoDB-style update to a plain document in place
+ * @param {Object} doc - Plain document
+ * @param {Object} update - Update with $set, $unset, $inc, $push, $pull, $addToSet and $setOnInsert, or a plain object of fields to set
+ * @param {Object} options - Update options
+ * @param {boolean} options.isInsert - Whether the update creates the document, for $setOnInsert
+ * @returns {Object} - The updated document
+ */
+function applyUpdate(doc, update, { isInsert = false } = {}) {
+  const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
+  const operations = hasOperators ? update : { $set: update };
+
+  Object.entries(operations).forEach(([operator, fields]) => {
+    Object.entries(fields || {}).forEach(([path, value]) => {
+      switch (operator) {
+        case '$set':
+          setValue(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (isInsert) setValue(doc, path, clone(value));
+          break;
+        case '$unset':
+          unsetValue(doc, path);
+          break;
+        case '$inc':
+          setValue(doc, path, (getValue(doc, path) || 0) + value);
+          break;
+        case '$push':
+        case '$addToSet': {
+          const list = Array.isArray(getValue(doc, path)) ? getValue(doc, path) : [];
+          const items = isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+          items.forEach(item => {
+            if (operator === '$push' || !list.some(existing => isEqual(existing, item))) {
+              list.push(clone(item));
+            }
+          });
+          setValue(doc, path, list);
+          break;
+        }
+        case '$pull': {
+          const list = getValue(doc, path);
+          if (Array.isArray(list)) {
+            setValue(doc, path, list.filter(item => (
+              isPlainObject(value) && isPlainObject(item) ? !matchesFilter(item, value) : !matchesCondition([item], value)
+            )));
+          }
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+
+  return doc;
+}
+
+/**
+ * Sort plain documents in place
+ * @param {Array} docs - Plain documents
+ * @param {Object|string} sort - { field: 1 | -1 } or a space-separated list like '-createdAt title'
+ * @returns {Array} - The sorted documents
+ */
+function sortDocuments(docs, sort) {
+  if (!sort) return docs;
+
+  const keys = typeof sort === 'string'
+    ? sort.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]))
+    : Object.entries(sort).map(([field, direction]) => [field, direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1]);
+
+  return docs.sort((a, b) => {
+    for (const [field, direction] of keys) {
+      const result = compareValues(getValue(a, field), getValue(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Apply a projection to a plain document
+ * @param {Object} doc - Plain document
+ * @param {Object|string} select - Mongoose-style select, e.g. 'title likes', '-content' or { content: 0 }
+ * @returns {Object} - Projected copy
+ */
+function project(doc, select) {
+  if (!select) return doc;
+
+  const fields = typeof select === 'string'
+    ? Object.fromEntries(select.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-') ? [field.slice(1), 0] : [field, 1])))
+    : select;
+
+  const entries = Object.entries(fields);
+  const isInclusion = entries.some(([field, flag]) => field !== '_id' && flag);
+
+  if (!isInclusion) {
+    const result = clone(doc);
+    entries.forEach(([field, flag]) => {
+      if (!flag) unsetValue(result, field);
+    });
+    return result;
+  }
+
+  const result = {};
+  if (fields._id !== 0 && fields._id !== false) {
+    result._id = doc._id;
+  }
+  entries.forEach(([field, flag]) => {
+    const value = getValue(doc, field);
+    if (flag && value !== undefined) {
+      setValue(result, field, clone(value));
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  matchesFilter,
+  applyUpdate,
+  sortDocuments,
+  project,
+  clone,
+  getValue
+};
@@ -0,0 +1,213 @@
+/**
+ * In-memory Repository
+ * Keeps documents in process memory for mock mode. Documents go through the model's schema on
+ * every write, so defaults, casting, validation, timestamps, the model's prepareForSave and unique
+ * indexes behave as they do with MongoDB; the data is lost when the process exits
+ */
+
+const { matchesFilter, applyUpdate, sortDocuments, project, clone, getValue } = require('./memoryQuery');
+
+// One store per model name, shared so populate can read referenced models
+const stores = new Map();
+
+// How documents are turned into the plain data kept in a store
+const STORED_FORM = { depopulate: true, virtuals: false, getters: false, transform: false };
+
+function getStore(modelName) {
+  if (!stores.has(modelName)) {
+    stores.set(modelName, new Map());
+  }
+  return stores.get(modelName);
+}
+
+/**
+ * Empty every in-memory store
+ */
+function clearMemoryStorage() {
+  stores.forEach(store => store.clear());
+}
+
+// Name of a timestamp field the schema keeps, or null when it keeps none
+function getTimestampField(schema, name) {
+  const timestamps = schema.options.timestamps;
+  if (timestamps === true) return name;
+  if (timestamps?.[name] === true) return name;
+  return typeof timestamps?.[name] === 'string' ? timestamps[name] : null;
+}
+
+/**
+ * Create an in-memory repository for a mongoose model
+ * @param {Object} Model - Mongoose model
+ * @returns {Object} - Repository with the same methods as the MongoDB repository
+ */
+function createMemoryRepository(Model) {
+  const store = getStore(Model.modelName);
+  const indexes = Model.schema.indexes();
+  const textFields = indexes.flatMap(([fields]) => Object.keys(fields).filter(field => fields[field] === 'text'));
+  const uniqueIndexes = indexes.filter(([, options]) => options?.unique).map(([fields]) => Object.keys(fields));
+  const createdAtField = getTimestampField(Model.schema, 'createdAt');
+  const updatedAtField = getTimestampField(Model.schema, 'updatedAt');
+
+  const keyOf = (id) => String(id);
+
+  // Cast plain data through the schema, as MongoDB updates are cast by mongoose
+  const cast = (data) => new Model(data).toObject(STORED_FORM);
+
+  function checkUnique(data) {
+    uniqueIndexes.forEach(fields => {
+      const values = fields.map(field => getValue(data, field));
+      // Documents without any of the indexed values are skipped, as with sparse indexes
+      if (values.every(value => value === undefined || value === null)) return;
+
+      const filter = Object.fromEntries(fields.map((field, index) => [field, values[index]]));
+      const duplicate = [...store.values()].find(existing => (
+        keyOf(existing._id) !== keyOf(data._id) && matchesFilter(existing, filter)
+      ));
+
+      if (duplicate) {
+        const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name} index: ${fields.join('_')} dup key: ${JSON.stringify(filter)}`);
+        error.code = 11000;
+        error.keyValue = filter;
+        throw error;
+      }
+    });
+  }
+
+  function query(filter) {
+    return [...store.values()].filter(data => matchesFilter(data, filter, textFields));
+  }
+
+  function populate(data, { path, select }) {
+    const ref = Model.schema.path(path)?.options?.ref;
+    if (!ref || data[path] === undefined || data[path] === null) return;
+
+    const target = getStore(ref).get(keyOf(data[path]));
+    data[path] = target ? project(clone(target), select) : null;
+  }
+
+  function output(data, { select, lean, populate: populateOptions } = {}) {
+    const copy = clone(data);
+    if (populateOptions) {
+      populate(copy, populateOptions);
+    }
+
+    const projected = project(copy, select);
+    return lean ? projected : Model.hydrate(projected);
+  }
+
+  function persist(data) {
+    checkUnique(data);
+    store.set(keyOf(data._id), clone(data));
+  }
+
+  async function save(doc) {
+    Model.prepareForSave?.(doc);
+    await doc.validate();
+
+    const now = new Date();
+    if (createdAtField && doc.isNew && !doc.get(createdAtField)) {
+      doc.set(createdAtField, now);
+    }
+    if (updatedAtField) {
+      doc.set(updatedAtField, now);
+    }
+    persist(doc.toObject(STORED_FORM));
+
+    doc.isNew = false;
+    doc.$clearModifiedPaths();
+    return doc;
+  }
+
+  async function updateDocuments(targets, update) {
+    const updated = targets.map(data => {
+      const next = applyUpdate(clone(data), update);
+      if (updatedAtField) {
+        next[updatedAtField] = new Date();
+      }
+      return cast(next);
+    });
+
+    updated.forEach(persist);
+    return updated;
+  }
+
+  return {
+    async find(filter = {}, { sort, skip = 0, limit, ...options } = {}) {
+      const results = sortDocuments(query(filter), sort);
+      const end = limit ? skip + limit : undefined;
+      return results.slice(skip, end).map(data => output(data, options));
+    },
+
+    async findOne(filter = {}, options = {}) {
+      const [result] = await this.find(filter, { ...options, limit: 1 });
+      return result || null;
+    },
+
+    async findById(id, options = {}) {
+      const data = store.get(keyOf(id));
+      return data ? output(data, options) : null;
+    },
+
+    async count(filter = {}) {
+      return query(filter).length;
+    },
+
+    async create(data) {
+      return save(new Model(data));
+    },
+
+    save,
+
+    async updateOne(filter, update, { upsert = false } = {}) {
+      const [target] = query(filter);
+
+      if (target) {
+        await updateDocuments([target], update);
+        return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+      }
+      if (!upsert) {
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      }
+
+      // Upserts start from the filter's equality conditions, as in MongoDB
+      const seed = Object.fromEntries(
+        Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !(value && typeof value === 'object' && Object.keys(value).some(op => op.startsWith('$'))))
+      );
+      await save(new Model(applyUpdate(seed, update, { isInsert: true })));
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    },
+
+    async updateMany(filter, update) {
+      const updated = await updateDocuments(query(filter), update);
+      return { matchedCount: updated.length, modifiedCount: updated.length };
+    },
+
+    async findOneAndUpdate(filter, update, { sort, ...options } = {}) {
+      const [target] = sortDocuments(query(filter), sort);
+      if (!target) return null;
+
+      const [updated] = await updateDocuments([target], update);
+      return output(updated, options);
+    },
+
+    async deleteOne(filter) {
+      const [target] = query(filter);
+      if (!target) return { deletedCount: 0 };
+
+      store.delete(keyOf(target._id));
+      return { deletedCount: 1 };
+    },
+
+    async deleteMany(filter = {}) {
+      const targets = query(filter);
+      targets.forEach(data => store.delete(keyOf(data._id)));
+      return { deletedCount: targets.length };
+    },
+
+    async deleteById(id) {
+      return { deletedCount: store.delete(keyOf(id)) ? 1 : 0 };
+    }
+  };
+}
+
+module.exports = { createMemoryRepository, clearMemoryStorage };
@@ -0,0 +1,69 @@
+/**
+ * MongoDB Repository
+ * Thin wrapper over a mongoose model exposing the repository methods routes use
+ */
+
+/**
+ * Apply shared read options to a mongoose query
+ * @param {Object} query - Mongoose query
+ * @param {Object} options - Read options
+ * @param {Object|string} options.sort - Sort order
+ * @param {number} options.skip - Documents to skip
+ * @param {number} options.limit - Maximum documents to return
+ * @param {Object|string} options.select - Projection
+ * @param {Object} options.populate - { path, select } of a referenced document to load
+ * @param {boolean} options.lean - Return plain objects instead of documents
+ * @returns {Promise} - Query result
+ */
+function runQuery(query, { sort, skip, limit, select, populate, lean } = {}) {
+  if (sort) query.sort(sort);
+  if (skip) query.skip(skip);
+  if (limit) query.limit(limit);
+  if (select) query.select(select);
+  if (populate) query.populate(populate.path, populate.select);
+  if (lean) query.lean();
+  return query.exec();
+}
+
+// Set the fields a model derives before every save, then save
+async function saveDocument(Model, doc) {
+  Model.prepareForSave?.(doc);
+  return doc.save();
+}
+
+/**
+ * Create a MongoDB repository for a mongoose model
+ * @param {Object} Model - Mongoose model
+ * @returns {Object} - Repository
+ */
+function createMongoRepository(Model) {
+  return {
+    find: (filter = {}, options) => runQuery(Model.find(filter), options),
+
+    findOne: (filter = {}, options) => runQuery(Model.findOne(filter), options),
+
+    findById: (id, options) => runQuery(Model.findById(id), options),
+
+    count: (filter = {}) => Model.countDocuments(filter).exec(),
+
+    create: (data) => saveDocument(Model, new Model(data)),
+
+    save: (doc) => saveDocument(Model, doc),
+
+    updateOne: (filter, update, { upsert = false } = {}) => Model.updateOne(filter, update, { upsert }).exec(),
+
+    updateMany: (filter, update) => Model.updateMany(filter, update).exec(),
+
+    findOneAndUpdate: (filter, update, { sort, ...options } = {}) => (
+      runQuery(Model.findOneAndUpdate(filter, update, { new: true, sort }), options)
+    ),
+
+    deleteOne: (filter) => Model.deleteOne(filter).exec(),
+
+    deleteMany: (filter = {}) => Model.deleteMany(filter).exec(),
+
+    deleteById: (id) => Model.deleteOne({ _id: id }).exec()
+  };
+}
+
+module.exports = { createMongoRepository };
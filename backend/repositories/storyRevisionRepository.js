@@ -0,0 +1,68 @@
+/**
+ * Story Revision Repository Methods
+ * Records immutable snapshots of a story's text as it changes
+ */
+
+/**
+ * Add revision history methods to the story revision repository
+ * @param {Object} repository - Repository for the StoryRevision model
+ * @returns {Object} - The same repository
+ */
+function addStoryRevisionMethods(repository) {
+  /**
+   * Snapshot the story's current text as its next revision and point the story at it
+   * The caller saves the story afterwards so currentRevision is persisted
+   * @param {Object} story - Story document, already holding the new text
+   * @param {Object} details - Revision details
+   * @param {string} details.source - initial, manual, ai-continue, ai-rewrite or restore
+   * @param {string} details.authorId - uid of the user who made the change
+   * @returns {Object} - The saved revision
+   */
+  repository.record = async function(story, { source, authorId, authorName, note, aiProvider, restoredFrom }) {
+    // Never keep a snapshot of text the story itself would reject
+    await story.validate();
+
+    const latest = await repository.findOne({ storyId: story._id }, { sort: { number: -1 }, select: 'number', lean: true });
+
+    const revision = await repository.create({
+      storyId: story._id,
+      number: latest ? latest.number + 1 : 1,
+      title: story.title,
+      content: story.content,
+      chapters: story.chapters,
+      wordCount: story.wordCount,
+      estimatedReadingTime: story.estimatedReadingTime,
+      source,
+      authorId,
+      authorName,
+      note,
+      aiProvider,
+      restoredFrom
+    });
+
+    story.currentRevision = revision.number;
+    return revision;
+  };
+
+  /**
+   * Record the text of stories created before revision history existed, before it is first changed
+   * @param {Object} story - Story document, still holding its current text
+   * @returns {Object|null} - The baseline revision, or null when the story already has history
+   */
+  repository.ensureBaseline = async function(story) {
+    if (story.currentRevision > 0) {
+      return null;
+    }
+
+    return repository.record(story, {
+      source: 'initial',
+      authorId: story.creatorId,
+      authorName: story.creatorName,
+      aiProvider: story.metadata?.aiProvider
+    });
+  };
+
+  return repository;
+}
+
+module.exports = { addStoryRevisionMethods };
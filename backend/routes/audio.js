@@ -1,9 +1,37 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
 const axios = require('axios');
+const mongoose = require('mongoose');
 const OpenAI = require('openai');
 const { validateOpenAIKey, isServiceConfigured, maskApiKey, cleanApiKey } = require('../utils/apiValidators');
+const { callWithResilience } = require('../utils/resilience');
+const { getMp3Duration, mergeMp3Buffers } = require('../utils/mp3');
+const {
+  SENTENCE_PATTERN,
+  buildNarrationTiming,
+  createWebVtt,
+  getTimingUrls,
+  saveNarrationTiming,
+  loadNarrationTiming
+} = require('../utils/narrationTiming');
+const { splitDialogue } = require('../utils/dialogue');
+const {
+  OPENAI_VOICES,
+  ELEVENLABS_VOICE_ID,
+  normalizeVoiceCast,
+  getSpeakerVoice,
+  hashVoiceCast
+} = require('../utils/voiceCast');
+const { parseSpeechMarkup, splitByRate, compileSpeech, hashSpeech } = require('../utils/speechMarkup');
+const { createCacheKey, getCacheFilename, findCachedAssetFor, recordCachedAsset } = require('../utils/mediaCache');
+const { normalizeLexicon, mergeLexicons, getUsedLexicon } = require('../utils/pronunciations');
+const { authenticate, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { storage, getMediaKey, readStoredFile, writeStoredFile, storedFileExists, sendStoredFile } = require('../storage');
+const { resolveMediaAsset, canAccessMedia, claimMedia } = require('../utils/mediaAccess');
+const { collectOrphanedMedia, getRetentionStatus } = require('../utils/mediaRetention');
+const Narration = require('../models/Narration');
+const { narrationRepository, storyRepository } = require('../repositories');
 const router = express.Router();
 
 // Initialize OpenAI client with cleaned API key
@@ -14,6 +42,7 @@ if (openaiKey) {
   if (validateOpenAIKey(cleanedKey)) {
     openai = new OpenAI({
       apiKey: cleanedKey,
+      maxRetries: 0 // Retries are handled by callWithResilience
     });
     console.log('✅ OpenAI TTS client initialized successfully');
   } else {
@@ -23,49 +52,78 @@ if (openaiKey) {
   console.log('⚠️  OpenAI API key not provided for TTS');
 }
 
-// Ensure audio directory exists
-const audioDir = path.join(__dirname, '../public/audio');
-if (!fs.existsSync(audioDir)) {
-  fs.mkdirSync(audioDir, { recursive: true });
+// Finished chunks of narrations still in progress are stored under audio/chunks/ until every chunk has audio
+const getChunkKey = (chunkFilename) => getMediaKey('audio', `chunks/${chunkFilename}`);
+
+const NARRATION_CHUNK_LENGTH = 4000; // Conservative limit for TTS APIs
+const NARRATION_MARKED_CHUNK_LENGTH = 3000; // Leaves room for the pauses and respellings compiled into marked-up text
+const NARRATION_CHUNK_ATTEMPTS = parseInt(process.env.NARRATION_CHUNK_ATTEMPTS, 10) || 3;
+const NARRATION_CHUNK_RETRY_DELAY_MS = 2000;
+
+// Narrations being synthesized by this process, so a resume cannot run twice at once
+const activeNarrations = new Set();
+
+// Media record of a narration file the request may download, or null
+async function findAccessibleAudio(req) {
+  const asset = await resolveMediaAsset('audio', req.params.filename);
+  return asset && (await canAccessMedia(asset, req)) ? asset : null;
 }
 
-// GET /api/audio/:filename - Serve audio files
-router.get('/:filename', (req, res) => {
-  const { filename } = req.params;
-  
-  const audioPath = path.join(audioDir, filename);
+// GET /api/audio/:filename/timing - Sentence and word timestamps for a narration file
+router.get('/:filename/timing', optionalAuth, async (req, res) => {
+  const asset = await findAccessibleAudio(req);
+  const timing = asset && await loadNarrationTiming(asset.filename);
 
-  // Check if file exists
-  if (!fs.existsSync(audioPath)) {
-    return res.status(404).json({ 
-      error: 'Audio file not found',
-      filename: filename 
-    });
+  if (!timing) {
+    return res.status(404).json({ success: false, error: 'Narration timing not found' });
   }
 
-  // Set appropriate headers for audio files
-  res.setHeader('Content-Type', 'audio/mpeg');
-  res.setHeader('Cache-Control', 'public, max-age=31536000');
-  res.setHeader('Accept-Ranges', 'bytes');
+  res.json({ success: true, data: timing });
+});
 
-  // Create read stream and pipe to response
-  const readStream = fs.createReadStream(audioPath);
-  readStream.on('error', (err) => {
-    console.error('Error reading audio file:', err);
-    res.status(500).json({ error: 'Error reading audio file' });
-  });
+// GET /api/audio/:filename/captions.vtt - WebVTT captions for a narration file
+router.get('/:filename/captions.vtt', optionalAuth, async (req, res) => {
+  const asset = await findAccessibleAudio(req);
+  const timing = asset && await loadNarrationTiming(asset.filename);
+
+  if (!timing) {
+    return res.status(404).json({ success: false, error: 'Narration timing not found' });
+  }
 
-  readStream.pipe(res);
+  res.type('text/vtt').send(createWebVtt(timing));
 });
 
-// GET /api/audio/list - List available audio files
-router.get('/', (req, res) => {
+// GET /api/audio/:filename - Serve audio files; private files only to those allowed to see them
+router.get('/:filename', optionalAuth, async (req, res) => {
+  const { filename } = req.params;
+
   try {
-    const files = fs.readdirSync(audioDir).filter(file => file.endsWith('.mp3'));
-    const availableFiles = files.map(filename => ({
-      filename,
-      available: fs.existsSync(path.join(audioDir, filename)),
-      size: fs.statSync(path.join(audioDir, filename)).size
+    // The file is looked up through its media record, never by joining the URL into a path
+    const asset = await findAccessibleAudio(req);
+    const sent = asset && await sendStoredFile(req, res, getMediaKey('audio', asset.filename), {
+      defaultContentType: 'audio/mpeg',
+      cacheControl: asset.visibility === 'private' ? 'private, no-cache' : undefined
+    });
+    if (!sent) {
+      return res.status(404).json({ 
+        error: 'Audio file not found',
+        filename: filename 
+      });
+    }
+  } catch (error) {
+    console.error('Error reading audio file:', error);
+    res.status(500).json({ error: 'Error reading audio file' });
+  }
+});
+
+// GET /api/audio/list - List available audio files (admin only)
+router.get('/', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const files = (await storage.list(getMediaKey('audio', ''))).filter(file => file.key.endsWith('.mp3'));
+    const availableFiles = files.map(file => ({
+      filename: path.posix.basename(file.key),
+      available: true,
+      size: file.size
     }));
 
     res.json({
@@ -81,7 +139,7 @@ router.get('/', (req, res) => {
 });
 
 // POST /api/audio/generate - Generate audio from text using TTS with enhanced error handling
-router.post('/generate', async (req, res) => {
+router.post('/generate', optionalAuth, async (req, res) => {
   try {
     const { text, voice = 'alloy', speed = 1.0, provider = 'openai' } = req.body;
 
@@ -97,15 +155,35 @@ router.post('/generate', async (req, res) => {
       });
     }
 
+    // Identical requests are answered with the audio made the first time
+    const { asset: cached, cacheKey } = await findCachedAssetFor(
+      'audio',
+      createCacheKey('audio', { text, voice, speed: Number(speed), provider, model: 'tts-1' }),
+      req.user
+    );
+    if (cached) {
+      await claimMedia([`/api/audio/${cached.filename}`], req.user?.uid);
+      return res.json({
+        success: true,
+        message: `Audio served from cache (generated with ${cached.provider})`,
+        data: {
+          audioUrl: `/api/audio/${cached.filename}`,
+          filename: cached.filename,
+          provider: cached.provider,
+          voice: voice,
+          textLength: text.length,
+          duration: cached.duration,
+          fileSize: cached.size,
+          quality: cached.provider === 'elevenlabs' ? 'premium' : 'standard',
+          cached: true
+        }
+      });
+    }
+
     console.log(`Generating audio for text: "${text.substring(0, 50)}..." (${text.length} chars)`);
 
     // Multi-provider TTS with robust failover
-    const providers = [
-      { name: 'openai', priority: 1, enabled: !!openai },
-      { name: 'elevenlabs', priority: 2, enabled: !!process.env.ELEVENLABS_API_KEY }
-    ].filter(p => p.enabled);
-
-    if (providers.length === 0) {
+    if (!openai && !process.env.ELEVENLABS_API_KEY) {
       return res.status(503).json({
         error: 'No text-to-speech service configured',
         message: 'Please configure either OpenAI or ElevenLabs API keys in your environment',
@@ -117,47 +195,28 @@ router.post('/generate', async (req, res) => {
       });
     }
 
-    let lastError = null;
-    let usedProvider = null;
-    let result = null;
-
-    for (const provider of providers) {
-      try {
-        console.log(`🔄 Attempting TTS with ${provider.name}...`);
-        
-        switch (provider.name) {
-          case 'openai':
-            result = await generateWithOpenAI(text, voice, speed);
-            break;
-          case 'elevenlabs':
-            result = await generateWithElevenLabs(text, voice);
-            break;
-          default:
-            continue;
-        }
+    const { audioBuffer, provider: usedProvider } = await synthesizeSpeech(parseSpeechMarkup(text), { voice, speed, model: 'tts-1', provider });
+    const audioFilename = getCacheFilename('speech', cacheKey, 'mp3');
+    const duration = Number(getMp3Duration(audioBuffer).toFixed(3));
+    await writeStoredFile(getMediaKey('audio', audioFilename), audioBuffer);
+    await recordCachedAsset({ kind: 'audio', filename: audioFilename, cacheKey, provider: usedProvider, size: audioBuffer.length, duration });
+    await claimMedia([`/api/audio/${audioFilename}`], req.user?.uid);
 
-        if (result && result.success) {
-          usedProvider = provider.name;
-          console.log(`✅ TTS successful with ${provider.name}`);
-          break;
-        }
-      } catch (error) {
-        console.error(`❌ ${provider.name} TTS failed:`, error.message);
-        lastError = error;
-        continue;
+    return res.json({
+      success: true,
+      message: `Audio generated successfully using ${usedProvider}`,
+      data: {
+        audioUrl: `/api/audio/${audioFilename}`,
+        filename: audioFilename,
+        provider: usedProvider,
+        voice: voice,
+        textLength: text.length,
+        duration, // seconds, measured from the MP3 frames
+        fileSize: audioBuffer.length,
+        quality: usedProvider === 'elevenlabs' ? 'premium' : 'standard',
+        cached: false
       }
-    }
-
-    if (result && result.success) {
-      return res.json({
-        success: true,
-        message: `Audio generated successfully using ${usedProvider}`,
-        data: result.data
-      });
-    }
-
-    // All providers failed
-    throw new Error(`All TTS providers failed. Last error: ${lastError?.message || 'Unknown error'}`);
+    });
 
   } catch (error) {
     console.error('Error generating audio:', error);
@@ -176,64 +235,92 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+// TTS providers in failover order
+const ttsProviders = [
+  {
+    name: 'openai',
+    isConfigured: () => !!openai,
+    synthesize: synthesizeWithOpenAI
+  },
+  {
+    name: 'elevenlabs',
+    isConfigured: () => !!process.env.ELEVENLABS_API_KEY,
+    synthesize: synthesizeWithElevenLabs
+  }
+];
+
+// Convert text to MP3 audio, trying each configured provider with retries and circuit breaking
+// Speech is plain text or { text, marks, lexicon, start, end }, compiled into each provider's own markup
+// A preferred provider (e.g. the one a cast voice belongs to) is tried first
+async function synthesizeSpeech(speech, { voice = 'alloy', speed = 1.0, model = 'tts-1-hd', provider: preferred = null } = {}) {
+  let lastError = null;
+  const providers = [...ttsProviders].sort((a, b) => (b.name === preferred) - (a.name === preferred));
+  const plain = typeof speech === 'string' ? { text: speech } : speech;
+  const plainText = plain.text.substring(plain.start || 0, plain.end ?? plain.text.length);
+
+  for (const provider of providers) {
+    if (!provider.isConfigured()) continue;
+
+    try {
+      console.log(`🔄 Attempting TTS with ${provider.name}...`);
+      const input = compileSpeech(plain, provider.name);
+      const { audioBuffer, alignment } = await callWithResilience(
+        `tts:${provider.name}`,
+        (signal) => provider.synthesize(input, { voice, speed, model }, signal),
+        { timeoutMs: 60000 }
+      );
+      console.log(`✅ TTS successful with ${provider.name}`);
+      // Character timings only line up with the text when no markup was compiled into it
+      return { audioBuffer, provider: provider.name, alignment: input === plainText ? alignment : null };
+    } catch (error) {
+      console.error(`❌ ${provider.name} TTS failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  if (!lastError) {
+    throw new Error('No TTS service available');
+  }
+  throw new Error(`All TTS providers failed. Last error: ${lastError.message}`);
+}
+
 // OpenAI TTS implementation with enhanced error handling
-async function generateWithOpenAI(text, voice, speed) {
+async function synthesizeWithOpenAI(text, { voice, speed, model }, signal) {
   if (!openai) {
     throw new Error('OpenAI client not initialized');
   }
 
   try {
-    console.log('Using OpenAI TTS with model: tts-1');
+    console.log(`Using OpenAI TTS with model: ${model}`);
     
     const audioResponse = await openai.audio.speech.create({
-      model: 'tts-1',
-      voice: mapVoiceType(voice),
+      model,
+      voice: OPENAI_VOICES.includes(voice) ? voice : mapVoiceType(voice),
       input: text,
       speed: Math.max(0.25, Math.min(4.0, speed)) // Clamp speed to valid range
-    });
-
-    const audioBuffer = Buffer.from(await audioResponse.arrayBuffer());
-    const audioFilename = `openai-${Date.now()}.mp3`;
-    const audioPath = path.join(audioDir, audioFilename);
-
-    // Save the audio file
-    fs.writeFileSync(audioPath, audioBuffer);
-
-    // Calculate estimated duration (rough estimate: 150 chars per minute)
-    const estimatedDuration = Math.ceil(text.length / 150);
+    }, { signal });
 
-    return {
-      success: true,
-      data: {
-        audioUrl: `/api/audio/${audioFilename}`,
-        filename: audioFilename,
-        provider: 'openai',
-        voice: voice,
-        textLength: text.length,
-        estimatedDuration: estimatedDuration,
-        fileSize: audioBuffer.length,
-        quality: 'standard'
-      }
-    };
+    // OpenAI returns no timing information, so word times are estimated later
+    return { audioBuffer: Buffer.from(await audioResponse.arrayBuffer()), alignment: null };
 
   } catch (error) {
-    console.error('OpenAI TTS error:', error);
+    console.error('OpenAI TTS error:', error.message);
     
     // Provide specific error messages based on error type
-    if (error.response?.status === 429) {
-      throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-    } else if (error.response?.status === 401) {
-      throw new Error('OpenAI API key invalid or expired.');
+    if (error.status === 429) {
+      throw new Error('OpenAI API rate limit exceeded. Please try again later.', { cause: error });
+    } else if (error.status === 401) {
+      throw new Error('OpenAI API key invalid or expired.', { cause: error });
     } else if (error.message?.includes('quota')) {
-      throw new Error('OpenAI API quota exceeded.');
+      throw new Error('OpenAI API quota exceeded.', { cause: error });
     } else {
-      throw new Error(`OpenAI TTS failed: ${error.message}`);
+      throw new Error(`OpenAI TTS failed: ${error.message}`, { cause: error });
     }
   }
 }
 
 // ElevenLabs TTS implementation with enhanced error handling
-async function generateWithElevenLabs(text, voice) {
+async function synthesizeWithElevenLabs(text, { voice, speed = 1.0 }, signal) {
   if (!process.env.ELEVENLABS_API_KEY) {
     throw new Error('ElevenLabs API key not configured');
   }
@@ -252,13 +339,14 @@ async function generateWithElevenLabs(text, voice) {
     'elderly': 'AZnzlk1XvdvUeBnXmlld'  // Domi (elderly voice)
   };
 
-  const voiceId = voiceMap[voice] || voiceMap.female;
+  const voiceId = voiceMap[voice] || (ELEVENLABS_VOICE_ID.test(voice) ? voice : voiceMap.female);
 
   try {
     console.log('Using ElevenLabs TTS');
     
+    // The timestamps endpoint returns character timings alongside the audio
     const response = await axios.post(
-      `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
+      `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}/with-timestamps`,
       {
         text: text,
         model_id: "eleven_monolingual_v1",
@@ -266,56 +354,43 @@ async function generateWithElevenLabs(text, voice) {
           stability: 0.5,
           similarity_boost: 0.75,
           style: 0.0,
-          use_speaker_boost: true
+          use_speaker_boost: true,
+          speed: Math.max(0.7, Math.min(1.2, speed)) // ElevenLabs accepts a narrower range than OpenAI
         }
       },
       {
         headers: {
-          'Accept': 'audio/mpeg',
+          'Accept': 'application/json',
           'Content-Type': 'application/json',
           'xi-api-key': cleanedKey
         },
-        responseType: 'arraybuffer',
-        timeout: 30000
+        timeout: 30000,
+        signal
       }
     );
 
-    if (response.status !== 200) {
-      throw new Error(`ElevenLabs API returned status ${response.status}`);
-    }
-
-    const audioBuffer = Buffer.from(response.data);
-    const audioFilename = `elevenlabs-${Date.now()}.mp3`;
-    const audioPath = path.join(audioDir, audioFilename);
-
-    fs.writeFileSync(audioPath, audioBuffer);
+    const { audio_base64: audio, alignment } = response.data;
 
     return {
-      success: true,
-      message: 'Audio generated successfully using ElevenLabs TTS',
-      data: {
-        audioUrl: `/api/audio/${audioFilename}`,
-        filename: audioFilename,
-        provider: 'elevenlabs',
-        voice: voice,
-        textLength: text.length,
-        estimatedDuration: Math.ceil(text.length / 150),
-        fileSize: audioBuffer.length,
-        quality: 'premium'
-      }
+      audioBuffer: Buffer.from(audio, 'base64'),
+      alignment: alignment ? {
+        characters: alignment.characters,
+        startTimes: alignment.character_start_times_seconds,
+        endTimes: alignment.character_end_times_seconds
+      } : null
     };
 
   } catch (error) {
-    console.error('ElevenLabs API error:', error);
+    console.error('ElevenLabs API error:', error.message);
     
     if (error.response?.status === 401) {
-      throw new Error('ElevenLabs API key invalid or expired.');
+      throw new Error('ElevenLabs API key invalid or expired.', { cause: error });
     } else if (error.response?.status === 429) {
-      throw new Error('ElevenLabs API rate limit exceeded.');
+      throw new Error('ElevenLabs API rate limit exceeded.', { cause: error });
     } else if (error.message?.includes('quota')) {
-      throw new Error('ElevenLabs API quota exceeded.');
+      throw new Error('ElevenLabs API quota exceeded.', { cause: error });
     } else {
-      throw new Error(`ElevenLabs TTS failed: ${error.message}`);
+      throw new Error(`ElevenLabs TTS failed: ${error.message}`, { cause: error });
     }
   }
 }
@@ -333,7 +408,10 @@ function mapVoiceType(voiceType) {
 }
 
 // POST /api/audio/narrate - Generate narration for a story with enhanced error handling and chunking
-router.post('/narrate', async (req, res) => {
+// Dialogue is voiced by the cast in voiceCast, or by the story's saved cast when storyId names a story the user can see
+// Names are pronounced from the signed-in user's lexicon, the story's lexicon and pronunciations, in that order of priority
+// Incomplete narrations respond with success: false and the text ranges that have no audio
+router.post('/narrate', optionalAuth, async (req, res) => {
   try {
     const { storyId, storyText, voice = 'alloy', speed = 1.0 } = req.body;
 
@@ -341,77 +419,30 @@ router.post('/narrate', async (req, res) => {
       return res.status(400).json({ error: 'Story text is required' });
     }
 
-    console.log(`Generating narration for story: ${storyId || 'unnamed'} (${storyText.length} chars)`);
-
-    // Clean and prepare story text for narration
-    const cleanText = cleanTextForNarration(storyText);
+    let voiceCast = null;
+    let pronunciations = [];
+    try {
+      voiceCast = req.body.voiceCast ? normalizeVoiceCast(req.body.voiceCast) : null;
+      pronunciations = req.body.pronunciations ? normalizeLexicon(req.body.pronunciations) : [];
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
 
-    // Check if text is too long and needs chunking
-    const maxChunkLength = 4000; // Conservative limit for TTS APIs
-    const needsChunking = cleanText.length > maxChunkLength;
+    const story = mongoose.isValidObjectId(storyId)
+      ? await storyRepository.findById(storyId, { select: 'creatorId isPublic voiceCast pronunciations', lean: true })
+      : null;
 
-    if (needsChunking) {
-      console.log(`Text too long (${cleanText.length} chars), using chunked narration`);
-      return await generateChunkedNarration(storyId, cleanText, voice, speed, res);
+    // A private story's cast and pronunciations are only used for its author
+    if (story && !story.isPublic && story.creatorId !== req.user?.uid) {
+      return res.status(404).json({ success: false, error: 'Story not found' });
     }
 
-    try {
-      // Generate audio using OpenAI TTS (preferred for narration)
-      if (openai) {
-        const audioResponse = await openai.audio.speech.create({
-          model: 'tts-1-hd', // Use HD model for better narration quality
-          voice: mapVoiceType(voice),
-          input: cleanText,
-          speed: Math.max(0.25, Math.min(4.0, speed))
-        });
-
-        const audioBuffer = Buffer.from(await audioResponse.arrayBuffer());
-        const audioFilename = `narration-${storyId || Date.now()}.mp3`;
-        const audioPath = path.join(audioDir, audioFilename);
-
-        // Save the audio file
-        fs.writeFileSync(audioPath, audioBuffer);
-
-        const estimatedDuration = Math.ceil(cleanText.length / 150);
-
-        return res.json({
-          success: true,
-          message: 'Story narration generated successfully using OpenAI TTS HD',
-          data: {
-            audioUrl: `/api/audio/${audioFilename}`,
-            filename: audioFilename,
-            storyId: storyId,
-            voice: voice,
-            speed: speed,
-            estimatedDuration: estimatedDuration,
-            fileSize: audioBuffer.length,
-            characterCount: cleanText.length,
-            quality: 'hd',
-            chunked: false
-          }
-        });
-      }
-
-      // Fallback to ElevenLabs if OpenAI not available
-      if (process.env.ELEVENLABS_API_KEY) {
-        const result = await generateWithElevenLabs(cleanText, voice);
-        return res.json({
-          success: true,
-          message: 'Story narration generated successfully using ElevenLabs TTS',
-          data: {
-            ...result.data,
-            storyId: storyId,
-            chunked: false
-          }
-        });
-      }
+    voiceCast = voiceCast || story?.voiceCast || null;
+    const lexicon = mergeLexicons(req.user?.pronunciations, story?.pronunciations, pronunciations);
 
-      throw new Error('No TTS service available for narration');
+    const result = await generateNarration({ storyId, storyText, voice, speed, voiceCast, lexicon, ownerId: req.user?.uid });
 
-    } catch (ttsError) {
-      console.error('TTS narration error:', ttsError);
-      throw new Error(`Failed to generate narration: ${ttsError.message}`);
-    }
+    return sendNarrationResult(res, result);
 
   } catch (error) {
     console.error('Error generating narration:', error);
@@ -423,132 +454,542 @@ router.post('/narrate', async (req, res) => {
   }
 });
 
-// Generate chunked narration for long stories
-async function generateChunkedNarration(storyId, text, voice, speed, res) {
-  const chunks = splitTextIntoChunks(text, 4000);
-  console.log(`Splitting narration into ${chunks.length} chunks`);
+// GET /api/audio/narrations/:id - Progress of a chunked narration, including missing text ranges (owner only)
+router.get('/narrations/:id', authenticate, async (req, res) => {
+  try {
+    const narration = await findNarration(req.params.id);
 
-  const audioBuffers = [];
-  let totalDuration = 0;
+    if (!narration) {
+      return res.status(404).json({ success: false, error: 'Narration not found' });
+    }
 
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
-    console.log(`Processing chunk ${i + 1}/${chunks.length} (${chunk.length} chars)`);
+    if (!canManageNarration(narration, req.user)) {
+      return res.status(403).json({ success: false, error: 'You can only view your own narrations' });
+    }
 
-    try {
-      let audioBuffer;
-
-      if (openai) {
-        const audioResponse = await openai.audio.speech.create({
-          model: 'tts-1-hd',
-          voice: mapVoiceType(voice),
-          input: chunk,
-          speed: Math.max(0.25, Math.min(4.0, speed))
-        });
-        audioBuffer = Buffer.from(await audioResponse.arrayBuffer());
-      } else if (process.env.ELEVENLABS_API_KEY) {
-        const result = await generateWithElevenLabs(chunk, voice);
-        // For ElevenLabs, we need to download the audio
-        const audioResponse = await axios.get(result.data.audioUrl, {
-          responseType: 'arraybuffer'
-        });
-        audioBuffer = Buffer.from(audioResponse.data);
-      } else {
-        throw new Error('No TTS service available');
+    res.json({
+      success: true,
+      data: {
+        narrationId: narration._id,
+        storyId: narration.storyId,
+        status: narration.status,
+        audioUrl: narration.audioUrl || null,
+        duration: narration.duration || 0,
+        totalChunks: narration.chunks.length,
+        missingRanges: narration.getMissingRanges()
       }
+    });
 
-      audioBuffers.push(audioBuffer);
-      totalDuration += Math.ceil(chunk.length / 150);
+  } catch (error) {
+    console.error('Error fetching narration:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch narration' });
+  }
+});
 
-    } catch (chunkError) {
-      console.error(`Failed to generate audio for chunk ${i + 1}:`, chunkError);
-      // Continue with other chunks, but log the error
+// POST /api/audio/narrations/:id/resume - Generate only the missing chunks and merge the narration again (owner only)
+router.post('/narrations/:id/resume', authenticate, async (req, res) => {
+  try {
+    const narration = await findNarration(req.params.id);
+
+    if (!narration) {
+      return res.status(404).json({ success: false, error: 'Narration not found' });
+    }
+
+    if (!canManageNarration(narration, req.user)) {
+      return res.status(403).json({ success: false, error: 'You can only resume your own narrations' });
+    }
+
+    if (activeNarrations.has(narration._id.toString())) {
+      return res.status(409).json({ success: false, error: 'This narration is already being generated' });
     }
+
+    // A finished narration has nothing left to synthesize; its chunk files are gone but its audio is not
+    const result = narration.status === 'completed'
+      ? describeNarration(narration)
+      : await narrateMissingChunks(narration);
+
+    return sendNarrationResult(res, result);
+
+  } catch (error) {
+    console.error('Error resuming narration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume narration',
+      message: error.message
+    });
   }
+});
 
-  if (audioBuffers.length === 0) {
-    throw new Error('Failed to generate audio for any chunks');
+function findNarration(id) {
+  return mongoose.isValidObjectId(id) ? narrationRepository.findById(id) : null;
+}
+
+// Narrations hold the text they read, which may come from a private story
+function canManageNarration(narration, user) {
+  return user.role === 'admin' || (Boolean(narration.ownerId) && narration.ownerId === user.uid);
+}
+
+// Narration with missing text ranges is a failed upstream call for the caller, with the partial audio attached
+function sendNarrationResult(res, result) {
+  const complete = result.data.complete !== false;
+
+  return res.status(complete ? 200 : 502).json({
+    success: complete,
+    message: result.message,
+    error: complete ? undefined : 'Narration is incomplete',
+    data: result.data
+  });
+}
+
+// Generate and save narration for a story, and give the audio to ownerId unless it already has an owner
+async function generateNarration({ ownerId, ...options }) {
+  const result = await narrateText({ ...options, ownerId });
+  await claimMedia([result.data?.audioUrl], ownerId);
+  return result;
+}
+
+// Narrate text, chunking long text
+// With a voice cast, dialogue turns become chunks of their own so each speaker gets their voice,
+// and speaking-rate markup splits the text where the rate changes
+async function narrateText({ storyId, storyText, voice = 'alloy', speed = 1.0, voiceCast = null, lexicon = [], ownerId }) {
+  console.log(`Generating narration for story: ${storyId || 'unnamed'} (${storyText.length} chars)`);
+
+  // Clean and prepare story text for narration, then take out the speech markup
+  const { text: cleanText, marks } = parseSpeechMarkup(cleanTextForNarration(storyText));
+  const speech = { text: cleanText, marks, lexicon: getUsedLexicon(cleanText, lexicon) };
+
+  // The same text read the same way is only synthesized once, whichever story it belongs to, unless the
+  // audio is private to someone else
+  const inputsKey = createCacheKey('audio', {
+    text: cleanText,
+    voice,
+    speed: Number(speed),
+    model: 'tts-1-hd',
+    provider: 'auto',
+    cast: hashVoiceCast(voiceCast),
+    speech: hashSpeech(speech.marks, speech.lexicon)
+  });
+  const { asset: cached, cacheKey } = await findCachedAssetFor('audio', inputsKey, ownerId ? { uid: ownerId } : null);
+  if (cached) {
+    console.log(`Serving narration from cache: ${cached.filename}`);
+    return getCachedNarrationResult(cached, { storyId, voice, speed, characterCount: cleanText.length });
   }
 
-  // Combine audio buffers (simple concatenation - in production, you'd want proper audio merging)
-  const combinedBuffer = Buffer.concat(audioBuffers);
-  const audioFilename = `narration-chunked-${storyId || Date.now()}.mp3`;
-  const audioPath = path.join(audioDir, audioFilename);
+  if (voiceCast?.characters?.length) {
+    console.log(`Narrating with a cast of ${voiceCast.characters.length} character voices`);
+    return await generateChunkedNarration(storyId, speech, { voice, speed, cacheKey, voiceCast, ownerId });
+  }
+
+  if (marks.rates.length > 0) {
+    console.log(`Text changes speaking rate ${marks.rates.length} times, using chunked narration`);
+    return await generateChunkedNarration(storyId, speech, { voice, speed, cacheKey, ownerId });
+  }
+
+  // Check if text is too long and needs chunking
+  const needsChunking = cleanText.length > getChunkLength(speech);
+
+  if (needsChunking) {
+    console.log(`Text too long (${cleanText.length} chars), using chunked narration`);
+    return await generateChunkedNarration(storyId, speech, { voice, speed, cacheKey, ownerId });
+  }
+
+  try {
+    // OpenAI TTS HD is preferred for narration, ElevenLabs is the fallback
+    const { audioBuffer, provider, alignment } = await synthesizeSpeech(speech, { voice, speed, model: 'tts-1-hd' });
+    const audioFilename = getCacheFilename('narration', cacheKey, 'mp3');
 
-  fs.writeFileSync(audioPath, combinedBuffer);
+    // Save the audio file
+    await writeStoredFile(getMediaKey('audio', audioFilename), audioBuffer);
+
+    const duration = getMp3Duration(audioBuffer);
+    await saveNarrationTiming(audioFilename, buildNarrationTiming(cleanText, [
+      { start: 0, end: cleanText.length, startTime: 0, endTime: duration, alignment }
+    ]));
+    await recordCachedAsset({ kind: 'audio', filename: audioFilename, cacheKey, provider, size: audioBuffer.length, duration: Number(duration.toFixed(3)) });
+
+    return {
+      message: `Story narration generated successfully using ${provider === 'openai' ? 'OpenAI TTS HD' : 'ElevenLabs TTS'}`,
+      data: {
+        audioUrl: `/api/audio/${audioFilename}`,
+        filename: audioFilename,
+        storyId: storyId,
+        voice: voice,
+        speed: speed,
+        provider,
+        duration: Number(duration.toFixed(3)),
+        ...getTimingUrls(audioFilename),
+        fileSize: audioBuffer.length,
+        characterCount: cleanText.length,
+        quality: provider === 'openai' ? 'hd' : 'premium',
+        chunked: false,
+        cached: false,
+        complete: true
+      }
+    };
+
+  } catch (ttsError) {
+    console.error('TTS narration error:', ttsError.message);
+    throw new Error(`Failed to generate narration: ${ttsError.message}`);
+  }
+}
 
-  return res.json({
-    success: true,
-    message: `Story narration generated successfully using chunked TTS (${audioBuffers.length} chunks)`,
+// Narration result for audio found in the cache
+function getCachedNarrationResult(asset, { storyId, voice, speed, characterCount }) {
+  return {
+    message: 'Story narration served from cache',
     data: {
-      audioUrl: `/api/audio/${audioFilename}`,
-      filename: audioFilename,
+      audioUrl: `/api/audio/${asset.filename}`,
+      filename: asset.filename,
       storyId: storyId,
       voice: voice,
       speed: speed,
-      estimatedDuration: totalDuration,
-      fileSize: combinedBuffer.length,
-      characterCount: text.length,
+      provider: asset.provider,
+      duration: asset.duration || 0,
+      ...getTimingUrls(asset.filename),
+      fileSize: asset.size,
+      characterCount,
+      cached: true,
+      complete: true
+    }
+  };
+}
+
+// Generate chunked narration for long stories
+// Progress is kept in a Narration record so an unfinished narration of the same text resumes
+// instead of synthesizing its finished chunks again
+async function generateChunkedNarration(storyId, speech, { voice, speed, cacheKey, voiceCast = null, ownerId }) {
+  const { text, marks, lexicon } = speech;
+  const textHash = crypto.createHash('sha256').update(text).digest('hex');
+  const castHash = hashVoiceCast(voiceCast);
+  const speechHash = hashSpeech(marks, lexicon);
+
+  let narration = storyId
+    ? await narrationRepository.findOne(
+        { storyId, textHash, voice, speed, castHash, speechHash, status: { $in: ['pending', 'partial', 'failed'] } },
+        { sort: { createdAt: -1 } }
+      )
+    : null;
+
+  if (narration) {
+    console.log(`Resuming narration ${narration._id} (${narration.getMissingRanges().length} chunks missing)`);
+    // Narrations started before they had owners go to whoever resumes them
+    if (!narration.ownerId && ownerId) {
+      narration.ownerId = ownerId;
+    }
+  } else {
+    narration = new Narration({
+      storyId,
+      ownerId,
+      text,
+      textHash,
+      voice,
+      speed,
+      castHash,
+      speechHash,
+      speech: speechHash ? { marks, lexicon } : undefined,
+      cacheKey,
+      chunks: planChunks(speech, voiceCast, voice)
+    });
+    await narrationRepository.save(narration);
+    console.log(`Splitting narration into ${narration.chunks.length} chunks`);
+  }
+
+  return narrateMissingChunks(narration);
+}
+
+// Synthesize every chunk without audio, retrying each a few times, then merge what exists
+async function narrateMissingChunks(narration) {
+  if (activeNarrations.has(narration._id.toString())) {
+    throw new Error('This narration is already being generated');
+  }
+  activeNarrations.add(narration._id.toString());
+
+  try {
+    // Chunk files are deleted once a narration completes, so only an unfinished one checks for them
+    const missing = [];
+    for (const chunk of narration.chunks) {
+      if (chunk.status !== 'completed' ||
+          (narration.status !== 'completed' && !(await storedFileExists(getChunkKey(chunk.filename))))) {
+        missing.push(chunk);
+      }
+    }
+
+    for (const chunk of missing) {
+      const chunkSpeech = { text: narration.text, ...narration.speech, start: chunk.start, end: chunk.end };
+      console.log(`Processing chunk ${chunk.index + 1}/${narration.chunks.length} (${chunk.end - chunk.start} chars)`);
+
+      for (let attempt = 1; attempt <= NARRATION_CHUNK_ATTEMPTS; attempt++) {
+        chunk.attempts += 1;
+
+        try {
+          const { audioBuffer, provider, alignment } = await synthesizeSpeech(chunkSpeech, {
+            voice: chunk.voice || narration.voice,
+            provider: chunk.voiceProvider,
+            speed: narration.speed * (chunk.rate || 1),
+            model: 'tts-1-hd'
+          });
+          const filename = `${narration._id}-${chunk.index}.mp3`;
+          await writeStoredFile(getChunkKey(filename), audioBuffer);
+          if (alignment) {
+            await writeStoredFile(getChunkAlignmentKey(filename), JSON.stringify(alignment));
+          }
+
+          chunk.status = 'completed';
+          chunk.filename = filename;
+          chunk.provider = provider;
+          chunk.duration = getMp3Duration(audioBuffer);
+          chunk.error = undefined;
+          break;
+
+        } catch (chunkError) {
+          console.error(`Chunk ${chunk.index + 1} attempt ${attempt}/${NARRATION_CHUNK_ATTEMPTS} failed:`, chunkError.message);
+          chunk.status = 'failed';
+          chunk.error = chunkError.message.substring(0, 500);
+
+          if (attempt < NARRATION_CHUNK_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, NARRATION_CHUNK_RETRY_DELAY_MS * attempt));
+          }
+        }
+      }
+
+      // Save after every chunk so a restart keeps the audio already generated
+      await narrationRepository.save(narration);
+    }
+
+    return await mergeNarration(narration);
+
+  } finally {
+    activeNarrations.delete(narration._id.toString());
+  }
+}
+
+// Join the finished chunks into the narration file and describe what is still missing
+async function mergeNarration(narration) {
+  const completed = narration.chunks.filter(chunk => chunk.status === 'completed');
+  const missingRanges = narration.getMissingRanges();
+  let mergedSize = 0;
+
+  if (completed.length > 0) {
+    // Join the chunks frame by frame under one header so players report the full length and can seek
+    const chunkBuffers = [];
+    for (const chunk of completed) {
+      const chunkBuffer = await readStoredFile(getChunkKey(chunk.filename));
+      if (!chunkBuffer) throw new Error(`Audio for chunk ${chunk.index + 1} is missing`);
+      chunkBuffers.push(chunkBuffer);
+    }
+    const { buffer, duration } = mergeMp3Buffers(chunkBuffers);
+    // Narrations started before the cache existed keep their story-based name
+    const audioFilename = narration.cacheKey
+      ? getCacheFilename('narration', narration.cacheKey, 'mp3')
+      : `narration-chunked-${narration.storyId || narration._id}.mp3`;
+    await writeStoredFile(getMediaKey('audio', audioFilename), buffer);
+    mergedSize = buffer.length;
+
+    // Chunks follow each other in the merged file, so each chunk's words are offset by the chunks before it
+    let offset = 0;
+    const segments = [];
+    for (const chunk of completed) {
+      segments.push({
+        start: chunk.start,
+        end: chunk.end,
+        startTime: offset,
+        endTime: offset + chunk.duration,
+        alignment: await readChunkAlignment(chunk.filename)
+      });
+      offset += chunk.duration;
+    }
+    await saveNarrationTiming(audioFilename, buildNarrationTiming(narration.text, segments));
+
+    narration.filename = audioFilename;
+    narration.audioUrl = `/api/audio/${audioFilename}`;
+    narration.duration = Number(duration.toFixed(3));
+  }
+
+  narration.status = missingRanges.length === 0 ? 'completed' : (completed.length > 0 ? 'partial' : 'failed');
+  await narrationRepository.save(narration);
+
+  // Chunk files are only needed until every chunk is in the merged file
+  if (narration.status === 'completed') {
+    if (narration.cacheKey) {
+      await recordCachedAsset({
+        kind: 'audio',
+        filename: narration.filename,
+        cacheKey: narration.cacheKey,
+        provider: [...new Set(completed.map(chunk => chunk.provider))].join(','),
+        size: mergedSize,
+        duration: narration.duration
+      });
+    }
+
+    for (const chunk of completed) {
+      await storage.delete(getChunkKey(chunk.filename));
+      await storage.delete(getChunkAlignmentKey(chunk.filename));
+    }
+  }
+
+  return describeNarration(narration);
+}
+
+// Result of a chunked narration as it is stored, with the text ranges it is still missing
+function describeNarration(narration) {
+  const completed = narration.chunks.filter(chunk => chunk.status === 'completed');
+  const missingRanges = narration.getMissingRanges();
+  const complete = narration.status === 'completed';
+
+  return {
+    message: complete
+      ? `Story narration generated successfully using chunked TTS (${completed.length} chunks)`
+      : `Narration is missing ${missingRanges.length} of ${narration.chunks.length} text ranges`,
+    data: {
+      narrationId: narration._id,
+      audioUrl: narration.audioUrl || null,
+      filename: narration.filename || null,
+      storyId: narration.storyId,
+      voice: narration.voice,
+      speed: narration.speed,
+      duration: narration.duration || 0,
+      ...(narration.filename ? getTimingUrls(narration.filename) : {}),
+      characterCount: narration.text.length,
       quality: 'hd',
       chunked: true,
-      chunksProcessed: audioBuffers.length,
-      totalChunks: chunks.length
+      cached: false,
+      multiVoice: !!narration.castHash,
+      speakers: [...new Set(narration.chunks.map(chunk => chunk.speaker).filter(Boolean))],
+      complete,
+      chunksProcessed: completed.length,
+      totalChunks: narration.chunks.length,
+      missingRanges
     }
-  });
+  };
+}
+
+function getChunkAlignmentKey(chunkFilename) {
+  return getChunkKey(chunkFilename.replace(/\.mp3$/, '.alignment.json'));
+}
+
+async function readChunkAlignment(chunkFilename) {
+  const alignment = await readStoredFile(getChunkAlignmentKey(chunkFilename));
+  return alignment ? JSON.parse(alignment.toString('utf8')) : null;
 }
 
-// Split text into chunks at sentence boundaries
-function splitTextIntoChunks(text, maxLength) {
+// Marked-up text compiles to longer provider input, so it is split into shorter chunks
+function getChunkLength(speech) {
+  return hashSpeech(speech.marks, speech.lexicon) ? NARRATION_MARKED_CHUNK_LENGTH : NARRATION_CHUNK_LENGTH;
+}
+
+// One chunk per dialogue turn and speaking rate, split further where a turn is longer than a TTS request
+// Neighbouring turns with the same voice and rate are read together
+function planChunks(speech, voiceCast, defaultVoice) {
+  const { text, marks } = speech;
+  const turns = [];
+  const segments = voiceCast?.characters?.length
+    ? splitDialogue(text, voiceCast)
+    : [{ start: 0, end: text.length, speaker: null }];
+
+  segments.forEach(segment => {
+    const speaker = voiceCast ? getSpeakerVoice(voiceCast, segment.speaker, defaultVoice) : { speaker: null, voice: defaultVoice, provider: null };
+
+    splitByRate(marks, segment.start, segment.end).forEach(({ start, end, rate }) => {
+      const turn = { start, end, rate, ...speaker };
+      const previous = turns[turns.length - 1];
+
+      if (previous && previous.voice === turn.voice && previous.provider === turn.provider && previous.rate === turn.rate) {
+        previous.end = turn.end;
+        if (previous.speaker !== turn.speaker) previous.speaker = null;
+      } else {
+        turns.push(turn);
+      }
+    });
+  });
+
   const chunks = [];
-  let currentChunk = '';
+  turns.forEach(turn => {
+    splitTextIntoChunks(text, getChunkLength(speech), turn.start, turn.end).forEach(range => {
+      chunks.push({
+        index: chunks.length,
+        ...range,
+        speaker: turn.speaker || undefined,
+        voice: voiceCast ? turn.voice : undefined,
+        voiceProvider: turn.provider || undefined,
+        rate: turn.rate !== 1 ? turn.rate : undefined
+      });
+    });
+  });
+  return chunks;
+}
 
-  // Split by sentences (basic approach)
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+// Split text (or the part of it between from and to) into { start, end } character ranges
+// of at most maxLength, at sentence boundaries where possible
+function splitTextIntoChunks(text, maxLength, from = 0, to = text.length) {
+  const ranges = [];
+  let chunkStart = null;
+  let chunkEnd = null;
+
+  // Ranges exclude surrounding whitespace so each chunk is exactly the text sent to TTS
+  const pushRange = (start, end) => {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    if (end > start) ranges.push({ start, end });
+  };
 
-  for (const sentence of sentences) {
-    const trimmedSentence = sentence.trim();
-    if (!trimmedSentence) continue;
+  const flush = () => {
+    if (chunkStart !== null) pushRange(chunkStart, chunkEnd);
+    chunkStart = null;
+  };
 
-    // If adding this sentence would exceed the limit, save current chunk
-    if (currentChunk.length + trimmedSentence.length + 1 > maxLength && currentChunk.length > 0) {
-      chunks.push(currentChunk.trim());
-      currentChunk = trimmedSentence;
-    } else {
-      currentChunk += (currentChunk ? '. ' : '') + trimmedSentence;
+  const sentencePattern = new RegExp(SENTENCE_PATTERN.source, SENTENCE_PATTERN.flags);
+  sentencePattern.lastIndex = from;
+  let match;
+  while ((match = sentencePattern.exec(text)) && match.index < to) {
+    const start = match.index;
+    const end = Math.min(to, start + match[0].length);
+
+    if (end - start > maxLength) {
+      // A sentence longer than a chunk is split between words
+      flush();
+      splitRangeByWords(text, start, end, maxLength, pushRange);
+      continue;
     }
-  }
 
-  // Add remaining chunk
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
+    if (chunkStart !== null && end - chunkStart > maxLength) {
+      flush();
+    }
+    if (chunkStart === null) chunkStart = start;
+    chunkEnd = end;
   }
 
-  // If we still have very long chunks, split them by words
-  const finalChunks = [];
-  for (const chunk of chunks) {
-    if (chunk.length <= maxLength) {
-      finalChunks.push(chunk);
-    } else {
-      // Split long chunks by words
-      const words = chunk.split(' ');
-      let wordChunk = '';
-
-      for (const word of words) {
-        if (wordChunk.length + word.length + 1 > maxLength && wordChunk.length > 0) {
-          finalChunks.push(wordChunk.trim());
-          wordChunk = word;
-        } else {
-          wordChunk += (wordChunk ? ' ' : '') + word;
-        }
-      }
+  flush();
+  return ranges;
+}
+
+function splitRangeByWords(text, start, end, maxLength, pushRange) {
+  const wordPattern = /\S+/g;
+  wordPattern.lastIndex = start;
+  let rangeStart = null;
+  let rangeEnd = null;
+  let match;
+
+  while ((match = wordPattern.exec(text)) && match.index < end) {
+    const wordStart = match.index;
+    const wordEnd = Math.min(end, wordStart + match[0].length);
 
-      if (wordChunk.trim()) {
-        finalChunks.push(wordChunk.trim());
+    if (rangeStart !== null && wordEnd - rangeStart > maxLength) {
+      pushRange(rangeStart, rangeEnd);
+      rangeStart = null;
+    }
+
+    if (wordEnd - wordStart > maxLength) {
+      for (let offset = wordStart; offset < wordEnd; offset += maxLength) {
+        pushRange(offset, Math.min(wordEnd, offset + maxLength));
       }
+      continue;
     }
+
+    if (rangeStart === null) rangeStart = wordStart;
+    rangeEnd = wordEnd;
   }
 
-  return finalChunks.filter(chunk => chunk.length > 0);
+  if (rangeStart !== null) pushRange(rangeStart, rangeEnd);
 }
 
 // Clean text for better narration with enhanced processing
@@ -686,34 +1127,40 @@ router.post('/sound-effects', async (req, res) => {
   }
 });
 
-// POST /api/audio/cleanup - Clean up old audio files
-router.post('/cleanup', async (req, res) => {
+// POST /api/audio/cleanup - Delete audio files that no story or storybook uses, once older than maxAge (admin only)
+router.post('/cleanup', authenticate, requireAdmin, async (req, res) => {
   try {
-    const { maxAge = 24 * 60 * 60 * 1000 } = req.body; // Default 24 hours
-    
-    const now = Date.now();
-    const deletedFiles = [];
-    
-    const files = fs.readdirSync(audioDir);
-    
-    for (const file of files) {
-      if (file.endsWith('.mp3')) {
-        const filePath = path.join(audioDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (now - stats.mtime.getTime() > maxAge) {
-          fs.unlinkSync(filePath);
-          deletedFiles.push(file);
-        }
-      }
+    const { maxAge = 24 * 60 * 60 * 1000, dryRun = false } = req.body; // Default 24 hours
+
+    if (getRetentionStatus().running) {
+      return res.status(409).json({
+        success: false,
+        error: 'A media collection is already running'
+      });
     }
-    
+
+    const report = await collectOrphanedMedia({
+      kinds: ['audio'],
+      gracePeriodHours: Math.max(Number(maxAge) || 0, 0) / (60 * 60 * 1000),
+      dryRun: dryRun === true,
+      requestedBy: req.user.uid
+    });
+    if (report.status === 'failed') {
+      throw new Error(report.error);
+    }
+
+    const deletedFiles = report.files.filter(file => file.deleted).map(file => file.filename);
     res.json({
       success: true,
-      message: `Cleaned up ${deletedFiles.length} old audio files`,
+      message: dryRun === true
+        ? `Found ${report.orphaned} unused audio files to clean up`
+        : `Cleaned up ${report.deleted} old audio files`,
       data: {
         deletedFiles,
-        totalDeleted: deletedFiles.length
+        totalDeleted: report.deleted,
+        keptReferenced: report.referenced,
+        keptRecent: report.recent,
+        report
       }
     });
 
@@ -726,4 +1173,5 @@ router.post('/cleanup', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.generateNarration = generateNarration;
\ No newline at end of file
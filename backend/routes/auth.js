@@ -1,6 +1,8 @@
 const express = require('express');
 const { authenticate, verifyGoogleToken, generateToken, optionalAuth } = require('../middleware/auth');
 const User = require('../models/User');
+const { userRepository } = require('../repositories');
+const { normalizeLexicon } = require('../utils/pronunciations');
 const router = express.Router();
 
 // Google OAuth authentication
@@ -19,7 +21,7 @@ router.post('/google', async (req, res) => {
     const googleUser = await verifyGoogleToken(idToken);
 
     // Check if user exists in our database
-    let user = await User.findOne({ uid: googleUser.uid });
+    let user = await userRepository.findOne({ uid: googleUser.uid });
 
     if (!user) {
       // Create new user
@@ -39,14 +41,14 @@ router.post('/google', async (req, res) => {
         }
       });
 
-      await user.save();
+      await userRepository.save(user);
       console.log('New Google user created:', user.email);
     } else {
       // Update existing user's info
       user.displayName = googleUser.name;
       user.photoURL = googleUser.picture;
       user.emailVerified = googleUser.emailVerified;
-      await user.save();
+      await userRepository.save(user);
     }
 
     // Generate JWT token
@@ -55,7 +57,7 @@ router.post('/google', async (req, res) => {
     // Update user's last login
     user.lastLoginAt = new Date();
     user.lastLoginIP = req.ip || req.connection.remoteAddress;
-    await user.save();
+    await userRepository.save(user);
 
     res.json({
       success: true,
@@ -97,7 +99,7 @@ router.post('/login', async (req, res) => {
     // For demo purposes - in production, implement proper email/password auth
     if (process.env.NODE_ENV === 'development' && password === 'demo123') {
       // Create or find demo user
-      let user = await User.findOne({ email });
+      let user = await userRepository.findOne({ email });
       
       if (!user) {
         user = new User({
@@ -109,7 +111,7 @@ router.post('/login', async (req, res) => {
             joinedDate: new Date()
           }
         });
-        await user.save();
+        await userRepository.save(user);
       }
 
       const token = generateToken(user);
@@ -184,7 +186,7 @@ router.put('/profile', authenticate, async (req, res) => {
 
     // Validate username uniqueness
     if (username && username !== user.username) {
-      const existingUser = await User.findOne({ 
+      const existingUser = await userRepository.findOne({ 
         username, 
         uid: { $ne: user.uid } 
       });
@@ -209,7 +211,7 @@ router.put('/profile', authenticate, async (req, res) => {
       user.preferences = { ...user.preferences, ...preferences };
     }
 
-    await user.save();
+    await userRepository.save(user);
 
     res.json({
       success: true,
@@ -230,6 +232,50 @@ router.put('/profile', authenticate, async (req, res) => {
   }
 });
 
+// Get the user's pronunciation lexicon
+router.get('/pronunciations', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      pronunciations: req.user.pronunciations || []
+    }
+  });
+});
+
+// Replace the user's pronunciation lexicon, used when narrating any of their stories
+router.put('/pronunciations', authenticate, async (req, res) => {
+  try {
+    let pronunciations;
+    try {
+      pronunciations = normalizeLexicon(req.body.pronunciations);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    const user = req.user;
+    user.pronunciations = pronunciations;
+    await userRepository.save(user);
+
+    res.json({
+      success: true,
+      data: {
+        pronunciations: user.pronunciations
+      },
+      message: 'Pronunciations saved'
+    });
+
+  } catch (error) {
+    console.error('Update pronunciations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save pronunciations'
+    });
+  }
+});
+
 // Logout (mainly for client-side token cleanup)
 router.post('/logout', (req, res) => {
   res.json({
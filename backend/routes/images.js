@@ -1,9 +1,16 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
 const axios = require('axios');
 const OpenAI = require('openai');
 const { validateOpenAIKey, validateHuggingFaceKey, isServiceConfigured, maskApiKey, cleanApiKey } = require('../utils/apiValidators');
+const { callWithResilience } = require('../utils/resilience');
+const { createCacheKey, getCacheFilename, findCachedAssetFor, recordCachedAsset } = require('../utils/mediaCache');
+const { storage, getMediaKey, writeStoredFile, sendStoredFile } = require('../storage');
+const { resolveMediaAsset, canAccessMedia, claimMedia } = require('../utils/mediaAccess');
+const { collectOrphanedMedia, getRetentionStatus } = require('../utils/mediaRetention');
+const { parseImageVariant } = require('../utils/imageVariants');
+const { getImageDerivative, buildImageDerivatives } = require('../utils/imageDerivatives');
+const { authenticate, optionalAuth, requireAdmin } = require('../middleware/auth');
 const router = express.Router();
 
 // Initialize OpenAI client with cleaned API key
@@ -14,6 +21,7 @@ if (openaiKey) {
   if (validateOpenAIKey(cleanedKey)) {
     openai = new OpenAI({
       apiKey: cleanedKey,
+      maxRetries: 0 // Retries are handled by callWithResilience
     });
     console.log('✅ OpenAI DALL-E client initialized successfully');
   } else {
@@ -23,59 +31,53 @@ if (openaiKey) {
   console.log('⚠️  OpenAI API key not provided for DALL-E');
 }
 
-// Ensure images directory exists
-const imagesDir = path.join(__dirname, '../public/images');
-if (!fs.existsSync(imagesDir)) {
-  fs.mkdirSync(imagesDir, { recursive: true });
-}
+const IMAGE_FILE_PATTERN = /\.(jpg|jpeg|png|gif|webp|avif|svg)$/i;
 
-// GET /api/images/:filename - Serve image files
-router.get('/:filename', (req, res) => {
+// GET /api/images/:filename - Serve image files; private files only to those allowed to see them
+// ?w=<pixels> serves a narrower copy and ?format=webp|avif|jpeg|png|auto another format
+router.get('/:filename', optionalAuth, async (req, res) => {
   const { filename } = req.params;
-  
-  const imagePath = path.join(imagesDir, filename);
 
-  // Check if file exists
-  if (!fs.existsSync(imagePath)) {
-    return res.status(404).json({ 
-      error: 'Image file not found',
-      filename: filename 
+  const { isValid, error, variant } = parseImageVariant(req.query, req.headers.accept);
+  if (!isValid) {
+    return res.status(400).json({
+      success: false,
+      error
     });
   }
+  if (req.query.format === 'auto') {
+    res.vary('Accept');
+  }
 
-  // Set appropriate headers for image files
-  const ext = path.extname(filename).toLowerCase();
-  const contentType = {
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml'
-  }[ext] || 'image/jpeg';
-
-  res.setHeader('Content-Type', contentType);
-  res.setHeader('Cache-Control', 'public, max-age=31536000');
-
-  // Create read stream and pipe to response
-  const readStream = fs.createReadStream(imagePath);
-  readStream.on('error', (err) => {
-    console.error('Error reading image file:', err);
+  try {
+    // The file is looked up through its media record, never by joining the URL into a path
+    const asset = await resolveMediaAsset('image', filename);
+    const allowed = asset && await canAccessMedia(asset, req);
+    const key = allowed && (variant ? await getImageDerivative(asset.filename, variant) : getMediaKey('image', asset.filename));
+    const sent = key && await sendStoredFile(req, res, key, {
+      defaultContentType: 'image/jpeg',
+      cacheControl: asset.visibility === 'private' ? 'private, no-cache' : undefined
+    });
+    if (!sent) {
+      return res.status(404).json({ 
+        error: 'Image file not found',
+        filename: filename 
+      });
+    }
+  } catch (error) {
+    console.error('Error reading image file:', error);
     res.status(500).json({ error: 'Error reading image file' });
-  });
-
-  readStream.pipe(res);
+  }
 });
 
-// GET /api/images/list - List available image files
-router.get('/', (req, res) => {
+// GET /api/images/list - List available image files (admin only)
+router.get('/', authenticate, requireAdmin, async (req, res) => {
   try {
-    const files = fs.readdirSync(imagesDir).filter(file => 
-      /\.(jpg|jpeg|png|gif|svg)$/i.test(file)
-    );
-    const availableFiles = files.map(filename => ({
-      filename,
-      available: fs.existsSync(path.join(imagesDir, filename)),
-      size: fs.statSync(path.join(imagesDir, filename)).size
+    const files = (await storage.list(getMediaKey('image', ''))).filter(file => IMAGE_FILE_PATTERN.test(file.key));
+    const availableFiles = files.map(file => ({
+      filename: path.posix.basename(file.key),
+      available: true,
+      size: file.size
     }));
 
     res.json({
@@ -91,7 +93,7 @@ router.get('/', (req, res) => {
 });
 
 // POST /api/images/generate - Generate images using AI
-router.post('/generate', async (req, res) => {
+router.post('/generate', optionalAuth, async (req, res) => {
   try {
     const {
       prompt,
@@ -106,63 +108,46 @@ router.post('/generate', async (req, res) => {
       return res.status(400).json({ error: 'Prompt is required for image generation' });
     }
 
-    console.log(`Generating image with prompt: "${prompt.substring(0, 50)}..."`);
-
-    // Multi-provider image generation with failover
-    let imageBuffer = null;
-    let usedProvider = null;
-    let error = null;
-
-    // Try OpenAI DALL-E first
-    if (openai && (provider === 'openai' || provider === 'auto')) {
-      try {
-        console.log('🔄 Attempting DALL-E image generation...');
-        imageBuffer = await generateWithDALLE(prompt, style, size);
-        usedProvider = 'dalle';
-      } catch (err) {
-        console.error('❌ DALL-E generation failed:', err.message);
-        error = err;
-      }
-    }
-
-    // Try Stability AI if OpenAI failed
-    const stabilityStatus = isServiceConfigured('stability');
-    if (!imageBuffer && stabilityStatus.configured) {
-      try {
-        console.log('🔄 Attempting Stability AI image generation...');
-        imageBuffer = await generateWithStability(prompt, style);
-        usedProvider = 'stability';
-      } catch (err) {
-        console.error('❌ Stability AI generation failed:', err.message);
-        error = err;
-      }
-    } else if (!stabilityStatus.configured) {
-      console.log('⏭️  Skipping Stability AI -', stabilityStatus.reason);
+    // Identical requests are answered with the image made the first time
+    const { asset: cached, cacheKey } = await findCachedAssetFor(
+      'image',
+      createCacheKey('image', { prompt: prompt.replace(/\s+/g, ' '), style, size, provider }),
+      req.user
+    );
+    if (cached) {
+      await claimMedia([`/api/images/${cached.filename}`], req.user?.uid);
+      return res.json({
+        success: true,
+        message: `Image served from cache (generated with ${cached.provider})`,
+        data: {
+          imageUrl: `/api/images/${cached.filename}`,
+          filename: cached.filename,
+          prompt: prompt,
+          style: style,
+          size: size,
+          provider: cached.provider,
+          storyId: storyId,
+          fileSize: cached.size,
+          dimensions: size,
+          cached: true
+        }
+      });
     }
 
-    // Try Hugging Face if others failed
-    const huggingfaceStatus = isServiceConfigured('huggingface');
-    if (!imageBuffer && huggingfaceStatus.configured) {
-      try {
-        console.log('🔄 Attempting HuggingFace image generation...');
-        imageBuffer = await generateWithHuggingFace(prompt, style);
-        usedProvider = 'huggingface';
-      } catch (err) {
-        console.error('❌ Hugging Face generation failed:', err.message);
-        error = err;
-      }
-    } else if (!huggingfaceStatus.configured) {
-      console.log('⏭️  Skipping HuggingFace -', huggingfaceStatus.reason);
-    }
+    console.log(`Generating image with prompt: "${prompt.substring(0, 50)}..."`);
 
-    if (!imageBuffer) {
-      throw new Error(`All image generation providers failed. Last error: ${error?.message}`);
-    }
+    // Multi-provider image generation with failover
+    const { imageBuffer, provider: usedProvider } = await generateImageWithFailover(prompt, style, size, {
+      skip: provider === 'openai' || provider === 'auto' ? [] : ['dalle']
+    });
 
     // Save the image
-    const imageFilename = `${usedProvider}-${Date.now()}.png`;
-    const imagePath = path.join(imagesDir, imageFilename);
-    fs.writeFileSync(imagePath, imageBuffer);
+    const imageFilename = getCacheFilename('image', cacheKey, 'png');
+    await writeStoredFile(getMediaKey('image', imageFilename), imageBuffer);
+    await recordCachedAsset({ kind: 'image', filename: imageFilename, cacheKey, provider: usedProvider, size: imageBuffer.length });
+    await claimMedia([`/api/images/${imageFilename}`], req.user?.uid);
+    // Smaller copies are made in the background; any still missing are made when first asked for
+    buildImageDerivatives(imageFilename);
 
     res.json({
       success: true,
@@ -176,7 +161,8 @@ router.post('/generate', async (req, res) => {
         provider: usedProvider,
         storyId: storyId,
         fileSize: imageBuffer.length,
-        dimensions: size
+        dimensions: size,
+        cached: false
       }
     });
 
@@ -189,8 +175,63 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+// Image providers in failover order
+const imageProviders = [
+  {
+    name: 'dalle',
+    label: 'DALL-E',
+    timeoutMs: 90000,
+    isConfigured: () => openai ? { configured: true, reason: null } : isServiceConfigured('openai'),
+    generate: generateWithDALLE
+  },
+  {
+    name: 'stability',
+    label: 'Stability AI',
+    timeoutMs: 90000,
+    isConfigured: () => isServiceConfigured('stability'),
+    generate: (prompt, style, size, signal) => generateWithStability(prompt, style, signal)
+  },
+  {
+    name: 'huggingface',
+    label: 'HuggingFace',
+    timeoutMs: 60000,
+    isConfigured: () => isServiceConfigured('huggingface'),
+    generate: (prompt, style, size, signal) => generateWithHuggingFace(prompt, style, signal)
+  }
+];
+
+// Try each configured image provider, with retries and circuit breaking per provider
+async function generateImageWithFailover(prompt, style, size, { skip = [] } = {}) {
+  let lastError = null;
+
+  for (const provider of imageProviders) {
+    if (skip.includes(provider.name)) continue;
+
+    const status = provider.isConfigured();
+    if (!status.configured) {
+      console.log(`⏭️  Skipping ${provider.label} -`, status.reason);
+      continue;
+    }
+
+    try {
+      console.log(`🔄 Attempting ${provider.label} image generation...`);
+      const imageBuffer = await callWithResilience(
+        `image:${provider.name}`,
+        (signal) => provider.generate(prompt, style, size, signal),
+        { timeoutMs: provider.timeoutMs }
+      );
+      return { imageBuffer, provider: provider.name };
+    } catch (err) {
+      console.error(`❌ ${provider.label} generation failed:`, err.message);
+      lastError = err;
+    }
+  }
+
+  throw new Error(`All image generation providers failed. Last error: ${lastError?.message || 'no provider configured'}`);
+}
+
 // DALL-E 3 integration
-async function generateWithDALLE(prompt, style, size) {
+async function generateWithDALLE(prompt, style, size, signal) {
   if (!openai) {
     throw new Error('OpenAI client not initialized');
   }
@@ -205,20 +246,21 @@ async function generateWithDALLE(prompt, style, size) {
     size: mapSizeToDALLE(size),
     quality: "standard",
     style: style === 'watercolor' ? 'natural' : 'vivid'
-  });
+  }, { signal });
 
   const imageUrl = response.data[0].url;
   
   // Download the image
   const imageResponse = await axios.get(imageUrl, {
-    responseType: 'arraybuffer'
+    responseType: 'arraybuffer',
+    signal
   });
 
   return Buffer.from(imageResponse.data);
 }
 
 // Stability AI integration
-async function generateWithStability(prompt, style) {
+async function generateWithStability(prompt, style, signal) {
   // Clean the API key before use
   const cleanedKey = cleanApiKey(process.env.STABILITY_API_KEY);
   
@@ -251,7 +293,8 @@ async function generateWithStability(prompt, style) {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
         'Authorization': `Bearer ${cleanedKey}`
-      }
+      },
+      signal
     }
   );
 
@@ -260,7 +303,7 @@ async function generateWithStability(prompt, style) {
 }
 
 // Hugging Face integration
-async function generateWithHuggingFace(prompt, style) {
+async function generateWithHuggingFace(prompt, style, signal) {
   // Clean the API key before validation and use
   const cleanedKey = cleanApiKey(process.env.HUGGINGFACE_API_KEY);
   
@@ -294,7 +337,8 @@ async function generateWithHuggingFace(prompt, style) {
           'Content-Type': 'application/json'
         },
         responseType: 'arraybuffer',
-        timeout: 60000
+        timeout: 60000,
+        signal
       }
     );
 
@@ -302,12 +346,12 @@ async function generateWithHuggingFace(prompt, style) {
     return Buffer.from(response.data);
   } catch (error) {
     console.error('❌ HuggingFace image generation error:', error.response?.data || error.message);
-    throw new Error(`HuggingFace image generation failed: ${error.response?.status || 'Unknown error'}`);
+    throw new Error(`HuggingFace image generation failed: ${error.response?.status || 'Unknown error'}`, { cause: error });
   }
 }
 
 // POST /api/images/generate-storybook - Generate multiple images for a storybook
-router.post('/generate-storybook', async (req, res) => {
+router.post('/generate-storybook', optionalAuth, async (req, res) => {
   try {
     const {
       storyId,
@@ -334,72 +378,20 @@ router.post('/generate-storybook', async (req, res) => {
       const scene = scenes[i];
       
       try {
-        // Enhance scene description for storybook
-        const enhancedPrompt = enhanceScenePrompt(scene, characterDescriptions, style);
-        
-        // Try to generate image
-        let imageBuffer = null;
-        let usedProvider = null;
-
-        // Try DALL-E first
-        if (openai) {
-          try {
-            imageBuffer = await generateWithDALLE(enhancedPrompt, style, '1024x1024');
-            usedProvider = 'dalle';
-          } catch (err) {
-            console.error(`DALL-E failed for scene ${i + 1}:`, err);
-          }
-        }
-
-        // Try Stability AI if DALL-E failed
-        if (!imageBuffer && process.env.STABILITY_API_KEY) {
-          try {
-            imageBuffer = await generateWithStability(enhancedPrompt, style);
-            usedProvider = 'stability';
-          } catch (err) {
-            console.error(`Stability AI failed for scene ${i + 1}:`, err);
-          }
-        }
-
-        // Try Hugging Face if others failed
-        if (!imageBuffer && process.env.HUGGINGFACE_API_KEY) {
-          try {
-            imageBuffer = await generateWithHuggingFace(enhancedPrompt, style);
-            usedProvider = 'huggingface';
-          } catch (err) {
-            console.error(`Hugging Face failed for scene ${i + 1}:`, err);
-          }
-        }
-
-        if (imageBuffer) {
-          const imageFilename = `storybook-${storyId}-scene-${i + 1}-${usedProvider}.png`;
-          const imagePath = path.join(imagesDir, imageFilename);
-          fs.writeFileSync(imagePath, imageBuffer);
-
-          generatedImages.push({
-            sceneIndex: i,
-            sceneDescription: scene,
-            imageUrl: `/api/images/${imageFilename}`,
-            filename: imageFilename,
-            provider: usedProvider,
-            fileSize: imageBuffer.length
-          });
-        } else {
-          errors.push(`Scene ${i + 1}: All providers failed`);
-          // Add placeholder for failed scenes
-          generatedImages.push({
-            sceneIndex: i,
-            sceneDescription: scene,
-            imageUrl: generatePlaceholderImage(scene, i, style),
-            filename: `placeholder-scene-${i + 1}.svg`,
-            provider: 'placeholder',
-            error: 'Generation failed'
-          });
-        }
-
+        const image = await generateStorybookImage(scene, { storyId, sceneIndex: i, style, characterDescriptions, ownerId: req.user?.uid });
+        generatedImages.push(image);
       } catch (sceneError) {
-        console.error(`Error generating image for scene ${i + 1}:`, sceneError);
+        console.error(`Error generating image for scene ${i + 1}:`, sceneError.message);
         errors.push(`Scene ${i + 1}: ${sceneError.message}`);
+        // Add placeholder for failed scenes
+        generatedImages.push({
+          sceneIndex: i,
+          sceneDescription: scene,
+          imageUrl: generatePlaceholderImage(scene, i, style),
+          filename: `placeholder-scene-${i + 1}.svg`,
+          provider: 'placeholder',
+          error: 'Generation failed'
+        });
       }
     }
 
@@ -425,6 +417,51 @@ router.post('/generate-storybook', async (req, res) => {
   }
 });
 
+// Generate and save the illustration for one storybook scene, trying each provider in turn
+// The image goes to ownerId unless it already has an owner
+async function generateStorybookImage(scene, { storyId, sceneIndex, style = 'children-book', characterDescriptions = {}, ownerId }) {
+  // Enhance scene description for storybook
+  const enhancedPrompt = enhanceScenePrompt(scene, characterDescriptions, style);
+
+  // The same scene in the same style reuses its illustration, whichever storybook asks for it
+  const { asset: cached, cacheKey } = await findCachedAssetFor(
+    'image',
+    createCacheKey('image', { prompt: enhancedPrompt.replace(/\s+/g, ' '), style, size: '1024x1024', provider: 'auto' }),
+    ownerId ? { uid: ownerId } : null
+  );
+  if (cached) {
+    console.log(`Serving scene ${sceneIndex + 1} of storybook ${storyId} from cache: ${cached.filename}`);
+    await claimMedia([`/api/images/${cached.filename}`], ownerId);
+    return {
+      sceneIndex,
+      sceneDescription: scene,
+      imageUrl: `/api/images/${cached.filename}`,
+      filename: cached.filename,
+      provider: cached.provider,
+      fileSize: cached.size,
+      cached: true
+    };
+  }
+  
+  const { imageBuffer, provider: usedProvider } = await generateImageWithFailover(enhancedPrompt, style, '1024x1024');
+
+  const imageFilename = getCacheFilename('storybook', cacheKey, 'png');
+  await writeStoredFile(getMediaKey('image', imageFilename), imageBuffer);
+  await recordCachedAsset({ kind: 'image', filename: imageFilename, cacheKey, provider: usedProvider, size: imageBuffer.length });
+  await claimMedia([`/api/images/${imageFilename}`], ownerId);
+  buildImageDerivatives(imageFilename);
+
+  return {
+    sceneIndex,
+    sceneDescription: scene,
+    imageUrl: `/api/images/${imageFilename}`,
+    filename: imageFilename,
+    provider: usedProvider,
+    fileSize: imageBuffer.length,
+    cached: false
+  };
+}
+
 // Enhance prompt for better storybook style
 function enhancePromptForStyle(prompt, style) {
   const enhancements = {
@@ -572,34 +609,40 @@ router.post('/style-transfer', async (req, res) => {
   }
 });
 
-// POST /api/images/cleanup - Clean up old image files
-router.post('/cleanup', async (req, res) => {
+// POST /api/images/cleanup - Delete image files that no story or storybook uses, once older than maxAge (admin only)
+router.post('/cleanup', authenticate, requireAdmin, async (req, res) => {
   try {
-    const { maxAge = 24 * 60 * 60 * 1000 } = req.body; // Default 24 hours
-    
-    const now = Date.now();
-    const deletedFiles = [];
-    
-    const files = fs.readdirSync(imagesDir);
-    
-    for (const file of files) {
-      if (/\.(jpg|jpeg|png|gif|svg)$/i.test(file)) {
-        const filePath = path.join(imagesDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (now - stats.mtime.getTime() > maxAge) {
-          fs.unlinkSync(filePath);
-          deletedFiles.push(file);
-        }
-      }
+    const { maxAge = 24 * 60 * 60 * 1000, dryRun = false } = req.body; // Default 24 hours
+
+    if (getRetentionStatus().running) {
+      return res.status(409).json({
+        success: false,
+        error: 'A media collection is already running'
+      });
     }
-    
+
+    const report = await collectOrphanedMedia({
+      kinds: ['image'],
+      gracePeriodHours: Math.max(Number(maxAge) || 0, 0) / (60 * 60 * 1000),
+      dryRun: dryRun === true,
+      requestedBy: req.user.uid
+    });
+    if (report.status === 'failed') {
+      throw new Error(report.error);
+    }
+
+    const deletedFiles = report.files.filter(file => file.deleted).map(file => file.filename);
     res.json({
       success: true,
-      message: `Cleaned up ${deletedFiles.length} old image files`,
+      message: dryRun === true
+        ? `Found ${report.orphaned} unused image files to clean up`
+        : `Cleaned up ${report.deleted} old image files`,
       data: {
         deletedFiles,
-        totalDeleted: deletedFiles.length
+        totalDeleted: report.deleted,
+        keptReferenced: report.referenced,
+        keptRecent: report.recent,
+        report
       }
     });
 
@@ -612,4 +655,5 @@ router.post('/cleanup', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.generateStorybookImage = generateStorybookImage;
\ No newline at end of file
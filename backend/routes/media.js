@@ -0,0 +1,78 @@
+const express = require('express');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { collectOrphanedMedia, getRetentionStatus } = require('../utils/mediaRetention');
+const router = express.Router();
+
+// Longest grace period an admin can ask for, a year
+const MAX_GRACE_PERIOD_HOURS = 365 * 24;
+
+// GET /api/media/retention - Schedule of the orphaned media collection and reports of recent runs (admin only)
+router.get('/retention', authenticate, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: getRetentionStatus()
+  });
+});
+
+// POST /api/media/retention/run - Collect orphaned audio and images now; a dry run only reports them (admin only)
+router.post('/retention/run', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const { dryRun = true, gracePeriodHours, kinds = ['audio', 'image'] } = req.body;
+
+    if (typeof dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun must be true or false'
+      });
+    }
+
+    if (gracePeriodHours !== undefined && !(typeof gracePeriodHours === 'number' && gracePeriodHours >= 0 && gracePeriodHours <= MAX_GRACE_PERIOD_HOURS)) {
+      return res.status(400).json({
+        success: false,
+        error: `gracePeriodHours must be a number from 0 to ${MAX_GRACE_PERIOD_HOURS}`
+      });
+    }
+
+    if (!Array.isArray(kinds) || kinds.length === 0 || !kinds.every(kind => ['audio', 'image'].includes(kind))) {
+      return res.status(400).json({
+        success: false,
+        error: "kinds must list 'audio' and/or 'image'"
+      });
+    }
+
+    if (getRetentionStatus().running) {
+      return res.status(409).json({
+        success: false,
+        error: 'A media collection is already running'
+      });
+    }
+
+    const report = await collectOrphanedMedia({
+      dryRun,
+      gracePeriodHours,
+      kinds: [...new Set(kinds)],
+      requestedBy: req.user.uid
+    });
+
+    if (report.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        error: `Media collection failed: ${report.error}`,
+        data: report
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error collecting orphaned media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to collect orphaned media'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,29 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 const Story = require('../models/Story');
-const User = require('../models/User');
+const {
+  storyRepository,
+  storybookRepository,
+  storyRevisionRepository,
+  likeRepository,
+  userRepository
+} = require('../repositories');
+const { openEventStream } = require('../utils/serverSentEvents');
+const { generateOutline, generateChapter, summarizeChapter, countWords } = require('../utils/chapterGenerator');
+const { FORMATS, guessLength, exportStory, parseStoryFile } = require('../utils/storyFormats');
+const { diffWords } = require('../utils/textDiff');
+const { createLikeHandler } = require('../utils/likes');
+const { createStoryPdf } = require('../utils/pdfBuilder');
+const { sendDownload } = require('../utils/downloads');
+const { listSpeakers } = require('../utils/dialogue');
+const { OPENAI_VOICES, VOICE_TYPES, normalizeVoiceCast } = require('../utils/voiceCast');
+const { normalizeLexicon } = require('../utils/pronunciations');
+const { canUserUseMedia, signPrivateMedia } = require('../utils/mediaAccess');
+const { generateTitle, continueStoryWithAI } = require('./ai');
 const router = express.Router();
 
 // Get all stories with filtering and pagination
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { 
       search, 
@@ -53,15 +71,18 @@ router.get('/', async (req, res) => {
     const skip = (page - 1) * limit;
 
     const [stories, total] = await Promise.all([
-      Story.find(query)
-        .sort(sortOption)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .select('-__v')
-        .lean(),
-      Story.countDocuments(query)
+      storyRepository.find(query, {
+        sort: sortOption,
+        skip,
+        limit: parseInt(limit),
+        select: '-__v',
+        lean: true
+      }),
+      storyRepository.count(query)
     ]);
 
+    await likeRepository.markLikedByMe(stories, 'story', req.user);
+
     res.json({
       success: true,
       data: stories,
@@ -83,11 +104,12 @@ router.get('/', async (req, res) => {
 });
 
 // Get single story
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const story = await Story.findById(req.params.id)
-      .populate('storybookId', 'title pages')
-      .lean();
+    const story = await storyRepository.findById(req.params.id, {
+      populate: { path: 'storybookId', select: 'title pages' },
+      lean: true
+    });
 
     if (!story) {
       return res.status(404).json({
@@ -97,7 +119,12 @@ router.get('/:id', async (req, res) => {
     }
 
     // Increment view count
-    await Story.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
+    await storyRepository.updateOne({ _id: story._id }, { $inc: { views: 1 } });
+
+    await likeRepository.markLikedByMe(story, 'story', req.user);
+    if (story.creatorId === req.user?.uid) {
+      signPrivateMedia(story);
+    }
 
     res.json({
       success: true,
@@ -113,6 +140,63 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/stories/:id/export.pdf - Download a printable PDF; private stories only for their creator
+router.get('/:id/export.pdf', optionalAuth, async (req, res) => {
+  try {
+    const story = await storyRepository.findById(req.params.id, { lean: true });
+
+    if (!story || (!story.isPublic && story.creatorId !== req.user?.uid)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    const pdf = await createStoryPdf(story);
+    sendDownload(res, pdf, story.title, 'pdf', 'application/pdf');
+
+  } catch (error) {
+    console.error('Failed to export story:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export story'
+    });
+  }
+});
+
+// GET /api/stories/:id/export?format=md|txt|json - Download the story as a file for other writing tools
+router.get('/:id/export', optionalAuth, async (req, res) => {
+  try {
+    const { format = 'md' } = req.query;
+
+    if (!Object.hasOwn(FORMATS, format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}`
+      });
+    }
+
+    const story = await storyRepository.findById(req.params.id, { lean: true });
+
+    if (!story || (!story.isPublic && story.creatorId !== req.user?.uid)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    const { extension, contentType } = FORMATS[format];
+    sendDownload(res, Buffer.from(exportStory(story, format), 'utf8'), story.title, extension, contentType);
+
+  } catch (error) {
+    console.error('Failed to export story:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export story'
+    });
+  }
+});
+
 // Create new story
 router.post('/', authenticate, async (req, res) => {
   try {
@@ -126,6 +210,14 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
+    // Using a file in a story grants access to it, so only files the user can already see may be added
+    if (audioUrl && !(await canUserUseMedia([audioUrl], req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only use media you have access to'
+      });
+    }
+
     const wordCount = content.split(' ').length;
     const estimatedReadingTime = Math.ceil(wordCount / 200);
 
@@ -144,10 +236,15 @@ router.post('/', authenticate, async (req, res) => {
       audioUrl: audioUrl || null
     });
 
-    await story.save();
+    await storyRevisionRepository.record(story, {
+      source: 'initial',
+      authorId: req.user.uid,
+      authorName: req.user.displayName
+    });
+    await storyRepository.save(story);
 
     // Update user stats
-    await req.user.incrementStoryCount();
+    await userRepository.updateOne({ uid: req.user.uid }, { $inc: { 'stats.storiesCreated': 1 } });
 
     res.status(201).json({
       success: true,
@@ -164,10 +261,185 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
-// Update story
-router.put('/:id', authenticate, async (req, res) => {
+// POST /api/stories/import - Create a story from a Markdown (with front matter), plain text or JSON file
+// Body: { format, data, genre, isPublic }; genre is used when the file does not set one
+router.post('/import', authenticate, async (req, res) => {
+  const { format = 'md', data, genre, isPublic = true } = req.body;
+
+  if (!Object.hasOwn(FORMATS, format) || typeof data !== 'string' || !data.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: `File contents and a format of ${Object.keys(FORMATS).join(', ')} are required`
+    });
+  }
+
+  let fields;
+  try {
+    fields = parseStoryFile(data, format);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Could not read story file',
+      message: error.message
+    });
+  }
+
   try {
-    const story = await Story.findById(req.params.id);
+    const content = typeof fields.content === 'string' ? fields.content : '';
+    const wordCount = countWords(content);
+
+    const story = new Story({
+      title: fields.title,
+      content,
+      genre: fields.genre || genre,
+      length: fields.length || guessLength(wordCount),
+      prompt: fields.prompt || `Imported from a ${format} file`,
+      tags: fields.tags,
+      isPublic: isPublic !== false,
+      creatorId: req.user.uid,
+      creatorName: req.user.displayName,
+      creatorEmail: req.user.email,
+      wordCount,
+      estimatedReadingTime: Math.max(1, Math.ceil(wordCount / 200))
+    });
+
+    // Recording the revision validates first, so files breaking the schema limits are rejected unsaved
+    await storyRevisionRepository.record(story, {
+      source: 'initial',
+      authorId: req.user.uid,
+      authorName: req.user.displayName,
+      note: `Imported from ${format} file`
+    });
+    await storyRepository.save(story);
+
+    await userRepository.updateOne({ uid: req.user.uid }, { $inc: { 'stats.storiesCreated': 1 } });
+
+    res.status(201).json({
+      success: true,
+      data: story,
+      message: 'Story imported successfully'
+    });
+
+  } catch (error) {
+    console.error('Failed to import story:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to import story',
+      message: error.message
+    });
+  }
+});
+
+// Generate a long-form story outline-first, chapter by chapter, streaming progress as server-sent events
+router.post('/generate/chapters', authenticate, async (req, res) => {
+  const { prompt, genre, length = 'long', isPublic = true } = req.body;
+
+  if (!prompt || prompt.length > 1000) {
+    return res.status(400).json({
+      success: false,
+      error: 'A prompt of up to 1000 characters is required'
+    });
+  }
+
+  if (!Story.schema.path('genre').enumValues.includes(genre) || !Story.schema.path('length').enumValues.includes(length)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid genre or length'
+    });
+  }
+
+  // Chapters already written are kept if the client goes away; generation stops at the next call
+  const controller = new AbortController();
+  const stream = openEventStream(res);
+  stream.onClose(() => controller.abort());
+
+  const startedAt = Date.now();
+  let story = null;
+
+  try {
+    const outline = await generateOutline({ prompt, genre, length, signal: controller.signal });
+    const draft = {
+      title: outline.title || generateTitle(prompt, genre),
+      prompt,
+      genre,
+      length,
+      outline: { logline: outline.logline, provider: outline.provider, generatedAt: new Date() },
+      chapters: outline.chapters.map(chapter => ({ ...chapter, status: 'pending' }))
+    };
+
+    stream.send('outline', {
+      title: draft.title,
+      logline: draft.outline.logline,
+      chapters: draft.chapters.map(({ number, title, summary, beats }) => ({ number, title, summary, beats }))
+    });
+
+    for (const chapter of draft.chapters) {
+      if (controller.signal.aborted) break;
+
+      stream.send('chapter', { number: chapter.number, title: chapter.title, status: 'generating' });
+
+      try {
+        const result = await generateChapter(draft, chapter.number, { signal: controller.signal });
+        Object.assign(chapter, {
+          content: result.content,
+          wordCount: countWords(result.content),
+          provider: result.provider,
+          status: 'completed',
+          error: undefined,
+          generatedAt: new Date()
+        });
+        chapter.recap = await summarizeChapter(chapter, controller.signal);
+      } catch (error) {
+        if (controller.signal.aborted) break;
+
+        console.error(`Chapter ${chapter.number} generation failed:`, error.message);
+        chapter.status = 'failed';
+        chapter.error = error.message.slice(0, 500);
+      }
+
+      story = await saveChapterDraft(story, draft, req.user, { isPublic, startedAt });
+
+      stream.send('chapter', {
+        number: chapter.number,
+        title: chapter.title,
+        status: chapter.status,
+        wordCount: chapter.wordCount,
+        error: chapter.error,
+        storyId: story ? story._id : null
+      });
+    }
+
+    if (!story) {
+      throw new Error('No chapters could be generated');
+    }
+
+    await storyRevisionRepository.record(story, {
+      source: 'initial',
+      authorId: req.user.uid,
+      authorName: req.user.displayName,
+      aiProvider: story.metadata.aiProvider
+    });
+    await storyRepository.save(story);
+
+    stream.send('done', { story: story.toJSON() });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Long-form story generation failed:', error);
+      stream.send('error', {
+        error: 'Story generation failed',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Please try again with a different prompt',
+        storyId: story ? story._id : null
+      });
+    }
+  } finally {
+    stream.close();
+  }
+});
+
+// Regenerate a single chapter, keeping the rest of the story
+router.post('/:id/chapters/:number/regenerate', authenticate, async (req, res) => {
+  try {
+    const story = await storyRepository.findById(req.params.id);
 
     if (!story) {
       return res.status(404).json({
@@ -184,39 +456,94 @@ router.put('/:id', authenticate, async (req, res) => {
       });
     }
 
-    const updates = req.body;
-    
-    // Recalculate word count if content changed
-    if (updates.content) {
-      updates.wordCount = updates.content.split(' ').length;
-      updates.estimatedReadingTime = Math.ceil(updates.wordCount / 200);
+    const number = parseInt(req.params.number, 10);
+    const chapter = story.chapters.find(item => item.number === number);
+
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chapter not found'
+      });
     }
 
-    const updatedStory = await Story.findByIdAndUpdate(
-      req.params.id,
-      updates,
-      { new: true, runValidators: true }
-    );
+    const { guidance } = req.body;
+    if (guidance !== undefined && (typeof guidance !== 'string' || guidance.length > 1000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Guidance must be a string of up to 1000 characters'
+      });
+    }
+
+    // Template text is only acceptable for chapters that were never written
+    const result = await generateChapter(story, number, {
+      guidance,
+      allowTemplate: chapter.status !== 'completed'
+    });
+
+    if (!result) {
+      return res.status(503).json({
+        success: false,
+        error: 'No AI provider is available to regenerate this chapter'
+      });
+    }
+
+    await storyRevisionRepository.ensureBaseline(story);
+
+    Object.assign(chapter, {
+      content: result.content,
+      wordCount: countWords(result.content),
+      provider: result.provider,
+      status: 'completed',
+      error: undefined,
+      generatedAt: new Date()
+    });
+    chapter.recap = await summarizeChapter(chapter);
+
+    story.rebuildFromChapters();
+    await storyRevisionRepository.record(story, {
+      source: 'ai-rewrite',
+      authorId: req.user.uid,
+      authorName: req.user.displayName,
+      note: `Regenerated chapter ${number}${guidance ? `: ${guidance}` : ''}`.slice(0, 500),
+      aiProvider: result.provider
+    });
+    await storyRepository.save(story);
 
     res.json({
       success: true,
-      data: updatedStory,
-      message: 'Story updated successfully'
+      data: story,
+      message: `Chapter ${number} regenerated successfully`
     });
 
   } catch (error) {
-    console.error('Failed to update story:', error);
+    console.error('Failed to regenerate chapter:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update story'
+      error: 'Failed to regenerate chapter'
     });
   }
 });
 
-// Delete story
-router.delete('/:id', authenticate, async (req, res) => {
+// Continue a story with AI ("what happens next") and record the result as a new revision
+router.post('/:id/continue', authenticate, async (req, res) => {
   try {
-    const story = await Story.findById(req.params.id);
+    const { direction, segmentLength = 'medium' } = req.body;
+
+    if (direction !== undefined && (typeof direction !== 'string' || direction.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Direction must be a string of up to 500 characters'
+      });
+    }
+
+    if (!['short', 'medium', 'long'].includes(segmentLength)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Segment length must be short, medium or long'
+      });
+    }
+
+    const story = await storyRepository.findById(req.params.id);
 
     if (!story) {
       return res.status(404).json({
@@ -229,38 +556,370 @@ router.delete('/:id', authenticate, async (req, res) => {
     if (story.creatorId !== req.user.uid) {
       return res.status(403).json({
         success: false,
-        error: 'You can only delete your own stories'
+        error: 'You can only continue your own stories'
       });
     }
 
-    // Delete associated storybook first
-    if (story.storybookId) {
-      await require('../models/Storybook').findByIdAndDelete(story.storybookId);
+    const result = await continueStoryWithAI(story, { direction: direction?.trim(), segmentLength });
+
+    if (!result) {
+      return res.status(503).json({
+        success: false,
+        error: 'No AI provider is available to continue this story'
+      });
     }
 
-    await Story.findByIdAndDelete(req.params.id);
+    // Keep the text as it was before the first recorded change
+    await storyRevisionRepository.ensureBaseline(story);
 
-    // Update user stats
-    await req.user.updateStats({ storiesCreated: req.user.stats.storiesCreated - 1 });
+    const segment = result.content.trim();
+
+    if (story.chapters.length > 0) {
+      // Chaptered stories grow by a chapter so the text stays in sync with the chapter list
+      story.chapters.push({
+        number: story.chapters.length + 1,
+        title: 'What Happens Next',
+        summary: direction?.trim(),
+        content: segment,
+        wordCount: countWords(segment),
+        status: 'completed',
+        provider: result.provider,
+        generatedAt: new Date()
+      });
+      story.rebuildFromChapters();
+    } else {
+      story.content = `${story.content.trim()}\n\n${segment}`;
+      story.wordCount = countWords(story.content);
+      story.estimatedReadingTime = Math.max(1, Math.ceil(story.wordCount / 200));
+    }
+
+    const revision = await storyRevisionRepository.record(story, {
+      source: 'ai-continue',
+      authorId: req.user.uid,
+      authorName: req.user.displayName,
+      note: direction?.trim(),
+      aiProvider: result.provider
+    });
+    await storyRepository.save(story);
 
     res.json({
       success: true,
-      message: 'Story deleted successfully'
+      data: {
+        story,
+        segment,
+        revision: {
+          number: revision.number,
+          source: revision.source,
+          authorName: revision.authorName,
+          createdAt: revision.createdAt
+        }
+      },
+      message: 'Story continued successfully'
     });
 
   } catch (error) {
-    console.error('Failed to delete story:', error);
+    console.error('Failed to continue story:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete story'
+      error: 'Failed to continue story'
+    });
+  }
+});
+
+// List a story's revision history, newest first
+router.get('/:id/revisions', authenticate, async (req, res) => {
+  try {
+    const story = await findOwnStory(req, res);
+    if (!story) return;
+
+    const revisions = await storyRevisionRepository.find({ storyId: story._id }, {
+      sort: { number: -1 },
+      select: '-content -chapters',
+      lean: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        currentRevision: story.currentRevision,
+        revisions
+      }
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revisions'
     });
   }
 });
 
-// Like/Unlike story
-router.post('/:id/like', async (req, res) => {
+// Word-level diff between two revisions; compares against the current revision by default
+router.get('/:id/revisions/diff', authenticate, async (req, res) => {
   try {
-    const story = await Story.findById(req.params.id);
+    const story = await findOwnStory(req, res);
+    if (!story) return;
+
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to === undefined ? story.currentRevision : parseInt(req.query.to, 10);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be revision numbers'
+      });
+    }
+
+    const revisions = await storyRevisionRepository.find(
+      { storyId: story._id, number: { $in: [from, to] } },
+      { select: 'number title content source authorName createdAt', lean: true }
+    );
+
+    const fromRevision = revisions.find(revision => revision.number === from);
+    const toRevision = revisions.find(revision => revision.number === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    const summarize = ({ content, ...revision }) => revision;
+    const contentDiff = diffWords(fromRevision.content, toRevision.content);
+
+    res.json({
+      success: true,
+      data: {
+        from: summarize(fromRevision),
+        to: summarize(toRevision),
+        title: fromRevision.title === toRevision.title ? null : diffWords(fromRevision.title, toRevision.title).segments,
+        segments: contentDiff.segments,
+        stats: contentDiff.stats,
+        truncated: contentDiff.truncated
+      }
+    });
+
+  } catch (error) {
+    console.error('Failed to diff revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare revisions'
+    });
+  }
+});
+
+// Get one revision with its full text
+router.get('/:id/revisions/:number', authenticate, async (req, res) => {
+  try {
+    const story = await findOwnStory(req, res);
+    if (!story) return;
+
+    const revision = await storyRevisionRepository.findOne({
+      storyId: story._id,
+      number: parseInt(req.params.number, 10)
+    }, { lean: true });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revision'
+    });
+  }
+});
+
+// Restore an earlier revision; the restore is itself recorded so it can be undone
+router.post('/:id/revisions/:number/restore', authenticate, async (req, res) => {
+  try {
+    const story = await findOwnStory(req, res);
+    if (!story) return;
+
+    const number = parseInt(req.params.number, 10);
+    const revision = await storyRevisionRepository.findOne({ storyId: story._id, number });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found'
+      });
+    }
+
+    if (number === story.currentRevision) {
+      return res.status(400).json({
+        success: false,
+        error: 'This revision is already the current text'
+      });
+    }
+
+    await storyRevisionRepository.ensureBaseline(story);
+    revision.applyTo(story);
+
+    const restored = await storyRevisionRepository.record(story, {
+      source: 'restore',
+      authorId: req.user.uid,
+      authorName: req.user.displayName,
+      restoredFrom: number
+    });
+    await storyRepository.save(story);
+
+    res.json({
+      success: true,
+      data: {
+        story,
+        revision: restored
+      },
+      message: `Restored revision ${number}`
+    });
+
+  } catch (error) {
+    console.error('Failed to restore revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore revision'
+    });
+  }
+});
+
+// GET /api/stories/:id/voice-cast - The story's narration cast with the speakers found in its dialogue
+router.get('/:id/voice-cast', authenticate, async (req, res) => {
+  try {
+    const story = await findOwnStory(req, res, 'You can only cast voices for your own stories');
+    if (!story) return;
+
+    res.json({
+      success: true,
+      data: {
+        voiceCast: story.voiceCast || { characters: [] },
+        speakers: listSpeakers(story.content, story.voiceCast),
+        voices: {
+          openai: OPENAI_VOICES,
+          types: VOICE_TYPES
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch voice cast:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch voice cast'
+    });
+  }
+});
+
+// PUT /api/stories/:id/voice-cast - Choose the narrator voice and a voice for each character
+router.put('/:id/voice-cast', authenticate, async (req, res) => {
+  try {
+    const story = await findOwnStory(req, res, 'You can only cast voices for your own stories');
+    if (!story) return;
+
+    let voiceCast;
+    try {
+      voiceCast = normalizeVoiceCast(req.body);
+    } catch (castError) {
+      return res.status(400).json({
+        success: false,
+        error: castError.message
+      });
+    }
+
+    story.voiceCast = voiceCast;
+    await storyRepository.save(story);
+
+    res.json({
+      success: true,
+      data: {
+        voiceCast: story.voiceCast,
+        speakers: listSpeakers(story.content, story.voiceCast)
+      },
+      message: 'Voice cast saved'
+    });
+
+  } catch (error) {
+    console.error('Failed to save voice cast:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to save voice cast'
+    });
+  }
+});
+
+// GET /api/stories/:id/pronunciations - How the story's invented names are narrated
+router.get('/:id/pronunciations', authenticate, async (req, res) => {
+  try {
+    const story = await findOwnStory(req, res, 'You can only edit pronunciations for your own stories');
+    if (!story) return;
+
+    res.json({
+      success: true,
+      data: {
+        pronunciations: story.pronunciations || []
+      }
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch pronunciations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pronunciations'
+    });
+  }
+});
+
+// PUT /api/stories/:id/pronunciations - Replace the story's lexicon; entries override the author's lexicon
+router.put('/:id/pronunciations', authenticate, async (req, res) => {
+  try {
+    const story = await findOwnStory(req, res, 'You can only edit pronunciations for your own stories');
+    if (!story) return;
+
+    let pronunciations;
+    try {
+      pronunciations = normalizeLexicon(req.body.pronunciations);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError.message
+      });
+    }
+
+    story.pronunciations = pronunciations;
+    await storyRepository.save(story);
+
+    res.json({
+      success: true,
+      data: {
+        pronunciations: story.pronunciations
+      },
+      message: 'Pronunciations saved'
+    });
+
+  } catch (error) {
+    console.error('Failed to save pronunciations:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to save pronunciations'
+    });
+  }
+});
+
+// Update story
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const story = await storyRepository.findById(req.params.id);
 
     if (!story) {
       return res.status(404).json({
@@ -269,40 +928,148 @@ router.post('/:id/like', async (req, res) => {
       });
     }
 
-    // Toggle like
-    story.likes = story.likes > 0 ? story.likes - 1 : story.likes + 1;
-    await story.save();
+    // Check if user owns the story
+    if (story.creatorId !== req.user.uid) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own stories'
+      });
+    }
+
+    const updates = req.body;
+
+    // Using a file in a story grants access to it, so only files the user can already see may be added
+    if (updates.audioUrl !== undefined && !(await canUserUseMedia([updates.audioUrl], req.user, [story.audioUrl]))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only use media you have access to'
+      });
+    }
+
+    const textChanged = (updates.title !== undefined && updates.title !== story.title) ||
+      (updates.content !== undefined && updates.content !== story.content);
+
+    if (textChanged) {
+      await storyRevisionRepository.ensureBaseline(story);
+    }
+
+    // Only fields the author controls; counters, ownership and history are managed by the server
+    ['title', 'content', 'genre', 'length', 'isPublic', 'tags', 'hasAudio', 'audioUrl'].forEach(field => {
+      if (updates[field] !== undefined) {
+        story[field] = updates[field];
+      }
+    });
+    
+    // Recalculate word count if content changed
+    if (updates.content !== undefined && story.isModified('content')) {
+      story.wordCount = countWords(story.content);
+      story.estimatedReadingTime = Math.max(1, Math.ceil(story.wordCount / 200));
+
+      // Hand-edited text no longer matches the generated chapters
+      story.chapters = [];
+    }
+
+    if (textChanged) {
+      await storyRevisionRepository.record(story, {
+        source: 'manual',
+        authorId: req.user.uid,
+        authorName: req.user.displayName,
+        note: typeof updates.revisionNote === 'string' ? updates.revisionNote.slice(0, 500) : undefined
+      });
+    }
+
+    const updatedStory = (await storyRepository.save(story)).toObject();
+    signPrivateMedia(updatedStory);
 
     res.json({
       success: true,
-      data: { likes: story.likes },
-      message: story.likes > 0 ? 'Story liked' : 'Story unliked'
+      data: updatedStory,
+      message: 'Story updated successfully'
     });
 
   } catch (error) {
-    console.error('Failed to toggle like:', error);
+    console.error('Failed to update story:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to update story',
+      message: error.message
+    });
+  }
+});
+
+// Delete story
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const story = await storyRepository.findById(req.params.id);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        error: 'Story not found'
+      });
+    }
+
+    // Check if user owns the story
+    if (story.creatorId !== req.user.uid) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own stories'
+      });
+    }
+
+    // Delete associated storybook first
+    if (story.storybookId) {
+      await storybookRepository.deleteById(story.storybookId);
+    }
+
+    await storyRepository.deleteById(story._id);
+    await storyRevisionRepository.deleteMany({ storyId: story._id });
+    await likeRepository.deleteMany({ targetType: 'story', targetId: story._id });
+
+    // Update user stats
+    await userRepository.updateOne(
+      { uid: req.user.uid, 'stats.storiesCreated': { $gt: 0 } },
+      { $inc: { 'stats.storiesCreated': -1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Story deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Failed to delete story:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to toggle like'
+      error: 'Failed to delete story'
     });
   }
 });
 
+// Like story; liking twice is a no-op
+router.post('/:id/like', authenticate, createLikeHandler(storyRepository, 'story', true));
+
+// Unlike story; unliking a story that is not liked is a no-op
+router.delete('/:id/like', authenticate, createLikeHandler(storyRepository, 'story', false));
+
 // Get user's stories
-router.get('/user/:creatorId', async (req, res) => {
+router.get('/user/:creatorId', optionalAuth, async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
     const [stories, total] = await Promise.all([
-      Story.find({ creatorId: req.params.creatorId })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean(),
-      Story.countDocuments({ creatorId: req.params.creatorId })
+      storyRepository.find({ creatorId: req.params.creatorId }, {
+        sort: { createdAt: -1 },
+        skip,
+        limit: parseInt(limit),
+        lean: true
+      }),
+      storyRepository.count({ creatorId: req.params.creatorId })
     ]);
 
+    await likeRepository.markLikedByMe(stories, 'story', req.user);
+
     res.json({
       success: true,
       data: stories,
@@ -330,14 +1097,18 @@ router.get('/my/stories', authenticate, async (req, res) => {
     const skip = (page - 1) * limit;
 
     const [stories, total] = await Promise.all([
-      Story.find({ creatorId: req.user.uid })
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean(),
-      Story.countDocuments({ creatorId: req.user.uid })
+      storyRepository.find({ creatorId: req.user.uid }, {
+        sort: { createdAt: -1 },
+        skip,
+        limit: parseInt(limit),
+        lean: true
+      }),
+      storyRepository.count({ creatorId: req.user.uid })
     ]);
 
+    await likeRepository.markLikedByMe(stories, 'story', req.user);
+    signPrivateMedia(stories);
+
     res.json({
       success: true,
       data: stories,
@@ -361,9 +1132,10 @@ router.get('/my/stories', authenticate, async (req, res) => {
 // Get story statistics
 router.get('/:id/stats', async (req, res) => {
   try {
-    const story = await Story.findById(req.params.id)
-      .select('views likes wordCount estimatedReadingTime createdAt')
-      .lean();
+    const story = await storyRepository.findById(req.params.id, {
+      select: 'views likes wordCount estimatedReadingTime createdAt',
+      lean: true
+    });
 
     if (!story) {
       return res.status(404).json({
@@ -386,4 +1158,73 @@ router.get('/:id/stats', async (req, res) => {
   }
 });
 
+// Load a story for its owner, sending the error response and returning null otherwise
+async function findOwnStory(req, res, forbiddenMessage = 'You can only access the history of your own stories') {
+  const story = await storyRepository.findById(req.params.id);
+
+  if (!story) {
+    res.status(404).json({
+      success: false,
+      error: 'Story not found'
+    });
+    return null;
+  }
+
+  if (story.creatorId !== req.user.uid) {
+    res.status(403).json({
+      success: false,
+      error: forbiddenMessage
+    });
+    return null;
+  }
+
+  return story;
+}
+
+// Create the story once it has written text, then save it again after every chapter
+async function saveChapterDraft(story, draft, user, { isPublic, startedAt }) {
+  const isNewStory = !story;
+
+  if (isNewStory) {
+    if (!draft.chapters.some(chapter => chapter.status === 'completed')) {
+      return null;
+    }
+
+    story = new Story({
+      title: draft.title,
+      genre: draft.genre,
+      length: draft.length,
+      prompt: draft.prompt,
+      outline: draft.outline,
+      creatorId: user.uid,
+      creatorName: user.displayName,
+      creatorEmail: user.email,
+      isPublic: !!isPublic,
+      metadata: { generationMode: 'chapters' }
+    });
+  }
+
+  story.chapters = draft.chapters;
+  story.metadata.aiProvider = mostUsedProvider(draft.chapters);
+  story.metadata.generationTime = Date.now() - startedAt;
+  story.rebuildFromChapters();
+  await storyRepository.save(story);
+
+  if (isNewStory) {
+    // Update user stats
+    await userRepository.updateOne({ uid: user.uid }, { $inc: { 'stats.storiesCreated': 1 } });
+  }
+
+  return story;
+}
+
+function mostUsedProvider(chapters) {
+  const counts = {};
+  chapters
+    .filter(chapter => chapter.provider)
+    .forEach(chapter => { counts[chapter.provider] = (counts[chapter.provider] || 0) + 1; });
+
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || 'template';
+}
+
 module.exports = router;
\ No newline at end of file
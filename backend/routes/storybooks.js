@@ -1,20 +1,134 @@
 const express = require('express');
-const axios = require('axios');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const Story = require('../models/Story');
+const Storybook = require('../models/Storybook');
+const StorybookJob = require('../models/StorybookJob');
+const {
+  storyRepository,
+  storybookRepository,
+  storybookJobRepository,
+  storyRevisionRepository,
+  likeRepository,
+  userRepository
+} = require('../repositories');
+const { createJobQueue } = require('../utils/jobQueue');
+const { openEventStream } = require('../utils/serverSentEvents');
+const { createLikeHandler } = require('../utils/likes');
+const { alignTimingToTexts, getTimingUrls, loadNarrationTiming } = require('../utils/narrationTiming');
+const { maskSpeechMarkup } = require('../utils/speechMarkup');
+const { mergeLexicons } = require('../utils/pronunciations');
+const { createStorybookEpub } = require('../utils/epubBuilder');
+const {
+  TRIM_SIZES,
+  DEFAULT_TRIM_SIZE,
+  DEFAULT_BLEED_INCHES,
+  MAX_BLEED_INCHES,
+  createStorybookPdf
+} = require('../utils/pdfBuilder');
+const { sendDownload } = require('../utils/downloads');
+const { getMediaKey, writeStoredFile } = require('../storage');
+const { canUserUseMedia, signMediaUrls, signPrivateMedia } = require('../utils/mediaAccess');
+const { getStorybookMediaUrls } = require('../repositories/mediaAssetRepository');
 const router = express.Router();
 
-// Import AI generation function
-const { generateStoryWithAI } = require('./ai');
+// Import AI generation functions
+const { generateStoryWithAI, generateTitle } = require('./ai');
+const { generateStorybookImage } = require('./images');
+const { generateNarration } = require('./audio');
 
-// Storybook Generation Routes
-router.get('/', async (req, res) => {
+// Storybook generation runs in the background so it outlives the request that started it
+const storybookQueue = createJobQueue(runStorybookJob, {
+  concurrency: parseInt(process.env.STORYBOOK_JOB_CONCURRENCY) || 1
+});
+
+// Pick up jobs interrupted by a restart once the database is available
+mongoose.connection.once('open', async () => {
+  try {
+    const jobs = await storybookJobRepository.find({ status: { $in: ['queued', 'running'] } }, { select: '_id' });
+    jobs.forEach(job => storybookQueue.enqueue(job._id));
+    if (jobs.length > 0) {
+      console.log(`🔁 Resuming ${jobs.length} storybook generation jobs`);
+    }
+  } catch (error) {
+    console.error('Failed to resume storybook jobs:', error.message);
+  }
+});
+
+// Get all public storybooks with filtering and pagination
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    // This would normally fetch from database
-    // For now, return empty array as we're implementing real functionality
-    res.json({ 
-      success: true, 
-      data: [],
-      message: 'Storybooks functionality has been enhanced - use create endpoint to generate new storybooks'
+    const {
+      search,
+      genre,
+      sort = 'newest',
+      page = 1,
+      limit = 20,
+      creator
+    } = req.query;
+
+    let query = { isPublic: true };
+
+    // Search filter
+    if (search) {
+      query.$text = { $search: search };
+    }
+
+    // Genre filter
+    if (genre && genre !== 'all') {
+      query.genre = genre;
+    }
+
+    // Creator filter
+    if (creator) {
+      query.creatorId = creator;
+    }
+
+    // Sort options
+    let sortOption = {};
+    switch (sort) {
+      case 'oldest':
+        sortOption = { createdAt: 1 };
+        break;
+      case 'popular':
+        sortOption = { views: -1, likes: -1 };
+        break;
+      case 'liked':
+        sortOption = { likes: -1 };
+        break;
+      default:
+        sortOption = { createdAt: -1 };
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const [storybooks, total] = await Promise.all([
+      storybookRepository.find(query, {
+        sort: sortOption,
+        skip,
+        limit: parseInt(limit),
+        select: '-__v',
+        lean: true
+      }),
+      storybookRepository.count(query)
+    ]);
+
+    await likeRepository.markLikedByMe(storybooks, 'storybook', req.user);
+
+    res.json({
+      success: true,
+      data: storybooks,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
+
   } catch (error) {
     console.error('Error fetching storybooks:', error);
     res.status(500).json({
@@ -24,15 +138,68 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.get('/:id', async (req, res) => {
+// Get current user's storybooks (authenticated)
+router.get('/my/storybooks', authenticate, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // This would normally fetch from database
-    res.status(404).json({
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const [storybooks, total] = await Promise.all([
+      storybookRepository.find({ creatorId: req.user.uid }, {
+        sort: { createdAt: -1 },
+        skip,
+        limit: parseInt(limit),
+        lean: true
+      }),
+      storybookRepository.count({ creatorId: req.user.uid })
+    ]);
+
+    await likeRepository.markLikedByMe(storybooks, 'storybook', req.user);
+    signPrivateMedia(storybooks);
+
+    res.json({
+      success: true,
+      data: storybooks,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch user storybooks:', error);
+    res.status(500).json({
       success: false,
-      error: 'Storybook not found - use POST /api/storybooks/generate to create new storybooks'
+      error: 'Failed to fetch your storybooks'
+    });
+  }
+});
+
+// Get single storybook - private storybooks are only visible to their creator
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const storybook = await storybookRepository.findById(req.params.id, { lean: true });
+
+    if (!storybook || (!storybook.isPublic && storybook.creatorId !== req.user?.uid)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Storybook not found'
+      });
+    }
+
+    // Increment view count
+    await storybookRepository.updateOne({ _id: storybook._id }, { $inc: { views: 1 } });
+
+    await likeRepository.markLikedByMe(storybook, 'storybook', req.user);
+    signPrivateMedia(storybook);
+
+    res.json({
+      success: true,
+      data: storybook
     });
+
   } catch (error) {
     console.error('Error fetching storybook:', error);
     res.status(500).json({
@@ -42,173 +209,444 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// POST /api/storybooks/generate - Generate a complete storybook from a story
-router.post('/generate', async (req, res) => {
+// GET /api/storybooks/:id/narration/timing - When each page and word is read in the storybook narration
+router.get('/:id/narration/timing', optionalAuth, async (req, res) => {
+  try {
+    const storybook = await storybookRepository.findById(req.params.id, { lean: true });
+
+    if (!storybook || (!storybook.isPublic && storybook.creatorId !== req.user?.uid)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Storybook not found'
+      });
+    }
+
+    const pages = [...storybook.pages].sort((a, b) => a.pageNumber - b.pageNumber);
+    // Storybooks made before per-page narration have a single recording of the whole book
+    const timing = storybook.audioUrl
+      ? await getBookNarrationTiming(storybook.audioUrl, pages)
+      : await getPageNarrationTiming(pages);
+
+    if (!timing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Narration timing not available'
+      });
+    }
+    if (!storybook.isPublic) {
+      signMediaUrls(timing);
+    }
+
+    res.json({
+      success: true,
+      data: timing
+    });
+
+  } catch (error) {
+    console.error('Error fetching narration timing:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch narration timing'
+    });
+  }
+});
+
+// GET /api/storybooks/:id/export.epub - Download as an EPUB 3 book with read-along narration
+router.get('/:id/export.epub', optionalAuth, async (req, res) => {
+  try {
+    const storybook = await storybookRepository.findById(req.params.id, { lean: true });
+
+    if (!storybook || (!storybook.isPublic && storybook.creatorId !== req.user?.uid)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Storybook not found'
+      });
+    }
+
+    const epub = await createStorybookEpub(storybook);
+    sendDownload(res, epub, storybook.title, 'epub', 'application/epub+zip');
+
+  } catch (error) {
+    console.error('Error exporting storybook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export storybook'
+    });
+  }
+});
+
+// GET /api/storybooks/:id/export.pdf - Download a print-ready picture book PDF
+// Query: trim (one of TRIM_SIZES) and bleed (inches added around each edge)
+router.get('/:id/export.pdf', optionalAuth, async (req, res) => {
+  try {
+    const { trim = DEFAULT_TRIM_SIZE, bleed = DEFAULT_BLEED_INCHES } = req.query;
+    const bleedInches = Number(bleed);
+
+    if (!Object.hasOwn(TRIM_SIZES, trim)) {
+      return res.status(400).json({
+        success: false,
+        error: `Trim size must be one of: ${Object.keys(TRIM_SIZES).join(', ')}`
+      });
+    }
+
+    if (!Number.isFinite(bleedInches) || bleedInches < 0 || bleedInches > MAX_BLEED_INCHES) {
+      return res.status(400).json({
+        success: false,
+        error: `Bleed must be between 0 and ${MAX_BLEED_INCHES} inches`
+      });
+    }
+
+    const storybook = await storybookRepository.findById(req.params.id, { lean: true });
+
+    if (!storybook || (!storybook.isPublic && storybook.creatorId !== req.user?.uid)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Storybook not found'
+      });
+    }
+
+    const pdf = await createStorybookPdf(storybook, { trimSize: trim, bleed: bleedInches });
+    sendDownload(res, pdf, storybook.title, 'pdf', 'application/pdf');
+
+  } catch (error) {
+    console.error('Error exporting storybook PDF:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export storybook'
+    });
+  }
+});
+
+// POST /api/storybooks/:id/like - Like a storybook; liking twice is a no-op
+router.post('/:id/like', authenticate, createLikeHandler(storybookRepository, 'storybook', true));
+
+// DELETE /api/storybooks/:id/like - Unlike a storybook; unliking one that is not liked is a no-op
+router.delete('/:id/like', authenticate, createLikeHandler(storybookRepository, 'storybook', false));
+
+// POST /api/storybooks/generate - Start generating a storybook from a story in the background
+router.post('/generate', authenticate, async (req, res) => {
   try {
     const { 
       storyId, 
       storyText, 
       storyTitle, 
       genre,
+      length = 'medium',
       style = 'children-book',
-      userId,
       includeImages = true,
       includeAudio = true,
       sceneCount = 8
     } = req.body;
 
-    if (!storyText || !storyTitle) {
+    if (!storyId && (!storyText || !storyTitle)) {
       return res.status(400).json({
-        error: 'Story text and title are required'
+        success: false,
+        error: 'A storyId, or story text and title, are required'
       });
     }
 
     if (sceneCount > 15) {
       return res.status(400).json({
+        success: false,
         error: 'Maximum 15 scenes allowed for storybook generation'
       });
     }
 
-    console.log(`Generating storybook for story: ${storyTitle}`);
+    let story;
+    if (storyId) {
+      story = await storyRepository.findById(storyId);
 
-    // Step 1: Break story into meaningful scenes
-    const scenes = await breakStoryIntoScenes(storyText, sceneCount);
-    
-    if (scenes.length === 0) {
-      throw new Error('Failed to break story into scenes');
+      if (!story) {
+        return res.status(404).json({
+          success: false,
+          error: 'Story not found'
+        });
+      }
+
+      // Check if user owns the story
+      if (story.creatorId !== req.user.uid) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only create storybooks for your own stories'
+        });
+      }
+    } else {
+      story = await createStoryRecord(req.user, {
+        title: storyTitle,
+        content: storyText,
+        genre,
+        length,
+        prompt: storyTitle
+      });
     }
 
-    console.log(`Created ${scenes.length} scenes from story`);
+    const job = await createStorybookJob(story, req.user, {
+      storyText: storyText || story.content,
+      style,
+      includeImages,
+      includeAudio,
+      sceneCount
+    });
 
-    // Step 2: Generate images for each scene
-    let images = [];
-    let imagesErrors = [];
-    
-    if (includeImages) {
-      try {
-        console.log('Starting image generation for storybook...');
-        
-        // Generate scene descriptions for image generation
-        const sceneDescriptions = scenes.map(scene => createImagePrompt(scene.content, scene.description, style));
-        
-        const imageResponse = await axios.post(`${req.protocol}://${req.get('host')}/api/images/generate-storybook`, {
-          storyId,
-          scenes: sceneDescriptions,
-          style,
-          userId
-        });
+    res.status(202).json({
+      success: true,
+      message: 'Storybook generation started',
+      data: job
+    });
 
-        if (imageResponse.data.success) {
-          images = imageResponse.data.data.images || [];
-          imagesErrors = imageResponse.data.data.errors || [];
-          console.log(`Generated ${images.length} images for storybook (${imagesErrors.length} errors)`);
-        } else {
-          throw new Error(imageResponse.data.error || 'Image generation failed');
-        }
-      } catch (imageError) {
-        console.error('Image generation failed:', imageError.message);
-        imagesErrors.push(`Image generation failed: ${imageError.message}`);
-        // Continue without images
+  } catch (error) {
+    console.error('Failed to start storybook generation:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to start storybook generation',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// GET /api/storybooks/jobs/:jobId - Poll the progress of a generation job
+router.get('/jobs/:jobId', authenticate, async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch storybook job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch storybook job'
+    });
+  }
+});
+
+// GET /api/storybooks/jobs/:jobId/events - Stream job progress as server-sent events
+router.get('/jobs/:jobId/events', authenticate, async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    const stream = openEventStream(res);
+    stream.send('progress', job.toJSON());
+
+    if (job.isFinished && !storybookQueue.isActive(job._id)) {
+      return stream.close();
+    }
+
+    // Closing the stream only stops updates; the job keeps running
+    const unsubscribe = storybookQueue.subscribe(job._id, (payload) => {
+      stream.send('progress', payload);
+      if (['completed', 'failed', 'cancelled'].includes(payload.status)) {
+        stream.close();
       }
+    });
+
+    stream.onClose(unsubscribe);
+
+  } catch (error) {
+    console.error('Failed to stream storybook job:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stream storybook job'
+      });
     }
+  }
+});
 
-    // Step 3: Generate audio narration for the story
-    let audioUrl = null;
-    let audioFilename = null;
-    let audioError = null;
-    
-    if (includeAudio) {
-      try {
-        console.log('Starting audio generation for storybook...');
-        
-        const audioResponse = await axios.post(`${req.protocol}://${req.get('host')}/api/audio/narrate`, {
-          storyId,
-          storyText: createNarrationText(storyText, scenes),
-          voice: 'alloy',
-          speed: 0.9
-        });
+// POST /api/storybooks/jobs/:jobId/cancel - Stop a queued or running job
+router.post('/jobs/:jobId/cancel', authenticate, async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
 
-        if (audioResponse.data.success) {
-          audioUrl = audioResponse.data.data.audioUrl;
-          audioFilename = audioResponse.data.data.filename;
-          console.log(`Generated audio narration for storybook: ${audioFilename}`);
-        } else {
-          throw new Error(audioResponse.data.error || 'Audio generation failed');
-        }
-      } catch (audioErr) {
-        console.error('Audio generation failed:', audioErr.message);
-        audioError = audioErr.message;
-        // Continue without audio
-      }
+    if (job.isFinished) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${job.status}`
+      });
     }
 
-    // Step 4: Create storybook pages
-    const pages = scenes.map((scene, index) => {
-      const image = images.find(img => img.sceneIndex === index);
-      return {
-        id: `page-${index + 1}`,
-        pageNumber: index + 1,
-        content: scene.content,
-        sceneDescription: scene.description,
-        imageUrl: image ? image.imageUrl : generatePlaceholderImage(scene.description, index, style),
-        imageFilename: image ? image.filename : `placeholder-scene-${index + 1}.svg`,
-        audioCue: scene.audioCue || null,
-        animationElements: generateAnimationElements(scene, style),
-        estimatedReadingTime: Math.ceil(scene.content.split(' ').length / 200) * 60, // seconds
-        backgroundMusic: index === 0 ? selectBackgroundMusic(genre, style) : null
-      };
+    const wasRunning = job.status === 'running' && storybookQueue.isActive(job._id);
+    storybookQueue.cancel(job._id);
+
+    // Running jobs mark themselves cancelled at their next step boundary
+    if (!wasRunning) {
+      markJobCancelled(job);
+      await storybookJobRepository.save(job);
+    }
+
+    res.json({
+      success: true,
+      message: wasRunning ? 'Cancellation requested' : 'Job cancelled',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Failed to cancel storybook job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel storybook job'
     });
+  }
+});
+
+// POST /api/storybooks/jobs/:jobId/retry - Re-run failed or cancelled steps
+router.post('/jobs/:jobId/retry', authenticate, async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
 
-    // Calculate total duration
-    const totalDuration = pages.reduce((sum, page) => sum + page.estimatedReadingTime, 0);
+    const hasRetryableSteps = job.steps.some(step => ['failed', 'cancelled'].includes(step.status));
+    if (!job.isFinished || (job.status === 'completed' && !hasRetryableSteps)) {
+      return res.status(409).json({
+        success: false,
+        error: job.isFinished ? 'Job has no failed steps to retry' : 'Job is still in progress'
+      });
+    }
 
-    // Create the storybook
-    const storybook = {
-      id: `sb-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      storyId,
-      title: `${storyTitle} - Interactive Storybook`,
-      subtitle: `A ${style.replace('-', ' ')} style storybook in ${genre} genre`,
-      genre,
-      style,
-      creatorId: userId,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-      totalPages: pages.length,
-      totalDuration,
-      hasImages: images.length > 0,
-      hasAudio: !!audioUrl,
-      pages,
-      metadata: {
-        scenesGenerated: scenes.length,
-        imagesGenerated: images.length,
-        audioGenerated: !!audioUrl,
-        imagesErrors,
-        audioError,
-        style: style,
-        estimatedAgeGroup: getAgeGroupForStyle(style),
-        generationStats: {
-          scenesCount: scenes.length,
-          imagesCount: images.length,
-          audioSize: audioFilename ? 'generated' : 'none'
-        }
+    job.resetForRetry();
+    await storybookJobRepository.save(job);
+    storybookQueue.enqueue(job._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Storybook generation retry started',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Failed to retry storybook job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry storybook job'
+    });
+  }
+});
+
+// Update storybook
+router.put('/:id', authenticate, async (req, res) => {
+  try {
+    const storybook = await storybookRepository.findById(req.params.id);
+
+    if (!storybook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Storybook not found'
+      });
+    }
+
+    // Check if user owns the storybook
+    if (storybook.creatorId !== req.user.uid) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own storybooks'
+      });
+    }
+
+    const previousPages = storybook.pages.map(page => ({
+      content: page.content,
+      audioUrl: page.audioUrl,
+      duration: page.duration
+    }));
+    const previousMediaUrls = getStorybookMediaUrls(storybook);
+
+    // Only presentation fields are editable; ownership and counters are not
+    const editableFields = ['title', 'description', 'isPublic', 'settings', 'thumbnail', 'tags', 'pages'];
+    for (const field of editableFields) {
+      if (req.body[field] !== undefined) {
+        storybook[field] = req.body[field];
       }
-    };
+    }
 
-    console.log(`Storybook generation completed: ${pages.length} pages, ${images.length} images, audio: ${!!audioUrl}`);
+    // Using a file in a storybook grants access to it, so only files the user can already see may be added
+    if (!(await canUserUseMedia(getStorybookMediaUrls(storybook), req.user, previousMediaUrls))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only use media you have access to'
+      });
+    }
+
+    if (storybook.isModified('pages')) {
+      storybook.pages.forEach((page, index) => {
+        page.pageNumber = index + 1;
+      });
+
+      // Narrated storybooks stay narrated when page text is rewritten
+      if (previousPages.some(page => page.audioUrl)) {
+        await revoiceChangedPages(storybook, previousPages);
+      }
+    }
+
+    await storybookRepository.save(storybook);
+    const updated = storybook.toObject();
+    signPrivateMedia(updated);
 
     res.json({
       success: true,
-      message: 'Storybook generated successfully',
-      data: storybook
+      data: updated,
+      message: 'Storybook updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Failed to update storybook:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: 'Failed to update storybook'
+    });
+  }
+});
+
+// Delete storybook
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const storybook = await storybookRepository.findById(req.params.id);
+
+    if (!storybook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Storybook not found'
+      });
+    }
+
+    // Check if user owns the storybook
+    if (storybook.creatorId !== req.user.uid) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own storybooks'
+      });
+    }
+
+    await storybookRepository.deleteById(storybook._id);
+    await likeRepository.deleteMany({ targetType: 'storybook', targetId: storybook._id });
+
+    // Unlink the storybook from its story
+    await storyRepository.updateOne(
+      { _id: storybook.storyId, storybookId: storybook._id },
+      { $set: { hasStorybook: false }, $unset: { storybookId: 1 } }
+    );
+
+    // Update user stats
+    await userRepository.updateOne(
+      { uid: req.user.uid, 'stats.storybooksCreated': { $gt: 0 } },
+      { $inc: { 'stats.storybooksCreated': -1 } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Storybook deleted successfully'
     });
 
   } catch (error) {
-    console.error('Storybook generation failed:', error);
+    console.error('Failed to delete storybook:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate storybook',
-      message: error.message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      error: 'Failed to delete storybook'
     });
   }
 });
@@ -238,23 +676,30 @@ router.post('/enhance', async (req, res) => {
 });
 
 // POST /api/storybooks/create-from-prompt - Create storybook directly from prompt
-router.post('/create-from-prompt', async (req, res) => {
+router.post('/create-from-prompt', authenticate, async (req, res) => {
   try {
     const { 
       prompt, 
       genre = 'fantasy', 
       length = 'medium',
       style = 'children-book',
-      userId,
       sceneCount = 8
     } = req.body;
 
     if (!prompt) {
       return res.status(400).json({
+        success: false,
         error: 'Prompt is required for storybook creation'
       });
     }
 
+    if (sceneCount > 15) {
+      return res.status(400).json({
+        success: false,
+        error: 'Maximum 15 scenes allowed for storybook generation'
+      });
+    }
+
     console.log(`Creating storybook from prompt: "${prompt.substring(0, 50)}..."`);
 
     // Step 1: Generate story using AI
@@ -268,44 +713,28 @@ router.post('/create-from-prompt', async (req, res) => {
 
     console.log(`Generated story: ${title} (${storyContent.length} chars)`);
 
-    // Step 2: Generate complete storybook
-    console.log('Generating storybook from story...');
-    
-    try {
-      const storybookResponse = await axios.post(`${req.protocol}://${req.get('host')}/api/storybooks/generate`, {
-        storyText: storyContent,
-        storyTitle: title,
-        genre,
-        style,
-        userId,
-        sceneCount,
-        includeImages: true,
-        includeAudio: true
-      });
+    const story = await createStoryRecord(req.user, {
+      title,
+      content: storyContent,
+      genre,
+      length,
+      prompt
+    });
 
-      if (storybookResponse.data.success) {
-        console.log('Storybook generated successfully!');
-        res.json({
-          success: true,
-          message: 'Storybook created successfully from prompt',
-          data: storybookResponse.data.data
-        });
-      } else {
-        throw new Error(storybookResponse.data.error || 'Failed to create storybook');
-      }
-    } catch (storybookError) {
-      console.error('Storybook generation error:', storybookError.message);
-      
-      // Create fallback storybook with basic structure
-      const fallbackStorybook = createFallbackStorybook(storyContent, title, genre, style, sceneCount);
-      
-      res.json({
-        success: true,
-        message: 'Storybook created with fallback content',
-        data: fallbackStorybook,
-        fallback: true
-      });
-    }
+    // Step 2: Generate the storybook in the background
+    const job = await createStorybookJob(story, req.user, {
+      storyText: storyContent,
+      style,
+      includeImages: true,
+      includeAudio: true,
+      sceneCount
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Story created, storybook generation started',
+      data: job
+    });
 
   } catch (error) {
     console.error('Storybook creation from prompt failed:', error);
@@ -317,6 +746,458 @@ router.post('/create-from-prompt', async (req, res) => {
   }
 });
 
+// Load a job for the authenticated user, responding with 404 when it is missing or not theirs
+async function findOwnJob(req, res) {
+  const job = mongoose.isValidObjectId(req.params.jobId)
+    ? await storybookJobRepository.findById(req.params.jobId)
+    : null;
+
+  if (!job || !job.canView(req.user.uid)) {
+    res.status(404).json({
+      success: false,
+      error: 'Storybook job not found'
+    });
+    return null;
+  }
+
+  return job;
+}
+
+// Timing for a whole-book recording, with page times measured from the start of the book
+async function getBookNarrationTiming(audioUrl, pages) {
+  const timing = await loadNarrationTiming(audioUrl);
+  if (!timing) return null;
+
+  // Markup is not narrated; masking it keeps word offsets pointing into the page text
+  const aligned = alignTimingToTexts(timing, pages.map(page => maskSpeechMarkup(page.content)));
+
+  // A page stays on screen until the next page starts, so page turns and pauses belong to the page before
+  const pageTimings = pages.map((page, index) => {
+    const nextStart = aligned.slice(index + 1).find(next => next.startTime !== null)?.startTime;
+    return {
+      pageNumber: page.pageNumber,
+      startTime: aligned[index].startTime,
+      endTime: aligned[index].startTime === null ? null : (nextStart ?? timing.duration),
+      words: aligned[index].words
+    };
+  });
+
+  return {
+    audioUrl,
+    duration: timing.duration,
+    source: timing.source,
+    captionsUrl: getTimingUrls(path.basename(audioUrl.split('?')[0])).captionsUrl,
+    pages: pageTimings
+  };
+}
+
+// Timing for per-page clips, with each page's times measured from the start of its own clip
+async function getPageNarrationTiming(pages) {
+  const timings = await Promise.all(pages.map(page => loadNarrationTiming(page.audioUrl)));
+  const found = timings.filter(Boolean);
+  if (found.length === 0) return null;
+
+  const sources = new Set(found.map(timing => timing.source));
+
+  return {
+    audioUrl: null,
+    duration: Math.round(found.reduce((total, timing) => total + timing.duration, 0) * 1000) / 1000,
+    source: sources.size > 1 ? 'mixed' : [...sources][0],
+    captionsUrl: null,
+    pages: pages.map((page, index) => {
+      const timing = timings[index];
+      if (!timing) {
+        return { pageNumber: page.pageNumber, audioUrl: page.audioUrl || null, startTime: null, endTime: null, words: [] };
+      }
+
+      const [aligned] = alignTimingToTexts(timing, [maskSpeechMarkup(page.content)]);
+      return {
+        pageNumber: page.pageNumber,
+        audioUrl: page.audioUrl,
+        captionsUrl: getTimingUrls(path.basename(page.audioUrl.split('?')[0])).captionsUrl,
+        startTime: 0,
+        endTime: timing.duration,
+        words: aligned.words
+      };
+    })
+  };
+}
+
+// Create and save a Story document for content that arrives without one
+async function createStoryRecord(user, { title, content, genre, length, prompt }) {
+  const wordCount = content.split(' ').length;
+  const estimatedReadingTime = Math.ceil(wordCount / 200);
+
+  const story = new Story({
+    title,
+    content,
+    genre,
+    length,
+    prompt: prompt.substring(0, 1000),
+    creatorId: user.uid,
+    creatorName: user.displayName,
+    creatorEmail: user.email,
+    wordCount,
+    estimatedReadingTime
+  });
+
+  await storyRevisionRepository.record(story, {
+    source: 'initial',
+    authorId: user.uid,
+    authorName: user.displayName
+  });
+  await storyRepository.save(story);
+
+  // Update user stats
+  await userRepository.updateOne({ uid: user.uid }, { $inc: { 'stats.storiesCreated': 1 } });
+
+  return story;
+}
+
+// Queue a storybook generation job; image and narration steps are added once the scenes are known
+async function createStorybookJob(story, user, options) {
+  const steps = [
+    { key: 'scenes', type: 'scenes' },
+    { key: 'save', type: 'save' }
+  ];
+
+  const job = new StorybookJob({
+    creatorId: user.uid,
+    storyId: story._id,
+    storybookId: story.storybookId,
+    options,
+    steps
+  });
+
+  await storybookJobRepository.save(job);
+  storybookQueue.enqueue(job._id);
+
+  console.log(`Queued storybook job ${job._id} for story: ${story.title}`);
+  return job;
+}
+
+// Worker for the storybook queue: runs every pending step in order and records the outcome
+async function runStorybookJob(jobId, context) {
+  const job = await storybookJobRepository.findById(jobId);
+  if (!job || job.status === 'cancelled') return;
+
+  // Steps left running by a restart start over
+  job.steps.forEach(step => {
+    if (step.status === 'running') step.status = 'pending';
+  });
+
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date();
+  await publishJob(job, context);
+
+  try {
+    const story = await storyRepository.findById(job.storyId);
+    if (!story) {
+      throw new Error('Story no longer exists');
+    }
+
+    for (let i = 0; i < job.steps.length; i++) {
+      const step = job.steps[i];
+      if (step.status !== 'pending') continue;
+
+      if (context.isCancelled()) {
+        markJobCancelled(job);
+        await publishJob(job, context);
+        return;
+      }
+
+      await runStep(job, step, story, context);
+
+      // Without scenes or a saved storybook there is nothing to show
+      if (step.status === 'failed' && ['scenes', 'save'].includes(step.type)) {
+        throw new Error(`${step.type} step failed: ${step.error}`);
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`❌ Storybook job ${job._id} failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message.substring(0, 500);
+  }
+
+  job.completedAt = new Date();
+  await publishJob(job, context);
+}
+
+// Run a single step, capturing its result or error on the step itself
+async function runStep(job, step, story, context) {
+  step.status = 'running';
+  step.attempts += 1;
+  step.error = undefined;
+  step.startedAt = new Date();
+  await publishJob(job, context);
+
+  try {
+    step.result = await stepHandlers[step.type](job, step, story);
+    step.status = 'completed';
+  } catch (error) {
+    console.error(`❌ Storybook job ${job._id} step ${step.key} failed:`, error.message);
+    step.status = 'failed';
+    step.error = error.message.substring(0, 500);
+  }
+
+  step.completedAt = new Date();
+  await publishJob(job, context);
+}
+
+const stepHandlers = {
+  // Step 1: Break story into meaningful scenes
+  async scenes(job) {
+    const scenes = await breakStoryIntoScenes(job.options.storyText, job.options.sceneCount);
+
+    if (scenes.length === 0) {
+      throw new Error('Failed to break story into scenes');
+    }
+
+    job.scenes = scenes.map(({ content, description }) => ({ content, description }));
+
+    // Step 2 needs one image step per scene, run before narration and saving
+    if (job.options.includeImages && !job.steps.some(step => step.type === 'image')) {
+      const imageSteps = scenes.map((scene, index) => ({
+        key: `image-${index + 1}`,
+        type: 'image',
+        sceneIndex: index
+      }));
+      job.steps.splice(1, 0, ...imageSteps);
+    }
+
+    // Step 3 voices each page separately, after the images and before saving
+    if (job.options.includeAudio && !job.steps.some(step => step.type === 'narration')) {
+      const narrationSteps = scenes.map((scene, index) => ({
+        key: `narration-${index + 1}`,
+        type: 'narration',
+        sceneIndex: index
+      }));
+      job.steps.splice(job.steps.findIndex(step => step.type === 'save'), 0, ...narrationSteps);
+    }
+
+    return { sceneCount: scenes.length };
+  },
+
+  // Step 2: Generate the illustration for one scene
+  async image(job, step, story) {
+    const scene = job.scenes[step.sceneIndex];
+    const image = await generateStorybookImage(
+      createImagePrompt(scene.content, scene.description, job.options.style),
+      { storyId: story._id.toString(), sceneIndex: step.sceneIndex, style: job.options.style, ownerId: story.creatorId }
+    );
+
+    return {
+      imageUrl: image.imageUrl,
+      provider: image.provider
+    };
+  },
+
+  // Step 3: Generate the narration clip for one page
+  async narration(job, step, story) {
+    return narratePage(story._id, job.scenes[step.sceneIndex].content, story.voiceCast, await getNarrationLexicon(story), story.creatorId);
+  },
+
+  // Step 4: Create storybook pages and persist them
+  async save(job, step, story) {
+    const { style } = job.options;
+    const imageSteps = job.steps.filter(s => s.type === 'image');
+    const narrationSteps = job.steps.filter(s => s.type === 'narration');
+
+    const pages = await Promise.all(job.scenes.map(async (scene, index) => {
+      const imageStep = imageSteps.find(s => s.sceneIndex === index && s.status === 'completed');
+      const narrationStep = narrationSteps.find(s => s.sceneIndex === index && s.status === 'completed');
+      return {
+        pageNumber: index + 1,
+        content: scene.content,
+        imageUrl: imageStep ? imageStep.result.imageUrl : await savePlaceholderImage(scene.description, index, style, story._id),
+        animationElements: generateAnimationElements(scene, style),
+        audioUrl: narrationStep?.result.audioUrl,
+        duration: narrationStep ? toPageDuration(narrationStep.result.duration) : estimatePageDuration(scene.content)
+      };
+    }));
+
+    const failedNarration = narrationSteps.filter(s => s.status === 'failed');
+    const metadata = {
+      imagesGenerated: imageSteps.filter(s => s.status === 'completed').length,
+      imagesErrors: imageSteps
+        .filter(s => s.status === 'failed')
+        .map(s => `Scene ${s.sceneIndex + 1}: ${s.error}`.substring(0, 500)),
+      audioGenerated: pages.some(page => page.audioUrl),
+      audioError: failedNarration.length > 0
+        ? failedNarration.map(s => `Page ${s.sceneIndex + 1}: ${s.error}`).join('; ').substring(0, 500)
+        : null,
+      estimatedAgeGroup: getAgeGroupForStyle(style)
+    };
+
+    // Retries update the storybook this job already produced
+    const existing = job.storybookId ? await storybookRepository.findById(job.storybookId) : null;
+    let storybook;
+
+    if (existing && existing.storyId.equals(story._id)) {
+      existing.pages = pages;
+      // Narration now lives on the pages, replacing any whole-book recording
+      existing.audioUrl = undefined;
+      existing.metadata = metadata;
+      storybook = await storybookRepository.save(existing);
+    } else {
+      const user = await userRepository.findOne({ uid: job.creatorId });
+      if (!user) {
+        throw new Error('Storybook creator no longer exists');
+      }
+
+      storybook = await saveStorybook(story, user, {
+        title: `${story.title} - Interactive Storybook`,
+        description: `A ${style.replace('-', ' ')} style storybook in ${story.genre} genre`,
+        style,
+        pages,
+        metadata
+      });
+    }
+
+    job.storybookId = storybook._id;
+    console.log(`Storybook generation completed: ${pages.length} pages, ${metadata.imagesGenerated} images, narrated pages: ${pages.filter(page => page.audioUrl).length}`);
+
+    return { storybookId: storybook._id.toString() };
+  }
+};
+
+// Save the job and push its current state to subscribers
+async function publishJob(job, context) {
+  await storybookJobRepository.save(job);
+  context.emit(job.toJSON());
+}
+
+// Mark a job and its unfinished steps as cancelled
+function markJobCancelled(job) {
+  job.steps.forEach(step => {
+    if (['pending', 'running'].includes(step.status)) {
+      step.status = 'cancelled';
+    }
+  });
+  job.status = 'cancelled';
+  job.completedAt = new Date();
+}
+
+// Persist a storybook and link it back to its story, replacing any previous one
+async function saveStorybook(story, user, { title, description, style, pages, metadata }) {
+  const previousStorybookId = story.storybookId;
+
+  const storybook = new Storybook({
+    storyId: story._id,
+    title: title.substring(0, 200),
+    creatorId: user.uid,
+    creatorName: user.displayName,
+    creatorEmail: user.email,
+    description,
+    genre: story.genre,
+    style,
+    // Recomputed from page durations by the model's prepareForSave
+    totalDuration: pages.length * 5 || 1,
+    pages,
+    isPublic: story.isPublic,
+    settings: {
+      backgroundMusic: selectBackgroundMusic(story.genre, style)
+    },
+    tags: story.tags,
+    metadata
+  });
+
+  await storybookRepository.save(storybook);
+
+  // Deleting through the repository also releases the old storybook's media, as DELETE /:id does
+  if (previousStorybookId) {
+    await storybookRepository.deleteById(previousStorybookId);
+    await likeRepository.deleteMany({ targetType: 'storybook', targetId: previousStorybookId });
+  }
+
+  story.storybookId = storybook._id;
+  story.hasStorybook = true;
+  await storyRepository.save(story);
+
+  // Update user stats
+  if (!previousStorybookId) {
+    await userRepository.updateOne({ uid: user.uid }, { $inc: { 'stats.storybooksCreated': 1 } });
+  }
+
+  return storybook;
+}
+
+// Narrate one page; clips are named by their text, so unchanged pages keep their audio when others are re-voiced
+async function narratePage(storyId, content, voiceCast, lexicon, ownerId) {
+  const textHash = crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+  const { data } = await generateNarration({
+    ownerId,
+    storyId: `${storyId}-page-${textHash}`,
+    storyText: content,
+    voice: 'alloy',
+    speed: 0.9,
+    voiceCast,
+    lexicon
+  });
+
+  // Failing the step lets a job retry resume the narration from its finished chunks
+  if (data.complete === false) {
+    throw new Error(`Narration is missing ${data.missingRanges.length} of ${data.totalChunks} text ranges`);
+  }
+
+  return {
+    audioUrl: data.audioUrl,
+    filename: data.filename,
+    duration: data.duration
+  };
+}
+
+// The author's pronunciations with the story's own taking priority
+async function getNarrationLexicon(story) {
+  const author = story?.creatorId
+    ? await userRepository.findOne({ uid: story.creatorId }, { select: 'pronunciations', lean: true })
+    : null;
+  return mergeLexicons(author?.pronunciations, story?.pronunciations);
+}
+
+// Give edited pages fresh narration, keeping the clips of pages whose text is unchanged
+async function revoiceChangedPages(storybook, previousPages) {
+  const errors = [];
+  const story = await storyRepository.findById(storybook.storyId, { select: 'voiceCast pronunciations creatorId', lean: true });
+  const lexicon = await getNarrationLexicon(story);
+
+  for (const page of storybook.pages) {
+    const previous = previousPages.find(old => old.content === page.content && old.audioUrl);
+    if (previous) {
+      page.audioUrl = previous.audioUrl;
+      page.duration = previous.duration;
+      continue;
+    }
+
+    try {
+      const narration = await narratePage(storybook.storyId, page.content, story?.voiceCast, lexicon, storybook.creatorId);
+      page.audioUrl = narration.audioUrl;
+      page.duration = toPageDuration(narration.duration);
+    } catch (error) {
+      console.error(`Failed to narrate page ${page.pageNumber} of storybook ${storybook._id}:`, error.message);
+      page.audioUrl = undefined;
+      page.duration = estimatePageDuration(page.content);
+      errors.push(`Page ${page.pageNumber}: ${error.message}`);
+    }
+  }
+
+  storybook.metadata.audioGenerated = storybook.pages.some(page => page.audioUrl);
+  storybook.metadata.audioError = errors.length > 0 ? errors.join('; ').substring(0, 500) : null;
+}
+
+// Narration length in seconds, within the page schema's bounds
+function toPageDuration(seconds) {
+  return Math.min(Math.max(Number(seconds) || 1, 1), 300);
+}
+
+// Reading time for a page in seconds, within the page schema's bounds
+function estimatePageDuration(content) {
+  const seconds = Math.ceil(content.split(' ').length / 200) * 60;
+  return Math.min(Math.max(seconds, 1), 300);
+}
+
 // Enhanced function to break story into meaningful scenes
 async function breakStoryIntoScenes(storyText, targetSceneCount) {
   try {
@@ -438,24 +1319,6 @@ function createImagePrompt(content, description, style) {
   return `${description}, ${stylePrompt}, suitable for children`;
 }
 
-// Create narration text for audio generation
-function createNarrationText(storyText, scenes) {
-  // Create a narration-friendly version of the story
-  let narrationText = `Welcome to this interactive storybook. `;
-  
-  scenes.forEach((scene, index) => {
-    narrationText += `Page ${index + 1}. ${scene.content} `;
-    
-    if (index < scenes.length - 1) {
-      narrationText += `Let's turn the page and continue our adventure. `;
-    }
-  });
-  
-  narrationText += `The End. Thank you for joining us on this magical journey!`;
-  
-  return narrationText;
-}
-
 // Generate animation elements for storybook pages
 function generateAnimationElements(scene, style) {
   const elements = [];
@@ -471,7 +1334,7 @@ function generateAnimationElements(scene, style) {
       height: 20 + Math.random() * 20,
       animation: {
         element: `sparkle-${Date.now()}`,
-        type: 'twinkle',
+        type: 'pulse',
         duration: 2000 + Math.random() * 3000, // 2-5 seconds
         delay: Math.random() * 1000,
         properties: {
@@ -486,14 +1349,14 @@ function generateAnimationElements(scene, style) {
   if (scene.content.toLowerCase().includes('gentle') || scene.content.toLowerCase().includes('peaceful') || scene.content.toLowerCase().includes('calm')) {
     elements.push({
       id: `float-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      type: 'floating-element',
+      type: 'fade',
       x: Math.random() * 70 + 15,
       y: Math.random() * 70 + 15,
       width: 30 + Math.random() * 20,
       height: 30 + Math.random() * 20,
       animation: {
         element: `float-${Date.now()}`,
-        type: 'float',
+        type: 'bounce',
         duration: 4000 + Math.random() * 2000,
         delay: 500,
         properties: {
@@ -537,17 +1400,24 @@ function getAgeGroupForStyle(style) {
   return ageGroups[style] || '6-12 years';
 }
 
-// Generate placeholder image for failed generations
-function generatePlaceholderImage(scene, index, style) {
+// Store a placeholder illustration, next to generated images, for a scene whose image could not be generated
+async function savePlaceholderImage(description, index, style, storyId) {
+  const filename = `placeholder-${storyId}-scene-${index + 1}.svg`;
+  await writeStoredFile(getMediaKey('image', filename), generatePlaceholderSvg(description, index, style));
+  return `/api/images/${filename}`;
+}
+
+// Generate placeholder SVG markup for failed generations
+function generatePlaceholderSvg(scene, index, style) {
   const colors = [
     '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
     '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'
   ];
 
   const color = colors[index % colors.length];
-  const sceneText = scene.substring(0, 30) + (scene.length > 30 ? '...' : '');
+  const sceneText = escapeXml(scene.substring(0, 30) + (scene.length > 30 ? '...' : ''));
 
-  return `data:image/svg+xml;base64,${Buffer.from(`
+  return `
     <svg xmlns="http://www.w3.org/2000/svg" width="800" height="600" viewBox="0 0 800 600">
       <defs>
         <linearGradient id="grad" x1="0%" y1="0%" x2="100%" y2="100%">
@@ -570,54 +1440,16 @@ function generatePlaceholderImage(scene, index, style) {
         🎨
       </text>
     </svg>
-  `).toString('base64')}`;
+  `;
 }
 
-// Create fallback storybook when main generation fails
-function createFallbackStorybook(storyContent, title, genre, style, sceneCount) {
-  const paragraphs = storyContent.split('\n\n').filter(p => p.trim().length > 10);
-  const scenes = paragraphs.slice(0, sceneCount).map((content, index) => ({
-    index,
-    content: content.trim(),
-    description: `Scene ${index + 1} of the story`,
-    audioCue: `scene-${index + 1}`
-  }));
-
-  const pages = scenes.map((scene, index) => ({
-    id: `page-${index + 1}`,
-    pageNumber: index + 1,
-    content: scene.content,
-    sceneDescription: scene.description,
-    imageUrl: generatePlaceholderImage(scene.description, index, style),
-    imageFilename: `placeholder-scene-${index + 1}.svg`,
-    audioCue: scene.audioCue,
-    animationElements: [],
-    estimatedReadingTime: Math.ceil(scene.content.split(' ').length / 200) * 60
-  }));
-
-  return {
-    id: `sb-fallback-${Date.now()}`,
-    title: `${title} - Storybook (Fallback)`,
-    subtitle: `A ${style.replace('-', ' ')} style storybook in ${genre} genre`,
-    genre,
-    style,
-    creatorId: 'system',
-    createdAt: new Date(),
-    totalPages: pages.length,
-    totalDuration: pages.reduce((sum, page) => sum + page.estimatedReadingTime, 0),
-    hasImages: true,
-    hasAudio: false,
-    pages,
-    metadata: {
-      fallback: true,
-      reason: 'Main generation failed, created basic structure',
-      scenesGenerated: scenes.length,
-      imagesGenerated: 0,
-      audioGenerated: false,
-      style: style,
-      estimatedAgeGroup: getAgeGroupForStyle(style)
-    }
-  };
+// Escape text for inclusion in SVG markup
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 // GET /api/storybooks/styles - Available storybook styles
@@ -671,25 +1503,4 @@ router.get('/info/styles', (req, res) => {
   });
 });
 
-// Helper function to generate title (copied from ai.js)
-function generateTitle(prompt, genre) {
-  const adjectives = {
-    fantasy: ['Enchanted', 'Mystical', 'Magical', 'Legendary', 'Ancient', 'Secret', 'Hidden'],
-    adventure: ['Epic', 'Incredible', 'Thrilling', 'Daring', 'Brave', 'Bold', 'Fearless'],
-    mystery: ['Secret', 'Hidden', 'Mysterious', 'Puzzling', 'Intriguing', 'Strange', 'Unknown'],
-    romance: ['Love', 'Heart', 'Passionate', 'Sweet', 'Tender', 'Beautiful', 'Romantic'],
-    'sci-fi': ['Future', 'Cosmic', 'Digital', 'Cyber', 'Stellar', 'Galactic', 'Advanced'],
-    horror: ['Dark', 'Shadow', 'Nightmare', 'Haunted', 'Twisted', 'Creepy', 'Eerie'],
-    comedy: ['Funny', 'Hilarious', 'Silly', 'Amusing', 'Playful', 'Cheerful', 'Joyful'],
-    drama: ['Deep', 'Emotional', 'Powerful', 'Touching', 'Moving', 'Profound', 'Intense'],
-    thriller: ['Dangerous', 'Edge', 'Suspenseful', 'Tense', 'Thrilling', 'Urgent', 'Critical']
-  };
-  
-  const subjects = ['Journey', 'Quest', 'Story', 'Tale', 'Adventure', 'Experience', 'Legend', 'Mystery'];
-  const randomAdj = adjectives[genre] ? adjectives[genre][Math.floor(Math.random() * adjectives[genre].length)] : 'Amazing';
-  const randomSubject = subjects[Math.floor(Math.random() * subjects.length)];
-  
-  return `${randomAdj} ${randomSubject}`;
-}
-
 module.exports = router;
\ No newline at end of file
@@ -7,7 +7,7 @@ const rateLimit = require('express-rate-limit');
 const mongoose = require('mongoose');
 
 // Import database configuration
-const { connectDB } = require('./config/database');
+const { connectDB, isMockMode } = require('./config/database');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -15,6 +15,10 @@ const storyRoutes = require('./routes/stories');
 const audioRoutes = require('./routes/audio');
 const imageRoutes = require('./routes/images');
 const aiRoutes = require('./routes/ai');
+const storybookRoutes = require('./routes/storybooks');
+const mediaRoutes = require('./routes/media');
+const { getBreakerStates } = require('./utils/resilience');
+const { startMediaRetention } = require('./utils/mediaRetention');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -126,6 +130,8 @@ app.use('/api/stories', storyRoutes);
 app.use('/api/audio', audioRoutes);
 app.use('/api/images', imageRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/storybooks', storybookRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -136,6 +142,7 @@ app.get('/api/health', (req, res) => {
     version: '1.0.0',
     environment: process.env.NODE_ENV || 'development',
     database: mongoose.connection.readyState === 1 ? 'Connected' : 'Mock Mode',
+    storage: isMockMode() ? 'memory' : 'mongodb',
     memory: process.memoryUsage(),
     uptime: process.uptime(),
     ai_services: {
@@ -143,7 +150,8 @@ app.get('/api/health', (req, res) => {
       elevenlabs: !!process.env.ELEVENLABS_API_KEY,
       stability: !!process.env.STABILITY_API_KEY,
       huggingface: !!process.env.HUGGINGFACE_API_KEY
-    }
+    },
+    circuit_breakers: getBreakerStates()
   });
 });
 
@@ -190,7 +198,8 @@ app.listen(PORT, () => {
   console.log(`🚀 AI Story Maker Backend running on port ${PORT}`);
   console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
-  console.log(`🗄️  Database: ${mongoose.connection.readyState === 1 ? 'MongoDB Atlas' : 'Mock Mode'}`);
+  console.log(`🗄️  Database: ${mongoose.connection.readyState === 1 ? 'MongoDB Atlas' : 'Mock Mode (in-memory storage)'}`);
+  startMediaRetention();
 });
 
 module.exports = app;
\ No newline at end of file
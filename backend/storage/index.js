@@ -0,0 +1,290 @@
+/**
+ * Media Storage
+ * Where generated audio and images are kept. Files are addressed by keys such as 'audio/narration-1.mp3'
+ * or 'images/image-1.png', and every driver offers the same interface:
+ *   put(key, data, { contentType }), getStream(key, { start, end }), stat(key), delete(key), list(prefix),
+ *   touch(key), getSignedUrl(key, { expiresIn })
+ * STORAGE_DRIVER picks the driver: 'local' (default) keeps files in backend/public, 's3' uses an S3 bucket
+ * or an S3-compatible service such as MinIO.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+const { SNIFF_LENGTH, getContentType, detectContentType } = require('./mediaTypes');
+
+const LOCAL_ROOT = path.join(__dirname, '../public');
+const SIGNED_URL_EXPIRY_SECONDS = parseInt(process.env.STORAGE_SIGNED_URL_EXPIRY, 10) || 3600;
+const FILE_INFO_CACHE_SIZE = 1000;
+
+// Files can be rewritten under the same name, e.g. a partial narration once its missing chunks are done,
+// so clients keep a copy but check its ETag before every reuse
+const DEFAULT_CACHE_CONTROL = 'public, no-cache';
+
+const KIND_PREFIXES = {
+  audio: 'audio/',
+  image: 'images/'
+};
+
+/**
+ * Storage key of a media file
+ * @param {string} kind - 'audio' or 'image'
+ * @param {string} filename - File name, optionally under a subdirectory such as 'chunks/'
+ * @returns {string} - Storage key
+ */
+function getMediaKey(kind, filename) {
+  return `${KIND_PREFIXES[kind]}${filename}`;
+}
+
+// Files written before switching to a remote driver stay on disk, so reads fall back to it
+function withLocalFallback(primary, local) {
+  return {
+    ...primary,
+
+    async getStream(key, range) {
+      return (await primary.getStream(key, range)) || local.getStream(key, range);
+    },
+
+    async stat(key) {
+      return (await primary.stat(key)) || local.stat(key);
+    },
+
+    async delete(key) {
+      await Promise.all([primary.delete(key), local.delete(key)]);
+    },
+
+    async list(prefix) {
+      const files = new Map();
+      for (const file of [...await local.list(prefix), ...await primary.list(prefix)]) {
+        files.set(file.key, file);
+      }
+      return [...files.values()];
+    },
+
+    async touch(key) {
+      if (await primary.stat(key)) {
+        await primary.touch(key);
+      } else if (await local.stat(key)) {
+        await local.touch(key);
+      }
+    },
+
+    async getSignedUrl(key, options) {
+      return (await primary.stat(key)) ? primary.getSignedUrl(key, options) : null;
+    }
+  };
+}
+
+/**
+ * Create the storage driver selected by the environment
+ * @returns {Object} - Storage driver
+ */
+function createStorage() {
+  const local = createLocalStorage(LOCAL_ROOT);
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 'local') return local;
+
+  if (driver === 's3') {
+    const s3 = createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+      prefix: process.env.S3_PREFIX
+    });
+    return withLocalFallback(s3, local);
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+const storage = createStorage();
+
+/**
+ * Read a whole stored file
+ * @param {string} key - Storage key
+ * @returns {Buffer|null} - File contents, or null when there is no such file
+ */
+async function readStoredFile(key) {
+  const file = await storage.getStream(key);
+  if (!file) return null;
+
+  const chunks = [];
+  for await (const chunk of file.stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Store a file with the content type of its contents, or else the one its extension implies
+ * @param {string} key - Storage key
+ * @param {Buffer|string} data - File contents
+ */
+async function writeStoredFile(key, data) {
+  const contentType = (Buffer.isBuffer(data) && detectContentType(data.subarray(0, SNIFF_LENGTH))) || getContentType(key);
+  await storage.put(key, data, { contentType: contentType || 'application/octet-stream' });
+}
+
+/**
+ * Whether a stored file exists
+ * @param {string} key - Storage key
+ * @returns {boolean} - True when the file exists
+ */
+async function storedFileExists(key) {
+  return Boolean(await storage.stat(key));
+}
+
+// Content hashes and detected types of local files, keyed by file version so rewritten files are hashed again
+const fileInfoCache = new Map();
+
+// Hash a whole file and detect its type from the first bytes, in one pass
+async function inspectFile(key, { size, lastModified }) {
+  const version = `${key}\n${size}\n${lastModified ? lastModified.getTime() : ''}`;
+  if (fileInfoCache.has(version)) return fileInfoCache.get(version);
+
+  const file = await storage.getStream(key);
+  if (!file) return null;
+
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+  for await (const chunk of file.stream) {
+    hash.update(chunk);
+    if (head.length < SNIFF_LENGTH) head = Buffer.concat([head, chunk]).subarray(0, SNIFF_LENGTH);
+  }
+
+  const info = {
+    etag: `"${hash.digest('base64url').substring(0, 32)}"`,
+    contentType: detectContentType(head)
+  };
+  fileInfoCache.set(version, info);
+  if (fileInfoCache.size > FILE_INFO_CACHE_SIZE) {
+    fileInfoCache.delete(fileInfoCache.keys().next().value);
+  }
+  return info;
+}
+
+/**
+ * Describe a stored file for HTTP responses
+ * @param {string} key - Storage key
+ * @returns {Object|null} - { size, lastModified, etag, contentType }, or null when there is no such file
+ */
+async function getStoredFileInfo(key) {
+  const info = await storage.stat(key);
+  if (!info) return null;
+
+  // S3 keeps an MD5 ETag and the type detected at upload; local files are hashed and sniffed once per version
+  if (info.etag && info.contentType && info.contentType !== 'application/octet-stream') {
+    return info;
+  }
+  const inspected = await inspectFile(key, info);
+  return inspected && { ...info, etag: info.etag || inspected.etag, contentType: inspected.contentType || info.contentType };
+}
+
+// If-Range sends the range only when the client's copy is still current; strong ETags or an exact date must match
+function isRangeCurrent(req, { etag, lastModified }) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+
+  const date = Date.parse(ifRange);
+  return Boolean(lastModified) && !Number.isNaN(date) && Math.floor(lastModified.getTime() / 1000) * 1000 === date;
+}
+
+/**
+ * Answer a request with a stored file: single byte ranges get 206 Partial Content, requests whose
+ * If-None-Match or If-Modified-Since still match get 304 Not Modified, and HEAD requests get headers only.
+ * When STORAGE_SIGNED_URLS is on and the driver supports them, the client is redirected to a signed URL instead.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} key - Storage key
+ * @param {Object} options - { defaultContentType, cacheControl }
+ * @returns {boolean} - False when there is no such file and nothing was sent
+ */
+async function sendStoredFile(req, res, key, { defaultContentType = 'application/octet-stream', cacheControl = DEFAULT_CACHE_CONTROL } = {}) {
+  if (process.env.STORAGE_SIGNED_URLS === 'true') {
+    const signedUrl = await storage.getSignedUrl(key, { expiresIn: SIGNED_URL_EXPIRY_SECONDS });
+    if (signedUrl) {
+      // The redirect must not outlive the signature
+      res.setHeader('Cache-Control', `private, max-age=${Math.floor(SIGNED_URL_EXPIRY_SECONDS / 2)}`);
+      res.redirect(302, signedUrl);
+      return true;
+    }
+  }
+
+  const file = await getStoredFileInfo(key);
+  if (!file) return false;
+
+  res.setHeader('Content-Type', file.contentType || getContentType(key) || defaultContentType);
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', file.etag);
+  if (file.lastModified) res.setHeader('Last-Modified', file.lastModified.toUTCString());
+
+  // req.fresh compares If-None-Match and If-Modified-Since with the ETag and Last-Modified just set
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+
+  let range = null;
+  if (req.headers.range && isRangeCurrent(req, file)) {
+    const ranges = req.range(file.size, { combine: true });
+    if (ranges === -1) {
+      res.status(416);
+      res.setHeader('Content-Range', `bytes */${file.size}`);
+      res.end();
+      return true;
+    }
+    // Malformed headers and multiple ranges are answered with the whole file, which the spec allows
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+    }
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', file.size);
+  }
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return true;
+  }
+
+  const content = await storage.getStream(key, range || {});
+  if (!content) {
+    // Deleted since it was described; leave the caller to answer as for any missing file
+    ['Content-Type', 'Cache-Control', 'Accept-Ranges', 'ETag', 'Last-Modified', 'Content-Range', 'Content-Length']
+      .forEach(header => res.removeHeader(header));
+    return false;
+  }
+
+  content.stream.on('error', (error) => {
+    console.error(`Error reading ${key}:`, error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ success: false, error: 'Error reading file' });
+    }
+  });
+
+  content.stream.pipe(res);
+  return true;
+}
+
+module.exports = {
+  storage,
+  getMediaKey,
+  getContentType,
+  readStoredFile,
+  writeStoredFile,
+  storedFileExists,
+  getStoredFileInfo,
+  sendStoredFile
+};
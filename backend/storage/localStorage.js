@@ -0,0 +1,93 @@
+/**
+ * Local Disk Storage
+ * Keeps media files under a directory on the server's disk, with keys as relative paths
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a storage driver for a directory
+ * @param {string} root - Directory that holds the files
+ * @returns {Object} - Storage driver
+ */
+function createLocalStorage(root) {
+  const rootDir = path.resolve(root);
+
+  // Keys are relative paths that must stay inside the root directory
+  const isInsideRoot = (filePath) => filePath.startsWith(rootDir + path.sep);
+
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!isInsideRoot(filePath)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  // Reads treat a key outside the root like a missing file
+  const stat = async (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!isInsideRoot(filePath)) return null;
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, data) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, data);
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const info = await stat(key);
+      return info ? { ...info, stream: fs.createReadStream(resolve(key), { start, end }) } : null;
+    },
+
+    stat,
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    async list(prefix) {
+      const dir = resolve(prefix.replace(/\/$/, '') || '.');
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const files = [];
+      for (const entry of entries.filter(item => item.isFile())) {
+        const key = `${prefix.replace(/\/?$/, '/')}${entry.name}`;
+        const info = await stat(key);
+        if (info) files.push({ key, ...info });
+      }
+      return files;
+    },
+
+    async touch(key) {
+      const now = new Date();
+      await fs.promises.utimes(resolve(key), now, now);
+    },
+
+    // Files on disk are only reachable through the API routes
+    async getSignedUrl() {
+      return null;
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,71 @@
+/**
+ * Media Types
+ * Content types of stored files, detected from their first bytes because providers do not always return
+ * the format the file extension promises (Hugging Face answers with JPEG for images saved as .png)
+ */
+
+const path = require('path');
+
+const EXTENSION_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.flac': 'audio/flac',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml'
+};
+
+// Bytes to read from the start of a file to detect its type
+const SNIFF_LENGTH = 512;
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+// Checked in order; the first match wins
+const SIGNATURES = [
+  ['image/png', buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  ['image/jpeg', buffer => startsWith(buffer, [0xff, 0xd8, 0xff])],
+  ['image/gif', buffer => ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a'],
+  ['image/webp', buffer => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP'],
+  ['image/avif', buffer => ascii(buffer, 4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(buffer, 8, 12))],
+  ['audio/wav', buffer => ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE'],
+  ['audio/ogg', buffer => ascii(buffer, 0, 4) === 'OggS'],
+  ['audio/flac', buffer => ascii(buffer, 0, 4) === 'fLaC'],
+  ['audio/mp4', buffer => ascii(buffer, 4, 8) === 'ftyp' && /^(M4A |M4B |mp42|isom)$/.test(ascii(buffer, 8, 12))],
+  ['audio/mpeg', buffer => ascii(buffer, 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe6) === 0xe2)],
+  ['audio/aac', buffer => buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0],
+  ['image/svg+xml', buffer => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i.test(ascii(buffer, 0, SNIFF_LENGTH))]
+];
+
+/**
+ * Content type implied by a file's extension
+ * @param {string} key - Storage key or file name
+ * @returns {string|null} - MIME type, or null for unknown extensions
+ */
+function getContentType(key) {
+  return EXTENSION_TYPES[path.extname(key).toLowerCase()] || null;
+}
+
+/**
+ * Detect a file's content type from its first bytes
+ * @param {Buffer} buffer - Start of the file; SNIFF_LENGTH bytes are enough
+ * @returns {string|null} - MIME type, or null when no known format matches
+ */
+function detectContentType(buffer) {
+  const match = SIGNATURES.find(([, test]) => buffer.length > 0 && test(buffer));
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  SNIFF_LENGTH,
+  getContentType,
+  detectContentType
+};
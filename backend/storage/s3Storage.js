@@ -0,0 +1,203 @@
+/**
+ * S3 Storage
+ * Keeps media files in an S3 bucket or an S3-compatible service such as MinIO, signing requests with
+ * AWS Signature Version 4
+ */
+
+const axios = require('axios');
+const { UNSIGNED_PAYLOAD, sha256, encodeKey, canonicalQuery, signRequest, presignUrl } = require('./awsSignature');
+
+// Undo the XML escaping S3 applies to keys and tokens in listings
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+function getXmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? unescapeXml(match[1]) : null;
+}
+
+// Drain a streamed response body, which S3 uses for error details
+async function readBody(data) {
+  if (!data || typeof data.on !== 'function') return String(data || '');
+
+  const chunks = [];
+  for await (const chunk of data) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function toStorageError(response, action, key) {
+  const body = await readBody(response.data);
+  const code = getXmlValue(body, 'Code') || `HTTP ${response.status}`;
+  const message = getXmlValue(body, 'Message');
+  return new Error(`S3 ${action} ${key} failed: ${code}${message ? ` - ${message}` : ''}`);
+}
+
+/**
+ * Create a storage driver for a bucket
+ * @param {Object} config - { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix }
+ * @returns {Object} - Storage driver
+ */
+function createS3Storage({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs a bucket, an access key ID and a secret access key');
+  }
+
+  const credentials = { accessKeyId, secretAccessKey };
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  // MinIO and most self-hosted services only support path-style addressing
+  const pathStyle = forcePathStyle ?? Boolean(endpoint);
+  const origin = pathStyle ? baseUrl.origin : `${baseUrl.protocol}//${bucket}.${baseUrl.host}`;
+  const bucketPath = pathStyle ? `/${encodeKey(bucket)}` : '';
+  const keyPrefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+
+  // URLs resolve '.' and '..' segments, which would let a key address another object
+  const isValidKey = (key) => !key.split('/').some(part => part === '' || part === '.' || part === '..');
+
+  const getObjectUrl = (key) => {
+    if (!isValidKey(key)) throw new Error(`Invalid storage key: ${key}`);
+    return new URL(`${origin}${bucketPath}/${encodeKey(keyPrefix + key)}`);
+  };
+
+  const send = async ({ method, url, query = {}, headers = {}, data, payloadHash = UNSIGNED_PAYLOAD, responseType }) => {
+    const signedHeaders = signRequest({ method, url, query, headers, payloadHash }, credentials, region);
+    const queryString = canonicalQuery(query);
+
+    return axios({
+      method,
+      url: `${url.origin}${url.pathname}${queryString ? `?${queryString}` : ''}`,
+      headers: signedHeaders,
+      data,
+      responseType: responseType || 'text',
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true
+    });
+  };
+
+  // A ranged response's length is the range; the object size is after the slash in Content-Range
+  const parseObjectInfo = (headers) => ({
+    size: Number(String(headers['content-range'] || '').split('/')[1]) || Number(headers['content-length']) || 0,
+    contentType: headers['content-type'],
+    etag: headers.etag,
+    lastModified: headers['last-modified'] ? new Date(headers['last-modified']) : null
+  });
+
+  const head = async (key) => {
+    if (!isValidKey(key)) return null;
+
+    const response = await send({ method: 'HEAD', url: getObjectUrl(key) });
+    if (response.status === 404) return null;
+    if (response.status !== 200) throw await toStorageError(response, 'HEAD', key);
+    return parseObjectInfo(response.headers);
+  };
+
+
+  return {
+    name: 's3',
+
+    async put(key, data, { contentType } = {}) {
+      const body = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      const response = await send({
+        method: 'PUT',
+        url: getObjectUrl(key),
+        headers: {
+          'content-type': contentType || 'application/octet-stream',
+          'content-length': body.length
+        },
+        data: body,
+        payloadHash: sha256(body)
+      });
+
+      if (response.status !== 200) throw await toStorageError(response, 'PUT', key);
+    },
+
+    async getStream(key, { start, end } = {}) {
+      if (!isValidKey(key)) return null;
+
+      const ranged = start !== undefined || end !== undefined;
+      const response = await send({
+        method: 'GET',
+        url: getObjectUrl(key),
+        headers: ranged ? { range: `bytes=${start || 0}-${end ?? ''}` } : {},
+        responseType: 'stream'
+      });
+      if (response.status === 404) {
+        response.data.resume();
+        return null;
+      }
+      if (response.status !== 200 && response.status !== 206) throw await toStorageError(response, 'GET', key);
+
+      return { ...parseObjectInfo(response.headers), stream: response.data };
+    },
+
+    // S3 stores the content type given at upload, and its ETag is an MD5 of the content
+    stat: head,
+
+    async delete(key) {
+      const response = await send({ method: 'DELETE', url: getObjectUrl(key) });
+      if (response.status !== 204 && response.status !== 200 && response.status !== 404) {
+        throw await toStorageError(response, 'DELETE', key);
+      }
+    },
+
+    async list(listPrefix) {
+      const fullPrefix = keyPrefix + listPrefix.replace(/\/?$/, '/');
+      const files = [];
+      let continuationToken = null;
+
+      do {
+        const query = { 'list-type': 2, prefix: fullPrefix, delimiter: '/' };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+
+        const response = await send({ method: 'GET', url: new URL(`${origin}${bucketPath}/`), query });
+        if (response.status !== 200) throw await toStorageError(response, 'LIST', listPrefix);
+
+        const xml = response.data;
+        for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+          files.push({
+            key: getXmlValue(contents, 'Key').substring(keyPrefix.length),
+            size: Number(getXmlValue(contents, 'Size')) || 0,
+            lastModified: new Date(getXmlValue(contents, 'LastModified'))
+          });
+        }
+
+        continuationToken = getXmlValue(xml, 'IsTruncated') === 'true' ? getXmlValue(xml, 'NextContinuationToken') : null;
+      } while (continuationToken);
+
+      return files;
+    },
+
+    // Objects are immutable, so refreshing the modified time means copying the object onto itself
+    async touch(key) {
+      const info = await head(key);
+      if (!info) return;
+
+      // REPLACE resets the metadata, so the content type is sent again
+      const response = await send({
+        method: 'PUT',
+        url: getObjectUrl(key),
+        headers: {
+          'content-type': info.contentType || 'application/octet-stream',
+          'x-amz-copy-source': `/${encodeKey(bucket)}/${encodeKey(keyPrefix + key)}`,
+          'x-amz-metadata-directive': 'REPLACE'
+        },
+        payloadHash: sha256('')
+      });
+
+      if (response.status !== 200) throw await toStorageError(response, 'COPY', key);
+    },
+
+    async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+      return presignUrl(getObjectUrl(key), credentials, region, expiresIn);
+    }
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findQuotes, splitDialogue, listSpeakers } = require('../utils/dialogue');
+const { normalizeVoiceCast } = require('../utils/voiceCast');
+
+const CAST = normalizeVoiceCast({
+  narrator: { voice: 'fable' },
+  characters: [
+    { name: 'Ember', aliases: ['the dragon'], voice: 'onyx' },
+    { name: 'Luna', provider: 'elevenlabs', voice: 'female' }
+  ]
+});
+
+// Each turn as its text and speaker
+function turns(text, cast = null) {
+  return splitDialogue(text, cast).map(segment => [text.substring(segment.start, segment.end), segment.speaker]);
+}
+
+describe('findQuotes', () => {
+  it('pairs straight and curly quotes and closes open quotes at a paragraph end', () => {
+    assert.deepEqual(findQuotes('a "b" c “d” "e\n\nf "g'), [
+      { start: 2, end: 5 },
+      { start: 8, end: 11 },
+      { start: 12, end: 14 },
+      { start: 18, end: 20 }
+    ]);
+  });
+});
+
+describe('splitDialogue', () => {
+  it('attributes quotes from speech verbs after and before them', () => {
+    const text = '"I can glow!" said the dragon. Luna whispered, "Show me."';
+
+    assert.deepEqual(turns(text, CAST), [
+      ['"I can glow!"', 'Ember'],
+      [' said the dragon. Luna whispered, ', null],
+      ['"Show me."', 'Luna']
+    ]);
+  });
+
+  it('continues the last speaker within a paragraph but not across paragraphs', () => {
+    const text = '"Hello," Luna said. "Come in."\n\n"Thanks," he said.';
+
+    assert.deepEqual(turns(text), [
+      ['"Hello,"', 'Luna'],
+      [' Luna said. ', null],
+      ['"Come in."', 'Luna'],
+      ['\n\n', null],
+      ['"Thanks,"', null],
+      [' he said.', null]
+    ]);
+  });
+
+  it('names described and titled speakers without their article', () => {
+    const text = '“Who is there?” asked Captain Hook. "Me," the little fox said.';
+
+    assert.deepEqual(turns(text).filter(([, speaker]) => speaker).map(([, speaker]) => speaker), ['Captain Hook', 'little fox']);
+  });
+
+  it('covers the whole text in order', () => {
+    const text = 'It was dark. "Hello?" called Luna. Nobody answered.';
+    const segments = splitDialogue(text);
+
+    assert.equal(segments[0].start, 0);
+    assert.equal(segments[segments.length - 1].end, text.length);
+    segments.slice(1).forEach((segment, index) => assert.equal(segment.start, segments[index].end));
+  });
+});
+
+describe('listSpeakers', () => {
+  it('counts lines per speaker, merging aliases into cast names', () => {
+    const text = '"Hi," said the dragon. "Hello," said Ember. "Hey," Luna said.\n\n"Bye," said Tom.';
+
+    assert.deepEqual(listSpeakers(text, CAST), [
+      { name: 'Ember', lines: 2, cast: true },
+      { name: 'Luna', lines: 1, cast: true },
+      { name: 'Tom', lines: 1, cast: false }
+    ]);
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { matchesFilter, applyUpdate, sortDocuments, project } = require('../repositories/memoryQuery');
+
+const story = {
+  _id: new mongoose.Types.ObjectId('64b7f0c2a1b2c3d4e5f60718'),
+  title: 'The Brave Little Dragon',
+  content: 'Once upon a time a dragon learned to glow.',
+  genre: 'fantasy',
+  likes: 12,
+  isPublic: true,
+  tags: ['dragons', 'bedtime'],
+  stats: { views: 40 },
+  pages: [{ pageNumber: 1, imageUrl: '/api/images/a.png' }, { pageNumber: 2 }],
+  createdAt: new Date('2024-03-01T10:00:00Z')
+};
+
+describe('matchesFilter', () => {
+  it('matches equality on plain and nested fields', () => {
+    assert.equal(matchesFilter(story, { genre: 'fantasy', 'stats.views': 40 }), true);
+    assert.equal(matchesFilter(story, { genre: 'mystery' }), false);
+  });
+
+  it('compares ObjectIds as strings and dates as timestamps', () => {
+    assert.equal(matchesFilter(story, { _id: '64b7f0c2a1b2c3d4e5f60718' }), true);
+    assert.equal(matchesFilter(story, { createdAt: new Date('2024-03-01T10:00:00Z') }), true);
+  });
+
+  it('matches array fields on any element', () => {
+    assert.equal(matchesFilter(story, { tags: 'bedtime' }), true);
+    assert.equal(matchesFilter(story, { 'pages.pageNumber': 2 }), true);
+    assert.equal(matchesFilter(story, { tags: { $in: ['space', 'dragons'] } }), true);
+    assert.equal(matchesFilter(story, { tags: { $nin: ['dragons'] } }), false);
+  });
+
+  it('supports comparison operators', () => {
+    assert.equal(matchesFilter(story, { likes: { $gt: 10, $lte: 12 } }), true);
+    assert.equal(matchesFilter(story, { likes: { $lt: 12 } }), false);
+    assert.equal(matchesFilter(story, { createdAt: { $gte: new Date('2024-01-01') } }), true);
+    assert.equal(matchesFilter(story, { genre: { $ne: 'fantasy' } }), false);
+  });
+
+  it('treats missing fields as null and checks $exists', () => {
+    assert.equal(matchesFilter(story, { deletedAt: null }), true);
+    assert.equal(matchesFilter(story, { deletedAt: { $exists: false } }), true);
+    assert.equal(matchesFilter(story, { 'pages.imageUrl': { $exists: true } }), true);
+  });
+
+  it('supports $regex with options and RegExp conditions', () => {
+    assert.equal(matchesFilter(story, { title: { $regex: 'brave', $options: 'i' } }), true);
+    assert.equal(matchesFilter(story, { title: { $regex: 'brave' } }), false);
+    assert.equal(matchesFilter(story, { title: /dragon$/i }), true);
+  });
+
+  it('supports $elemMatch', () => {
+    assert.equal(matchesFilter(story, { pages: { $elemMatch: { pageNumber: 1, imageUrl: { $exists: true } } } }), true);
+    assert.equal(matchesFilter(story, { pages: { $elemMatch: { pageNumber: 2, imageUrl: { $exists: true } } } }), false);
+  });
+
+  it('combines conditions with $and, $or and $nor', () => {
+    assert.equal(matchesFilter(story, { $or: [{ genre: 'mystery' }, { isPublic: true }] }), true);
+    assert.equal(matchesFilter(story, { $and: [{ genre: 'fantasy' }, { likes: { $gt: 100 } }] }), false);
+    assert.equal(matchesFilter(story, { $nor: [{ genre: 'mystery' }, { isPublic: false }] }), true);
+  });
+
+  it('matches $text searches on whole words of the text-indexed fields', () => {
+    const textFields = ['title', 'content'];
+    assert.equal(matchesFilter(story, { $text: { $search: 'glow' } }, textFields), true);
+    assert.equal(matchesFilter(story, { $text: { $search: 'robot DRAGON' } }, textFields), true);
+    assert.equal(matchesFilter(story, { $text: { $search: 'drag' } }, textFields), false);
+    assert.equal(matchesFilter(story, { $text: { $search: 'fantasy' } }, textFields), false);
+    assert.equal(matchesFilter(story, { $text: { $search: 'glow' } }, []), false);
+  });
+});
+
+describe('applyUpdate', () => {
+  it('applies update operators', () => {
+    const doc = { likes: 1, tags: ['a'], stats: {}, draft: true };
+    applyUpdate(doc, {
+      $set: { 'stats.views': 5 },
+      $inc: { likes: 2 },
+      $addToSet: { tags: { $each: ['a', 'b'] } },
+      $unset: { draft: '' }
+    });
+    assert.deepEqual(doc, { likes: 3, tags: ['a', 'b'], stats: { views: 5 } });
+  });
+
+  it('pulls matching items and sets plain objects', () => {
+    const doc = { tags: ['a', 'b'], pages: [{ n: 1 }, { n: 2 }] };
+    applyUpdate(doc, { $pull: { tags: 'a', pages: { n: 2 } } });
+    applyUpdate(doc, { title: 'New' });
+    assert.deepEqual(doc, { tags: ['b'], pages: [{ n: 1 }], title: 'New' });
+  });
+
+  it('only applies $setOnInsert when inserting', () => {
+    assert.deepEqual(applyUpdate({}, { $setOnInsert: { count: 0 } }), {});
+    assert.deepEqual(applyUpdate({}, { $setOnInsert: { count: 0 } }, { isInsert: true }), { count: 0 });
+  });
+
+  it('rejects unsupported operators', () => {
+    assert.throws(() => applyUpdate({}, { $rename: { a: 'b' } }), /Unsupported update operator \$rename/);
+  });
+});
+
+describe('sortDocuments', () => {
+  const docs = () => [
+    { title: 'b', likes: 2 },
+    { title: 'a', likes: 2 },
+    { title: 'c', likes: 5 },
+    { title: 'd' }
+  ];
+
+  it('sorts by several keys given as an object', () => {
+    const sorted = sortDocuments(docs(), { likes: -1, title: 1 });
+    assert.deepEqual(sorted.map(doc => doc.title), ['c', 'a', 'b', 'd']);
+  });
+
+  it('sorts by a space-separated string', () => {
+    const sorted = sortDocuments(docs(), '-likes -title');
+    assert.deepEqual(sorted.map(doc => doc.title), ['c', 'b', 'a', 'd']);
+  });
+
+  it('leaves documents in place without a sort', () => {
+    assert.deepEqual(sortDocuments(docs(), null).map(doc => doc.title), ['b', 'a', 'c', 'd']);
+  });
+});
+
+describe('project', () => {
+  it('includes the selected fields and _id', () => {
+    assert.deepEqual(project(story, 'title stats.views'), { _id: story._id, title: story.title, stats: { views: 40 } });
+  });
+
+  it('excludes fields', () => {
+    const projected = project(story, { content: 0, _id: 0 });
+    assert.equal('content' in projected, false);
+    assert.equal('_id' in projected, false);
+    assert.equal(projected.title, story.title);
+  });
+});
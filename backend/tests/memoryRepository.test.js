@@ -0,0 +1,138 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Storybook = require('../models/Storybook');
+const User = require('../models/User');
+const Story = require('../models/Story');
+const StoryRevision = require('../models/StoryRevision');
+const { createMemoryRepository, clearMemoryStorage } = require('../repositories/memoryRepository');
+
+const storybookRepository = createMemoryRepository(Storybook);
+const userRepository = createMemoryRepository(User);
+const storyRepository = createMemoryRepository(Story);
+const storyRevisionRepository = createMemoryRepository(StoryRevision);
+
+function createStorybook(pages) {
+  return storybookRepository.create({
+    storyId: new mongoose.Types.ObjectId(),
+    title: 'The Brave Little Dragon',
+    creatorId: 'u1',
+    creatorName: 'Alice',
+    pages
+  });
+}
+
+function createUser(uid, email = `${uid}@example.com`) {
+  return userRepository.create({ uid, email, displayName: uid });
+}
+
+describe('memory repository saves', () => {
+  afterEach(() => clearMemoryStorage());
+
+  it('sets the fields the model derives before saving', async () => {
+    const storybook = await createStorybook([
+      { pageNumber: 1, content: 'One', imageUrl: '/api/images/page-1.png', duration: 1.384 },
+      { pageNumber: 2, content: 'Two', imageUrl: '/api/images/page-2.png', duration: 1.384 },
+      { pageNumber: 3, content: 'Three', imageUrl: '/api/images/page-3.png', duration: 1.384 }
+    ]);
+
+    assert.equal(storybook.totalDuration, 4.152);
+    assert.equal(storybook.thumbnail, '/api/images/page-1.png?w=256&format=webp');
+
+    const stored = await storybookRepository.findById(storybook._id, { lean: true });
+    assert.equal(stored.totalDuration, 4.152);
+    assert.equal(stored.thumbnail, storybook.thumbnail);
+  });
+
+  it('derives the fields again when a document is saved again', async () => {
+    const storybook = await createStorybook([
+      { pageNumber: 1, content: 'One', imageUrl: '/api/images/page-1.png', duration: 2 }
+    ]);
+    storybook.pages.push({ pageNumber: 2, content: 'Two', imageUrl: '/api/images/page-2.png' });
+    await storybookRepository.save(storybook);
+
+    const stored = await storybookRepository.findById(storybook._id, { lean: true });
+    assert.equal(stored.totalDuration, 7);
+  });
+
+  it('rejects saves the model refuses', async () => {
+    const revision = await storyRevisionRepository.create({
+      storyId: new mongoose.Types.ObjectId(),
+      number: 1,
+      title: 'The Brave Little Dragon',
+      content: 'Once upon a time.',
+      wordCount: 4,
+      source: 'initial',
+      authorId: 'u1'
+    });
+
+    revision.title = 'Changed';
+    await assert.rejects(storyRevisionRepository.save(revision), /Story revisions are immutable/);
+    assert.equal((await storyRevisionRepository.findById(revision._id, { lean: true })).title, 'The Brave Little Dragon');
+  });
+
+  it('sets timestamps on create and the update time on every save', async () => {
+    const storybook = await createStorybook([
+      { pageNumber: 1, content: 'One', imageUrl: '/api/images/page-1.png' }
+    ]);
+    const { createdAt, updatedAt } = storybook;
+    assert.ok(createdAt instanceof Date);
+    assert.equal(updatedAt.getTime(), createdAt.getTime());
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    storybook.title = 'Renamed';
+    await storybookRepository.save(storybook);
+
+    const stored = await storybookRepository.findById(storybook._id, { lean: true });
+    assert.equal(stored.createdAt.getTime(), createdAt.getTime());
+    assert.ok(stored.updatedAt.getTime() > createdAt.getTime());
+  });
+
+  it('rejects documents that fail validation', async () => {
+    await assert.rejects(createStorybook([{ pageNumber: 1, content: 'One' }]), { name: 'ValidationError' });
+    assert.equal(await storybookRepository.count(), 0);
+  });
+
+  it('enforces unique indexes', async () => {
+    await createUser('u1', 'same@example.com');
+    await assert.rejects(createUser('u2', 'same@example.com'), { code: 11000 });
+  });
+});
+
+describe('memory repository queries', () => {
+  afterEach(() => clearMemoryStorage());
+
+  async function createStories() {
+    const base = { genre: 'fantasy', length: 'short', prompt: 'A story', creatorId: 'u1', creatorName: 'Alice', wordCount: 60, estimatedReadingTime: 1 };
+    for (const [title, likes] of [['Dragon Night', 3], ['Moon Song', 9], ['Robot Garden', 5], ['Sleepy Dragon', 1]]) {
+      await storyRepository.create({ ...base, title, likes, content: `${title}. ${'Once upon a time. '.repeat(10)}` });
+    }
+  }
+
+  it('sorts, skips and limits results', async () => {
+    await createStories();
+
+    const page = await storyRepository.find({}, { sort: { likes: -1 }, skip: 1, limit: 2, lean: true });
+    assert.deepEqual(page.map(story => story.title), ['Robot Garden', 'Dragon Night']);
+
+    const rest = await storyRepository.find({}, { sort: '-likes', skip: 3, lean: true });
+    assert.deepEqual(rest.map(story => story.title), ['Sleepy Dragon']);
+  });
+
+  it('answers $text searches from the model text index', async () => {
+    await createStories();
+
+    const found = await storyRepository.find({ $text: { $search: 'dragon' } }, { sort: 'title', lean: true });
+    assert.deepEqual(found.map(story => story.title), ['Dragon Night', 'Sleepy Dragon']);
+  });
+
+  it('applies updates and bumps the update timestamp', async () => {
+    await createStories();
+    const before = await storyRepository.findOne({ title: 'Moon Song' }, { lean: true });
+
+    await storyRepository.updateOne({ title: 'Moon Song' }, { $inc: { likes: 1 } });
+    const after = await storyRepository.findOne({ title: 'Moon Song' }, { lean: true });
+    assert.equal(after.likes, 10);
+    assert.ok(after.updatedAt.getTime() >= before.updatedAt.getTime());
+  });
+});
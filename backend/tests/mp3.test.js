@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFrameHeader, readAudioFrames, getMp3Duration, mergeMp3Buffers } = require('../utils/mp3');
+
+// MPEG-1 Layer III, 44.1 kHz stereo, no CRC: 1152 samples per frame
+const HEADER_128K = [0xFF, 0xFB, 0x90, 0x00];
+const HEADER_160K = [0xFF, 0xFB, 0xA0, 0x00];
+const FRAME_SECONDS = 1152 / 44100;
+
+function frame(header) {
+  const { length } = readFrameHeader(Buffer.from(header), 0);
+  const bytes = Buffer.alloc(length, 0x55);
+  Buffer.from(header).copy(bytes, 0);
+  return bytes;
+}
+
+function mp3(frameCount, header = HEADER_128K) {
+  return Buffer.concat(Array.from({ length: frameCount }, () => frame(header)));
+}
+
+// ID3v2 tag with a syncsafe size
+function id3Tag(size) {
+  const tag = Buffer.alloc(10 + size);
+  tag.write('ID3', 0, 'latin1');
+  tag[3] = 4;
+  tag[9] = size & 0x7F;
+  tag[8] = (size >> 7) & 0x7F;
+  return tag;
+}
+
+describe('readFrameHeader', () => {
+  it('reads an MPEG-1 Layer III header', () => {
+    assert.deepEqual(readFrameHeader(Buffer.from(HEADER_128K), 0), {
+      version: 1,
+      layer: 3,
+      bitrate: 128000,
+      bitrateIndex: 9,
+      sampleRate: 44100,
+      samples: 1152,
+      channelMode: 0,
+      hasCrc: false,
+      length: 417
+    });
+  });
+
+  it('rejects bytes that are not a frame header', () => {
+    assert.equal(readFrameHeader(Buffer.from([0x49, 0x44, 0x33, 0x04]), 0), null);
+    assert.equal(readFrameHeader(Buffer.from([0xFF, 0xFB, 0xF0, 0x00]), 0), null);
+    assert.equal(readFrameHeader(Buffer.from([0xFF, 0xFB]), 0), null);
+  });
+});
+
+describe('readAudioFrames', () => {
+  it('skips ID3 tags and junk between frames', () => {
+    const buffer = Buffer.concat([id3Tag(200), mp3(2), Buffer.from([0x00, 0x12, 0x34]), mp3(1)]);
+    const frames = readAudioFrames(buffer);
+
+    assert.equal(frames.length, 3);
+    assert.deepEqual(frames.map(item => item.offset), [210, 627, 1047]);
+    assert.equal(getMp3Duration(buffer), 3 * FRAME_SECONDS);
+  });
+
+  it('finds nothing in data without frames', () => {
+    assert.deepEqual(readAudioFrames(Buffer.from('not audio at all')), []);
+    assert.equal(getMp3Duration(Buffer.alloc(0)), 0);
+  });
+});
+
+describe('mergeMp3Buffers', () => {
+  it('joins parts behind one Info frame with the total frame count', () => {
+    const { buffer, duration, frameCount } = mergeMp3Buffers([Buffer.concat([id3Tag(50), mp3(3)]), mp3(2)]);
+
+    assert.equal(frameCount, 5);
+    assert.equal(duration, 5 * FRAME_SECONDS);
+
+    // Side information of a stereo MPEG-1 frame takes 32 bytes after the 4-byte header
+    assert.equal(buffer.toString('latin1', 36, 40), 'Info');
+    assert.equal(buffer.readUInt32BE(44), 5);
+    assert.equal(buffer.readUInt32BE(48), buffer.length);
+
+    // The Info frame is metadata, so the merged file reads back as the same audio
+    assert.equal(readAudioFrames(buffer).length, 5);
+    assert.equal(getMp3Duration(buffer), duration);
+    assert.equal(buffer.includes(Buffer.from('ID3')), false);
+  });
+
+  it('marks parts with different bitrates as VBR', () => {
+    const { buffer, frameCount } = mergeMp3Buffers([mp3(2), mp3(2, HEADER_160K)]);
+
+    assert.equal(frameCount, 4);
+    assert.equal(buffer.toString('latin1', 36, 40), 'Xing');
+  });
+
+  it('drops the Info frames of the parts', () => {
+    const once = mergeMp3Buffers([mp3(2), mp3(2)]);
+    const twice = mergeMp3Buffers([once.buffer, mp3(1)]);
+
+    assert.equal(twice.frameCount, 5);
+    assert.equal(twice.buffer.readUInt32BE(44), 5);
+  });
+
+  it('returns an empty file when no part has audio', () => {
+    assert.deepEqual(mergeMp3Buffers([Buffer.from('junk')]), { buffer: Buffer.alloc(0), duration: 0, frameCount: 0 });
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildNarrationTiming,
+  createWebVtt,
+  alignTimingToTexts,
+  getTimingKey,
+  getTimingUrls
+} = require('../utils/narrationTiming');
+
+// Provider alignment where every character takes a tenth of a second
+function evenAlignment(text) {
+  const characters = [...text];
+  return {
+    characters,
+    startTimes: characters.map((_, index) => index / 10),
+    endTimes: characters.map((_, index) => (index + 1) / 10)
+  };
+}
+
+describe('buildNarrationTiming', () => {
+  it('uses provider alignment for word times', () => {
+    const text = 'Hi there. Bye!';
+    const timing = buildNarrationTiming(text, [{ start: 0, end: text.length, startTime: 0, endTime: 1.4, alignment: evenAlignment(text) }]);
+
+    assert.equal(timing.source, 'alignment');
+    assert.equal(timing.duration, 1.4);
+    assert.deepEqual(timing.words, [
+      { text: 'Hi', start: 0, end: 2, startTime: 0, endTime: 0.2 },
+      { text: 'there', start: 3, end: 8, startTime: 0.3, endTime: 0.8 },
+      { text: 'Bye', start: 10, end: 13, startTime: 1, endTime: 1.3 }
+    ]);
+    assert.deepEqual(timing.sentences, [
+      { text: 'Hi there.', start: 0, end: 9, startTime: 0, endTime: 0.8 },
+      { text: 'Bye!', start: 10, end: 14, startTime: 1, endTime: 1.3 }
+    ]);
+  });
+
+  it('estimates word times within each segment when there is no alignment', () => {
+    const text = 'The dragon slept. Luna woke up, then sang.';
+    const segments = [
+      { start: 0, end: 17, startTime: 0, endTime: 2 },
+      { start: 18, end: text.length, startTime: 2, endTime: 5 }
+    ];
+    const timing = buildNarrationTiming(text, segments);
+
+    assert.equal(timing.source, 'estimated');
+    assert.equal(timing.duration, 5);
+    assert.deepEqual(timing.words.map(word => word.text), ['The', 'dragon', 'slept', 'Luna', 'woke', 'up', 'then', 'sang']);
+    timing.words.forEach((word, index) => {
+      const segment = word.start < 17 ? segments[0] : segments[1];
+      assert.ok(word.startTime >= segment.startTime && word.endTime <= segment.endTime);
+      assert.ok(word.startTime < word.endTime);
+      if (index > 0) assert.ok(word.startTime >= timing.words[index - 1].endTime);
+    });
+    assert.deepEqual(timing.sentences.map(sentence => sentence.text), ['The dragon slept.', 'Luna woke up, then sang.']);
+  });
+
+  it('reports mixed sources', () => {
+    const text = 'One two. Three four.';
+    const timing = buildNarrationTiming(text, [
+      { start: 0, end: 8, startTime: 0, endTime: 0.8, alignment: evenAlignment(text.substring(0, 8)) },
+      { start: 9, end: text.length, startTime: 0.8, endTime: 2 }
+    ]);
+
+    assert.equal(timing.source, 'mixed');
+  });
+
+  it('keeps closing quotes and brackets with the sentence they end', () => {
+    const text = '"I can glow!" said the dragon. (It was late.) Everyone slept.';
+    const timing = buildNarrationTiming(text, [{ start: 0, end: text.length, startTime: 0, endTime: 6 }]);
+
+    assert.deepEqual(timing.sentences.map(sentence => sentence.text), [
+      '"I can glow!"',
+      'said the dragon.',
+      '(It was late.)',
+      'Everyone slept.'
+    ]);
+  });
+});
+
+describe('createWebVtt', () => {
+  it('writes one cue per sentence with timestamps before all but the first word', () => {
+    const text = 'Hi there. Bye & go!';
+    const timing = buildNarrationTiming(text, [{ start: 0, end: text.length, startTime: 0, endTime: 1.9, alignment: evenAlignment(text) }]);
+
+    assert.equal(createWebVtt(timing), [
+      'WEBVTT',
+      '',
+      '1',
+      '00:00:00.000 --> 00:00:00.800',
+      'Hi <00:00:00.300>there.',
+      '',
+      '2',
+      '00:00:01.000 --> 00:00:01.800',
+      'Bye &amp; <00:00:01.600>go!',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('alignTimingToTexts', () => {
+  const narration = 'Page one. Mister Fox ran. Page two ends here.';
+  const timing = buildNarrationTiming(narration, [{ start: 0, end: narration.length, startTime: 0, endTime: 4.5, alignment: evenAlignment(narration) }]);
+
+  it('matches the words of each text in order', () => {
+    const [first, second] = alignTimingToTexts(timing, ['Page one.', 'Page two ends here.']);
+
+    assert.equal(first.startTime, 0);
+    assert.equal(first.endTime, 0.8);
+    assert.equal(second.startTime, 2.6);
+    assert.equal(second.endTime, 4.4);
+  });
+
+  it('interpolates words the narration changed', () => {
+    const [page] = alignTimingToTexts(timing, ['Page one. Mr. Fox ran.']);
+    const mr = page.words[2];
+
+    assert.deepEqual({ start: mr.start, end: mr.end }, { start: 10, end: 12 });
+    assert.ok(mr.startTime >= 0.8 && mr.endTime <= 1.7);
+    assert.equal(page.endTime, 2.4);
+  });
+
+  it('leaves texts that were not narrated untimed', () => {
+    const [page] = alignTimingToTexts(timing, ['Completely different words']);
+    assert.equal(page.startTime, null);
+    assert.equal(page.endTime, null);
+  });
+});
+
+describe('timing files', () => {
+  it('names timing data after the narration file', () => {
+    assert.equal(getTimingKey('narration-1.mp3'), 'audio/narration-1.timing.json');
+    assert.deepEqual(getTimingUrls('narration-1.mp3'), {
+      timingUrl: '/api/audio/narration-1.mp3/timing',
+      captionsUrl: '/api/audio/narration-1.mp3/captions.vtt'
+    });
+  });
+});
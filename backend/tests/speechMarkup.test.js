@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseSpeechMarkup,
+  stripSpeechMarkup,
+  maskSpeechMarkup,
+  hasSpeechMarks,
+  splitByRate,
+  compileSpeech,
+  hashSpeech
+} = require('../utils/speechMarkup');
+
+const MARKED = 'The door creaked. [pause 2s] Then [emphasis]nothing[/emphasis] moved. [slow]Very slowly[/slow] it opened.';
+const LEXICON = [{ term: 'door', respelling: 'dor', ipa: 'dɔːr' }];
+
+describe('parseSpeechMarkup', () => {
+  it('takes tags out of the text and records them as offsets into the plain text', () => {
+    assert.deepEqual(parseSpeechMarkup(MARKED), {
+      text: 'The door creaked. Then nothing moved. Very slowly it opened.',
+      marks: {
+        pauses: [{ offset: 17, seconds: 2 }],
+        emphasis: [{ start: 23, end: 30 }],
+        rates: [{ start: 38, end: 49, rate: 0.8 }]
+      }
+    });
+  });
+
+  it('clamps rates and pauses, ends a rate when another opens and closes tags left open', () => {
+    assert.deepEqual(parseSpeechMarkup('[rate 3]Fast [fast]faster [pause 300ms] done. [em]open'), {
+      text: 'Fast faster done. open',
+      marks: {
+        pauses: [{ offset: 11, seconds: 0.3 }],
+        emphasis: [{ start: 18, end: 22 }],
+        rates: [{ start: 0, end: 4, rate: 2 }, { start: 5, end: 22, rate: 1.2 }]
+      }
+    });
+  });
+
+  it('ignores pauses before any text and rates of 1', () => {
+    const { text, marks } = parseSpeechMarkup('[pause] Hello [rate 1]there[/rate].');
+    assert.equal(text, 'Hello there.');
+    assert.equal(hasSpeechMarks(marks), false);
+  });
+
+  it('leaves text without markup unchanged', () => {
+    assert.equal(stripSpeechMarkup('Plain [text] stays.'), 'Plain [text] stays.');
+  });
+});
+
+describe('maskSpeechMarkup', () => {
+  it('replaces tags with spaces so offsets still point into the marked-up text', () => {
+    const masked = maskSpeechMarkup(MARKED);
+    assert.equal(masked.length, MARKED.length);
+    assert.equal(masked.indexOf('nothing'), MARKED.indexOf('nothing'));
+    assert.equal(masked.includes('['), false);
+  });
+});
+
+describe('splitByRate', () => {
+  it('covers a range with the rate in effect for each part', () => {
+    const { marks } = parseSpeechMarkup(MARKED);
+    assert.deepEqual(splitByRate(marks, 30, 55), [
+      { start: 30, end: 38, rate: 1 },
+      { start: 38, end: 49, rate: 0.8 },
+      { start: 49, end: 55, rate: 1 }
+    ]);
+    assert.deepEqual(splitByRate(null, 0, 10), [{ start: 0, end: 10, rate: 1 }]);
+  });
+});
+
+describe('compileSpeech', () => {
+  const speech = { ...parseSpeechMarkup(MARKED), lexicon: LEXICON };
+
+  it('renders marks with punctuation and respellings for OpenAI', () => {
+    assert.equal(compileSpeech(speech, 'openai'), 'The dor creaked. ... ... Then — nothing — moved. Very slowly it opened.');
+  });
+
+  it('renders breaks and phonemes for ElevenLabs', () => {
+    assert.equal(
+      compileSpeech(speech, 'elevenlabs'),
+      'The <phoneme alphabet="ipa" ph="dɔːr">door</phoneme> creaked. <break time="2s" /> Then — nothing — moved. Very slowly it opened.'
+    );
+  });
+
+  it('splits pauses longer than a provider allows', () => {
+    const long = { ...parseSpeechMarkup('Wait. [pause 5s] Go.'), lexicon: [] };
+    assert.equal(compileSpeech(long, 'elevenlabs'), 'Wait. <break time="3s" /> <break time="2s" /> Go.');
+  });
+
+  it('compiles only the selected part of the text', () => {
+    assert.equal(compileSpeech({ ...speech, start: 18, end: 37 }, 'openai'), 'Then — nothing — moved.');
+  });
+
+  it('returns the plain text when nothing applies', () => {
+    assert.equal(compileSpeech({ text: 'Just words.', marks: null, lexicon: [] }, 'openai'), 'Just words.');
+  });
+});
+
+describe('hashSpeech', () => {
+  it('is empty without marks or pronunciations and stable otherwise', () => {
+    const { marks } = parseSpeechMarkup(MARKED);
+
+    assert.equal(hashSpeech({ pauses: [], emphasis: [], rates: [] }, []), '');
+    assert.match(hashSpeech(marks, LEXICON), /^[0-9a-f]{64}$/);
+    assert.equal(hashSpeech(marks, LEXICON), hashSpeech(parseSpeechMarkup(MARKED).marks, LEXICON));
+    assert.notEqual(hashSpeech(marks, LEXICON), hashSpeech(marks, []));
+  });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { guessLength, exportStory, parseFrontMatter, parseStoryFile } = require('../utils/storyFormats');
+
+const STORY = {
+  title: 'The "Brave" Dragon',
+  genre: 'fantasy',
+  length: 'short',
+  tags: ['dragons', 'bed, time'],
+  prompt: 'A dragon: who glows',
+  creatorName: 'Alice',
+  createdAt: new Date('2024-03-01T10:00:00Z'),
+  content: 'Chapter 1: The Cave\nOnce upon a time.\n\nChapter 2: Light\nIt glowed.',
+  wordCount: 10,
+  estimatedReadingTime: 1
+};
+
+const PARSED = {
+  title: STORY.title,
+  content: STORY.content,
+  genre: 'fantasy',
+  length: 'short',
+  prompt: 'A dragon: who glows',
+  tags: ['dragons', 'bed, time']
+};
+
+describe('guessLength', () => {
+  it('picks the closest length option', () => {
+    assert.equal(guessLength(800), 'short');
+    assert.equal(guessLength(1300), 'short');
+    assert.equal(guessLength(2000), 'medium');
+    assert.equal(guessLength(4000), 'long');
+    assert.equal(guessLength(9000), 'very long');
+  });
+});
+
+describe('exportStory', () => {
+  it('writes Markdown with quoted front matter and chapter headings', () => {
+    assert.equal(exportStory(STORY, 'md'), [
+      '---',
+      'title: "The \\"Brave\\" Dragon"',
+      'genre: fantasy',
+      'length: short',
+      'tags: ["dragons", "bed, time"]',
+      'prompt: "A dragon: who glows"',
+      'author: "Alice"',
+      'created: 2024-03-01T10:00:00.000Z',
+      '---',
+      '',
+      '# The "Brave" Dragon',
+      '',
+      '## Chapter 1: The Cave',
+      'Once upon a time.',
+      '',
+      '## Chapter 2: Light',
+      'It glowed.',
+      ''
+    ].join('\n'));
+  });
+
+  it('writes plain text with a credit line', () => {
+    assert.equal(exportStory(STORY, 'txt'), `The "Brave" Dragon\nby Alice\n\n${STORY.content}\n`);
+  });
+});
+
+describe('parseStoryFile', () => {
+  it('reads back every exported format', () => {
+    assert.deepEqual(parseStoryFile(exportStory(STORY, 'md'), 'md'), PARSED);
+    assert.deepEqual(parseStoryFile(exportStory(STORY, 'json'), 'json'), PARSED);
+    assert.deepEqual(parseStoryFile(exportStory(STORY, 'txt'), 'txt'), { title: STORY.title, content: STORY.content, tags: [] });
+  });
+
+  it('reads Markdown without front matter, with Windows line endings and a byte order mark', () => {
+    const parsed = parseStoryFile('\uFEFF# Moon Song\r\n\r\n### Part One\r\nThe moon sang.\r\n', 'md');
+
+    assert.equal(parsed.title, 'Moon Song');
+    assert.equal(parsed.content, 'Part One\nThe moon sang.');
+    assert.deepEqual(parsed.tags, []);
+    assert.equal(parsed.genre, undefined);
+  });
+
+  it('takes the first non-empty line of a text file as the title', () => {
+    assert.deepEqual(parseStoryFile('\n\nMoon Song\nThe moon sang.', 'txt'), { title: 'Moon Song', content: 'The moon sang.', tags: [] });
+  });
+
+  it('splits comma-separated JSON tags', () => {
+    assert.deepEqual(parseStoryFile('{"title":"T","content":"C","tags":"a, b,,c"}', 'json').tags, ['a', 'b', 'c']);
+  });
+
+  it('rejects files it cannot read', () => {
+    assert.throws(() => parseStoryFile('{oops', 'json'), /File is not valid JSON/);
+    assert.throws(() => parseStoryFile('[1, 2]', 'json'), /JSON file must contain a story object/);
+    assert.throws(() => parseStoryFile('  \n ', 'txt'), /File is empty/);
+    assert.throws(() => parseStoryFile('---\ntitle: "broken\n---\nText', 'md'), /Invalid quoted value in front matter/);
+  });
+});
+
+describe('parseFrontMatter', () => {
+  it('reads plain and quoted values, flow lists and block lists', () => {
+    assert.deepEqual(parseFrontMatter('title: Plain title\ntags:\n  - one\n  - "two"\nnote: \'it\'\'s\'\n# comment\nlist: [a, \'b, c\']'), {
+      title: 'Plain title',
+      tags: ['one', 'two'],
+      note: 'it\'s',
+      list: ['a', 'b, c']
+    });
+  });
+
+  it('rejects lines that are not key-value pairs', () => {
+    assert.throws(() => parseFrontMatter('title: Fine\njust some text'), /Could not read front matter line 2/);
+  });
+});
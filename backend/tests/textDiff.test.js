@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffWords, tokenize } = require('../utils/textDiff');
+
+// Each side of a diff rebuilt from its segments
+function rebuild(segments, skippedType) {
+  return segments.filter(segment => segment.type !== skippedType).map(segment => segment.text).join('');
+}
+
+describe('tokenize', () => {
+  it('keeps leading whitespace with each word so the text can be rebuilt', () => {
+    const text = 'Once upon\n\na  time. ';
+    assert.deepEqual(tokenize(text), ['Once', ' upon', '\n\na', '  time.', ' ']);
+    assert.equal(tokenize(text).join(''), text);
+  });
+
+  it('returns no tokens for empty text', () => {
+    assert.deepEqual(tokenize(''), []);
+    assert.deepEqual(tokenize(null), []);
+  });
+});
+
+describe('diffWords', () => {
+  it('marks a replaced word', () => {
+    const { segments, stats, truncated } = diffWords('The brave dragon slept.', 'The tiny dragon slept.');
+
+    assert.deepEqual(segments, [
+      { type: 'equal', text: 'The' },
+      { type: 'delete', text: ' brave' },
+      { type: 'insert', text: ' tiny' },
+      { type: 'equal', text: ' dragon slept.' }
+    ]);
+    assert.deepEqual(stats, { inserted: 1, deleted: 1, unchanged: 3 });
+    assert.equal(truncated, false);
+  });
+
+  it('does not mark the last word as changed when text is appended', () => {
+    const { segments } = diffWords('The dragon slept.', 'The dragon slept. Then it woke.');
+
+    assert.deepEqual(segments, [
+      { type: 'equal', text: 'The dragon slept.' },
+      { type: 'insert', text: ' Then it woke.' }
+    ]);
+  });
+
+  it('produces segments that rebuild both texts', () => {
+    const from = 'Luna found a map.\n\nIt led to the old mill by the river.';
+    const to = 'Luna found a torn map.\n\nIt led past the mill, down to the river.';
+    const { segments } = diffWords(from, to);
+
+    assert.equal(rebuild(segments, 'insert'), from);
+    assert.equal(rebuild(segments, 'delete'), to);
+  });
+
+  it('reports identical texts as unchanged', () => {
+    const { segments, stats } = diffWords('Same words here.', 'Same words here.');
+
+    assert.deepEqual(segments, [{ type: 'equal', text: 'Same words here.' }]);
+    assert.deepEqual(stats, { inserted: 0, deleted: 0, unchanged: 3 });
+  });
+
+  it('falls back to replacing the changed region when the texts differ too much', () => {
+    const from = Array.from({ length: 1600 }, (_, index) => `old${index}`).join(' ');
+    const to = Array.from({ length: 1600 }, (_, index) => `new${index}`).join(' ');
+    const { segments, stats, truncated } = diffWords(from, to);
+
+    assert.equal(truncated, true);
+    assert.deepEqual(segments.map(segment => segment.type), ['delete', 'insert']);
+    assert.deepEqual(stats, { inserted: 1600, deleted: 1600, unchanged: 0 });
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidVoice,
+  normalizeVoiceCast,
+  normalizeSpeakerName,
+  getSpeakerVoice,
+  hashVoiceCast
+} = require('../utils/voiceCast');
+
+const CAST = normalizeVoiceCast({
+  narrator: { voice: 'fable' },
+  characters: [
+    { name: 'Ember', aliases: ['the dragon'], voice: 'onyx' },
+    { name: 'Luna', provider: 'elevenlabs', voice: 'female' }
+  ]
+});
+
+describe('voice casts', () => {
+  it('checks voices per provider', () => {
+    assert.equal(isValidVoice('openai', 'nova'), true);
+    assert.equal(isValidVoice('openai', 'child'), true);
+    assert.equal(isValidVoice('openai', 'Rachel'), false);
+    assert.equal(isValidVoice('elevenlabs', '21m00Tcm4TlvDq8ikWAM'), true);
+    assert.equal(isValidVoice('elevenlabs', 'nova'), false);
+    assert.equal(isValidVoice('azure', 'nova'), false);
+  });
+
+  it('fills in default providers and trims names', () => {
+    const cast = normalizeVoiceCast({ characters: [{ name: '  Ember ', aliases: [' the dragon ', '', 3], voice: 'onyx' }] });
+
+    assert.deepEqual(cast.characters, [{ name: 'Ember', aliases: ['the dragon'], provider: 'openai', voice: 'onyx' }]);
+    assert.equal(cast.narrator, undefined);
+  });
+
+  it('rejects invalid casts', () => {
+    assert.throws(() => normalizeVoiceCast([]), /Voice cast must be an object/);
+    assert.throws(() => normalizeVoiceCast({ characters: [{ name: '', voice: 'onyx' }] }), /Character 1 needs a name/);
+    assert.throws(() => normalizeVoiceCast({ characters: [{ name: 'Ember', voice: 'Rachel' }] }), /Ember needs a valid openai voice/);
+    assert.throws(() => normalizeVoiceCast({
+      characters: [{ name: 'Ember', voice: 'onyx' }, { name: 'Spark', aliases: ['ember'], voice: 'nova' }]
+    }), /"ember" is used for more than one character/);
+  });
+
+  it('normalizes speaker names for matching', () => {
+    assert.equal(normalizeSpeakerName('  The   Old Dragon '), 'old dragon');
+  });
+
+  it('picks the cast voice for cast speakers and the narrator otherwise', () => {
+    assert.deepEqual(getSpeakerVoice(CAST, 'The Dragon', 'alloy'), { speaker: 'Ember', voice: 'onyx', provider: 'openai' });
+    assert.deepEqual(getSpeakerVoice(CAST, 'Tom', 'alloy'), { speaker: null, voice: 'fable', provider: 'openai' });
+    assert.deepEqual(getSpeakerVoice(null, null, 'alloy'), { speaker: null, voice: 'alloy', provider: null });
+  });
+
+  it('fingerprints casts by their voices', () => {
+    assert.equal(hashVoiceCast(null), '');
+    assert.equal(hashVoiceCast(CAST), hashVoiceCast(normalizeVoiceCast(CAST)));
+    assert.notEqual(hashVoiceCast(CAST), hashVoiceCast({ ...CAST, narrator: { provider: 'openai', voice: 'nova' } }));
+  });
+});
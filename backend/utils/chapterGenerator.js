@@ -0,0 +1,254 @@
+/**
+ * Long-form Story Generation
+ * Plans a story as an outline of chapters with beats, then writes each chapter with the
+ * outline and a running summary as context so long stories keep their length and thread
+ */
+
+const { runWithFailover } = require('./textProviders');
+
+// Chapter count per length option; totals match the single-pass word targets
+const CHAPTER_PLANS = {
+  short: { chapters: 2, words: 800 },
+  medium: { chapters: 3, words: 1800 },
+  long: { chapters: 5, words: 3500 },
+  'very long': { chapters: 8, words: 5500 }
+};
+
+const PREVIOUS_ENDING_WORDS = 150;
+
+function getChapterPlan(length) {
+  const plan = CHAPTER_PLANS[length] || CHAPTER_PLANS.medium;
+  return {
+    chapterCount: plan.chapters,
+    wordsPerChapter: Math.round(plan.words / plan.chapters)
+  };
+}
+
+function countWords(text) {
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Generate a structured outline for a long-form story
+ * @param {Object} options - Story options
+ * @param {string} options.prompt - Story prompt
+ * @param {string} options.genre - Story genre
+ * @param {string} options.length - Length option, decides the number of chapters
+ * @param {AbortSignal} options.signal - Stops generation when the client goes away
+ * @returns {Object} - { title, logline, chapters: [{ number, title, summary, beats }], provider }
+ */
+async function generateOutline({ prompt, genre, length, signal }) {
+  const { chapterCount, wordsPerChapter } = getChapterPlan(length);
+
+  const result = await runWithFailover('generate', {
+    system: 'You are an experienced story editor who plans well-structured, family-friendly stories. You always answer with valid JSON only.',
+    prompt: `Plan a ${genre} story in exactly ${chapterCount} chapters of about ${wordsPerChapter} words each.
+
+Story prompt: "${prompt}"
+
+Respond with JSON in this exact shape:
+{
+  "title": "Story title",
+  "logline": "One sentence describing the whole story",
+  "chapters": [
+    { "title": "Chapter title", "summary": "Two or three sentences on what happens", "beats": ["Key event", "Key event", "Key event"] }
+  ]
+}
+
+Give every chapter 3 to 5 beats. The chapters must build to a clear climax and a satisfying ending.`,
+    maxTokens: 400 + chapterCount * 180,
+    temperature: 0.7,
+    signal
+  }, {
+    isAcceptable: (text) => parseOutline(text, chapterCount) !== null
+  });
+
+  if (result) {
+    return { ...parseOutline(result.content, chapterCount), provider: result.provider };
+  }
+
+  console.log('⚠️  All AI providers failed, using template outline');
+  return { ...createTemplateOutline(prompt, genre, chapterCount), provider: 'template' };
+}
+
+// Read the outline JSON from a model response, tolerating code fences and surrounding prose
+function parseOutline(text, chapterCount) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  let outline;
+  try {
+    outline = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+
+  if (!Array.isArray(outline.chapters) || outline.chapters.length < chapterCount) {
+    return null;
+  }
+
+  const chapters = outline.chapters.slice(0, chapterCount).map((chapter, index) => ({
+    number: index + 1,
+    title: String(chapter.title || `Chapter ${index + 1}`).trim().slice(0, 200),
+    summary: String(chapter.summary || '').trim().slice(0, 1000),
+    beats: (Array.isArray(chapter.beats) ? chapter.beats : [])
+      .map(beat => String(beat).trim().slice(0, 300))
+      .filter(Boolean)
+      .slice(0, 8)
+  }));
+
+  if (chapters.some(chapter => !chapter.summary && chapter.beats.length === 0)) {
+    return null;
+  }
+
+  return {
+    title: outline.title ? String(outline.title).trim().slice(0, 200) : null,
+    logline: outline.logline ? String(outline.logline).trim().slice(0, 1000) : '',
+    chapters
+  };
+}
+
+function createTemplateOutline(prompt, genre, chapterCount) {
+  const arc = [
+    { title: 'The Beginning', summary: `We meet the hero and the world of the story as ${prompt} first comes into view.`, beats: ['Introduce the hero and their everyday life', 'Hint at something unusual', 'An unexpected event changes everything'] },
+    { title: 'The Call', summary: 'The hero decides to act and sets out into the unknown.', beats: ['The hero hesitates', 'A friend or mentor offers help', 'The journey begins'] },
+    { title: 'Trials and Discoveries', summary: 'Challenges test the hero and reveal new allies and secrets.', beats: ['A first challenge is overcome', 'A surprising discovery', 'A new ally joins'] },
+    { title: 'The Turning Point', summary: 'A revelation changes what the hero thought they knew.', beats: ['A hidden truth comes out', 'Plans fall apart', 'The hero chooses a new path'] },
+    { title: 'The Darkest Hour', summary: 'Everything seems lost as the greatest obstacle appears.', beats: ['The obstacle appears', 'The hero doubts themselves', 'A small spark of hope'] },
+    { title: 'The Final Challenge', summary: 'The hero faces the heart of the problem using everything they have learned.', beats: ['Allies gather', 'The confrontation', 'A brave choice decides the outcome'] },
+    { title: 'Resolution', summary: 'The consequences of the final challenge settle.', beats: ['Loose ends are tied up', 'Friends celebrate', 'The hero reflects on the journey'] },
+    { title: 'A New Dawn', summary: 'Life goes on, changed for the better.', beats: ['A glimpse of the future', 'A lesson carried forward', 'A closing image'] }
+  ];
+
+  // Keep the first and last beats of the arc and sample the middle for shorter stories
+  const picks = chapterCount >= arc.length
+    ? arc.map((_, index) => index)
+    : Array.from({ length: chapterCount }, (_, index) => Math.round(index * (arc.length - 1) / Math.max(chapterCount - 1, 1)));
+
+  return {
+    title: null,
+    logline: `A ${genre} story about ${prompt}.`,
+    chapters: picks.map((arcIndex, index) => ({
+      number: index + 1,
+      ...arc[arcIndex]
+    }))
+  };
+}
+
+/**
+ * Write one chapter using the outline, earlier chapters and the next chapter's plan as context
+ * @param {Object} story - Story fields: prompt, genre, title, outline.logline and chapters
+ * @param {number} chapterNumber - 1-based chapter number
+ * @param {Object} options - Generation options
+ * @param {string} options.guidance - Extra instructions from the author, used when regenerating
+ * @param {boolean} options.allowTemplate - Fall back to template text when every provider fails
+ * @param {AbortSignal} options.signal - Stops generation when the client goes away
+ * @returns {Object|null} - { content, provider } or null when no provider succeeded and templates are not allowed
+ */
+async function generateChapter(story, chapterNumber, { guidance, allowTemplate = true, signal } = {}) {
+  const chapters = story.chapters;
+  const chapter = chapters[chapterNumber - 1];
+  const previous = chapters[chapterNumber - 2];
+  const next = chapters[chapterNumber];
+  const { wordsPerChapter } = getChapterPlan(story.length);
+
+  const outlineText = chapters
+    .map(item => `${item.number}. ${item.title} - ${item.summary}`)
+    .join('\n');
+
+  const storySoFar = chapters
+    .slice(0, chapterNumber - 1)
+    .map(item => `Chapter ${item.number}: ${item.recap || item.summary}`)
+    .join('\n');
+
+  const previousEnding = previous?.content
+    ? previous.content.trim().split(/\s+/).slice(-PREVIOUS_ENDING_WORDS).join(' ')
+    : '';
+
+  const sections = [
+    `Story: "${story.title}" (${story.genre})`,
+    `Original prompt: "${story.prompt}"`,
+    story.outline?.logline ? `Logline: ${story.outline.logline}` : '',
+    `Outline:\n${outlineText}`,
+    storySoFar ? `Story so far:\n${storySoFar}` : 'This is the opening chapter.',
+    previousEnding ? `The previous chapter ended with:\n"...${previousEnding}"` : '',
+    `Now write chapter ${chapter.number}, "${chapter.title}" (about ${wordsPerChapter} words).`,
+    chapter.summary ? `What happens: ${chapter.summary}` : '',
+    chapter.beats?.length ? `Beats to cover, in order:\n${chapter.beats.map(beat => `- ${beat}`).join('\n')}` : '',
+    next ? `The next chapter will be "${next.title}": ${next.summary}. Lead naturally into it without starting it.` : 'This is the final chapter, so bring the story to a satisfying ending.',
+    guidance ? `Author's notes for this chapter: ${guidance}` : '',
+    'Write only the chapter prose. Do not repeat the chapter title or add headings.'
+  ];
+
+  const result = await runWithFailover('generate', {
+    system: 'You are a creative and engaging storyteller writing one chapter of a longer, family-friendly story. Keep characters, names and events consistent with the outline and the story so far.',
+    prompt: sections.filter(Boolean).join('\n\n'),
+    maxTokens: Math.round(wordsPerChapter * 1.6),
+    temperature: 0.8,
+    signal
+  }, {
+    isAcceptable: (content) => countWords(content) >= Math.min(150, wordsPerChapter / 2)
+  });
+
+  if (result) {
+    return { content: stripChapterHeading(result.content, chapter), provider: result.provider };
+  }
+  if (!allowTemplate) {
+    return null;
+  }
+
+  console.log(`⚠️  All AI providers failed, using template text for chapter ${chapterNumber}`);
+  return { content: createTemplateChapter(chapter, wordsPerChapter), provider: 'template' };
+}
+
+// Models often repeat the heading they were given despite being asked not to
+function stripChapterHeading(content, chapter) {
+  const lines = content.trim().split('\n');
+  const heading = lines[0].replace(/[#*_]/g, '').trim().toLowerCase();
+  if (heading.startsWith('chapter') || heading === chapter.title.toLowerCase()) {
+    return lines.slice(1).join('\n').trim();
+  }
+  return content.trim();
+}
+
+function createTemplateChapter(chapter, targetWords) {
+  const beats = chapter.beats?.length ? chapter.beats : [chapter.summary || chapter.title];
+  const paragraphs = beats.map(beat => `${beat.replace(/\.$/, '')}. ${chapter.summary}`);
+
+  let content = paragraphs.join('\n\n');
+  while (countWords(content) < targetWords) {
+    content += `\n\nThe moments that followed were full of wonder and uncertainty. Each choice carried weight, and every step revealed a little more about the world and about the hearts of those who travelled through it. Courage grew quietly, one small decision at a time.`;
+  }
+  return content;
+}
+
+/**
+ * Summarise a written chapter so later chapters can follow what actually happened
+ * @param {Object} chapter - Chapter with title, summary and content
+ * @param {AbortSignal} signal - Stops generation when the client goes away
+ * @returns {string} - Short recap, or the planned summary if no provider is available
+ */
+async function summarizeChapter(chapter, signal) {
+  const result = await runWithFailover('generate', {
+    system: 'You write brief, factual recaps of story chapters.',
+    prompt: `Summarise this chapter in two or three sentences. Mention the characters involved and how the chapter ends.\n\nChapter "${chapter.title}":\n${chapter.content}`,
+    maxTokens: 150,
+    temperature: 0.3,
+    signal
+  }, {
+    isAcceptable: (recap) => recap.length > 20
+  });
+
+  return (result ? result.content : chapter.summary || '').trim().slice(0, 1000);
+}
+
+module.exports = {
+  CHAPTER_PLANS,
+  getChapterPlan,
+  generateOutline,
+  generateChapter,
+  summarizeChapter,
+  countWords
+};
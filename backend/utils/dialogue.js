@@ -0,0 +1,150 @@
+/**
+ * Dialogue Attribution
+ * Finds quoted speech in story text and works out who says it from the words around the quote
+ * ("..." said the dragon, Luna whispered, "..."), so characters can be narrated in their own voices
+ */
+
+const { findCastMember, normalizeSpeakerName } = require('./voiceCast');
+
+const SPEECH_VERBS = [
+  'said', 'says', 'asked', 'asks', 'replied', 'answered', 'whispered', 'shouted', 'cried', 'called',
+  'exclaimed', 'roared', 'growled', 'muttered', 'murmured', 'laughed', 'giggled', 'sang', 'added',
+  'yelled', 'screamed', 'squeaked', 'sighed', 'snapped', 'hissed', 'boomed', 'chirped', 'declared',
+  'explained', 'continued', 'began', 'insisted', 'wondered', 'promised', 'warned', 'agreed', 'grumbled',
+  'squealed', 'purred', 'barked', 'croaked', 'howled', 'pleaded', 'begged', 'told', 'gasped', 'sniffed'
+].join('|');
+
+const PRONOUNS = new Set(['he', 'she', 'they', 'it', 'i', 'we', 'you']);
+
+// A named speaker ("Luna", "Captain Hook"), a described one ("the old dragon") or a pronoun
+const SPEAKER = String.raw`(?:(?:[Tt]he|[Aa]n?)\s+(?:(?:little|old|young|big|wise|tiny|kind|brave|grumpy)\s+)?[\p{L}][\p{L}'’-]*|\p{Lu}[\p{L}'’-]*(?:\s+\p{Lu}[\p{L}'’-]*)?|[Hh]e|[Ss]he|[Tt]hey|[Ii]t|I|[Ww]e)`;
+
+// "...," said the dragon / "...," the dragon said
+const AFTER_QUOTE = [
+  new RegExp(String.raw`^[\s,]*(?:${SPEECH_VERBS})\s+(${SPEAKER})`, 'u'),
+  new RegExp(String.raw`^[\s,]*(${SPEAKER})\s+(?:\p{Ll}+ly\s+)?(?:${SPEECH_VERBS})\b`, 'u')
+];
+
+// Luna whispered, "..." / The dragon said softly: "..."
+const BEFORE_QUOTE = new RegExp(String.raw`(${SPEAKER})\s+(?:${SPEECH_VERBS})(?:\s+\p{Ll}+ly)?(?:\s+to\s+\S+)?\s*[,:]?\s*$`, 'u');
+
+// How far around a quote to look for the speaker
+const ATTRIBUTION_WINDOW = 80;
+
+/**
+ * Find quoted passages; straight quotes alternate open and close, curly quotes pair up,
+ * and a quote left open at the end of a paragraph closes there
+ * @param {string} text - Story text
+ * @returns {Array} - [{ start, end }] character ranges including the quote marks
+ */
+function findQuotes(text) {
+  const quotes = [];
+  let open = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (open !== null && text.startsWith('\n\n', i)) {
+      quotes.push({ start: open, end: i });
+      open = null;
+    } else if (open === null && (char === '"' || char === '“')) {
+      open = i;
+    } else if (open !== null && (char === '"' || char === '”')) {
+      quotes.push({ start: open, end: i + 1 });
+      open = null;
+    }
+  }
+
+  if (open !== null) {
+    quotes.push({ start: open, end: text.length });
+  }
+  return quotes;
+}
+
+function cleanSpeaker(label) {
+  return label.trim().replace(/^(?:the|a|an)\s+/i, '');
+}
+
+// Who a quote's surrounding words name as the speaker; null when they name nobody, '' for a pronoun
+function findSpeakerLabel(text, quote) {
+  const paragraphEnd = text.indexOf('\n\n', quote.end);
+  const after = text.substring(quote.end, Math.min(quote.end + ATTRIBUTION_WINDOW, paragraphEnd === -1 ? text.length : paragraphEnd));
+  const paragraphStart = text.lastIndexOf('\n\n', quote.start) + 1;
+  const before = text.substring(Math.max(paragraphStart, quote.start - ATTRIBUTION_WINDOW), quote.start);
+
+  const match = AFTER_QUOTE.map(pattern => after.match(pattern)).find(Boolean)
+    // Only the sentence right before the quote can introduce it
+    || before.split(/[.!?]\s+/).pop().match(BEFORE_QUOTE);
+
+  if (!match) return null;
+  const label = cleanSpeaker(match[1]);
+  return PRONOUNS.has(label.toLowerCase()) ? '' : label;
+}
+
+/**
+ * Split text into narration and dialogue turns
+ * Quotes with no named speaker continue the last speaker in the same paragraph
+ * @param {string} text - Story text
+ * @param {Object} cast - Optional voice cast; speakers matching a cast name or alias are reported by cast name
+ * @returns {Array} - [{ start, end, speaker }] covering the text in order; speaker is null for narration
+ */
+function splitDialogue(text, cast = null) {
+  const segments = [];
+  let cursor = 0;
+  let lastSpeaker = null;
+  let lastParagraph = -1;
+
+  findQuotes(text).forEach(quote => {
+    if (quote.start > cursor) {
+      segments.push({ start: cursor, end: quote.start, speaker: null });
+    }
+
+    const paragraph = text.lastIndexOf('\n\n', quote.start);
+    if (paragraph !== lastParagraph) {
+      lastSpeaker = null;
+      lastParagraph = paragraph;
+    }
+
+    const label = findSpeakerLabel(text, quote);
+    let speaker = label ? (findCastMember(cast, label)?.name || label) : null;
+    if (!speaker) {
+      speaker = lastSpeaker;
+    }
+
+    segments.push({ start: quote.start, end: quote.end, speaker });
+    lastSpeaker = speaker;
+    cursor = quote.end;
+  });
+
+  if (cursor < text.length) {
+    segments.push({ start: cursor, end: text.length, speaker: null });
+  }
+  return segments;
+}
+
+/**
+ * List the speakers found in a text, most talkative first, to suggest a cast
+ * @param {string} text - Story text
+ * @param {Object} cast - Optional voice cast used to merge aliases into cast names
+ * @returns {Array} - [{ name, lines, cast }] where cast tells whether the speaker already has a voice
+ */
+function listSpeakers(text, cast = null) {
+  const speakers = new Map();
+
+  splitDialogue(text, cast)
+    .filter(segment => segment.speaker)
+    .forEach(({ speaker }) => {
+      const key = normalizeSpeakerName(speaker);
+      const entry = speakers.get(key) || { name: speaker, lines: 0, cast: !!findCastMember(cast, speaker) };
+      entry.lines += 1;
+      speakers.set(key, entry);
+    });
+
+  return [...speakers.values()].sort((a, b) => b.lines - a.lines);
+}
+
+module.exports = {
+  findQuotes,
+  splitDialogue,
+  listSpeakers
+};
@@ -0,0 +1,25 @@
+/**
+ * File Downloads
+ * Sends generated export files as attachments named after the document title
+ */
+
+/**
+ * Send a file download
+ * @param {Object} res - Express response
+ * @param {Buffer} data - File contents
+ * @param {string} title - Document title used for the file name
+ * @param {string} extension - File extension without the dot
+ * @param {string} contentType - MIME type of the file
+ */
+function sendDownload(res, data, title, extension, contentType) {
+  const slug = String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 80);
+
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${slug || 'download'}.${extension}"`,
+    'Content-Length': data.length
+  });
+  res.send(data);
+}
+
+module.exports = { sendDownload };
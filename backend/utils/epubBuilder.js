@@ -0,0 +1,330 @@
+/**
+ * Storybook EPUB Export
+ * Packages a storybook as an EPUB 3 book with one XHTML page per storybook page and its
+ * illustration. When narration exists, SMIL media overlays let readers highlight each
+ * sentence while the audio plays
+ */
+
+const { createZipArchive } = require('./zipArchive');
+const { loadMedia } = require('./mediaFiles');
+const { getMp3Duration } = require('./mp3');
+const { createNarrationScript } = require('./narrationScript');
+const { stripSpeechMarkup } = require('./speechMarkup');
+
+// Class reading systems add to the sentence being read; styled in styles.css
+const ACTIVE_CLASS = '-epub-media-overlay-active';
+
+const STYLESHEET = `body { margin: 0; padding: 1em; font-family: Georgia, serif; line-height: 1.6; }
+h1 { text-align: center; }
+.title-page { text-align: center; margin-top: 20%; }
+.illustration { margin: 0 0 1em 0; text-align: center; }
+.illustration img { max-width: 100%; max-height: 60vh; }
+.text p { font-size: 1.2em; margin: 0 0 0.8em 0; }
+.page-number { text-align: center; color: #888; font-size: 0.9em; }
+.${ACTIVE_CLASS} { background-color: #fff3b0; color: inherit; }
+`;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function pad(number) {
+  return String(number).padStart(3, '0');
+}
+
+// SMIL clock values: seconds for clips, h:mm:ss.fff for package durations
+function formatClip(seconds) {
+  return `${seconds.toFixed(3)}s`;
+}
+
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${hours}:${String(minutes).padStart(2, '0')}:${rest}`;
+}
+
+// Paragraphs of sentences; each sentence becomes one highlightable span
+function splitIntoSentences(content) {
+  return content
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(paragraph => (paragraph.match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)/g) || [paragraph])
+      .map(sentence => sentence.trim())
+      .filter(Boolean));
+}
+
+/**
+ * Work out which audio covers each page
+ * Pages with their own narration use the whole file; a single storybook narration is divided
+ * between pages by where each page's text falls in the narration script
+ * @param {Object} storybook - Storybook with audioUrl
+ * @param {Array} pages - Pages in reading order
+ * @returns {Object|null} - { audioFiles: [{ href, data }], clips: [{ href, begin, end }] }, or null without usable narration
+ */
+async function planNarration(storybook, pages) {
+  if (pages.length > 0 && pages.every(page => page.audioUrl)) {
+    const audio = await Promise.all(pages.map(page => loadMedia(page.audioUrl)));
+    const durations = audio.map(file => (file?.mediaType === 'audio/mpeg' ? getMp3Duration(file.data) : 0));
+
+    if (durations.every(duration => duration > 0)) {
+      return {
+        audioFiles: audio.map((file, index) => ({ href: `audio/page-${pad(index + 1)}.mp3`, data: file.data })),
+        clips: durations.map((duration, index) => ({ href: `audio/page-${pad(index + 1)}.mp3`, begin: 0, end: duration }))
+      };
+    }
+  }
+
+  const narration = await loadMedia(storybook.audioUrl);
+  const duration = narration?.mediaType === 'audio/mpeg' ? getMp3Duration(narration.data) : 0;
+  if (!duration) {
+    return null;
+  }
+
+  const script = createNarrationScript(pages);
+  const toSeconds = (offset) => duration * offset / script.text.length;
+
+  return {
+    audioFiles: [{ href: 'audio/narration.mp3', data: narration.data }],
+    clips: script.segments.map(segment => ({
+      href: 'audio/narration.mp3',
+      begin: toSeconds(segment.start),
+      end: toSeconds(segment.end)
+    }))
+  };
+}
+
+function createPageDocument(storybook, page, index, image, paragraphs) {
+  const pageId = `page-${pad(index + 1)}`;
+  let sentenceNumber = 0;
+
+  const text = paragraphs.map(sentences => {
+    const spans = sentences.map(sentence => {
+      sentenceNumber += 1;
+      return `<span id="${pageId}-s${sentenceNumber}">${escapeXml(sentence)}</span>`;
+    });
+    return `      <p>${spans.join(' ')}</p>`;
+  }).join('\n');
+
+  const figure = image
+    ? `    <figure class="illustration"><img src="images/${pageId}${image.extension}" alt="Illustration for page ${index + 1}"/></figure>\n`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(storybook.title)} - Page ${index + 1}</title>
+  <link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+  <section epub:type="chapter" class="page" id="${pageId}">
+${figure}    <div class="text">
+${text}
+    </div>
+    <p class="page-number">${index + 1}</p>
+  </section>
+</body>
+</html>
+`;
+}
+
+// Sentences share the page's clip in proportion to their length, as no word timings are stored
+function createOverlayDocument(index, paragraphs, clip) {
+  const pageId = `page-${pad(index + 1)}`;
+  const sentences = paragraphs.flat();
+  const totalLength = sentences.reduce((sum, sentence) => sum + sentence.length, 0) || 1;
+  let begin = clip.begin;
+
+  const pars = sentences.map((sentence, sentenceIndex) => {
+    const end = sentenceIndex === sentences.length - 1
+      ? clip.end
+      : begin + (clip.end - clip.begin) * sentence.length / totalLength;
+    const par = `      <par id="${pageId}-par${sentenceIndex + 1}">
+        <text src="${pageId}.xhtml#${pageId}-s${sentenceIndex + 1}"/>
+        <audio src="${clip.href}" clipBegin="${formatClip(begin)}" clipEnd="${formatClip(end)}"/>
+      </par>`;
+    begin = end;
+    return par;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<smil xmlns="http://www.w3.org/ns/SMIL" xmlns:epub="http://www.idpf.org/2007/ops" version="3.0">
+  <body>
+    <seq id="${pageId}-seq" epub:textref="${pageId}.xhtml" epub:type="chapter">
+${pars.join('\n')}
+    </seq>
+  </body>
+</smil>
+`;
+}
+
+function createTitleDocument(storybook) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(storybook.title)}</title>
+  <link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+  <section epub:type="titlepage" class="title-page">
+    <h1>${escapeXml(storybook.title)}</h1>
+    <p>by ${escapeXml(storybook.creatorName)}</p>
+${storybook.description ? `    <p>${escapeXml(storybook.description)}</p>\n` : ''}  </section>
+</body>
+</html>
+`;
+}
+
+function createNavDocument(storybook, pages) {
+  const items = pages
+    .map((page, index) => `      <li><a href="page-${pad(index + 1)}.xhtml">Page ${index + 1}</a></li>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="en" lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(storybook.title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>Contents</h1>
+    <ol>
+      <li><a href="title.xhtml">${escapeXml(storybook.title)}</a></li>
+${items}
+    </ol>
+  </nav>
+</body>
+</html>
+`;
+}
+
+function createPackageDocument(storybook, { pages, images, narration }) {
+  const modified = new Date(storybook.updatedAt || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const manifest = [
+    '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '    <item id="css" href="styles.css" media-type="text/css"/>',
+    '    <item id="title" href="title.xhtml" media-type="application/xhtml+xml"/>'
+  ];
+  const durations = [];
+  let hasCover = false;
+
+  pages.forEach((page, index) => {
+    const pageId = `page-${pad(index + 1)}`;
+    const overlay = narration ? ` media-overlay="overlay-${pad(index + 1)}"` : '';
+    manifest.push(`    <item id="${pageId}" href="${pageId}.xhtml" media-type="application/xhtml+xml"${overlay}/>`);
+
+    const image = images[index];
+    if (image) {
+      const cover = hasCover ? '' : ' properties="cover-image"';
+      hasCover = true;
+      manifest.push(`    <item id="image-${pad(index + 1)}" href="images/${pageId}${image.extension}" media-type="${image.mediaType}"${cover}/>`);
+    }
+
+    if (narration) {
+      const clip = narration.clips[index];
+      manifest.push(`    <item id="overlay-${pad(index + 1)}" href="${pageId}.smil" media-type="application/smil+xml"/>`);
+      durations.push(`    <meta property="media:duration" refines="#overlay-${pad(index + 1)}">${formatDuration(clip.end - clip.begin)}</meta>`);
+    }
+  });
+
+  if (narration) {
+    narration.audioFiles.forEach((file, index) => {
+      manifest.push(`    <item id="audio-${index + 1}" href="${file.href}" media-type="audio/mpeg"/>`);
+    });
+
+    const total = narration.clips.reduce((sum, clip) => sum + clip.end - clip.begin, 0);
+    durations.push(`    <meta property="media:duration">${formatDuration(total)}</meta>`);
+    durations.push(`    <meta property="media:active-class">${ACTIVE_CLASS}</meta>`);
+  }
+
+  const spine = ['    <itemref idref="title"/>']
+    .concat(pages.map((page, index) => `    <itemref idref="page-${pad(index + 1)}"/>`));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">urn:ai-story-maker:storybook:${escapeXml(storybook._id)}</dc:identifier>
+    <dc:title>${escapeXml(storybook.title)}</dc:title>
+    <dc:language>en</dc:language>
+    <dc:creator>${escapeXml(storybook.creatorName)}</dc:creator>
+${storybook.description ? `    <dc:description>${escapeXml(storybook.description)}</dc:description>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+${durations.join('\n')}
+  </metadata>
+  <manifest>
+${manifest.join('\n')}
+  </manifest>
+  <spine>
+${spine.join('\n')}
+  </spine>
+</package>
+`;
+}
+
+const CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+/**
+ * Build an EPUB 3 file for a storybook
+ * @param {Object} storybook - Storybook with pages, title, creatorName and optional narration
+ * @returns {Buffer} - EPUB file contents
+ */
+async function createStorybookEpub(storybook) {
+  const pages = [...storybook.pages].sort((a, b) => a.pageNumber - b.pageNumber);
+
+  const images = [];
+  for (const page of pages) {
+    const image = await loadMedia(page.imageUrl);
+    images.push(image?.mediaType.startsWith('image/') ? image : null);
+  }
+
+  const narration = await planNarration(storybook, pages);
+  const paragraphs = pages.map(page => splitIntoSentences(stripSpeechMarkup(page.content)));
+
+  // The mimetype entry must come first and be stored uncompressed
+  const entries = [
+    { name: 'mimetype', data: 'application/epub+zip', compress: false },
+    { name: 'META-INF/container.xml', data: CONTAINER },
+    { name: 'OEBPS/content.opf', data: createPackageDocument(storybook, { pages, images, narration }) },
+    { name: 'OEBPS/nav.xhtml', data: createNavDocument(storybook, pages) },
+    { name: 'OEBPS/styles.css', data: STYLESHEET },
+    { name: 'OEBPS/title.xhtml', data: createTitleDocument(storybook) }
+  ];
+
+  pages.forEach((page, index) => {
+    const pageId = `page-${pad(index + 1)}`;
+    entries.push({ name: `OEBPS/${pageId}.xhtml`, data: createPageDocument(storybook, page, index, images[index], paragraphs[index]) });
+
+    if (images[index]) {
+      entries.push({ name: `OEBPS/images/${pageId}${images[index].extension}`, data: images[index].data });
+    }
+    if (narration) {
+      entries.push({ name: `OEBPS/${pageId}.smil`, data: createOverlayDocument(index, paragraphs[index], narration.clips[index]) });
+    }
+  });
+
+  if (narration) {
+    narration.audioFiles.forEach(file => {
+      entries.push({ name: `OEBPS/${file.href}`, data: file.data });
+    });
+  }
+
+  return createZipArchive(entries, { modifiedAt: new Date(storybook.updatedAt || Date.now()) });
+}
+
+module.exports = { createStorybookEpub };
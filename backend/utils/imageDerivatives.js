@@ -0,0 +1,120 @@
+/**
+ * Image Derivatives
+ * Resized and re-encoded copies of generated images, made with sharp. A few small WebP copies are made when
+ * an image is generated and any other variant the first time it is asked for. Copies are stored next to
+ * their original under images/derived/<filename>/, named after the original's ETag so an image written
+ * again under the same name gets new copies.
+ */
+
+const sharp = require('sharp');
+const { storage, getMediaKey, readStoredFile, writeStoredFile, getStoredFileInfo } = require('../storage');
+const { THUMBNAIL_WIDTH } = require('./imageVariants');
+
+// Formats sharp reads and writes, by content type; other images such as SVG and GIF are only served as they are
+const FORMATS_BY_TYPE = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/webp': 'webp',
+  'image/avif': 'avif'
+};
+
+const EXTENSIONS = {
+  png: 'png',
+  jpeg: 'jpg',
+  webp: 'webp',
+  avif: 'avif'
+};
+
+const ENCODERS = {
+  png: image => image.png({ compressionLevel: 9 }),
+  jpeg: image => image.jpeg({ quality: 82, mozjpeg: true }),
+  webp: image => image.webp({ quality: 80 }),
+  avif: image => image.avif({ quality: 50, effort: 4 })
+};
+
+// Made when an image is generated, so grids and page previews do not wait for the first request
+const EAGER_VARIANTS = [
+  { width: THUMBNAIL_WIDTH, format: 'webp' },
+  { width: 512, format: 'webp' }
+];
+
+// Copies being made, so requests for the same one while it is made share the work
+const building = new Map();
+
+function getDerivedPrefix(filename) {
+  return getMediaKey('image', `derived/${filename}/`);
+}
+
+function getDerivativeKey(filename, version, { width, format }) {
+  return `${getDerivedPrefix(filename)}${version}-${width ? `w${width}` : 'full'}.${EXTENSIONS[format]}`;
+}
+
+async function buildDerivative(originalKey, key, { width, format }) {
+  const source = await readStoredFile(originalKey);
+  if (!source) throw new Error(`Image ${originalKey} disappeared`);
+
+  let image = sharp(source);
+  if (width) {
+    // Images narrower than the width asked for keep their size
+    image = image.resize({ width, withoutEnlargement: true });
+  }
+  await writeStoredFile(key, await ENCODERS[format](image).toBuffer());
+}
+
+/**
+ * Storage key of a variant of a generated image, making the variant if it does not exist yet
+ * @param {string} filename - Image file name
+ * @param {Object} variant - { width, format } from parseImageVariant; a null format keeps the original's
+ * @returns {string|null} - Key of the variant, the original's key when the image cannot be converted or
+ *   nothing would change, or null when there is no such image
+ */
+async function getImageDerivative(filename, { width, format }) {
+  const originalKey = getMediaKey('image', filename);
+  const original = await getStoredFileInfo(originalKey);
+  if (!original) return null;
+
+  const sourceFormat = FORMATS_BY_TYPE[original.contentType];
+  const targetFormat = format || sourceFormat;
+  if (!sourceFormat || (!width && targetFormat === sourceFormat)) return originalKey;
+
+  const version = original.etag.replace(/[^A-Za-z0-9_-]/g, '').substring(0, 16);
+  const key = getDerivativeKey(filename, version, { width, format: targetFormat });
+  if (await storage.stat(key)) return key;
+
+  if (!building.has(key)) {
+    building.set(key, buildDerivative(originalKey, key, { width, format: targetFormat })
+      .finally(() => building.delete(key)));
+  }
+  await building.get(key);
+  return key;
+}
+
+/**
+ * Make the variants every generated image gets; failures are logged, since variants are also made on request
+ * @param {string} filename - Image file name
+ */
+async function buildImageDerivatives(filename) {
+  for (const variant of EAGER_VARIANTS) {
+    try {
+      await getImageDerivative(filename, variant);
+    } catch (error) {
+      console.error(`Failed to make a ${variant.width}px ${variant.format} copy of ${filename}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Delete every variant of an image
+ * @param {string} filename - Image file name
+ */
+async function deleteImageDerivatives(filename) {
+  for (const { key } of await storage.list(getDerivedPrefix(filename))) {
+    await storage.delete(key);
+  }
+}
+
+module.exports = {
+  getImageDerivative,
+  buildImageDerivatives,
+  deleteImageDerivatives
+};
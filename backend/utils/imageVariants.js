@@ -0,0 +1,101 @@
+/**
+ * Image Variants
+ * Sizes and formats generated images can be served in, chosen with query parameters on /api/images/:filename,
+ * e.g. /api/images/image-1.png?w=512&format=webp. Widths are rounded up to a few fixed ones so each image has
+ * a small, bounded set of copies; format=auto picks the best format the client's Accept header allows.
+ */
+
+const IMAGE_WIDTHS = [256, 512, 768, 1024];
+const IMAGE_FORMATS = ['webp', 'avif', 'jpeg', 'png'];
+const THUMBNAIL_WIDTH = 256;
+const THUMBNAIL_FORMAT = 'webp';
+
+// Best first, for format=auto; clients that accept neither get the original format
+const NEGOTIATED_FORMATS = [
+  ['avif', 'image/avif'],
+  ['webp', 'image/webp']
+];
+
+const GENERATED_IMAGE_PATTERN = /^\/api\/images\/[^/?#]+$/;
+
+/**
+ * Read the variant an image request asks for
+ * @param {Object} query - Request query with optional w and format
+ * @param {string} accept - Accept header, used for format=auto
+ * @returns {Object} - { isValid, error, variant }; variant is { width, format }, either possibly null,
+ *   or null when the original is wanted
+ */
+function parseImageVariant(query, accept = '') {
+  const { w, format } = query;
+  let width = null;
+
+  if (w !== undefined) {
+    const requested = Number(w);
+    if (!Number.isInteger(requested) || requested < 1) {
+      return { isValid: false, error: 'w must be a positive whole number of pixels' };
+    }
+    width = IMAGE_WIDTHS.find(size => size >= requested) || IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1];
+  }
+
+  if (format !== undefined && format !== 'auto' && !IMAGE_FORMATS.includes(format)) {
+    return { isValid: false, error: `format must be auto or one of: ${IMAGE_FORMATS.join(', ')}` };
+  }
+
+  const chosenFormat = format === 'auto'
+    ? (NEGOTIATED_FORMATS.find(([, type]) => String(accept).includes(type)) || [null])[0]
+    : format || null;
+
+  return {
+    isValid: true,
+    variant: width || chosenFormat ? { width, format: chosenFormat } : null
+  };
+}
+
+/**
+ * URL of a variant of a generated image; other URLs are returned unchanged
+ * @param {string} url - Image URL such as /api/images/image-1.png
+ * @param {Object} variant - { width, format }
+ * @returns {string} - URL with w and format parameters in place of any query it had
+ */
+function getImageVariantUrl(url, { width, format } = {}) {
+  const [path] = String(url).split('?');
+  if (!GENERATED_IMAGE_PATTERN.test(path)) return url;
+
+  const params = new URLSearchParams();
+  if (width) params.set('w', width);
+  if (format) params.set('format', format);
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+/**
+ * URL of the thumbnail of a generated image
+ * @param {string} url - Image URL
+ * @returns {string} - Thumbnail URL
+ */
+function getThumbnailUrl(url) {
+  return getImageVariantUrl(url, { width: THUMBNAIL_WIDTH, format: THUMBNAIL_FORMAT });
+}
+
+/**
+ * Whether a URL is a thumbnail made by getThumbnailUrl, rather than an image picked by hand
+ * @param {string} url - Image URL, possibly with an access signature
+ * @returns {boolean} - True for generated thumbnails
+ */
+function isThumbnailUrl(url) {
+  const [path, query = ''] = String(url).split('?');
+  const params = new URLSearchParams(query);
+  return GENERATED_IMAGE_PATTERN.test(path) &&
+    params.get('w') === String(THUMBNAIL_WIDTH) &&
+    params.get('format') === THUMBNAIL_FORMAT;
+}
+
+module.exports = {
+  IMAGE_WIDTHS,
+  THUMBNAIL_WIDTH,
+  THUMBNAIL_FORMAT,
+  parseImageVariant,
+  getImageVariantUrl,
+  getThumbnailUrl,
+  isThumbnailUrl
+};
@@ -0,0 +1,112 @@
+/**
+ * In-process Job Queue
+ * Runs long-running generation work outside the request/response cycle
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Create a job queue that runs a handler for each enqueued job id
+ * @param {Function} handler - async (jobId, context) => void; context exposes isCancelled() and emit(payload)
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Maximum number of jobs running at once
+ * @returns {Object} - Queue with enqueue, cancel, subscribe and stats functions
+ */
+function createJobQueue(handler, { concurrency = 1 } = {}) {
+  const events = new EventEmitter();
+  const pending = [];
+  const running = new Set();
+  const cancelled = new Set();
+
+  // Subscribers are per job, so many clients can watch the same job
+  events.setMaxListeners(0);
+
+  function drain() {
+    while (running.size < concurrency && pending.length > 0) {
+      const jobId = pending.shift();
+      running.add(jobId);
+
+      const context = {
+        isCancelled: () => cancelled.has(jobId),
+        emit: (payload) => events.emit(jobId, payload)
+      };
+
+      Promise.resolve()
+        .then(() => handler(jobId, context))
+        .catch(error => {
+          console.error(`❌ Job ${jobId} crashed:`, error.message);
+        })
+        .finally(() => {
+          running.delete(jobId);
+          cancelled.delete(jobId);
+          drain();
+        });
+    }
+  }
+
+  /**
+   * Queue a job for processing; jobs already queued or running are ignored
+   * @param {string} jobId - Job identifier
+   * @returns {boolean} - Whether the job was queued
+   */
+  function enqueue(jobId) {
+    const id = jobId.toString();
+    if (pending.includes(id) || running.has(id)) {
+      return false;
+    }
+
+    pending.push(id);
+    setImmediate(drain);
+    return true;
+  }
+
+  /**
+   * Request cancellation; running jobs stop at their next step boundary
+   * @param {string} jobId - Job identifier
+   * @returns {boolean} - Whether the job was queued or running
+   */
+  function cancel(jobId) {
+    const id = jobId.toString();
+    const index = pending.indexOf(id);
+    if (index !== -1) {
+      pending.splice(index, 1);
+      return true;
+    }
+
+    if (running.has(id)) {
+      cancelled.add(id);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Listen for progress payloads emitted by a job
+   * @param {string} jobId - Job identifier
+   * @param {Function} listener - Called with each emitted payload
+   * @returns {Function} - Unsubscribe function
+   */
+  function subscribe(jobId, listener) {
+    const id = jobId.toString();
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  function isActive(jobId) {
+    const id = jobId.toString();
+    return pending.includes(id) || running.has(id);
+  }
+
+  function stats() {
+    return {
+      pending: pending.length,
+      running: running.size,
+      concurrency
+    };
+  }
+
+  return { enqueue, cancel, subscribe, isActive, stats };
+}
+
+module.exports = { createJobQueue };
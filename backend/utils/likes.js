@@ -0,0 +1,61 @@
+/**
+ * Like Route Handlers
+ * Shared like/unlike handlers for stories and storybooks. Each user can like a target once;
+ * the Like collection is the source of truth and the target's likes counter follows it with $inc
+ */
+
+const { likeRepository } = require('../repositories');
+
+/**
+ * Create an idempotent handler that likes or unlikes the document in req.params.id
+ * @param {Object} repository - Story or storybook repository
+ * @param {string} targetType - 'story' or 'storybook'
+ * @param {boolean} liked - true to like, false to unlike
+ * @returns {Function} - Express handler; expects authenticate to have run
+ */
+function createLikeHandler(repository, targetType, liked) {
+  const label = targetType.charAt(0).toUpperCase() + targetType.slice(1);
+
+  return async (req, res) => {
+    try {
+      const target = await repository.findById(req.params.id, { select: 'likes isPublic creatorId', lean: true });
+
+      if (!target || (!target.isPublic && target.creatorId !== req.user.uid)) {
+        return res.status(404).json({
+          success: false,
+          error: `${label} not found`
+        });
+      }
+
+      const changed = liked
+        ? await likeRepository.addLike(req.user.uid, targetType, target._id)
+        : await likeRepository.removeLike(req.user.uid, targetType, target._id);
+
+      // Only the request that actually created or removed the like moves the counter
+      let likes = target.likes;
+      if (changed) {
+        const updated = await repository.findOneAndUpdate(
+          liked ? { _id: target._id } : { _id: target._id, likes: { $gt: 0 } },
+          { $inc: { likes: liked ? 1 : -1 } },
+          { select: 'likes', lean: true }
+        );
+        likes = updated ? updated.likes : 0;
+      }
+
+      res.json({
+        success: true,
+        data: { likes, isLikedByMe: liked },
+        message: liked ? `${label} liked` : `${label} unliked`
+      });
+
+    } catch (error) {
+      console.error(`Failed to ${liked ? 'like' : 'unlike'} ${targetType}:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${liked ? 'like' : 'unlike'} ${targetType}`
+      });
+    }
+  };
+}
+
+module.exports = { createLikeHandler };
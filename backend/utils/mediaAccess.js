@@ -0,0 +1,202 @@
+/**
+ * Media Access
+ * Resolves the file names in media URLs to their media records and decides who may download them.
+ * Public files are served to anyone. Private files, those used only by private stories and storybooks,
+ * need a signed-in owner or moderator, or a URL signed when a private document was sent to its owner,
+ * since audio and image elements cannot send an Authorization header.
+ */
+
+const crypto = require('crypto');
+const { mediaAssetRepository, storyRepository, storybookRepository } = require('../repositories');
+const { parseMediaUrl } = require('../repositories/mediaAssetRepository');
+const { storage, getMediaKey } = require('../storage');
+
+// Generated names only use letters, digits, dots, dashes and underscores, and end in a known extension
+const MEDIA_FILENAME_PATTERNS = {
+  audio: /^[A-Za-z0-9][A-Za-z0-9_-]*(\.[A-Za-z0-9_-]+)*\.(mp3|wav|ogg|m4a|aac|flac)$/i,
+  image: /^[A-Za-z0-9][A-Za-z0-9_-]*(\.[A-Za-z0-9_-]+)*\.(png|jpe?g|gif|webp|avif|svg)$/i
+};
+
+const MAX_FILENAME_LENGTH = 200;
+const ACCESS_PARAM = 'access';
+const ACCESS_WINDOW_SECONDS = 24 * 60 * 60;
+
+const DOCUMENT_REPOSITORIES = {
+  story: storyRepository,
+  storybook: storybookRepository
+};
+
+/**
+ * Whether a name from a URL can be a media file of a kind
+ * @param {string} kind - 'audio' or 'image'
+ * @param {string} filename - File name from the URL
+ * @returns {boolean} - True for names generated media could have
+ */
+function isSafeMediaFilename(kind, filename) {
+  return typeof filename === 'string' && filename.length <= MAX_FILENAME_LENGTH && MEDIA_FILENAME_PATTERNS[kind].test(filename);
+}
+
+/**
+ * Find the media record for a file name from a URL
+ * @param {string} kind - 'audio' or 'image'
+ * @param {string} filename - File name from the URL
+ * @returns {Object|null} - Lean media record, or null when the name is invalid or there is no such file
+ */
+async function resolveMediaAsset(kind, filename) {
+  if (!isSafeMediaFilename(kind, filename)) return null;
+
+  const asset = await mediaAssetRepository.findOne({ filename }, { lean: true });
+  if (asset) return asset.kind === kind ? asset : null;
+
+  // Files stored before media records existed are indexed, as public and unowned, the first time they are asked for
+  if (!(await storage.stat(getMediaKey(kind, filename)))) return null;
+  await mediaAssetRepository.recordAsset({ kind, filename });
+  return mediaAssetRepository.findOne({ filename }, { lean: true });
+}
+
+// Without a secret anyone could compute signatures, so none are made or accepted
+function getAccessSignature(filename, expires) {
+  if (!process.env.JWT_SECRET) return null;
+
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${filename}\n${expires}`)
+    .digest('base64url')
+    .substring(0, 32);
+}
+
+/**
+ * Add an access signature to a media URL so it can be fetched without signing in
+ * @param {string} url - Media URL such as /api/audio/narration-1.mp3
+ * @param {Date} now - Signing time
+ * @returns {string} - The URL with an access parameter, or the URL unchanged when it is not a media URL
+ *   or JWT_SECRET is not set
+ */
+function signMediaUrl(url, now = new Date()) {
+  const match = typeof url === 'string' ? url.match(/^(\/api\/(?:audio|images)\/([^/?#]+))(?:\/[^?#]*)?/) : null;
+  if (!match) return url;
+
+  // Signatures expire at the end of the next day, so a URL stays the same all day and browsers can cache it
+  const expires = (Math.floor(now.getTime() / 1000 / ACCESS_WINDOW_SECONDS) + 2) * ACCESS_WINDOW_SECONDS;
+  const filename = decodeURIComponent(match[2]);
+  const signature = getAccessSignature(filename, expires);
+  if (!signature) return url;
+
+  const [path, query = ''] = url.split('?');
+  const params = new URLSearchParams(query);
+  params.set(ACCESS_PARAM, `${expires}.${signature}`);
+  return `${path}?${params}`;
+}
+
+// Whether an access parameter was signed for the file and has not expired
+function hasValidSignature(filename, access) {
+  const [expires, signature] = String(access || '').split('.');
+  if (!/^\d+$/.test(expires) || !signature || Number(expires) * 1000 < Date.now()) return false;
+
+  const expectedSignature = getAccessSignature(filename, expires);
+  if (!expectedSignature) return false;
+
+  const expected = Buffer.from(expectedSignature);
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Whether a user created one of the documents using a file
+async function ownsLinkedDocument(asset, uid) {
+  for (const reference of asset.references || []) {
+    const [type, id] = reference.split(':');
+    const doc = await DOCUMENT_REPOSITORIES[type]?.findById(id, { select: 'creatorId', lean: true });
+    if (doc?.creatorId === uid) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a user may see a media file, whichever URL they use
+ * @param {Object} asset - Media record
+ * @param {Object|null} user - { uid, role } of the user, or null when signed out
+ * @returns {boolean} - True for public files, and private ones the user owns, uses or moderates
+ */
+async function canUserAccessMedia(asset, user) {
+  if (asset.visibility !== 'private') return true;
+  if (!user) return false;
+  if (['admin', 'moderator'].includes(user.role) || asset.ownerId === user.uid) return true;
+  return ownsLinkedDocument(asset, user.uid);
+}
+
+/**
+ * Whether a request may download a media file
+ * @param {Object} asset - Media record
+ * @param {Object} req - Express request, with req.user set by optionalAuth
+ * @returns {boolean} - True when the file may be served
+ */
+async function canAccessMedia(asset, req) {
+  if (asset.visibility === 'private' && hasValidSignature(asset.filename, req.query[ACCESS_PARAM])) return true;
+  return canUserAccessMedia(asset, req.user);
+}
+
+/**
+ * Whether a user may put media URLs into a story or storybook, which would let them download the files
+ * @param {Array} urls - Media URLs sent by the user
+ * @param {Object} user - { uid, role } of the user
+ * @param {Array} currentUrls - Media URLs the document already uses, which are always allowed
+ * @returns {boolean} - True when every new URL is not generated media or points at a file the user may see
+ */
+async function canUserUseMedia(urls, user, currentUrls = []) {
+  const current = new Set(currentUrls.map(parseMediaUrl).filter(Boolean).map(file => file.filename));
+
+  for (const file of urls.map(parseMediaUrl).filter(Boolean)) {
+    if (current.has(file.filename)) continue;
+    const asset = await resolveMediaAsset(file.kind, file.filename);
+    if (!asset || !(await canUserAccessMedia(asset, user))) return false;
+  }
+  return true;
+}
+
+const MEDIA_URL_FIELDS = ['audioUrl', 'imageUrl', 'thumbnail', 'captionsUrl'];
+
+/**
+ * Sign the media URLs of an object and of its pages
+ * @param {Object} item - Lean story, storybook or narration timing; changed in place
+ */
+function signMediaUrls(item) {
+  const now = new Date();
+
+  [item, ...(item.pages || [])].forEach(target => {
+    MEDIA_URL_FIELDS.forEach(field => {
+      if (target[field]) target[field] = signMediaUrl(target[field], now);
+    });
+  });
+}
+
+/**
+ * Sign the media URLs of private stories and storybooks about to be sent to someone allowed to see them
+ * @param {Object|Array} docs - Lean story or storybook, or a list of them; changed in place
+ */
+function signPrivateMedia(docs) {
+  (Array.isArray(docs) ? docs : [docs])
+    .filter(doc => doc && doc.isPublic === false)
+    .forEach(signMediaUrls);
+}
+
+/**
+ * Give newly generated files without an owner to the user they were generated for
+ * @param {Array} urls - Media URLs
+ * @param {string} ownerId - uid of the user, if signed in
+ */
+async function claimMedia(urls, ownerId) {
+  const filenames = urls.map(parseMediaUrl).filter(Boolean).map(file => file.filename);
+  await mediaAssetRepository.claimAssets(filenames, ownerId);
+}
+
+module.exports = {
+  isSafeMediaFilename,
+  resolveMediaAsset,
+  signMediaUrl,
+  canUserAccessMedia,
+  canAccessMedia,
+  canUserUseMedia,
+  signMediaUrls,
+  signPrivateMedia,
+  claimMedia
+};
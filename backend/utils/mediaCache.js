@@ -0,0 +1,104 @@
+/**
+ * Media Cache
+ * Content-addressed caching for generated audio and images: the normalized generation inputs are
+ * hashed, files are named by the hash, and a repeat request is answered with the stored file
+ */
+
+const crypto = require('crypto');
+const { mediaAssetRepository } = require('../repositories');
+const { storage, getMediaKey } = require('../storage');
+const { canUserAccessMedia } = require('./mediaAccess');
+
+// Plain data with object keys sorted and strings trimmed, so equal inputs always serialize the same way
+function normalizeInput(value) {
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return value.map(normalizeInput);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => [key, normalizeInput(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Hash the inputs of a generation request
+ * @param {string} kind - 'audio' or 'image'
+ * @param {Object} inputs - Everything that changes the output, e.g. { text, voice, speed, provider, model }
+ * @returns {string} - Hex digest
+ */
+function createCacheKey(kind, inputs) {
+  return crypto.createHash('sha256').update(JSON.stringify(normalizeInput({ kind, ...inputs }))).digest('hex');
+}
+
+/**
+ * Name a generated file by its cache key
+ * @param {string} prefix - File name prefix, e.g. 'narration'
+ * @param {string} cacheKey - Cache key from createCacheKey
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - File name
+ */
+function getCacheFilename(prefix, cacheKey, extension) {
+  return `${prefix}-${cacheKey.substring(0, 32)}.${extension}`;
+}
+
+/**
+ * Look up a stored file generated from the same inputs
+ * @param {string} kind - 'audio' or 'image'
+ * @param {string} cacheKey - Cache key from createCacheKey
+ * @returns {Object|null} - Media asset, or null when there is no usable file
+ */
+async function findCachedAsset(kind, cacheKey) {
+  const asset = await mediaAssetRepository.findCached(kind, cacheKey);
+  if (!asset) return null;
+
+  const key = getMediaKey(kind, asset.filename);
+  if (!(await storage.stat(key))) return null;
+
+  // A cache hit counts as a use, so age-based cleanup keeps the file around
+  await storage.touch(key);
+  return asset;
+}
+
+/**
+ * Look up a stored file generated from the same inputs that a user may use. Someone else's private file is
+ * not shared, since its URL would not work for the user and would tell them what a private story contains;
+ * the user gets a file of their own instead, cached under a key only they use.
+ * @param {string} kind - 'audio' or 'image'
+ * @param {string} cacheKey - Cache key from createCacheKey
+ * @param {Object|null} user - { uid, role } of the user asking, or null when signed out
+ * @returns {Object} - { asset, cacheKey }: the usable asset, or null on a miss, and the key to store a new file under
+ */
+async function findCachedAssetFor(kind, cacheKey, user) {
+  const asset = await findCachedAsset(kind, cacheKey);
+  if (!asset || await canUserAccessMedia(asset, user)) {
+    return { asset, cacheKey };
+  }
+
+  // Signed-out users cannot be told apart, so their copy is never reused
+  const ownKey = createCacheKey(kind, { cacheKey, ownerId: user?.uid || crypto.randomUUID() });
+  return { asset: user ? await findCachedAsset(kind, ownKey) : null, cacheKey: ownKey };
+}
+
+/**
+ * Index a generated file under its cache key
+ * @param {Object} asset - { kind, filename, cacheKey, provider, size, duration }
+ */
+async function recordCachedAsset(asset) {
+  try {
+    await mediaAssetRepository.recordAsset(asset);
+  } catch (error) {
+    // The file is still usable; it is only missing from the cache
+    console.error(`Failed to index ${asset.filename}:`, error.message);
+  }
+}
+
+module.exports = {
+  createCacheKey,
+  getCacheFilename,
+  findCachedAssetFor,
+  recordCachedAsset
+};
@@ -0,0 +1,83 @@
+/**
+ * Media File Loading
+ * Resolves the image and audio URLs stored on stories and storybooks to their bytes, for exports
+ */
+
+const path = require('path');
+const axios = require('axios');
+const { getMediaKey, readStoredFile } = require('../storage');
+const { detectContentType } = require('../storage/mediaTypes');
+
+// Routes that serve files from media storage, keyed by URL prefix
+const LOCAL_MEDIA_ROUTES = {
+  '/api/images/': 'image',
+  '/api/audio/': 'audio'
+};
+
+const MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg'
+};
+
+const EXTENSIONS = Object.fromEntries(
+  Object.entries(MEDIA_TYPES).filter(([extension]) => extension !== '.jpeg').map(([extension, type]) => [type, extension])
+);
+
+const REMOTE_TIMEOUT_MS = 15000;
+const MAX_REMOTE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Load a media file from one of our file routes, a data URL or a remote URL
+ * @param {string} url - Media URL as stored on the document
+ * @param {Object} options - Loading options
+ * @param {boolean} options.allowRemote - Fetch http(s) URLs; disable for exports that must work offline
+ * @returns {Object|null} - { data, mediaType, extension }, or null when the file cannot be loaded
+ */
+async function loadMedia(url, { allowRemote = true } = {}) {
+  if (!url) return null;
+
+  try {
+    if (url.startsWith('data:')) {
+      const match = url.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+      if (!match) return null;
+      const data = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+      return describe(data, match[1]);
+    }
+
+    const prefix = Object.keys(LOCAL_MEDIA_ROUTES).find(route => url.startsWith(route));
+    if (prefix) {
+      // Only the file name is used so a stored URL cannot point at other stored files
+      const filename = path.basename(decodeURIComponent(url.slice(prefix.length).split('?')[0]));
+      const data = await readStoredFile(getMediaKey(LOCAL_MEDIA_ROUTES[prefix], filename));
+      if (!data) return null;
+      return describe(data, detectContentType(data) || MEDIA_TYPES[path.extname(filename).toLowerCase()]);
+    }
+
+    if (allowRemote && /^https?:\/\//.test(url)) {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: REMOTE_TIMEOUT_MS,
+        maxContentLength: MAX_REMOTE_BYTES
+      });
+      const headerType = String(response.headers['content-type'] || '').split(';')[0].trim();
+      const urlType = MEDIA_TYPES[path.extname(new URL(url).pathname).toLowerCase()];
+      return describe(Buffer.from(response.data), EXTENSIONS[headerType] ? headerType : urlType);
+    }
+  } catch (error) {
+    console.error(`Failed to load media ${url.substring(0, 100)}:`, error.message);
+  }
+
+  return null;
+}
+
+function describe(data, mediaType) {
+  if (!mediaType || !EXTENSIONS[mediaType]) return null;
+  return { data, mediaType, extension: EXTENSIONS[mediaType] };
+}
+
+module.exports = { loadMedia };
@@ -0,0 +1,282 @@
+/**
+ * Media Retention
+ * Finds generated audio and images that no story or storybook uses and deletes them once they are older
+ * than a grace period, which leaves time to save a story with media generated for it. Chunk files of
+ * narrations that were merged, or that nobody has resumed within the grace period, go too. Runs on a timer
+ * inside the server and on demand for admins, who can also ask for a dry run that only reports what
+ * would be deleted. Reports of recent runs are kept in memory for the admin API.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { storyRepository, storybookRepository, mediaAssetRepository, narrationRepository } = require('../repositories');
+const { parseMediaUrl, getStoryMediaUrls, getStorybookMediaUrls } = require('../repositories/mediaAssetRepository');
+const { isMockMode } = require('../config/database');
+const { storage, getMediaKey } = require('../storage');
+const { isSafeMediaFilename } = require('./mediaAccess');
+const { getTimingKey } = require('./narrationTiming');
+const { deleteImageDerivatives } = require('./imageDerivatives');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MEDIA_KINDS = ['audio', 'image'];
+const REPORT_HISTORY_SIZE = 20;
+// Reports name at most this many files, so a large backlog does not make huge responses
+const MAX_REPORTED_FILES = 500;
+// Chunk files are named <narration id>-<chunk index>.mp3, with provider timings in .alignment.json beside them
+const CHUNK_FILENAME_PATTERN = /^([a-f0-9]{24})-\d+\.(mp3|alignment\.json)$/;
+// Leave the database time to connect before the first scheduled run
+const FIRST_RUN_DELAY_MS = 5 * 60 * 1000;
+
+const reports = [];
+let currentRun = null;
+let nextRunAt = null;
+
+// Hours from an environment variable, or the default when it is unset or not a number
+function getHoursSetting(name, defaultHours) {
+  const hours = parseFloat(process.env[name]);
+  return Number.isNaN(hours) ? defaultHours : hours;
+}
+
+/**
+ * Scheduling settings from the environment
+ * @returns {Object} - { intervalHours, gracePeriodHours, dryRun }; an interval of 0 turns the schedule off
+ */
+function getRetentionSettings() {
+  return {
+    intervalHours: getHoursSetting('MEDIA_GC_INTERVAL_HOURS', 24),
+    gracePeriodHours: getHoursSetting('MEDIA_GC_GRACE_PERIOD_HOURS', 24),
+    dryRun: process.env.MEDIA_GC_DRY_RUN === 'true'
+  };
+}
+
+// File names of the media every story and storybook uses, read from the documents themselves
+async function findUsedFilenames() {
+  const [stories, storybooks] = await Promise.all([
+    storyRepository.find({}, { select: 'audioUrl', lean: true }),
+    storybookRepository.find({}, { select: 'audioUrl thumbnail pages', lean: true })
+  ]);
+
+  const urls = [...stories.flatMap(getStoryMediaUrls), ...storybooks.flatMap(getStorybookMediaUrls)];
+  return new Set(urls.map(parseMediaUrl).filter(Boolean).map(file => file.filename));
+}
+
+// Whether a file is in use by the media index, which a document saved since the scan has updated
+async function isReferencedNow(filename) {
+  return (await mediaAssetRepository.findReferencedFilenames([filename])).has(filename);
+}
+
+async function deleteMediaFile(kind, filename) {
+  await storage.delete(getMediaKey(kind, filename));
+  if (kind === 'audio') {
+    await storage.delete(getTimingKey(filename));
+  } else {
+    await deleteImageDerivatives(filename);
+  }
+  await mediaAssetRepository.deleteOne({ filename });
+}
+
+// Narrations that still need their chunk files: not merged in full yet and worked on within the grace period
+function getActiveNarrationFilter(cutoff) {
+  return { status: { $in: ['pending', 'partial'] }, updatedAt: { $gt: new Date(cutoff) } };
+}
+
+// Files under a storage prefix, named relative to the kind's directory, e.g. 'chunks/<name>'
+async function listFiles(kind, directory, isValidName) {
+  return (await storage.list(getMediaKey(kind, directory)))
+    .map(file => ({ ...file, name: path.posix.basename(file.key) }))
+    .filter(file => isValidName(file.name))
+    .map(({ name, ...file }) => ({ ...file, filename: `${directory}${name}` }));
+}
+
+async function collectFiles(report, files, { kind, cutoff, dryRun, isUsed, isUsedNow, remove }) {
+  for (const { filename, size, lastModified } of files) {
+    report.scanned++;
+    if (isUsed(filename)) {
+      report.referenced++;
+      continue;
+    }
+    if (lastModified.getTime() > cutoff) {
+      report.recent++;
+      continue;
+    }
+
+    report.orphaned++;
+    report.orphanedBytes += size;
+    const entry = { kind, filename, size, lastModified, deleted: false };
+    if (report.files.length < MAX_REPORTED_FILES) {
+      report.files.push(entry);
+    } else {
+      report.filesTruncated = true;
+    }
+    if (dryRun) continue;
+
+    try {
+      // A story may have been saved with the file, or the cache may have reused it, since the scan
+      const current = await storage.stat(getMediaKey(kind, filename));
+      if (!current || current.lastModified.getTime() > cutoff || await isUsedNow(filename)) {
+        continue;
+      }
+
+      await remove(filename);
+      entry.deleted = true;
+      report.deleted++;
+      report.freedBytes += size;
+    } catch (error) {
+      console.error(`Failed to delete orphaned ${kind} file ${filename}:`, error.message);
+      report.errors.push({ filename, error: error.message });
+    }
+  }
+}
+
+async function collect(report, { kinds, gracePeriodMs, dryRun }) {
+  const used = await findUsedFilenames();
+  const cutoff = Date.now() - gracePeriodMs;
+
+  for (const kind of kinds) {
+    const files = await listFiles(kind, '', name => isSafeMediaFilename(kind, name));
+    // The index also counts, so a file stays when either the documents or the index say it is used
+    const indexed = await mediaAssetRepository.findReferencedFilenames(files.map(file => file.filename));
+
+    await collectFiles(report, files, {
+      kind,
+      cutoff,
+      dryRun,
+      isUsed: filename => used.has(filename) || indexed.has(filename),
+      isUsedNow: isReferencedNow,
+      remove: filename => deleteMediaFile(kind, filename)
+    });
+  }
+
+  if (kinds.includes('audio')) {
+    const chunks = await listFiles('audio', 'chunks/', name => CHUNK_FILENAME_PATTERN.test(name));
+    const activeNarrations = await narrationRepository.find(getActiveNarrationFilter(cutoff), { select: '_id', lean: true });
+    const active = new Set(activeNarrations.map(narration => String(narration._id)));
+    const getNarrationId = filename => path.posix.basename(filename).match(CHUNK_FILENAME_PATTERN)[1];
+
+    // A resume started since the scan needs the chunks it has not merged yet
+    await collectFiles(report, chunks, {
+      kind: 'audio',
+      cutoff,
+      dryRun,
+      isUsed: filename => active.has(getNarrationId(filename)),
+      isUsedNow: async filename => Boolean(await narrationRepository.findOne(
+        { _id: getNarrationId(filename), ...getActiveNarrationFilter(cutoff) },
+        { select: '_id', lean: true }
+      )),
+      remove: filename => storage.delete(getMediaKey('audio', filename))
+    });
+  }
+}
+
+/**
+ * Find media files nothing uses and, unless this is a dry run, delete the ones past the grace period.
+ * Only one collection runs at a time; asking for another while one runs returns the running one.
+ * @param {Object} options - Collection options
+ * @param {boolean} options.dryRun - Report orphaned files without deleting them
+ * @param {number} options.gracePeriodHours - Files modified more recently than this are kept
+ * @param {Array} options.kinds - Media kinds to collect, 'audio' (with narration chunks) and/or 'image'
+ * @param {string} options.trigger - 'schedule' or 'manual', for the report
+ * @param {string} options.requestedBy - uid of the admin who asked for the run
+ * @returns {Object} - Report of the run
+ */
+function collectOrphanedMedia({
+  dryRun = false,
+  gracePeriodHours = getRetentionSettings().gracePeriodHours,
+  kinds = MEDIA_KINDS,
+  trigger = 'manual',
+  requestedBy = null
+} = {}) {
+  if (currentRun) return currentRun;
+
+  const report = {
+    id: crypto.randomUUID(),
+    trigger,
+    requestedBy,
+    dryRun,
+    kinds,
+    gracePeriodHours,
+    status: 'running',
+    startedAt: new Date(),
+    finishedAt: null,
+    scanned: 0,
+    referenced: 0,
+    recent: 0,
+    orphaned: 0,
+    orphanedBytes: 0,
+    deleted: 0,
+    freedBytes: 0,
+    files: [],
+    filesTruncated: false,
+    errors: []
+  };
+
+  reports.unshift(report);
+  reports.splice(REPORT_HISTORY_SIZE);
+
+  currentRun = collect(report, { kinds, gracePeriodMs: gracePeriodHours * HOUR_MS, dryRun })
+    .then(() => {
+      report.status = 'completed';
+    })
+    .catch(error => {
+      console.error('Media collection failed:', error);
+      report.status = 'failed';
+      report.error = error.message;
+    })
+    .then(() => {
+      report.finishedAt = new Date();
+      currentRun = null;
+      console.log(`🧹 Media collection ${report.status}: ${report.orphaned} orphaned files, ${report.deleted} deleted${dryRun ? ' (dry run)' : ''}`);
+      return report;
+    });
+
+  return currentRun;
+}
+
+/**
+ * Whether a collection is running, the schedule and the reports of recent runs, newest first
+ * @returns {Object} - { running, schedule, reports }
+ */
+function getRetentionStatus() {
+  return {
+    running: Boolean(currentRun),
+    schedule: { ...getRetentionSettings(), nextRunAt },
+    reports
+  };
+}
+
+/**
+ * Start collecting orphaned media on the interval set by MEDIA_GC_INTERVAL_HOURS
+ */
+function startMediaRetention() {
+  const { intervalHours } = getRetentionSettings();
+  if (!(intervalHours > 0)) {
+    console.log('🧹 Scheduled media collection is off');
+    return;
+  }
+
+  const scheduleRun = (delay) => {
+    nextRunAt = new Date(Date.now() + delay);
+    // The timer alone should not keep the process alive
+    setTimeout(runScheduled, delay).unref();
+  };
+
+  const runScheduled = async () => {
+    const settings = getRetentionSettings();
+    // In-memory documents are gone after a restart, and a database that failed to connect leaves the
+    // server in memory mode too, so files would look unused when they are not; such runs only report
+    await collectOrphanedMedia({
+      dryRun: settings.dryRun || isMockMode(),
+      gracePeriodHours: settings.gracePeriodHours,
+      trigger: 'schedule'
+    });
+    scheduleRun(settings.intervalHours * HOUR_MS);
+  };
+
+  scheduleRun(Math.min(FIRST_RUN_DELAY_MS, intervalHours * HOUR_MS));
+}
+
+module.exports = {
+  collectOrphanedMedia,
+  getRetentionStatus,
+  startMediaRetention
+};
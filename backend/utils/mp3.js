@@ -0,0 +1,218 @@
+/**
+ * MP3 Utilities
+ * Reads MPEG audio frame headers to measure narration length and join narration parts
+ * into one seekable file without decoding the audio
+ */
+
+// Bitrates in kbps by [version group][layer], indexed by the header's bitrate bits
+const BITRATES = {
+  mpeg1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  mpeg2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+/**
+ * Parse the MPEG audio frame header at an offset
+ * @param {Buffer} buffer - MP3 data
+ * @param {number} offset - Byte offset of a possible frame
+ * @returns {Object|null} - { version, layer, bitrate, bitrateIndex, sampleRate, samples, channelMode, hasCrc, length } or null if there is no valid frame
+ */
+function readFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0F;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+  const hasCrc = (buffer[offset + 1] & 0x01) === 0;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = { 0: 2.5, 2: 2, 3: 1 }[versionBits];
+  const layer = 4 - layerBits;
+  const bitrate = BITRATES[version === 1 ? 'mpeg1' : 'mpeg2'][layer][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const samples = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+
+  return { version, layer, bitrate, bitrateIndex, sampleRate, samples, channelMode, hasCrc, length };
+}
+
+// Skip an ID3v2 tag at the start of the file; its size is stored as a syncsafe integer
+function getAudioStart(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+
+  const size = ((buffer[6] & 0x7F) << 21) | ((buffer[7] & 0x7F) << 14) | ((buffer[8] & 0x7F) << 7) | (buffer[9] & 0x7F);
+  const hasFooter = (buffer[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// Layer III side information sits between the header (and CRC) and the main data
+function getSideInfoSize(frame) {
+  const mono = frame.channelMode === 3;
+  if (frame.version === 1) return mono ? 17 : 32;
+  return mono ? 9 : 17;
+}
+
+// Xing/Info and VBRI frames carry encoder metadata in place of audio
+function isInfoFrame(buffer, offset, frame) {
+  if (frame.layer !== 3) return false;
+
+  const xingOffset = offset + 4 + (frame.hasCrc ? 2 : 0) + getSideInfoSize(frame);
+  const xingTag = buffer.toString('latin1', xingOffset, xingOffset + 4);
+  const vbriTag = buffer.toString('latin1', offset + 36, offset + 40);
+  return xingTag === 'Xing' || xingTag === 'Info' || vbriTag === 'VBRI';
+}
+
+/**
+ * Find the audio frames in an MP3, skipping ID3 tags, encoder info frames and junk between frames
+ * @param {Buffer} buffer - MP3 data
+ * @returns {Array} - Frame headers with their byte offset, in file order
+ */
+function readAudioFrames(buffer) {
+  // An ID3v1 tag occupies the last 128 bytes
+  const end = buffer.length >= 128 && buffer.toString('latin1', buffer.length - 128, buffer.length - 125) === 'TAG'
+    ? buffer.length - 128
+    : buffer.length;
+  const frames = [];
+  let offset = getAudioStart(buffer);
+
+  while (offset < end) {
+    const frame = readFrameHeader(buffer, offset);
+    if (!frame || frame.length <= 0 || offset + frame.length > end) {
+      // Resynchronise on the next possible frame header
+      offset += 1;
+      continue;
+    }
+
+    if (!isInfoFrame(buffer, offset, frame)) {
+      frames.push({ ...frame, offset });
+    }
+    offset += frame.length;
+  }
+
+  return frames;
+}
+
+/**
+ * Measure the playing time of an MP3 by walking its frames, which works for CBR and VBR files
+ * @param {Buffer} buffer - MP3 data
+ * @returns {number} - Duration in seconds, 0 if no audio frames were found
+ */
+function getMp3Duration(buffer) {
+  return readAudioFrames(buffer).reduce((duration, frame) => duration + frame.samples / frame.sampleRate, 0);
+}
+
+// Build a Xing (VBR) or Info (CBR) frame so players know the real frame count and can seek
+function createInfoFrame(template, frames, audioBytes) {
+  const sideInfoSize = getSideInfoSize(template.frame);
+  const required = 4 + sideInfoSize + 120;
+
+  // Smallest bitrate whose frame has room for the header; the frame holds no audio
+  let header = null;
+  for (let bitrateIndex = 1; bitrateIndex < 15; bitrateIndex++) {
+    const candidate = Buffer.from(template.header);
+    candidate[1] |= 0x01; // no CRC
+    candidate[2] = (candidate[2] & 0x0D) | (bitrateIndex << 4); // new bitrate, no padding
+    const frame = readFrameHeader(candidate, 0);
+    if (frame && frame.length >= required) {
+      header = { bytes: candidate, length: frame.length };
+      break;
+    }
+  }
+  if (!header) return Buffer.alloc(0);
+
+  const totalBytes = header.length + audioBytes;
+  const isVbr = frames.some(frame => frame.bitrate !== frames[0].bitrate);
+  const info = Buffer.alloc(header.length);
+  header.bytes.copy(info, 0);
+
+  let position = 4 + sideInfoSize;
+  info.write(isVbr ? 'Xing' : 'Info', position, 'latin1');
+  info.writeUInt32BE(0x07, position + 4); // frame count, byte count and seek table present
+  info.writeUInt32BE(frames.length, position + 8);
+  info.writeUInt32BE(totalBytes, position + 12);
+  position += 16;
+
+  // Seek table: byte position, as a fraction of 256, at each percent of the playing time
+  const totalDuration = frames.reduce((sum, frame) => sum + frame.samples / frame.sampleRate, 0);
+  let elapsed = 0;
+  let bytes = header.length;
+  let frameIndex = 0;
+  for (let percent = 0; percent < 100; percent++) {
+    const target = totalDuration * percent / 100;
+    while (frameIndex < frames.length && elapsed + frames[frameIndex].samples / frames[frameIndex].sampleRate <= target) {
+      elapsed += frames[frameIndex].samples / frames[frameIndex].sampleRate;
+      bytes += frames[frameIndex].length;
+      frameIndex += 1;
+    }
+    info[position + percent] = Math.min(255, Math.floor(bytes / totalBytes * 256));
+  }
+
+  return info;
+}
+
+/**
+ * Join MP3 files into one file with a single accurate Xing/Info header
+ * ID3 tags and each part's own encoder info frame are dropped so players see one continuous stream
+ * @param {Array} buffers - MP3 files in playing order
+ * @returns {Object} - { buffer, duration, frameCount } with duration in seconds measured from the frames
+ */
+function mergeMp3Buffers(buffers) {
+  const frames = [];
+  const parts = [];
+
+  buffers.forEach(buffer => {
+    readAudioFrames(buffer).forEach(frame => {
+      frames.push(frame);
+      parts.push(buffer.subarray(frame.offset, frame.offset + frame.length));
+    });
+  });
+
+  if (frames.length === 0) {
+    return { buffer: Buffer.alloc(0), duration: 0, frameCount: 0 };
+  }
+
+  const first = frames[0];
+  if (frames.some(frame => frame.sampleRate !== first.sampleRate || frame.version !== first.version)) {
+    console.warn('Merging MP3 parts with different sample rates; some players may not play the result correctly');
+  }
+
+  const audioBytes = parts.reduce((sum, part) => sum + part.length, 0);
+  const template = { frame: first, header: parts[0].subarray(0, 4) };
+  const info = first.layer === 3 ? createInfoFrame(template, frames, audioBytes) : Buffer.alloc(0);
+
+  return {
+    buffer: Buffer.concat([info, ...parts]),
+    duration: frames.reduce((sum, frame) => sum + frame.samples / frame.sampleRate, 0),
+    frameCount: frames.length
+  };
+}
+
+module.exports = {
+  readFrameHeader,
+  readAudioFrames,
+  getMp3Duration,
+  mergeMp3Buffers
+};
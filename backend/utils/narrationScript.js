@@ -0,0 +1,36 @@
+/**
+ * Storybook Narration Script
+ * Builds the text read aloud for a storybook and records where each page sits in it,
+ * so exports can line the narration audio up with the pages
+ */
+
+const INTRO = 'Welcome to this interactive storybook. ';
+const PAGE_TURN = `Let's turn the page and continue our adventure. `;
+const OUTRO = 'The End. Thank you for joining us on this magical journey!';
+
+/**
+ * Create the narration script for a list of pages
+ * @param {Array} pages - Pages or scenes with content
+ * @returns {Object} - { text, segments: [{ start, end }] } with character offsets of each page's content
+ */
+function createNarrationScript(pages) {
+  let text = INTRO;
+  const segments = [];
+
+  pages.forEach((page, index) => {
+    text += `Page ${index + 1}. `;
+    const start = text.length;
+    text += `${page.content} `;
+    segments.push({ start, end: start + page.content.length });
+
+    if (index < pages.length - 1) {
+      text += PAGE_TURN;
+    }
+  });
+
+  text += OUTRO;
+
+  return { text, segments };
+}
+
+module.exports = { createNarrationScript };
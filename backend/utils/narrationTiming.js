@@ -0,0 +1,302 @@
+/**
+ * Narration Timing
+ * Sentence and word timestamps for narration audio, taken from provider alignment when the
+ * TTS service returns it and otherwise estimated within each chunk, served as JSON and WebVTT
+ */
+
+const path = require('path');
+const { getMediaKey, readStoredFile, writeStoredFile } = require('../storage');
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+// Closing quotes and brackets after a sentence's final punctuation belong to that sentence
+const SENTENCE_PATTERN = /[^.!?]+(?:[.!?]+["'”’)\]]*)?|[.!?]+["'”’)\]]*/g;
+
+// Extra weight, in characters, for the pause a narrator leaves after punctuation
+const PAUSE_WEIGHTS = [
+  { pattern: /^\s*\.{3}/, weight: 8 },
+  { pattern: /^\s*[.!?]/, weight: 6 },
+  { pattern: /^\s*[:;]/, weight: 4 },
+  { pattern: /^\s*[,—–]/, weight: 2 }
+];
+
+// How many narrated words to search for the next word of a page, past intros and page turns
+const ALIGNMENT_LOOKAHEAD = 40;
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+function findWords(text, start, end) {
+  const words = [];
+  const pattern = new RegExp(WORD_PATTERN.source, WORD_PATTERN.flags);
+  pattern.lastIndex = start;
+  let match;
+
+  while ((match = pattern.exec(text)) && match.index < end) {
+    words.push({ text: match[0], start: match.index, end: Math.min(end, match.index + match[0].length) });
+  }
+  return words;
+}
+
+function getPauseWeight(text, offset) {
+  const following = text.substring(offset, offset + 5);
+  const pause = PAUSE_WEIGHTS.find(({ pattern }) => pattern.test(following));
+  return pause ? pause.weight : 1;
+}
+
+// Spread a segment's time over its words by length, leaving gaps for punctuation pauses
+function estimateWordTimes(text, words, segment) {
+  const weights = words.map(word => ({ speech: word.end - word.start, pause: getPauseWeight(text, word.end) }));
+  const total = weights.reduce((sum, weight) => sum + weight.speech + weight.pause, 0) || 1;
+  const secondsPerUnit = (segment.endTime - segment.startTime) / total;
+  let time = segment.startTime;
+
+  return words.map((word, index) => {
+    const startTime = time;
+    const endTime = startTime + weights[index].speech * secondsPerUnit;
+    time = endTime + weights[index].pause * secondsPerUnit;
+    return { ...word, startTime: round(startTime), endTime: round(endTime) };
+  });
+}
+
+// Use character timings from the TTS provider; offsets in the alignment are relative to the segment text
+function alignWordTimes(words, segment) {
+  const { startTimes, endTimes } = segment.alignment;
+
+  return words.map(word => ({
+    ...word,
+    startTime: round(segment.startTime + startTimes[word.start - segment.start]),
+    endTime: round(segment.startTime + endTimes[word.end - 1 - segment.start])
+  }));
+}
+
+/**
+ * Build timing data for a narration
+ * @param {string} text - Narration text exactly as sent to TTS
+ * @param {Array} segments - Audio segments in playing order: [{ start, end, startTime, endTime, alignment }]
+ *   with character offsets into text, times in seconds and optional { characters, startTimes, endTimes }
+ * @returns {Object} - { version, duration, source, sentences, words } with character offsets and times in seconds
+ */
+function buildNarrationTiming(text, segments) {
+  const words = [];
+  const sources = new Set();
+
+  segments.forEach(segment => {
+    const segmentWords = findWords(text, segment.start, segment.end);
+    const hasAlignment = segment.alignment?.characters?.length === segment.end - segment.start;
+
+    sources.add(hasAlignment ? 'alignment' : 'estimated');
+    words.push(...(hasAlignment ? alignWordTimes(segmentWords, segment) : estimateWordTimes(text, segmentWords, segment)));
+  });
+
+  // Sentences take their times from their first and last timed word
+  const sentences = [];
+  const pattern = new RegExp(SENTENCE_PATTERN.source, SENTENCE_PATTERN.flags);
+  let wordIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text))) {
+    const start = match.index;
+    const end = start + match[0].length;
+    while (wordIndex < words.length && words[wordIndex].start < start) wordIndex++;
+
+    const first = wordIndex;
+    while (wordIndex < words.length && words[wordIndex].start < end) wordIndex++;
+    if (wordIndex === first) continue;
+
+    const sentenceStart = start + match[0].length - match[0].trimStart().length;
+    const sentenceEnd = text.substring(sentenceStart, end).trimEnd().length + sentenceStart;
+    sentences.push({
+      text: text.substring(sentenceStart, sentenceEnd),
+      start: sentenceStart,
+      end: sentenceEnd,
+      startTime: words[first].startTime,
+      endTime: words[wordIndex - 1].endTime
+    });
+  }
+
+  return {
+    version: 1,
+    duration: round(segments.reduce((max, segment) => Math.max(max, segment.endTime), 0)),
+    source: sources.size > 1 ? 'mixed' : ([...sources][0] || 'estimated'),
+    sentences,
+    words
+  };
+}
+
+function formatVttTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${rest}`;
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Render timing data as WebVTT captions, one cue per sentence with karaoke-style word timestamps
+ * @param {Object} timing - Timing data from buildNarrationTiming
+ * @returns {string} - WebVTT file contents
+ */
+function createWebVtt(timing) {
+  const { words } = timing;
+  let wordIndex = 0;
+
+  const cues = timing.sentences.map((sentence, index) => {
+    while (wordIndex < words.length && words[wordIndex].start < sentence.start) wordIndex++;
+
+    let cursor = sentence.start;
+    let cueText = '';
+    for (; wordIndex < words.length && words[wordIndex].start < sentence.end; wordIndex++) {
+      const word = words[wordIndex];
+      cueText += escapeVtt(sentence.text.substring(cursor - sentence.start, word.start - sentence.start));
+      // Word timestamps must fall strictly inside the cue, so the first word has none
+      if (cursor > sentence.start && word.startTime > sentence.startTime && word.startTime < sentence.endTime) {
+        cueText += `<${formatVttTime(word.startTime)}>`;
+      }
+      cueText += escapeVtt(word.text);
+      cursor = word.end;
+    }
+    cueText += escapeVtt(sentence.text.substring(cursor - sentence.start));
+
+    return `${index + 1}\n${formatVttTime(sentence.startTime)} --> ${formatVttTime(sentence.endTime)}\n${cueText.replace(/\s+/g, ' ').trim()}`;
+  });
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/['’-]/g, '');
+}
+
+/**
+ * Line narration word timings up with the texts that were narrated, such as storybook pages,
+ * matching words in order and interpolating words the narration changed (e.g. "Mr." read as "Mister")
+ * @param {Object} timing - Timing data from buildNarrationTiming
+ * @param {Array} texts - Source texts in narration order
+ * @returns {Array} - Per text: { startTime, endTime, words: [{ start, end, startTime, endTime }] }; times are null when nothing matched
+ */
+function alignTimingToTexts(timing, texts) {
+  const narrated = timing.words.map(word => normalizeWord(word.text));
+  let pointer = 0;
+
+  const aligned = texts.map(text => {
+    const words = findWords(text, 0, text.length);
+    const normalized = words.map(word => normalizeWord(word.text));
+
+    // A match must also agree on the next word so a common word just before the text is not taken
+    const matchesAt = (timingIndex, wordIndex) => narrated[timingIndex] === normalized[wordIndex] && (
+      wordIndex + 1 >= normalized.length
+      || timingIndex + 1 >= narrated.length
+      || narrated[timingIndex + 1] === normalized[wordIndex + 1]
+    );
+
+    const timed = words.map((word, wordIndex) => {
+      const limit = Math.min(narrated.length, pointer + ALIGNMENT_LOOKAHEAD);
+      for (let timingIndex = pointer; timingIndex < limit; timingIndex++) {
+        if (matchesAt(timingIndex, wordIndex)) {
+          pointer = timingIndex + 1;
+          return { start: word.start, end: word.end, timingIndex, startTime: timing.words[timingIndex].startTime, endTime: timing.words[timingIndex].endTime };
+        }
+      }
+      return { start: word.start, end: word.end, timingIndex: null, startTime: null, endTime: null };
+    });
+
+    return { words: timed };
+  });
+
+  // Unmatched words share the time between their matched neighbours
+  const allWords = aligned.flatMap(text => text.words);
+  for (let index = 0; index < allWords.length; index++) {
+    if (allWords[index].startTime !== null) continue;
+
+    let next = index;
+    while (next < allWords.length && allWords[next].startTime === null) next++;
+    const to = next < allWords.length ? allWords[next].startTime : null;
+    // Before the first match, the gap starts after the narrated word that precedes it
+    let from = index > 0 ? allWords[index - 1].endTime : null;
+    if (from === null && next < allWords.length) {
+      const previous = allWords[next].timingIndex - 1;
+      from = previous >= 0 ? timing.words[previous].endTime : 0;
+    }
+    if (from === null || to === null) continue;
+
+    const step = (to - from) / (next - index);
+    for (let gap = index; gap < next; gap++) {
+      allWords[gap].startTime = round(from + step * (gap - index));
+      allWords[gap].endTime = round(from + step * (gap - index + 1));
+    }
+    index = next - 1;
+  }
+
+  return aligned.map(({ words }) => {
+    const timedWords = words.filter(word => word.startTime !== null);
+    return {
+      startTime: timedWords.length > 0 ? timedWords[0].startTime : null,
+      endTime: timedWords.length > 0 ? timedWords[timedWords.length - 1].endTime : null,
+      words: words.map(({ start, end, startTime, endTime }) => ({ start, end, startTime, endTime }))
+    };
+  });
+}
+
+/**
+ * URLs that serve the timing data of a narration file
+ * @param {string} audioFilename - Narration MP3 file name
+ * @returns {Object} - { timingUrl, captionsUrl }
+ */
+function getTimingUrls(audioFilename) {
+  return {
+    timingUrl: `/api/audio/${audioFilename}/timing`,
+    captionsUrl: `/api/audio/${audioFilename}/captions.vtt`
+  };
+}
+
+/**
+ * Storage key of the timing data of a narration file
+ * @param {string} audioFilename - Narration MP3 file name
+ * @returns {string} - Storage key
+ */
+function getTimingKey(audioFilename) {
+  return getMediaKey('audio', `${path.basename(audioFilename, '.mp3')}.timing.json`);
+}
+
+/**
+ * Store timing data next to its narration file
+ * @param {string} audioFilename - Narration MP3 file name
+ * @param {Object} timing - Timing data
+ */
+async function saveNarrationTiming(audioFilename, timing) {
+  await writeStoredFile(getTimingKey(audioFilename), JSON.stringify(timing));
+}
+
+/**
+ * Load the timing data stored for a narration
+ * @param {string} audioUrlOrFilename - Narration URL (/api/audio/...) or file name
+ * @returns {Object|null} - Timing data, or null when the narration has none
+ */
+async function loadNarrationTiming(audioUrlOrFilename) {
+  if (!audioUrlOrFilename) return null;
+
+  // Only the file name is used so a stored URL cannot point outside the audio files
+  const filename = path.basename(String(audioUrlOrFilename).split('?')[0]);
+  try {
+    const timing = await readStoredFile(getTimingKey(filename));
+    return timing ? JSON.parse(timing.toString('utf8')) : null;
+  } catch (error) {
+    console.error(`Failed to read narration timing for ${filename}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  SENTENCE_PATTERN,
+  buildNarrationTiming,
+  createWebVtt,
+  alignTimingToTexts,
+  getTimingUrls,
+  getTimingKey,
+  saveNarrationTiming,
+  loadNarrationTiming
+};
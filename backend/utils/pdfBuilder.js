@@ -0,0 +1,229 @@
+/**
+ * Print-Ready PDF Export
+ * Renders stories as text books and storybooks as illustrated picture books with trim size and bleed,
+ * using only local media so exports work offline
+ */
+
+const PDFDocument = require('pdfkit');
+const SVGtoPDF = require('svg-to-pdfkit');
+const { loadMedia } = require('./mediaFiles');
+const { stripSpeechMarkup } = require('./speechMarkup');
+
+const POINTS_PER_INCH = 72;
+
+// Finished page sizes in inches, [width, height]
+const TRIM_SIZES = {
+  'square-8': [8, 8],
+  'square-8.5': [8.5, 8.5],
+  'landscape-10x8': [10, 8],
+  letter: [8.5, 11],
+  a4: [8.27, 11.69]
+};
+
+const DEFAULT_TRIM_SIZE = 'square-8.5';
+const DEFAULT_BLEED_INCHES = 0.125;
+const MAX_BLEED_INCHES = 0.5;
+
+// Text stays this far inside the trim line so it survives cutting
+const SAFE_MARGIN_INCHES = 0.375;
+
+// Colours and fonts for each Storybook settings.theme
+const THEMES = {
+  default: { background: '#FFFFFF', text: '#2D3748', accent: '#6B46C1', font: 'Helvetica', headingFont: 'Helvetica-Bold' },
+  magical: { background: '#FAF5FF', text: '#44337A', accent: '#9F7AEA', font: 'Times-Roman', headingFont: 'Times-Bold' },
+  nature: { background: '#F0FFF4', text: '#22543D', accent: '#38A169', font: 'Helvetica', headingFont: 'Helvetica-Bold' },
+  space: { background: '#1A202C', text: '#E2E8F0', accent: '#63B3ED', font: 'Helvetica', headingFont: 'Helvetica-Bold' },
+  ocean: { background: '#EBF8FF', text: '#2A4365', accent: '#3182CE', font: 'Helvetica', headingFont: 'Helvetica-Bold' },
+  forest: { background: '#F7FAF0', text: '#1C4532', accent: '#2F855A', font: 'Times-Roman', headingFont: 'Times-Bold' }
+};
+
+// Collect a PDFKit document into a Buffer once drawing finishes
+function renderDocument(doc, draw) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    Promise.resolve()
+      .then(() => draw(doc))
+      .then(() => doc.end())
+      .catch(reject);
+  });
+}
+
+// Draw an illustration scaled to cover the box, cropping any overflow
+function drawImage(doc, image, x, y, width, height) {
+  doc.save();
+  doc.rect(x, y, width, height).clip();
+
+  if (image.mediaType === 'image/svg+xml') {
+    SVGtoPDF(doc, image.data.toString('utf8'), x, y, { width, height, preserveAspectRatio: 'xMidYMid slice' });
+  } else {
+    doc.image(image.data, x, y, { cover: [width, height], align: 'center', valign: 'center' });
+  }
+
+  doc.restore();
+}
+
+// Largest font size at which the text fits the box
+function fitFontSize(doc, text, width, height, { max = 18, min = 9 } = {}) {
+  let size = max;
+  while (size > min && doc.fontSize(size).heightOfString(text, { width, lineGap: size * 0.3 }) > height) {
+    size -= 0.5;
+  }
+  return size;
+}
+
+/**
+ * Render a story as a PDF with a title page, the body text and the creator credit
+ * @param {Object} story - Story with title, content, creatorName and optional chapters
+ * @returns {Buffer} - PDF file contents
+ */
+function createStoryPdf(story) {
+  const margin = POINTS_PER_INCH;
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin,
+    bufferPages: true,
+    info: { Title: story.title, Author: story.creatorName }
+  });
+
+  return renderDocument(doc, () => {
+    const width = doc.page.width - margin * 2;
+
+    // Title page
+    doc.font('Times-Bold').fontSize(32).fillColor('#1A202C')
+      .text(story.title, margin, doc.page.height * 0.3, { width, align: 'center' });
+    doc.moveDown(1);
+    doc.font('Times-Italic').fontSize(16).fillColor('#4A5568')
+      .text(`by ${story.creatorName}`, { width, align: 'center' });
+    if (story.genre) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(11).fillColor('#718096')
+        .text(story.genre.replace('-', ' ').toUpperCase(), { width, align: 'center', characterSpacing: 2 });
+    }
+
+    // Body, chapter by chapter when the story was written in chapters
+    const chapters = (story.chapters || []).filter(chapter => chapter.content);
+    const sections = chapters.length > 0
+      ? [...chapters].sort((a, b) => a.number - b.number).map(chapter => ({
+          heading: `Chapter ${chapter.number}: ${chapter.title}`,
+          content: chapter.content
+        }))
+      : [{ heading: null, content: story.content }];
+
+    sections.forEach(({ heading, content }) => {
+      doc.addPage();
+      if (heading) {
+        doc.font('Times-Bold').fontSize(20).fillColor('#1A202C').text(heading, { width });
+        doc.moveDown(1);
+      }
+
+      stripSpeechMarkup(content).split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+        doc.font('Times-Roman').fontSize(12).fillColor('#1A202C')
+          .text(paragraph, { width, align: 'justify', lineGap: 4, paragraphGap: 10 });
+      });
+    });
+
+    doc.moveDown(2);
+    doc.font('Times-Italic').fontSize(11).fillColor('#4A5568')
+      .text(`Written by ${story.creatorName}`, { width, align: 'center' });
+
+    // Running footers on every page after the title page
+    const range = doc.bufferedPageRange();
+    for (let i = range.start + 1; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing below the bottom margin would otherwise start a new page
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(9).fillColor('#A0AEC0')
+        .text(`${story.title} · ${i}`, margin, doc.page.height - margin / 2, { width, align: 'center', lineBreak: false });
+    }
+  });
+}
+
+/**
+ * Render a storybook as a picture book PDF with one illustrated page per storybook page
+ * @param {Object} storybook - Storybook with pages, title, creatorName and settings.theme
+ * @param {Object} options - Print options
+ * @param {string} options.trimSize - Key of TRIM_SIZES
+ * @param {number} options.bleed - Bleed in inches added around every edge
+ * @returns {Buffer} - PDF file contents
+ */
+async function createStorybookPdf(storybook, { trimSize = DEFAULT_TRIM_SIZE, bleed = DEFAULT_BLEED_INCHES } = {}) {
+  const [trimWidth, trimHeight] = TRIM_SIZES[trimSize].map(inches => inches * POINTS_PER_INCH);
+  const bleedPoints = bleed * POINTS_PER_INCH;
+  const pageWidth = trimWidth + bleedPoints * 2;
+  const pageHeight = trimHeight + bleedPoints * 2;
+  const safe = bleedPoints + SAFE_MARGIN_INCHES * POINTS_PER_INCH;
+  const theme = THEMES[storybook.settings?.theme] || THEMES.default;
+
+  const pages = [...storybook.pages].sort((a, b) => a.pageNumber - b.pageNumber);
+  const images = [];
+  for (const page of pages) {
+    const image = await loadMedia(page.imageUrl, { allowRemote: false });
+    images.push(image?.mediaType.startsWith('image/') ? image : null);
+  }
+
+  const doc = new PDFDocument({
+    size: [pageWidth, pageHeight],
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: storybook.title, Author: storybook.creatorName }
+  });
+
+  // Every page is drawn full bleed, with the boxes printers use to find the cut line
+  const addPage = () => {
+    doc.addPage({ size: [pageWidth, pageHeight], margin: 0 });
+    doc.page.dictionary.data.BleedBox = [0, 0, pageWidth, pageHeight];
+    doc.page.dictionary.data.TrimBox = [bleedPoints, bleedPoints, pageWidth - bleedPoints, pageHeight - bleedPoints];
+    doc.rect(0, 0, pageWidth, pageHeight).fill(theme.background);
+  };
+
+  return renderDocument(doc, () => {
+    const textWidth = pageWidth - safe * 2;
+
+    // Title page
+    addPage();
+    doc.rect(0, 0, pageWidth, bleedPoints + trimHeight * 0.12).fill(theme.accent);
+    doc.font(theme.headingFont).fontSize(fitFontSize(doc.font(theme.headingFont), storybook.title, textWidth, trimHeight * 0.25, { max: 40, min: 18 }))
+      .fillColor(theme.text)
+      .text(storybook.title, safe, pageHeight * 0.35, { width: textWidth, align: 'center' });
+    doc.moveDown(1);
+    doc.font(theme.font).fontSize(16).fillColor(theme.accent)
+      .text(`by ${storybook.creatorName}`, { width: textWidth, align: 'center' });
+
+    // One page per storybook page: illustration bleeding off the top and sides, text below
+    pages.forEach((page, index) => {
+      addPage();
+
+      const imageHeight = bleedPoints + trimHeight * 0.62;
+      if (images[index]) {
+        drawImage(doc, images[index], 0, 0, pageWidth, imageHeight);
+      } else {
+        doc.rect(0, 0, pageWidth, imageHeight).fill(theme.accent);
+      }
+
+      const footerHeight = 24;
+      const textTop = imageHeight + 18;
+      const textHeight = pageHeight - safe - footerHeight - textTop;
+      const text = stripSpeechMarkup(page.content);
+      const fontSize = fitFontSize(doc.font(theme.font), text, textWidth, textHeight);
+
+      doc.font(theme.font).fontSize(fontSize).fillColor(theme.text)
+        .text(text, safe, textTop, { width: textWidth, height: textHeight, lineGap: fontSize * 0.3, align: 'left', ellipsis: true });
+
+      doc.font(theme.font).fontSize(10).fillColor(theme.accent)
+        .text(String(index + 1), safe, pageHeight - safe - 12, { width: textWidth, align: 'center', lineBreak: false });
+    });
+  });
+}
+
+module.exports = {
+  TRIM_SIZES,
+  DEFAULT_TRIM_SIZE,
+  DEFAULT_BLEED_INCHES,
+  MAX_BLEED_INCHES,
+  createStoryPdf,
+  createStorybookPdf
+};
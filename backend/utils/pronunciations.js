@@ -0,0 +1,116 @@
+/**
+ * Pronunciation Lexicon
+ * Validates the respellings users and stories give for invented names ("Aelwyn" -> "AYL-win")
+ * and finds where lexicon terms occur in narration text
+ */
+
+const MAX_LEXICON_ENTRIES = 200;
+
+// Respellings are read aloud as written, so they are limited to letters, spaces, hyphens and apostrophes
+const RESPELLING_PATTERN = /^[\p{L}' ’-]+$/u;
+
+// IPA is placed inside an attribute of provider markup
+const IPA_PATTERN = /^[^<>"&]+$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Validate a pronunciation lexicon from a request body
+ * @param {Array} input - [{ term, respelling, ipa }]
+ * @returns {Array} - Entries with trimmed fields; later entries for the same term replace earlier ones
+ */
+function normalizeLexicon(input) {
+  if (!Array.isArray(input)) {
+    throw new Error('Pronunciations must be a list');
+  }
+  if (input.length > MAX_LEXICON_ENTRIES) {
+    throw new Error(`At most ${MAX_LEXICON_ENTRIES} pronunciations are allowed`);
+  }
+
+  const entries = new Map();
+  input.forEach((entry, index) => {
+    const term = typeof entry?.term === 'string' ? entry.term.trim().replace(/\s+/g, ' ') : '';
+    const respelling = typeof entry?.respelling === 'string' ? entry.respelling.trim().replace(/\s+/g, ' ') : '';
+    const ipa = typeof entry?.ipa === 'string' ? entry.ipa.trim() : '';
+
+    if (!term || term.length > 50) {
+      throw new Error(`Pronunciation ${index + 1} needs a word of at most 50 characters`);
+    }
+    if (!respelling || respelling.length > 100 || !RESPELLING_PATTERN.test(respelling)) {
+      throw new Error(`"${term}" needs a respelling of at most 100 letters, spaces and hyphens`);
+    }
+    if (ipa && (ipa.length > 100 || !IPA_PATTERN.test(ipa))) {
+      throw new Error(`"${term}" has an invalid IPA pronunciation`);
+    }
+
+    entries.set(term.toLowerCase(), { term, respelling, ...(ipa ? { ipa } : {}) });
+  });
+
+  return [...entries.values()];
+}
+
+/**
+ * Combine lexicons, letting later ones override earlier ones (e.g. a story's over its author's)
+ * @param {...Array} lexicons - Lexicons in increasing priority; missing ones are skipped
+ * @returns {Array} - One entry per term
+ */
+function mergeLexicons(...lexicons) {
+  const entries = new Map();
+  lexicons.filter(Array.isArray).forEach(lexicon => {
+    lexicon.forEach(({ term, respelling, ipa }) => {
+      entries.set(term.toLowerCase(), { term, respelling, ...(ipa ? { ipa } : {}) });
+    });
+  });
+  return [...entries.values()];
+}
+
+/**
+ * Find whole-word, case-insensitive occurrences of lexicon terms; longer terms win where terms overlap
+ * @param {string} text - Narration text
+ * @param {Array} lexicon - Pronunciation entries
+ * @param {number} from - Offset to start searching at
+ * @param {number} to - Offset matches must end by
+ * @returns {Array} - [{ start, end, entry }] in text order
+ */
+function findLexiconTerms(text, lexicon, from = 0, to = text.length) {
+  if (!lexicon?.length) return [];
+
+  const byTerm = new Map(lexicon.map(entry => [entry.term.toLowerCase(), entry]));
+  const alternatives = [...byTerm.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(term => escapeRegExp(term).replace(/ /g, '\\s+'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  pattern.lastIndex = from;
+
+  const matches = [];
+  let match;
+  while ((match = pattern.exec(text)) && match.index + match[0].length <= to) {
+    matches.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      entry: byTerm.get(match[0].toLowerCase().replace(/\s+/g, ' '))
+    });
+  }
+  return matches;
+}
+
+/**
+ * The entries of a lexicon that a text uses, so narrations only depend on the pronunciations they need
+ * @param {string} text - Narration text
+ * @param {Array} lexicon - Pronunciation entries
+ * @returns {Array} - Used entries sorted by term
+ */
+function getUsedLexicon(text, lexicon) {
+  const used = new Map(findLexiconTerms(text, lexicon).map(({ entry }) => [entry.term.toLowerCase(), entry]));
+  return [...used.values()].sort((a, b) => a.term.localeCompare(b.term));
+}
+
+module.exports = {
+  MAX_LEXICON_ENTRIES,
+  normalizeLexicon,
+  mergeLexicons,
+  findLexiconTerms,
+  getUsedLexicon
+};
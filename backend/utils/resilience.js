@@ -0,0 +1,249 @@
+/**
+ * AI Call Resilience Utilities
+ * Retries transient failures with jittered backoff, enforces per-call timeouts and
+ * trips a circuit breaker per provider so a failing service is skipped for a while
+ */
+
+const RETRY_ATTEMPTS = parseInt(process.env.AI_RETRY_ATTEMPTS, 10) || 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.AI_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.AI_BREAKER_COOLDOWN_MS, 10) || 60 * 1000;
+
+const TRANSIENT_STATUS_CODES = [408, 409, 425, 429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+const breakers = new Map();
+
+/**
+ * Read the HTTP status from axios, OpenAI SDK or wrapped errors
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {number|null} - HTTP status code if one is known
+ */
+function getErrorStatus(error) {
+  for (let current = error; current; current = current.cause) {
+    const status = current.status || current.response?.status;
+    if (status) return status;
+  }
+  return null;
+}
+
+/**
+ * Decide whether retrying the same provider could succeed
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {boolean} - True for rate limits, server errors, timeouts and dropped connections
+ */
+function isTransientError(error) {
+  const status = getErrorStatus(error);
+  if (status) {
+    return TRANSIENT_STATUS_CODES.includes(status);
+  }
+
+  for (let current = error; current; current = current.cause) {
+    if (TRANSIENT_ERROR_CODES.includes(current.code)) return true;
+    if (['APIConnectionError', 'APIConnectionTimeoutError'].includes(current.constructor?.name)) return true;
+  }
+  return false;
+}
+
+// Errors caused by the request itself, such as a bad prompt or an oversized input, say nothing about the
+// provider's health; bad credentials do, since every call after them fails the same way
+function isRequestError(error) {
+  const status = getErrorStatus(error);
+  return status >= 400 && status < 500 && !TRANSIENT_STATUS_CODES.includes(status) && ![401, 403].includes(status);
+}
+
+// Honour Retry-After from rate-limited responses, within the normal backoff cap
+function getRetryAfterMs(error) {
+  for (let current = error; current; current = current.cause) {
+    const headers = current.headers || current.response?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (value) {
+      const seconds = Number(value);
+      const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+      if (delay > 0) return Math.min(delay, RETRY_MAX_DELAY_MS);
+    }
+  }
+  return null;
+}
+
+function getBackoffDelay(attempt) {
+  // Full jitter: spread retries from many callers across the whole window
+  const cap = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason || new Error('Aborted'));
+    }, { once: true });
+  });
+}
+
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, {
+      name,
+      state: 'closed',
+      consecutiveFailures: 0,
+      totalFailures: 0,
+      totalSuccesses: 0,
+      openedAt: null,
+      lastError: null,
+      trialInFlight: false
+    });
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Check whether a breaker lets a call through, moving open breakers to half-open after the cooldown
+ * @param {string} name - Breaker name, e.g. 'text:openai'
+ * @returns {boolean} - Whether the call may proceed
+ */
+function canAttempt(name) {
+  const breaker = getBreaker(name);
+
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half-open';
+  }
+
+  if (breaker.state === 'half-open') {
+    // Only one trial call decides whether the provider has recovered
+    if (breaker.trialInFlight) return false;
+    breaker.trialInFlight = true;
+    return true;
+  }
+
+  return breaker.state === 'closed';
+}
+
+function recordSuccess(name) {
+  const breaker = getBreaker(name);
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.totalSuccesses += 1;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure(name, error) {
+  const breaker = getBreaker(name);
+  breaker.consecutiveFailures += 1;
+  breaker.totalFailures += 1;
+  breaker.lastError = error.message;
+  breaker.trialInFlight = false;
+
+  if (breaker.state === 'half-open' || breaker.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      console.log(`🔌 Circuit opened for ${name} after ${breaker.consecutiveFailures} failures`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+// Run fn with its own abort signal that fires on timeout or when the caller aborts
+async function runWithTimeout(fn, timeoutMs, parentSignal) {
+  const controller = new AbortController();
+  const abortFromParent = () => controller.abort(parentSignal.reason);
+  parentSignal?.addEventListener('abort', abortFromParent, { once: true });
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener('abort', abortFromParent);
+  }
+}
+
+/**
+ * Call an AI provider with a timeout, retries for transient errors and a circuit breaker
+ * Errors about the request itself, 4xx other than 401 and 403, are passed on without counting against the breaker
+ * @param {string} name - Breaker name, e.g. 'text:openai' or 'image:dalle'
+ * @param {Function} fn - async (signal) => result; should pass signal to its HTTP client
+ * @param {Object} options - Call options
+ * @param {number} options.retries - Extra attempts after the first for transient errors
+ * @param {number} options.timeoutMs - Limit for each attempt
+ * @param {AbortSignal} options.signal - Caller abort signal; aborting never counts as a provider failure
+ * @returns {*} - Result of fn
+ */
+async function callWithResilience(name, fn, { retries = RETRY_ATTEMPTS, timeoutMs = 30000, signal } = {}) {
+  if (!canAttempt(name)) {
+    const breaker = getBreaker(name);
+    const error = new Error(`Circuit open for ${name} (last error: ${breaker.lastError || 'unknown'})`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await runWithTimeout(fn, timeoutMs, signal);
+      recordSuccess(name);
+      return result;
+    } catch (error) {
+      if (signal?.aborted || isRequestError(error)) {
+        getBreaker(name).trialInFlight = false;
+        throw error;
+      }
+
+      const retryable = isTransientError(error) && attempt < retries && getBreaker(name).state === 'closed';
+      if (!retryable) {
+        recordFailure(name, error);
+        throw error;
+      }
+
+      const delay = getRetryAfterMs(error) ?? getBackoffDelay(attempt);
+      console.log(`⏳ ${name} failed (${getErrorStatus(error) || error.code || error.message}), retrying in ${delay}ms (attempt ${attempt + 2}/${retries + 1})`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Snapshot of circuit breaker state for status endpoints
+ * @param {string} prefix - Optional name prefix filter, e.g. 'text:'
+ * @returns {Array} - Breaker states
+ */
+function getBreakerStates(prefix = '') {
+  return [...breakers.values()]
+    .filter(breaker => breaker.name.startsWith(prefix))
+    .map(breaker => getBreakerState(breaker.name));
+}
+
+function getBreakerState(name) {
+  const breaker = getBreaker(name);
+  const isOpen = breaker.state === 'open';
+
+  return {
+    name: breaker.name,
+    state: isOpen && Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS ? 'half-open' : breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    totalFailures: breaker.totalFailures,
+    totalSuccesses: breaker.totalSuccesses,
+    lastError: breaker.lastError,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt) : null,
+    retryAt: isOpen ? new Date(breaker.openedAt + BREAKER_COOLDOWN_MS) : null
+  };
+}
+
+module.exports = {
+  callWithResilience,
+  isTransientError,
+  getErrorStatus,
+  getBreakerState,
+  getBreakerStates
+};
@@ -0,0 +1,55 @@
+/**
+ * Server-Sent Events Utilities
+ * Shared response handling for endpoints that stream progress or generated text
+ */
+
+/**
+ * Switch an Express response into a text/event-stream
+ * @param {Object} res - Express response
+ * @param {Object} options - Stream options
+ * @param {number} options.heartbeatMs - Interval for keep-alive comments that stop proxies closing idle streams
+ * @returns {Object} - Stream with send(event, data), close(), onClose(listener) and isClosed()
+ */
+function openEventStream(res, { heartbeatMs = 15000 } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': connected\n\n');
+
+  let closed = false;
+  const listeners = [];
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    listeners.forEach(listener => listener());
+  };
+
+  // The response closes when the client disconnects; the request closes as soon as its body is read
+  res.on('close', finish);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      finish();
+      res.end();
+    },
+    onClose(listener) {
+      listeners.push(listener);
+    },
+    isClosed() {
+      return closed;
+    }
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,241 @@
+/**
+ * Speech Markup
+ * A small bracket markup for narration: [pause], [pause 2s], [emphasis]...[/emphasis] (or [em]),
+ * [slow]...[/slow], [fast]...[/fast] and [rate 0.9]...[/rate]. Markup is parsed out of the text
+ * and compiled per TTS provider, as provider tags where supported and punctuation otherwise
+ */
+
+const crypto = require('crypto');
+const { findLexiconTerms } = require('./pronunciations');
+
+const TAG_PATTERN = /\[(\/?)(pause|emphasis|em|slow|fast|rate)(?:\s+([^\]\n]{0,20}))?\]/gi;
+
+const DEFAULT_PAUSE_SECONDS = 0.75;
+const MAX_PAUSE_SECONDS = 5;
+const NAMED_RATES = { slow: 0.8, fast: 1.2 };
+const MIN_RATE = 0.5;
+const MAX_RATE = 2;
+
+// What each provider understands; anything else is rendered with punctuation
+const PROVIDER_FEATURES = {
+  openai: { breaks: false, phonemes: false },
+  elevenlabs: { breaks: true, phonemes: true, maxBreakSeconds: 3 }
+};
+
+// Dashes make both providers set a phrase apart, which is the closest they get to stress
+const EMPHASIS_OPEN = '— ';
+const EMPHASIS_CLOSE = ' —';
+
+function parsePauseSeconds(argument) {
+  const match = String(argument || '').trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+  if (!match) return DEFAULT_PAUSE_SECONDS;
+
+  const seconds = Number(match[1]) / (match[2]?.toLowerCase() === 'ms' ? 1000 : 1);
+  return Math.min(Math.max(seconds, 0.1), MAX_PAUSE_SECONDS);
+}
+
+function parseRate(name, argument) {
+  if (NAMED_RATES[name]) return NAMED_RATES[name];
+
+  const rate = Number(String(argument || '').trim());
+  return Number.isFinite(rate) && rate > 0 ? Math.min(Math.max(rate, MIN_RATE), MAX_RATE) : 1;
+}
+
+/**
+ * Take the markup out of a text
+ * Rate tags do not nest: opening one ends the rate in effect. Tags left open close at the end of the text
+ * @param {string} text - Text with speech markup
+ * @returns {Object} - { text, marks: { pauses: [{ offset, seconds }], emphasis: [{ start, end }], rates: [{ start, end, rate }] } }
+ *   with offsets into the returned plain text
+ */
+function parseSpeechMarkup(text) {
+  const marks = { pauses: [], emphasis: [], rates: [] };
+  const pattern = new RegExp(TAG_PATTERN.source, TAG_PATTERN.flags);
+  let plain = '';
+  let cursor = 0;
+  let openEmphasis = null;
+  let openRate = null;
+  let match;
+
+  const closeRate = () => {
+    if (openRate && plain.trimEnd().length > openRate.start) {
+      marks.rates.push({ start: openRate.start, end: plain.trimEnd().length, rate: openRate.rate });
+    }
+    openRate = null;
+  };
+
+  while ((match = pattern.exec(text))) {
+    plain += text.substring(cursor, match.index);
+    cursor = match.index + match[0].length;
+
+    // A tag between two spaces leaves one space behind
+    if (/\s$/.test(plain) || plain === '') {
+      while (cursor < text.length && /[ \t]/.test(text[cursor])) cursor++;
+    }
+
+    const [, closing, tagName, argument] = match;
+    const name = tagName.toLowerCase();
+
+    if (name === 'pause') {
+      // Pauses follow the text before them, so they stay with it when the text is split into chunks
+      if (!closing && plain.trim()) {
+        marks.pauses.push({ offset: plain.trimEnd().length, seconds: parsePauseSeconds(argument) });
+      }
+    } else if (name === 'emphasis' || name === 'em') {
+      if (closing && openEmphasis) {
+        if (plain.trimEnd().length > openEmphasis.start) {
+          marks.emphasis.push({ start: openEmphasis.start, end: plain.trimEnd().length });
+        }
+        openEmphasis = null;
+      } else if (!closing && !openEmphasis) {
+        openEmphasis = { start: plain.length };
+      }
+    } else {
+      closeRate();
+      if (!closing) {
+        openRate = { start: plain.length, rate: parseRate(name, argument) };
+      }
+    }
+  }
+
+  plain += text.substring(cursor);
+  if (openEmphasis && plain.trimEnd().length > openEmphasis.start) {
+    marks.emphasis.push({ start: openEmphasis.start, end: plain.trimEnd().length });
+  }
+  closeRate();
+
+  marks.rates = marks.rates.filter(span => span.rate !== 1);
+  return { text: plain, marks };
+}
+
+/**
+ * Remove speech markup, e.g. before printing a story
+ * @param {string} text - Text with speech markup
+ * @returns {string} - Plain text
+ */
+function stripSpeechMarkup(text) {
+  return parseSpeechMarkup(text).text;
+}
+
+/**
+ * Blank out speech markup while keeping every other character at its offset,
+ * so word positions found in the result point into the marked-up text
+ * @param {string} text - Text with speech markup
+ * @returns {string} - Text of the same length with tags replaced by spaces
+ */
+function maskSpeechMarkup(text) {
+  return text.replace(new RegExp(TAG_PATTERN.source, TAG_PATTERN.flags), tag => ' '.repeat(tag.length));
+}
+
+/**
+ * Check whether parsed marks contain anything
+ * @param {Object} marks - Marks from parseSpeechMarkup
+ * @returns {boolean} - True when there is at least one pause, emphasis or rate
+ */
+function hasSpeechMarks(marks) {
+  return !!(marks?.pauses?.length || marks?.emphasis?.length || marks?.rates?.length);
+}
+
+/**
+ * Split a range of the text where its speaking rate changes
+ * @param {Object} marks - Marks from parseSpeechMarkup
+ * @param {number} start - Range start offset
+ * @param {number} end - Range end offset
+ * @returns {Array} - [{ start, end, rate }] covering the range in order
+ */
+function splitByRate(marks, start, end) {
+  const ranges = [];
+  let cursor = start;
+
+  (marks?.rates || [])
+    .filter(span => span.end > start && span.start < end)
+    .forEach(span => {
+      if (span.start > cursor) ranges.push({ start: cursor, end: span.start, rate: 1 });
+      ranges.push({ start: Math.max(cursor, span.start), end: Math.min(end, span.end), rate: span.rate });
+      cursor = Math.min(end, span.end);
+    });
+
+  if (cursor < end) ranges.push({ start: cursor, end, rate: 1 });
+  return ranges;
+}
+
+function renderPause(seconds, features) {
+  if (features.breaks) {
+    const breaks = [];
+    for (let remaining = seconds; remaining > 0.01; remaining -= features.maxBreakSeconds) {
+      breaks.push(`<break time="${Number(Math.min(remaining, features.maxBreakSeconds).toFixed(2))}s" />`);
+    }
+    return ` ${breaks.join(' ')}`;
+  }
+
+  // A dash is a short beat; each ellipsis is read as roughly a second of silence
+  return seconds < 0.5 ? ' —' : ` ${Array(Math.max(1, Math.round(seconds))).fill('...').join(' ')}`;
+}
+
+function renderTerm(original, entry, features) {
+  return features.phonemes && entry.ipa
+    ? `<phoneme alphabet="ipa" ph="${entry.ipa}">${original}</phoneme>`
+    : entry.respelling;
+}
+
+/**
+ * Compile plain text and its marks into the input a provider reads
+ * @param {Object} speech - { text, marks, lexicon, start, end }; start and end select part of the text
+ * @param {string} provider - openai or elevenlabs
+ * @returns {string} - Text to send to the provider; equal to the plain text when nothing applies
+ */
+function compileSpeech(speech, provider) {
+  const { text, marks, lexicon, start = 0, end = text.length } = speech;
+  const features = PROVIDER_FEATURES[provider] || PROVIDER_FEATURES.openai;
+  const events = [];
+
+  // At the same offset, emphasis closes before a pause and opens after it
+  (marks?.emphasis || [])
+    .filter(span => span.end > start && span.start < end)
+    .forEach(span => {
+      events.push({ offset: Math.max(start, span.start), order: 2, value: EMPHASIS_OPEN });
+      events.push({ offset: Math.min(end, span.end), order: 0, value: EMPHASIS_CLOSE });
+    });
+  (marks?.pauses || [])
+    .filter(pause => pause.offset > start && pause.offset <= end)
+    .forEach(pause => events.push({ offset: pause.offset, order: 1, value: renderPause(pause.seconds, features) }));
+  findLexiconTerms(text, lexicon, start, end).forEach(term => {
+    events.push({ offset: term.start, order: 3, end: term.end, value: renderTerm(text.substring(term.start, term.end), term.entry, features) });
+  });
+
+  events.sort((a, b) => a.offset - b.offset || a.order - b.order);
+
+  let output = '';
+  let cursor = start;
+  events.forEach(event => {
+    if (event.offset > cursor) {
+      output += text.substring(cursor, event.offset);
+      cursor = event.offset;
+    }
+    output += event.value;
+    if (event.end) cursor = Math.max(cursor, event.end);
+  });
+
+  return output + text.substring(cursor, end);
+}
+
+/**
+ * Fingerprint the marks and pronunciations of a narration so it only resumes with the same speech
+ * @param {Object} marks - Marks from parseSpeechMarkup
+ * @param {Array} lexicon - Pronunciation entries used by the text
+ * @returns {string} - Hex digest, or an empty string when there is neither
+ */
+function hashSpeech(marks, lexicon) {
+  if (!hasSpeechMarks(marks) && !lexicon?.length) return '';
+  return crypto.createHash('sha256').update(JSON.stringify({ marks, lexicon: lexicon || [] })).digest('hex');
+}
+
+module.exports = {
+  parseSpeechMarkup,
+  stripSpeechMarkup,
+  maskSpeechMarkup,
+  hasSpeechMarks,
+  splitByRate,
+  compileSpeech,
+  hashSpeech
+};
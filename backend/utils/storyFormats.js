@@ -0,0 +1,257 @@
+/**
+ * Story File Formats
+ * Converts stories to and from Markdown with front matter, plain text and JSON files
+ * so drafts can move between writing tools and the app
+ */
+
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const JSON_FORMAT_ID = 'ai-story-maker/story';
+
+// Upper word counts for each length option, halfway between the generation targets
+const LENGTH_LIMITS = [
+  { length: 'short', maxWords: 1300 },
+  { length: 'medium', maxWords: 2650 },
+  { length: 'long', maxWords: 4500 }
+];
+
+const CHAPTER_HEADING = /^Chapter \d+: .+$/;
+
+/**
+ * Pick the length option closest to a story's word count
+ * @param {number} wordCount - Words in the story
+ * @returns {string} - Story length option
+ */
+function guessLength(wordCount) {
+  const match = LENGTH_LIMITS.find(limit => wordCount <= limit.maxWords);
+  return match ? match.length : 'very long';
+}
+
+/**
+ * Serialize a story for download
+ * @param {Object} story - Story document or plain object
+ * @param {string} format - md, txt or json
+ * @returns {string} - File contents
+ */
+function exportStory(story, format) {
+  const tags = story.tags || [];
+
+  if (format === 'json') {
+    return JSON.stringify({
+      format: JSON_FORMAT_ID,
+      version: 1,
+      title: story.title,
+      genre: story.genre,
+      length: story.length,
+      tags,
+      prompt: story.prompt,
+      author: story.creatorName,
+      createdAt: story.createdAt,
+      wordCount: story.wordCount,
+      estimatedReadingTime: story.estimatedReadingTime,
+      content: story.content
+    }, null, 2);
+  }
+
+  if (format === 'txt') {
+    return `${story.title}\nby ${story.creatorName}\n\n${story.content.trim()}\n`;
+  }
+
+  // Double-quoted JSON strings are valid YAML scalars, so values survive any punctuation
+  const frontMatter = [
+    '---',
+    `title: ${JSON.stringify(story.title)}`,
+    `genre: ${story.genre}`,
+    `length: ${story.length}`,
+    `tags: [${tags.map(tag => JSON.stringify(tag)).join(', ')}]`,
+    `prompt: ${JSON.stringify(story.prompt)}`,
+    `author: ${JSON.stringify(story.creatorName)}`,
+    story.createdAt ? `created: ${new Date(story.createdAt).toISOString()}` : null,
+    '---'
+  ].filter(line => line !== null);
+
+  const body = story.content.trim()
+    .split('\n')
+    .map(line => (CHAPTER_HEADING.test(line.trim()) ? `## ${line.trim()}` : line))
+    .join('\n');
+
+  return `${frontMatter.join('\n')}\n\n# ${story.title}\n\n${body}\n`;
+}
+
+// Split a YAML flow list body on commas outside quotes
+function splitFlowList(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        current += char + (text[i + 1] || '');
+        i += 1;
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  items.push(current);
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid quoted value in front matter: ${value.substring(0, 50)}`);
+    }
+  }
+  if (value.startsWith('\'') && value.endsWith('\'') && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlowList(value.slice(1, -1)).map(parseScalar);
+  }
+
+  return value;
+}
+
+/**
+ * Parse the YAML front matter subset our exports and common writing tools produce:
+ * key: value pairs with plain or quoted strings, [flow, lists] and "- item" block lists
+ * @param {string} text - Front matter without the --- fences
+ * @returns {Object} - Parsed keys
+ */
+function parseFrontMatter(text) {
+  const data = {};
+  let listKey = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Could not read front matter line ${index + 1}`);
+    }
+
+    const [, key, value] = pair;
+    if (value.trim() === '') {
+      // A key with no value starts a block list
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = parseScalar(value);
+      listKey = null;
+    }
+  });
+
+  return data;
+}
+
+function toTags(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const tags = Array.isArray(value) ? value : String(value).split(',');
+  return tags.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * Read an imported story file
+ * @param {string} data - File contents
+ * @param {string} format - md, txt or json
+ * @returns {Object} - { title, content, genre, length, prompt, tags }; fields missing from the file are undefined
+ */
+function parseStoryFile(data, format) {
+  const text = String(data).replace(/^\uFEFF/, '');
+
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('JSON file must contain a story object');
+    }
+
+    return {
+      title: parsed.title,
+      content: parsed.content,
+      genre: parsed.genre,
+      length: parsed.length,
+      prompt: parsed.prompt,
+      tags: toTags(parsed.tags)
+    };
+  }
+
+  if (format === 'txt') {
+    // The first line is the title; a "by ..." credit line under it comes from our own export
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const titleIndex = lines.findIndex(line => line.trim());
+    if (titleIndex === -1) {
+      throw new Error('File is empty');
+    }
+
+    let bodyStart = titleIndex + 1;
+    if (/^by\s+\S/i.test(lines[bodyStart] || '')) bodyStart += 1;
+
+    return {
+      title: lines[titleIndex].trim(),
+      content: lines.slice(bodyStart).join('\n').trim(),
+      tags: []
+    };
+  }
+
+  let metadata = {};
+  let body = text.replace(/\r\n/g, '\n');
+  const frontMatter = body.match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+  if (frontMatter) {
+    metadata = parseFrontMatter(frontMatter[1]);
+    body = body.slice(frontMatter[0].length);
+  }
+
+  // A leading "# Title" heading is the title, not part of the story text
+  body = body.trim();
+  const heading = body.match(/^#\s+(.+)\n?/);
+  if (heading) {
+    body = body.slice(heading[0].length).trim();
+  }
+
+  return {
+    title: typeof metadata.title === 'string' ? metadata.title : heading?.[1].trim(),
+    content: body.split('\n').map(line => line.replace(/^#{2,6}\s+/, '')).join('\n'),
+    genre: metadata.genre,
+    length: metadata.length,
+    prompt: metadata.prompt,
+    tags: toTags(metadata.tags)
+  };
+}
+
+module.exports = {
+  FORMATS,
+  guessLength,
+  exportStory,
+  parseFrontMatter,
+  parseStoryFile
+};
@@ -0,0 +1,149 @@
+/**
+ * Word-level Text Diff
+ * Myers diff over word tokens, used to compare story revisions
+ */
+
+// Bounds the edit script so very different texts cannot exhaust memory
+const MAX_EDITS = 3000;
+
+/**
+ * Split text into word tokens with their leading whitespace so the text can be rebuilt exactly
+ * Leading rather than trailing whitespace keeps appended text from marking the old last word as changed
+ * @param {string} text - Text to tokenize
+ * @returns {Array} - Tokens
+ */
+function tokenize(text) {
+  return (text || '').match(/\s*\S+|\s+$/g) || [];
+}
+
+// Myers O((N+M)D) shortest edit script; returns null when more than maxEdits edits are needed
+function myersDiff(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    if (d > maxEdits) return null;
+
+    // Only diagonals -d-1..d+1 are read in this round, so that is all backtracking needs
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', token: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', token: b[y - 1] });
+        y--;
+      } else {
+        ops.push({ type: 'delete', token: a[x - 1] });
+        x--;
+      }
+    }
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Compare two texts word by word
+ * @param {string} fromText - Original text
+ * @param {string} toText - Changed text
+ * @returns {Object} - { segments: [{ type: 'equal'|'insert'|'delete', text }], stats, truncated }
+ */
+function diffWords(fromText, toText) {
+  const a = tokenize(fromText);
+  const b = tokenize(toText);
+
+  // Shared openings and endings are common between revisions and cheap to skip
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+
+  let middle = myersDiff(middleA, middleB, MAX_EDITS);
+  const truncated = middle === null;
+  if (truncated) {
+    // Too many edits for a fine-grained diff: show the changed region as replaced
+    middle = [
+      ...middleA.map(token => ({ type: 'delete', token })),
+      ...middleB.map(token => ({ type: 'insert', token }))
+    ];
+  }
+
+  const ops = [
+    ...a.slice(0, prefix).map(token => ({ type: 'equal', token })),
+    ...middle,
+    ...a.slice(a.length - suffix).map(token => ({ type: 'equal', token }))
+  ];
+
+  const stats = { inserted: 0, deleted: 0, unchanged: 0 };
+  const statKeys = { insert: 'inserted', delete: 'deleted', equal: 'unchanged' };
+  const segments = [];
+
+  for (const op of ops) {
+    if (/\S/.test(op.token)) {
+      stats[statKeys[op.type]] += 1;
+    }
+
+    const last = segments[segments.length - 1];
+    if (last && last.type === op.type) {
+      last.text += op.token;
+    } else {
+      segments.push({ type: op.type, text: op.token });
+    }
+  }
+
+  return { segments, stats, truncated };
+}
+
+module.exports = { diffWords, tokenize };
@@ -0,0 +1,534 @@
+/**
+ * Text Generation Provider Registry
+ * Every text provider exposes the same interface so story generation, prompt
+ * enhancement, streaming and the provider status endpoint share one list
+ */
+
+const axios = require('axios');
+const OpenAI = require('openai');
+const { validateOpenAIKey, validateHuggingFaceKey, validateGoogleAIKey, isServiceConfigured, maskApiKey, cleanApiKey } = require('./apiValidators');
+const { callWithResilience, getBreakerState } = require('./resilience');
+
+const HEALTH_CACHE_MS = 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 45 * 1000;
+const STREAM_TIMEOUT_MS = 5 * 60 * 1000;
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1/models/gemini-1.5-flash';
+
+/*
+ * Provider interface
+ *   name, label, type, priority, quality, timeoutMs
+ *   isConfigured()                 -> { configured, reason }
+ *   maskedKey()                    -> string | null
+ *   generate(request)              -> Promise<string>
+ *   enhance(request)               -> Promise<string>
+ *   stream(request, onToken)       -> Promise<string>  (optional)
+ *   health()                       -> Promise<{ healthy, message }>
+ *
+ * request: { system, prompt, maxTokens, temperature, signal }
+ */
+
+const providers = new Map();
+const healthCache = new Map();
+
+/**
+ * Add a provider to the registry, replacing any provider with the same name
+ * @param {Object} provider - Object implementing the provider interface
+ * @returns {Object} - The registered provider
+ */
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+  healthCache.delete(provider.name);
+  return provider;
+}
+
+function getProvider(name) {
+  return providers.get(name);
+}
+
+/**
+ * List registered providers in failover order
+ * TEXT_PROVIDER_ORDER (comma separated names) overrides the built-in priorities
+ * @returns {Array} - Providers sorted by priority
+ */
+function getProviders() {
+  const order = (process.env.TEXT_PROVIDER_ORDER || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const rank = (provider) => {
+    const index = order.indexOf(provider.name);
+    return index === -1 ? order.length + provider.priority : index;
+  };
+
+  return [...providers.values()].sort((a, b) => rank(a) - rank(b));
+}
+
+function getConfiguredProviders() {
+  return getProviders().filter(provider => provider.isConfigured().configured);
+}
+
+/**
+ * Run an operation against each configured provider until one succeeds
+ * @param {string} operation - 'generate', 'enhance' or 'stream'
+ * @param {Object} request - Provider request ({ system, prompt, maxTokens, temperature, signal })
+ * @param {Object} options - Failover options
+ * @param {Function} options.isAcceptable - Returns false when the output should be rejected
+ * @param {Function} options.canFailOver - Returns false once trying another provider is no longer safe
+ * @param {Function} options.onToken - Receives streamed text when operation is 'stream'
+ * @returns {Object|null} - { content, provider } or null when every provider failed
+ */
+async function runWithFailover(operation, request, { isAcceptable = () => true, canFailOver = () => true, onToken } = {}) {
+  const candidates = getProviders().filter(provider => typeof provider[operation] === 'function');
+
+  for (const provider of candidates) {
+    const status = provider.isConfigured();
+    if (!status.configured) {
+      console.log(`⏭️  Skipping ${provider.name} - ${status.reason}`);
+      continue;
+    }
+
+    try {
+      console.log(`🔄 Attempting ${operation} with ${provider.name}...`);
+
+      // Streamed text cannot be taken back, so streams are never retried
+      const content = await callWithResilience(
+        `text:${provider.name}`,
+        (signal) => provider[operation]({ ...request, signal }, onToken),
+        {
+          signal: request.signal,
+          retries: operation === 'stream' ? 0 : undefined,
+          timeoutMs: operation === 'stream' ? STREAM_TIMEOUT_MS : provider.timeoutMs || DEFAULT_TIMEOUT_MS
+        }
+      );
+
+      if (!content || !isAcceptable(content)) {
+        throw new Error(`Generated content too short (${content?.length || 0} chars)`);
+      }
+
+      console.log(`✅ ${operation} succeeded with ${provider.name} (${content.length} characters)`);
+      return { content, provider: provider.name };
+    } catch (error) {
+      if (request.signal?.aborted) {
+        throw error;
+      }
+      if (!canFailOver()) {
+        throw new Error(`${provider.name} ${operation} interrupted: ${error.message}`);
+      }
+      console.error(`❌ ${provider.name} ${operation} failed:`, error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a provider's health, reusing recent results so status pages stay cheap
+ * @param {Object} provider - Registered provider
+ * @returns {Object} - { healthy, message, responseTime, lastChecked }
+ */
+async function checkHealth(provider) {
+  const cached = healthCache.get(provider.name);
+  if (cached && Date.now() - cached.lastChecked.getTime() < HEALTH_CACHE_MS) {
+    return cached;
+  }
+
+  const startedAt = Date.now();
+  let result;
+  try {
+    result = await provider.health();
+  } catch (error) {
+    result = { healthy: false, message: error.response?.status ? `HTTP ${error.response.status}` : error.message };
+  }
+
+  const health = {
+    healthy: result.healthy,
+    message: result.message,
+    responseTime: result.healthy ? Date.now() - startedAt : null,
+    lastChecked: new Date()
+  };
+  healthCache.set(provider.name, health);
+  return health;
+}
+
+/**
+ * Describe every registered provider for status endpoints
+ * @returns {Array} - Provider status objects
+ */
+async function describeProviders() {
+  return Promise.all(getProviders().map(async (provider) => {
+    const configuration = provider.isConfigured();
+    const health = configuration.configured
+      ? await checkHealth(provider)
+      : { healthy: false, message: configuration.reason, responseTime: null, lastChecked: new Date() };
+    const circuit = getBreakerState(`text:${provider.name}`);
+    const calls = circuit.totalSuccesses + circuit.totalFailures;
+    const isHealthy = health.healthy && circuit.state !== 'open';
+
+    return {
+      id: provider.name,
+      name: provider.label,
+      type: provider.type,
+      isHealthy,
+      isConfigured: configuration.configured,
+      lastChecked: health.lastChecked,
+      quality: provider.quality,
+      responseTime: health.responseTime,
+      errorRate: calls > 0 ? circuit.totalFailures / calls : 0,
+      status: isHealthy ? 'healthy' : 'unhealthy',
+      message: circuit.state === 'open' ? `Circuit open until ${circuit.retryAt.toISOString()}` : health.message,
+      circuit,
+      maskedKey: configuration.configured ? provider.maskedKey() : null,
+      capabilities: ['generate', 'enhance', 'stream'].filter(operation => typeof provider[operation] === 'function')
+    };
+  }));
+}
+
+/**
+ * Build a provider for any endpoint that speaks the OpenAI chat completions API
+ * @param {Object} options - Provider definition
+ * @param {Function} options.getClient - Returns an OpenAI client or null when unavailable
+ * @param {Function} options.getModel - Returns the model name to request
+ * @param {number} options.maxTokens - Upper bound on completion tokens
+ * @returns {Object} - Provider implementing generate, enhance, stream and health
+ */
+function createOpenAIChatProvider({ getClient, getModel, maxTokens, ...definition }) {
+  const requireClient = () => {
+    const client = getClient();
+    if (!client) throw new Error(`${definition.label} client not initialized`);
+    return client;
+  };
+
+  const createParams = (request, extra = {}) => ({
+    model: getModel(),
+    messages: [
+      { role: 'system', content: request.system },
+      { role: 'user', content: request.prompt }
+    ],
+    max_tokens: Math.min(request.maxTokens, maxTokens),
+    temperature: request.temperature,
+    ...extra
+  });
+
+  return {
+    ...definition,
+
+    async generate(request) {
+      const completion = await requireClient().chat.completions.create(
+        createParams(request, { top_p: 0.9, frequency_penalty: 0.1, presence_penalty: 0.1 }),
+        { signal: request.signal }
+      );
+      return completion.choices[0]?.message?.content?.trim() || '';
+    },
+
+    async enhance(request) {
+      const completion = await requireClient().chat.completions.create(createParams(request), { signal: request.signal });
+      return completion.choices[0]?.message?.content?.trim() || '';
+    },
+
+    // Forwards each content delta as it arrives
+    async stream(request, onToken) {
+      const stream = await requireClient().chat.completions.create(
+        createParams(request, { stream: true }),
+        { signal: request.signal }
+      );
+
+      let content = '';
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) {
+          content += text;
+          onToken(text);
+        }
+      }
+      // An aborted stream ends the loop quietly, which would pass the partial text off as the whole story
+      request.signal?.throwIfAborted();
+      return content.trim();
+    },
+
+    async health() {
+      await requireClient().models.list({ timeout: 5000 });
+      return { healthy: true, message: `Ready (${getModel()})` };
+    }
+  };
+}
+
+// OpenAI (Primary)
+let openaiClient = null;
+let openaiClientKey = null;
+
+function getOpenAIClient() {
+  const apiKey = process.env.OPENAI_API_KEY ? cleanApiKey(process.env.OPENAI_API_KEY) : '';
+  if (!apiKey || !validateOpenAIKey(apiKey)) return null;
+
+  if (apiKey !== openaiClientKey) {
+    // Retries are handled by callWithResilience
+    openaiClient = new OpenAI({ apiKey, maxRetries: 0 });
+    openaiClientKey = apiKey;
+    console.log('✅ OpenAI client initialized successfully');
+  }
+  return openaiClient;
+}
+
+registerProvider(createOpenAIChatProvider({
+  name: 'openai',
+  label: 'OpenAI',
+  type: 'primary',
+  priority: 1,
+  quality: 0.95,
+  maxTokens: 4000,
+  getClient: getOpenAIClient,
+  getModel: () => 'gpt-3.5-turbo',
+  isConfigured: () => isServiceConfigured('openai'),
+  maskedKey: () => `sk-****${process.env.OPENAI_API_KEY?.slice(-4)}`
+}));
+
+// Hugging Face (Secondary)
+function getHuggingFaceKey() {
+  const apiKey = cleanApiKey(process.env.HUGGINGFACE_API_KEY || '');
+  if (!validateHuggingFaceKey(apiKey)) {
+    throw new Error('Invalid HuggingFace API key format');
+  }
+  return apiKey;
+}
+
+async function queryHuggingFace(model, body, { signal, timeout }) {
+  const response = await axios.post(
+    `https://api-inference.huggingface.co/models/${model}`,
+    body,
+    {
+      headers: {
+        'Authorization': `Bearer ${getHuggingFaceKey()}`,
+        'Content-Type': 'application/json'
+      },
+      timeout,
+      signal
+    }
+  );
+
+  // Handle different response formats
+  return response.data[0]?.generated_text || response.data?.generated_text || '';
+}
+
+registerProvider({
+  name: 'huggingface',
+  label: 'Hugging Face',
+  type: 'secondary',
+  priority: 2,
+  quality: 0.9,
+  isConfigured: () => isServiceConfigured('huggingface'),
+  maskedKey: () => `hf_****${process.env.HUGGINGFACE_API_KEY?.slice(-4)}`,
+
+  async generate(request) {
+    try {
+      console.log('🔄 Using HuggingFace inference API with model: gpt2');
+      return await queryHuggingFace('gpt2', {
+        inputs: `${request.system}\n\n${request.prompt}`,
+        parameters: {
+          max_length: Math.min(request.maxTokens, 2000),
+          temperature: request.temperature,
+          do_sample: true,
+          top_p: 0.9,
+          repetition_penalty: 1.1,
+          return_full_text: false
+        }
+      }, { signal: request.signal, timeout: 30000 });
+    } catch (error) {
+      console.error('❌ HuggingFace API error:', error.response?.data || error.message);
+      throw new Error(`HuggingFace API failed: ${error.response?.status || error.message}`, { cause: error });
+    }
+  },
+
+  async enhance(request) {
+    const result = await queryHuggingFace('google/flan-t5-large', {
+      inputs: request.prompt
+    }, { signal: request.signal, timeout: 15000 });
+
+    return result.replace(/^.*?:/, '').trim();
+  },
+
+  async health() {
+    await axios.get('https://huggingface.co/api/whoami-v2', {
+      headers: { 'Authorization': `Bearer ${getHuggingFaceKey()}` },
+      timeout: 5000
+    });
+    return { healthy: true, message: 'Ready (gpt2)' };
+  }
+});
+
+// Google AI (Tertiary)
+function getGoogleKey() {
+  // Clean the API key before validation and use
+  const apiKey = cleanApiKey(process.env.GOOGLE_AI_API_KEY || '');
+  if (!validateGoogleAIKey(apiKey)) {
+    throw new Error('Invalid Google AI API key format');
+  }
+  return apiKey;
+}
+
+function createGeminiBody(request) {
+  return {
+    contents: [
+      {
+        parts: [{ text: `${request.system}\n\n${request.prompt}` }]
+      }
+    ],
+    generationConfig: {
+      temperature: request.temperature,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: Math.min(request.maxTokens, 2000)
+    },
+    safetySettings: [
+      'HARM_CATEGORY_HARASSMENT',
+      'HARM_CATEGORY_HATE_SPEECH',
+      'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+      'HARM_CATEGORY_DANGEROUS_CONTENT'
+    ].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }))
+  };
+}
+
+function readGeminiText(payload) {
+  return payload?.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+}
+
+registerProvider({
+  name: 'google',
+  label: 'Google AI',
+  type: 'tertiary',
+  priority: 3,
+  quality: 0.88,
+  isConfigured: () => isServiceConfigured('google'),
+  maskedKey: () => `AIza****${process.env.GOOGLE_AI_API_KEY?.slice(-4)}`,
+
+  async generate(request) {
+    try {
+      console.log('🔄 Using Google AI with model: gemini-1.5-flash');
+      const response = await axios.post(
+        `${GEMINI_BASE_URL}:generateContent?key=${getGoogleKey()}`,
+        createGeminiBody(request),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 30000,
+          signal: request.signal
+        }
+      );
+
+      const result = readGeminiText(response.data);
+      if (!result) {
+        throw new Error('Google AI returned empty or malformed response');
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ Google AI API error:', error.response?.data || error.message);
+      throw new Error(`Google AI API failed: ${error.response?.status || error.message}`, { cause: error });
+    }
+  },
+
+  async enhance(request) {
+    return this.generate(request);
+  },
+
+  // Reads the SSE variant of generateContent
+  async stream(request, onToken) {
+    const response = await axios.post(
+      `${GEMINI_BASE_URL}:streamGenerateContent?alt=sse&key=${getGoogleKey()}`,
+      createGeminiBody(request),
+      {
+        headers: { 'Content-Type': 'application/json' },
+        responseType: 'stream',
+        timeout: 30000,
+        signal: request.signal
+      }
+    );
+
+    let content = '';
+    let buffered = '';
+
+    for await (const chunk of response.data) {
+      buffered += chunk.toString('utf8');
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+
+        const text = readGeminiText(JSON.parse(line.slice(5).trim()));
+        if (text) {
+          content += text;
+          onToken(text);
+        }
+      }
+    }
+
+    request.signal?.throwIfAborted();
+    return content.trim();
+  },
+
+  async health() {
+    await axios.get(`${GEMINI_BASE_URL}?key=${getGoogleKey()}`, { timeout: 5000 });
+    return { healthy: true, message: 'Ready (gemini-1.5-flash)' };
+  }
+});
+
+// OpenAI-compatible endpoint (llama.cpp server, Ollama, vLLM, LM Studio...)
+let compatibleClient = null;
+let compatibleClientConfig = null;
+
+function getCompatibleBaseURL() {
+  return (process.env.OPENAI_COMPATIBLE_BASE_URL || '').trim().replace(/\/+$/, '');
+}
+
+function getCompatibleClient() {
+  const baseURL = getCompatibleBaseURL();
+  if (!baseURL) return null;
+
+  // Local servers usually ignore the key, but the client refuses to start without one
+  const apiKey = cleanApiKey(process.env.OPENAI_COMPATIBLE_API_KEY || '') || 'not-needed';
+  const config = `${baseURL}|${apiKey}`;
+
+  if (config !== compatibleClientConfig) {
+    compatibleClient = new OpenAI({ apiKey, baseURL, timeout: 120000, maxRetries: 0 });
+    compatibleClientConfig = config;
+    console.log(`✅ OpenAI-compatible client initialized for ${baseURL}`);
+  }
+  return compatibleClient;
+}
+
+registerProvider(createOpenAIChatProvider({
+  name: 'openai-compatible',
+  label: 'OpenAI-compatible',
+  type: 'local',
+  priority: 4,
+  quality: 0.8,
+  // Local models on modest hardware can take minutes for a long story
+  timeoutMs: 120000,
+  maxTokens: 8000,
+  getClient: getCompatibleClient,
+  getModel: () => process.env.OPENAI_COMPATIBLE_MODEL || 'local-model',
+  isConfigured: () => {
+    const baseURL = getCompatibleBaseURL();
+    if (!baseURL) {
+      return { configured: false, reason: 'OPENAI_COMPATIBLE_BASE_URL environment variable not set' };
+    }
+    if (!/^https?:\/\//.test(baseURL)) {
+      return { configured: false, reason: 'OPENAI_COMPATIBLE_BASE_URL must be an http(s) URL' };
+    }
+    return { configured: true, reason: null };
+  },
+  maskedKey: () => {
+    const apiKey = process.env.OPENAI_COMPATIBLE_API_KEY;
+    return apiKey ? maskApiKey(cleanApiKey(apiKey)) : null;
+  }
+}));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviders,
+  getConfiguredProviders,
+  runWithFailover,
+  checkHealth,
+  describeProviders,
+  createOpenAIChatProvider
+};
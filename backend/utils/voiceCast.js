@@ -0,0 +1,162 @@
+/**
+ * Voice Casting
+ * Validates a story's voice cast (a narrator voice plus one voice per character) and picks
+ * the voice for each speaker when a narration is split into dialogue turns
+ */
+
+const crypto = require('crypto');
+
+const VOICE_PROVIDERS = ['openai', 'elevenlabs'];
+
+// Voices the OpenAI speech models accept by name
+const OPENAI_VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+// Voice types that both providers map to one of their own voices
+const VOICE_TYPES = ['male', 'female', 'child', 'elderly'];
+
+const ELEVENLABS_VOICE_ID = /^[A-Za-z0-9]{20}$/;
+
+const MAX_CAST_CHARACTERS = 20;
+const MAX_ALIASES = 10;
+
+const ARTICLES = /^(?:the|a|an)\s+/i;
+
+/**
+ * Check whether a provider can use a voice
+ * @param {string} provider - openai or elevenlabs
+ * @param {string} voice - Voice name, voice type or ElevenLabs voice ID
+ * @returns {boolean} - True when the voice is usable
+ */
+function isValidVoice(provider, voice) {
+  if (typeof voice !== 'string' || !VOICE_PROVIDERS.includes(provider)) return false;
+  if (VOICE_TYPES.includes(voice)) return true;
+  return provider === 'openai' ? OPENAI_VOICES.includes(voice) : ELEVENLABS_VOICE_ID.test(voice);
+}
+
+function normalizeVoice(input, label) {
+  const provider = input?.provider || 'openai';
+  const voice = typeof input?.voice === 'string' ? input.voice.trim() : input?.voice;
+
+  if (!isValidVoice(provider, voice)) {
+    throw new Error(`${label} needs a valid ${VOICE_PROVIDERS.includes(provider) ? provider : 'openai or elevenlabs'} voice`);
+  }
+  return { provider, voice };
+}
+
+/**
+ * Validate a voice cast from a request body
+ * @param {Object} input - { narrator: { provider, voice }, characters: [{ name, aliases, provider, voice }] }
+ * @returns {Object} - The cast with trimmed names and default providers
+ */
+function normalizeVoiceCast(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Voice cast must be an object');
+  }
+
+  const characters = input.characters || [];
+  if (!Array.isArray(characters) || characters.length > MAX_CAST_CHARACTERS) {
+    throw new Error(`Voice cast can have at most ${MAX_CAST_CHARACTERS} characters`);
+  }
+
+  const seen = new Set();
+  const cast = {
+    narrator: input.narrator ? normalizeVoice(input.narrator, 'Narrator') : undefined,
+    characters: characters.map((character, index) => {
+      const name = typeof character?.name === 'string' ? character.name.trim() : '';
+      if (!name || name.length > 100) {
+        throw new Error(`Character ${index + 1} needs a name of at most 100 characters`);
+      }
+
+      const aliases = (Array.isArray(character.aliases) ? character.aliases : [])
+        .filter(alias => typeof alias === 'string' && alias.trim())
+        .map(alias => alias.trim().substring(0, 100))
+        .slice(0, MAX_ALIASES);
+
+      // Each name may only point at one character, or attribution would depend on cast order
+      [name, ...aliases].forEach(label => {
+        const key = normalizeSpeakerName(label);
+        if (seen.has(key)) {
+          throw new Error(`"${label}" is used for more than one character`);
+        }
+        seen.add(key);
+      });
+
+      return { name, aliases, ...normalizeVoice(character, name) };
+    })
+  };
+
+  return cast;
+}
+
+/**
+ * Reduce a speaker label to the form used for matching ("The Dragon" -> "dragon")
+ * @param {string} name - Speaker label
+ * @returns {string} - Lower-case label without a leading article
+ */
+function normalizeSpeakerName(name) {
+  return String(name).trim().replace(ARTICLES, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Find the cast member for a speaker label by name or alias
+ * @param {Object} cast - Voice cast
+ * @param {string|null} speaker - Speaker label from dialogue attribution
+ * @returns {Object|null} - Cast member, or null when the speaker is not cast
+ */
+function findCastMember(cast, speaker) {
+  if (!cast || !speaker) return null;
+
+  const key = normalizeSpeakerName(speaker);
+  return (cast.characters || []).find(character => (
+    [character.name, ...(character.aliases || [])].some(label => normalizeSpeakerName(label) === key)
+  )) || null;
+}
+
+/**
+ * Pick the voice for a speaker; narration and uncast speakers use the narrator
+ * @param {Object} cast - Voice cast
+ * @param {string|null} speaker - Speaker label, or null for narration
+ * @param {string} defaultVoice - Voice used when the cast has no narrator
+ * @returns {Object} - { speaker, voice, provider } with the cast name as speaker; provider is null for the default voice
+ */
+function getSpeakerVoice(cast, speaker, defaultVoice) {
+  const member = findCastMember(cast, speaker);
+  if (member) {
+    return { speaker: member.name, voice: member.voice, provider: member.provider };
+  }
+
+  const narrator = cast?.narrator?.voice ? cast.narrator : null;
+  return {
+    speaker: null,
+    voice: narrator ? narrator.voice : defaultVoice,
+    provider: narrator ? narrator.provider : null
+  };
+}
+
+/**
+ * Fingerprint a cast so a narration only resumes with the voices it was started with
+ * @param {Object} cast - Voice cast
+ * @returns {string} - Hex digest, or an empty string without a cast
+ */
+function hashVoiceCast(cast) {
+  if (!cast?.characters?.length) return '';
+
+  const data = {
+    narrator: cast.narrator ? { provider: cast.narrator.provider, voice: cast.narrator.voice } : null,
+    characters: cast.characters.map(({ name, aliases, provider, voice }) => ({ name, aliases: aliases || [], provider, voice }))
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+module.exports = {
+  VOICE_PROVIDERS,
+  OPENAI_VOICES,
+  VOICE_TYPES,
+  ELEVENLABS_VOICE_ID,
+  isValidVoice,
+  normalizeVoiceCast,
+  normalizeSpeakerName,
+  findCastMember,
+  getSpeakerVoice,
+  hashVoiceCast
+};
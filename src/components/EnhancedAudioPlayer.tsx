@@ -7,6 +7,9 @@ interface EnhancedAudioPlayerProps {
   onPlay?: () => void;
   onPause?: () => void;
   onEnded?: () => void;
+  onTimeUpdate?: (time: number) => void;
+  // A new object moves playback to time, so the same time can be requested twice
+  seekTo?: { time: number };
   autoPlay?: boolean;
   showBackgroundMusic?: boolean;
   showSoundEffects?: boolean;
@@ -19,6 +22,8 @@ export const EnhancedAudioPlayer: React.FC<EnhancedAudioPlayerProps> = ({
   onPlay,
   onPause,
   onEnded,
+  onTimeUpdate,
+  seekTo,
   autoPlay = false,
   showBackgroundMusic = false,
   showSoundEffects = false,
@@ -42,6 +47,22 @@ export const EnhancedAudioPlayer: React.FC<EnhancedAudioPlayerProps> = ({
   const audioRef = useRef<HTMLAudioElement | null>(null);
   const backgroundMusicRef = useRef<HTMLAudioElement | null>(null);
   const progressIntervalRef = useRef<NodeJS.Timeout | null>(null);
+  // Kept in a ref so a new callback each render does not reload the audio
+  const onTimeUpdateRef = useRef(onTimeUpdate);
+  onTimeUpdateRef.current = onTimeUpdate;
+
+  useEffect(() => {
+    onTimeUpdateRef.current?.(currentTime);
+  }, [currentTime]);
+
+  useEffect(() => {
+    if (!seekTo) return;
+
+    setCurrentTime(seekTo.time);
+    if (audioRef.current && !isDemoMode) {
+      audioRef.current.currentTime = seekTo.time;
+    }
+  }, [seekTo]);
 
   // Initialize audio element
   useEffect(() => {
@@ -53,7 +74,8 @@ export const EnhancedAudioPlayer: React.FC<EnhancedAudioPlayerProps> = ({
     const initializeAudio = async () => {
       try {
         if (audioUrl) {
-          const response = await fetch(audioUrl);
+          // Only the headers are needed; the audio element downloads the file in ranges as it plays and seeks
+          const response = await fetch(audioUrl, { method: 'HEAD' });
           const contentType = response.headers.get('content-type');
           
           if (contentType && contentType.includes('application/json')) {
@@ -74,6 +96,16 @@ export const EnhancedAudioPlayer: React.FC<EnhancedAudioPlayerProps> = ({
           audio.addEventListener('loadedmetadata', () => {
             setDuration(audio.duration);
             setIsLoading(false);
+
+            if (autoPlay) {
+              // Browsers may block playback that the user did not start
+              audio.play()
+                .then(() => {
+                  setIsPlaying(true);
+                  onPlay?.();
+                })
+                .catch(err => console.log('Autoplay blocked:', err));
+            }
           });
           
           audio.addEventListener('timeupdate', () => {
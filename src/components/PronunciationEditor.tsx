@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { Pronunciation } from '../types';
+import apiInstance from '../services/api';
+import toast from 'react-hot-toast';
+
+interface PronunciationEditorProps {
+  // /api/stories/:id/pronunciations for a story, /api/auth/pronunciations for the signed-in user
+  endpoint: string;
+  description: string;
+}
+
+export const PronunciationEditor: React.FC<PronunciationEditorProps> = ({ endpoint, description }) => {
+  const [entries, setEntries] = useState<Pronunciation[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      try {
+        const response = await apiInstance.get(endpoint);
+        setEntries(response.data.data.pronunciations);
+      } catch (error) {
+        console.error('Failed to load pronunciations:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEntries();
+  }, [endpoint]);
+
+  const updateEntry = (index: number, changes: Partial<Pronunciation>) => {
+    setEntries(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const saveEntries = async () => {
+    setSaving(true);
+    try {
+      const pronunciations = entries
+        .filter(entry => entry.term.trim())
+        .map(({ term, respelling, ipa }) => (ipa?.trim() ? { term, respelling, ipa } : { term, respelling }));
+      const response = await apiInstance.put(endpoint, { pronunciations });
+      setEntries(response.data.data.pronunciations);
+      toast.success('Pronunciations saved');
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save pronunciations');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg p-4 space-y-3">
+      <p className="text-sm text-gray-600">{description}</p>
+
+      {entries.map((entry, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <input
+            value={entry.term}
+            onChange={(e) => updateEntry(index, { term: e.target.value })}
+            placeholder="Name (e.g. Aelwyn)"
+            className="w-36 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            disabled={saving}
+          />
+          <input
+            value={entry.respelling}
+            onChange={(e) => updateEntry(index, { respelling: e.target.value })}
+            placeholder="Say it as (e.g. AYL-win)"
+            className="flex-1 min-w-[8rem] px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            disabled={saving}
+          />
+          <input
+            value={entry.ipa || ''}
+            onChange={(e) => updateEntry(index, { ipa: e.target.value })}
+            placeholder="IPA (optional)"
+            className="w-32 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            disabled={saving}
+          />
+          <button
+            onClick={() => setEntries(prev => prev.filter((_, i) => i !== index))}
+            className="text-sm text-red-600 hover:text-red-700"
+            disabled={saving}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between border-t border-gray-100 pt-3">
+        <button
+          onClick={() => setEntries(prev => [...prev, { term: '', respelling: '' }])}
+          className="text-sm text-purple-700 hover:text-purple-800"
+          disabled={saving}
+        >
+          + Add pronunciation
+        </button>
+        <button
+          onClick={saveEntries}
+          disabled={saving}
+          className="btn-primary disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save pronunciations'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PronunciationEditor;
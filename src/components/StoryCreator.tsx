@@ -1,8 +1,8 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Story, StoryGenre, StoryLength, AudioSettings } from '../types';
-import apiInstance from '../services/api';
+import { Story, StoryGenre, StoryLength, AudioSettings, StorybookJob } from '../types';
+import apiInstance, { postEventStream } from '../services/api';
 import { 
   ArrowLeftIcon, 
   SparklesIcon, 
@@ -25,6 +25,9 @@ const StoryCreator: React.FC = () => {
     generating: false,
     audio: false
   });
+  const [storybookJob, setStorybookJob] = useState<StorybookJob | null>(null);
+  const [streamedStory, setStreamedStory] = useState({ title: '', content: '' });
+  const streamController = useRef<AbortController | null>(null);
 
   const [formData, setFormData] = useState({
     prompt: '',
@@ -211,24 +214,44 @@ const StoryCreator: React.FC = () => {
       audio: false
     });
     
+    const controller = new AbortController();
+    streamController.current = controller;
+    setStreamedStory({ title: '', content: '' });
+
+    let streamedTitle = '';
+    let streamedContent = '';
+    
     try {
-      // Call real AI story generation API
-      const response = await apiInstance.post('/api/ai/generate', {
+      // Stream the story from the AI service so text appears as it is written
+      let generatedStory = null as (Story & { imageUrl?: string }) | null;
+
+      await postEventStream('/api/ai/generate/stream', {
         prompt: formData.prompt,
         genre: formData.genre,
         length: formData.length,
         audioSettings: formData.audioSettings,
         userId: user?.id
-      });
+      }, ({ event, data }) => {
+        if (event === 'start') {
+          streamedTitle = data.title;
+          setStreamedStory({ title: data.title, content: '' });
+          setGenerationProgress({
+            analyzing: false,
+            generating: true,
+            audio: false
+          });
+        } else if (event === 'token') {
+          streamedContent += data.text;
+          setStreamedStory({ title: streamedTitle, content: streamedContent });
+        } else if (event === 'done') {
+          generatedStory = data.story;
+        } else if (event === 'error') {
+          throw new Error(data.error || 'Failed to generate story');
+        }
+      }, controller.signal);
 
-      if (response.data.success) {
-        const generatedStory = response.data.data;
-        
-        setGenerationProgress({
-          analyzing: false,
-          generating: true,
-          audio: false
-        });
+      if (generatedStory) {
+        const story = generatedStory;
 
         // Generate audio if audio settings are configured
         if (formData.audioSettings.voiceType) {
@@ -240,15 +263,15 @@ const StoryCreator: React.FC = () => {
             });
 
             const audioResponse = await apiInstance.post('/api/audio/narrate', {
-              storyId: generatedStory.id,
-              storyText: generatedStory.content,
+              storyId: story.id,
+              storyText: story.content,
               voice: formData.audioSettings.voiceType,
               speed: formData.audioSettings.speed
             });
 
             if (audioResponse.data.success) {
-              generatedStory.audioUrl = audioResponse.data.data.audioUrl;
-              generatedStory.hasAudio = true;
+              story.audioUrl = audioResponse.data.data.audioUrl;
+              story.hasAudio = true;
             }
           } catch (audioError) {
             console.warn('Audio generation failed:', audioError);
@@ -259,14 +282,14 @@ const StoryCreator: React.FC = () => {
         // Generate images for the story
         try {
           const imageResponse = await apiInstance.post('/api/images/generate', {
-            prompt: `${generatedStory.title} - ${formData.prompt}`,
+            prompt: `${story.title} - ${formData.prompt}`,
             style: 'storybook',
-            storyId: generatedStory.id,
+            storyId: story.id,
             userId: user?.id
           });
 
           if (imageResponse.data.success) {
-            generatedStory.imageUrl = imageResponse.data.data.imageUrl;
+            story.imageUrl = imageResponse.data.data.imageUrl;
           }
         } catch (imageError) {
           console.warn('Image generation failed:', imageError);
@@ -282,7 +305,7 @@ const StoryCreator: React.FC = () => {
         // Store the generated story
         const existingStories = localStorage.getItem('userStories');
         const stories = existingStories ? JSON.parse(existingStories) : [];
-        stories.unshift(generatedStory);
+        stories.unshift(story);
         localStorage.setItem('userStories', JSON.stringify(stories));
 
         toast.success('Story generated successfully!');
@@ -293,10 +316,27 @@ const StoryCreator: React.FC = () => {
         }, 1500);
         
       } else {
-        throw new Error(response.data.error || 'Failed to generate story');
+        throw new Error('Story stream ended before the story was complete');
       }
       
     } catch (error) {
+      if (controller.signal.aborted) {
+        // Keep whatever was written before the user stopped generation
+        if (streamedContent.trim()) {
+          savePartialStory(streamedTitle, streamedContent);
+          toast.success('Generation stopped - partial story saved');
+          navigate('/dashboard');
+        } else {
+          toast('Story generation stopped');
+        }
+        setGenerationProgress({
+          analyzing: false,
+          generating: false,
+          audio: false
+        });
+        return;
+      }
+
       console.error('Story generation failed:', error);
       toast.error('Failed to generate story. Please try again.');
       setGenerationProgress({
@@ -305,10 +345,70 @@ const StoryCreator: React.FC = () => {
         audio: false
       });
     } finally {
+      streamController.current = null;
       setIsGenerating(false);
     }
   };
 
+  const stopGeneration = () => {
+    streamController.current?.abort();
+  };
+
+  const savePartialStory = (title: string, content: string) => {
+    const wordCount = content.trim().split(/\s+/).length;
+    const partialStory: Story = {
+      id: Date.now().toString(),
+      title: title || 'Untitled Story',
+      content,
+      genre: formData.genre,
+      length: formData.length,
+      prompt: formData.prompt,
+      creatorId: user?.id || '',
+      creatorName: user?.name || 'AI Story Maker',
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      isPublic: false,
+      wordCount,
+      estimatedReadingTime: Math.ceil(wordCount / 200),
+      views: 0,
+      likes: 0,
+      hasAudio: false,
+      hasStorybook: false
+    };
+
+    const existingStories = localStorage.getItem('userStories');
+    const stories = existingStories ? JSON.parse(existingStories) : [];
+    stories.unshift(partialStory);
+    localStorage.setItem('userStories', JSON.stringify(stories));
+  };
+
+  // Poll a background storybook job until it finishes
+  const waitForStorybookJob = async (jobId: string): Promise<StorybookJob> => {
+    for (;;) {
+      const response = await apiInstance.get(`/api/storybooks/jobs/${jobId}`);
+      const job: StorybookJob = response.data.data;
+      setStorybookJob(job);
+
+      if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+        return job;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+  };
+
+  const cancelStorybook = async () => {
+    if (!storybookJob) return;
+
+    try {
+      await apiInstance.post(`/api/storybooks/jobs/${storybookJob.id}/cancel`);
+      toast.success('Cancelling storybook generation...');
+    } catch (error) {
+      console.error('Failed to cancel storybook generation:', error);
+      toast.error('Failed to cancel storybook generation');
+    }
+  };
+
   const generateStorybook = async () => {
     if (!formData.prompt.trim()) {
       toast.error('Please enter a story prompt');
@@ -316,6 +416,7 @@ const StoryCreator: React.FC = () => {
     }
 
     setIsGenerating(true);
+    setStorybookJob(null);
     setGenerationProgress({
       analyzing: true,
       generating: false,
@@ -323,45 +424,66 @@ const StoryCreator: React.FC = () => {
     });
     
     try {
-      // Generate storybook directly from prompt
+      // Start storybook generation from prompt; the pages are built in a background job
       const response = await apiInstance.post('/api/storybooks/create-from-prompt', {
         prompt: formData.prompt,
         genre: formData.genre,
         length: formData.length,
         style: 'children-book',
-        userId: user?.id,
         sceneCount: 8
       });
 
-      if (response.data.success) {
-        const storybook = response.data.data;
-        
-        // Store the generated storybook
-        const existingStorybooks = localStorage.getItem('userStorybooks');
-        const storybooks = existingStorybooks ? JSON.parse(existingStorybooks) : [];
-        storybooks.unshift(storybook);
-        localStorage.setItem('userStorybooks', JSON.stringify(storybooks));
+      if (!response.data.success) {
+        throw new Error(response.data.error || 'Failed to generate storybook');
+      }
 
-        toast.success('Interactive storybook generated successfully!');
-        
-        // Navigate to dashboard after a short delay
-        setTimeout(() => {
-          navigate('/dashboard');
-        }, 1500);
-        
+      setGenerationProgress({
+        analyzing: false,
+        generating: true,
+        audio: false
+      });
+
+      const job = await waitForStorybookJob(response.data.data.id);
+
+      if (job.status === 'cancelled') {
+        toast('Storybook generation cancelled');
+        return;
+      }
+
+      if (job.status !== 'completed' || !job.storybookId) {
+        throw new Error(job.error || 'Failed to generate storybook');
+      }
+
+      const storybookResponse = await apiInstance.get(`/api/storybooks/${job.storybookId}`);
+      const storybook = storybookResponse.data.data;
+      
+      // Store the generated storybook
+      const existingStorybooks = localStorage.getItem('userStorybooks');
+      const storybooks = existingStorybooks ? JSON.parse(existingStorybooks) : [];
+      storybooks.unshift(storybook);
+      localStorage.setItem('userStorybooks', JSON.stringify(storybooks));
+
+      if (job.progress.failed > 0) {
+        toast.success(`Storybook generated with ${job.progress.failed} step(s) to retry`);
       } else {
-        throw new Error(response.data.error || 'Failed to generate storybook');
+        toast.success('Interactive storybook generated successfully!');
       }
       
+      // Navigate to dashboard after a short delay
+      setTimeout(() => {
+        navigate('/dashboard');
+      }, 1500);
+      
     } catch (error) {
       console.error('Storybook generation failed:', error);
       toast.error('Failed to generate storybook. Please try again.');
+    } finally {
       setGenerationProgress({
         analyzing: false,
         generating: false,
         audio: false
       });
-    } finally {
+      setStorybookJob(null);
       setIsGenerating(false);
     }
   };
@@ -407,6 +529,45 @@ const StoryCreator: React.FC = () => {
                     Creating audio narration...
                   </div>
                 </div>
+                {streamedStory.content && (
+                  <div className="mt-4 pt-4 border-t border-gray-100 text-left">
+                    <h4 className="font-semibold text-gray-900 mb-2">{streamedStory.title}</h4>
+                    <div className="max-h-64 overflow-y-auto text-sm text-gray-700 whitespace-pre-wrap">
+                      {streamedStory.content}
+                    </div>
+                  </div>
+                )}
+                {!storybookJob && generationProgress.generating && !generationProgress.audio && (
+                  <button
+                    onClick={stopGeneration}
+                    className="mt-4 text-sm text-gray-500 hover:text-red-600 transition-colors"
+                  >
+                    Stop
+                  </button>
+                )}
+                {storybookJob && (
+                  <div className="mt-4 pt-4 border-t border-gray-100">
+                    <div className="flex items-center justify-between text-sm text-gray-700 mb-2">
+                      <span>Storybook steps: {storybookJob.progress.completed}/{storybookJob.progress.total}</span>
+                      {storybookJob.progress.failed > 0 && (
+                        <span className="text-red-600">{storybookJob.progress.failed} failed</span>
+                      )}
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="bg-gradient-to-r from-purple-600 to-indigo-600 h-2 rounded-full transition-all duration-300"
+                        style={{ width: `${storybookJob.progress.percent}%` }}
+                      ></div>
+                    </div>
+                    <button
+                      onClick={cancelStorybook}
+                      disabled={storybookJob.status !== 'queued' && storybookJob.status !== 'running'}
+                      className="mt-4 text-sm text-gray-500 hover:text-red-600 transition-colors disabled:opacity-50"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           </div>
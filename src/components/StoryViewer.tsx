@@ -2,9 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Story } from '../types';
-import { ArrowLeftIcon, HeartIcon, EyeIcon, PencilIcon, TrashIcon, BookOpenIcon } from '@heroicons/react/24/outline';
+import apiInstance from '../services/api';
+import { ArrowLeftIcon, HeartIcon, EyeIcon, PencilIcon, TrashIcon, BookOpenIcon, SparklesIcon } from '@heroicons/react/24/outline';
 import { HeartIcon as HeartSolidIcon } from '@heroicons/react/24/solid';
 import { AudioPlayer } from './AudioPlayer';
+import { VoiceCastEditor } from './VoiceCastEditor';
+import { PronunciationEditor } from './PronunciationEditor';
+import { hideSpeechMarkup } from '../utils/speechMarkup';
 import LoadingSpinner from './LoadingSpinner';
 import toast from 'react-hot-toast';
 
@@ -16,6 +20,12 @@ const StoryViewer: React.FC = () => {
   const [loading, setLoading] = useState(true);
   const [isLiked, setIsLiked] = useState(false);
   const [isOwner, setIsOwner] = useState(false);
+  const [isSaved, setIsSaved] = useState(false);
+  const [continuation, setContinuation] = useState({
+    direction: '',
+    segmentLength: 'medium' as 'short' | 'medium' | 'long'
+  });
+  const [isContinuing, setIsContinuing] = useState(false);
 
   useEffect(() => {
     if (id) {
@@ -23,43 +33,37 @@ const StoryViewer: React.FC = () => {
     }
   }, [id]);
 
+  // API responses carry _id and ISO date strings
+  const normalizeStory = (data: any): Story => ({
+    ...data,
+    id: data.id || data._id,
+    createdAt: new Date(data.createdAt),
+    updatedAt: new Date(data.updatedAt)
+  });
+
   const fetchStory = async (storyId: string) => {
     try {
-      // Mock story data - replace with actual API call
-      const mockStory: Story = {
-        id: storyId,
-        title: 'The Enchanted Forest',
-        content: `Once upon a time, in a world where magic flowed like rivers through ancient oak trees, there lived a young adventurer named Luna. She had always felt different from the other villagers, sensing whispers in the wind and seeing shadows dance when no one else was looking.
-
-Luna's grandmother, the village's wisdom keeper, had told her stories of the Enchanted Forest - a mystical place where animals could speak, flowers held ancient secrets, and the very air sparkled with magic. "But beware, child," her grandmother would say with twinkling eyes, "for magic comes with great responsibility."
-
-One misty morning, while gathering herbs for her grandmother's remedies, Luna discovered a peculiar path she had never noticed before. The stones along the path seemed to pulse with a gentle, golden light, and the air smelled of jasmine and forgotten dreams.
-
-As she followed the magical trail deeper into the unknown, Luna's heart beat with both excitement and trepidation. She knew that with every step, she was crossing the threshold from the ordinary world into something extraordinary - something that would change her life forever.
-
-The forest welcomed her with a symphony of sounds: birds singing in languages she didn't recognize, leaves rustling with secrets of the past, and somewhere in the distance, the melodious laughter of what could only be magical creatures.
+      let loadedStory: Story;
+      let saved = true;
 
-Luna's adventure had begun, and she had no idea that she was about to discover not just the magic of the forest, but the magic that had always lived within her own heart.`,
-        genre: 'fantasy',
-        length: 'medium',
-        prompt: 'A story about a young girl discovering a magical forest with speaking animals',
-        creatorId: user?.id || '1',
-        creatorName: user?.name || 'Story Creator',
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        isPublic: true,
-        wordCount: 284,
-        estimatedReadingTime: 1,
-        views: 45,
-        likes: 12,
-        hasAudio: true,
-        audioUrl: '/api/audio/story-1.mp3',
-        hasStorybook: true,
-        storybookId: 'sb-1'
-      };
+      try {
+        const response = await apiInstance.get(`/api/stories/${storyId}`);
+        loadedStory = normalizeStory(response.data.data);
+      } catch (apiError) {
+        // Stories generated without saving only live in this browser
+        const localStories: Story[] = JSON.parse(localStorage.getItem('userStories') || '[]');
+        const localStory = localStories.find(item => item.id === storyId);
+        if (!localStory) {
+          throw apiError;
+        }
+        loadedStory = normalizeStory(localStory);
+        saved = false;
+      }
 
-      setStory(mockStory);
-      setIsOwner(mockStory.creatorId === user?.id);
+      setStory(loadedStory);
+      setIsSaved(saved);
+      setIsLiked(!!loadedStory.isLikedByMe);
+      setIsOwner(!!user && loadedStory.creatorId === (user.uid || user.id));
     } catch (error) {
       console.error('Failed to fetch story:', error);
       toast.error('Failed to load story');
@@ -69,16 +73,51 @@ Luna's adventure had begun, and she had no idea that she was about to discover n
     }
   };
 
-  const handleLike = () => {
+  const handleContinue = async () => {
+    if (!story || !isOwner) return;
+
+    setIsContinuing(true);
+    try {
+      const response = await apiInstance.post(`/api/stories/${story.id}/continue`, {
+        direction: continuation.direction.trim() || undefined,
+        segmentLength: continuation.segmentLength
+      }, { timeout: 120000 });
+
+      setStory(normalizeStory(response.data.data.story));
+      setContinuation(prev => ({ ...prev, direction: '' }));
+      toast.success('Your story continues!');
+    } catch (error: any) {
+      console.error('Failed to continue story:', error);
+      toast.error(error.response?.data?.error || 'Failed to continue story');
+    } finally {
+      setIsContinuing(false);
+    }
+  };
+
+  const handleLike = async () => {
     if (!story) return;
-    
-    setIsLiked(!isLiked);
-    setStory(prev => prev ? {
-      ...prev,
-      likes: isLiked ? prev.likes - 1 : prev.likes + 1
-    } : null);
-    
-    toast.success(isLiked ? 'Removed from favorites' : 'Added to favorites');
+
+    if (!user) {
+      toast.error('Sign in to like stories');
+      return;
+    }
+    if (!isSaved) {
+      toast.error('Save your story to like it');
+      return;
+    }
+
+    try {
+      const url = `/api/stories/${story.id}/like`;
+      const response = isLiked ? await apiInstance.delete(url) : await apiInstance.post(url);
+      const { likes, isLikedByMe } = response.data.data;
+
+      setIsLiked(isLikedByMe);
+      setStory(prev => prev ? { ...prev, likes, isLikedByMe } : null);
+      toast.success(isLikedByMe ? 'Added to favorites' : 'Removed from favorites');
+    } catch (error: any) {
+      console.error('Failed to update like:', error);
+      toast.error(error.response?.data?.error || 'Failed to update like');
+    }
   };
 
   const handleDelete = async () => {
@@ -240,7 +279,7 @@ Luna's adventure had begun, and she had no idea that she was about to discover n
           {/* Story Text */}
           <div className="p-8">
             <div className="prose prose-lg max-w-none">
-              {story.content.split('\n\n').map((paragraph, index) => (
+              {hideSpeechMarkup(story.content).split('\n\n').map((paragraph, index) => (
                 <p key={index} className="mb-6 text-gray-800 leading-relaxed">
                   {paragraph}
                 </p>
@@ -248,6 +287,67 @@ Luna's adventure had begun, and she had no idea that she was about to discover n
             </div>
           </div>
 
+          {/* Continue Story */}
+          {isOwner && isSaved && (
+            <div className="border-t border-gray-100 p-8 bg-gradient-to-br from-yellow-50 to-orange-50">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">✍️ Continue Story</h3>
+              <div className="bg-white rounded-lg p-4 space-y-4">
+                <textarea
+                  value={continuation.direction}
+                  onChange={(e) => setContinuation(prev => ({ ...prev, direction: e.target.value }))}
+                  maxLength={500}
+                  rows={2}
+                  placeholder="What happens next? (optional)"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent text-sm"
+                  disabled={isContinuing}
+                />
+                <div className="flex items-center justify-between">
+                  <select
+                    value={continuation.segmentLength}
+                    onChange={(e) => setContinuation(prev => ({ ...prev, segmentLength: e.target.value as 'short' | 'medium' | 'long' }))}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    disabled={isContinuing}
+                  >
+                    <option value="short">A few paragraphs</option>
+                    <option value="medium">A scene</option>
+                    <option value="long">A long scene</option>
+                  </select>
+                  <button
+                    onClick={handleContinue}
+                    disabled={isContinuing}
+                    className="btn-primary flex items-center space-x-2 disabled:opacity-50"
+                  >
+                    <SparklesIcon className="h-5 w-5" />
+                    <span>{isContinuing ? 'Writing...' : 'Continue story'}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Voice Cast */}
+          {isOwner && isSaved && (
+            <div className="border-t border-gray-100 p-8 bg-gradient-to-br from-pink-50 to-purple-50">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">🎭 Narration Voices</h3>
+              <VoiceCastEditor storyId={story.id} />
+
+              <h3 className="text-lg font-semibold text-gray-900 mt-8 mb-4">🗣️ Pronunciations</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Shape the reading in the story text with [pause], [pause 2s], [em]words[/em], [slow]...[/slow], [fast]...[/fast] or [rate 0.9]...[/rate].
+              </p>
+              <div className="space-y-4">
+                <PronunciationEditor
+                  endpoint={`/api/stories/${story.id}/pronunciations`}
+                  description="Names in this story; these override your own pronunciations."
+                />
+                <PronunciationEditor
+                  endpoint="/api/auth/pronunciations"
+                  description="Your pronunciations, used when narrating any of your stories."
+                />
+              </div>
+            </div>
+          )}
+
           {/* Audio Player */}
           {story.hasAudio && story.audioUrl && (
             <div className="border-t border-gray-100 p-8">
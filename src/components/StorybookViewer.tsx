@@ -1,10 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Storybook, StorybookPage } from '../types';
+import { Storybook, StorybookPage, StorybookNarrationTiming, StorybookPageTiming } from '../types';
 import { ArrowLeftIcon, ChevronLeftIcon, ChevronRightIcon, PlayIcon, PauseIcon } from '@heroicons/react/24/outline';
-import { AudioPlayer } from './AudioPlayer';
+import { EnhancedAudioPlayer } from './EnhancedAudioPlayer';
 import LoadingSpinner from './LoadingSpinner';
+import apiInstance from '../services/api';
+import { hideSpeechMarkup } from '../utils/speechMarkup';
+import { getImageSrcSet } from '../utils/imageVariants';
 import { motion, AnimatePresence } from 'framer-motion';
 
 // Image loading with demo mode detection
@@ -12,19 +15,21 @@ const ImageWithFallback: React.FC<{
   src: string;
   alt: string;
   className: string;
-}> = ({ src, alt, className }) => {
+  sizes?: string;
+}> = ({ src, alt, className, sizes }) => {
   const [imageState, setImageState] = useState<'loading' | 'success' | 'error' | 'demo'>('loading');
   const [svgContent, setSvgContent] = useState<string | null>(null);
   
   useEffect(() => {
     const checkImage = async () => {
       try {
-        const response = await fetch(src);
+        // HEAD only, so checking does not download the full-size picture the srcset avoids
+        const response = await fetch(src, { method: 'HEAD' });
         const contentType = response.headers.get('content-type');
         
         if (contentType && contentType.includes('application/json')) {
           // This is a demo response with SVG
-          const data = await response.json();
+          const data = await (await fetch(src)).json();
           if (data.svg) {
             setSvgContent(data.svg);
           }
@@ -87,6 +92,8 @@ const ImageWithFallback: React.FC<{
   return (
     <img
       src={src}
+      srcSet={getImageSrcSet(src)}
+      sizes={sizes}
       alt={alt}
       className={className}
       onError={() => setImageState('error')}
@@ -94,6 +101,43 @@ const ImageWithFallback: React.FC<{
   );
 };
 
+// Page text with the word being narrated highlighted
+const NarratedText: React.FC<{
+  content: string;
+  timing?: StorybookPageTiming;
+  time: number;
+}> = ({ content: source, timing, time }) => {
+  const content = hideSpeechMarkup(source);
+  const words = timing?.words || [];
+  const activeIndex = words.findIndex((word, index) => {
+    const next = words[index + 1];
+    return word.startTime !== null && time >= word.startTime &&
+      (next?.startTime == null ? time < (word.endTime ?? word.startTime) : time < next.startTime);
+  });
+
+  if (activeIndex === -1) {
+    return <>{content}</>;
+  }
+
+  const active = words[activeIndex];
+  return (
+    <>
+      {content.substring(0, active.start)}
+      <mark className="bg-yellow-200 text-gray-900 rounded px-0.5">{content.substring(active.start, active.end)}</mark>
+      {content.substring(active.end)}
+    </>
+  );
+};
+
+const normalizeStorybook = (data: any): Storybook => ({
+  ...data,
+  id: data.id || data._id,
+  createdAt: new Date(data.createdAt),
+  pages: [...(data.pages || [])]
+    .sort((a: StorybookPage, b: StorybookPage) => a.pageNumber - b.pageNumber)
+    .map((page: any) => ({ ...page, id: page.id || page._id || `page-${page.pageNumber}` }))
+});
+
 const StorybookViewer: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const { user } = useAuth();
@@ -102,6 +146,10 @@ const StorybookViewer: React.FC = () => {
   const [currentPageIndex, setCurrentPageIndex] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [narrationTiming, setNarrationTiming] = useState<StorybookNarrationTiming | null>(null);
+  const [narrationTime, setNarrationTime] = useState(0);
+  const [seekRequest, setSeekRequest] = useState<{ time: number } | undefined>();
+  const [continueNarration, setContinueNarration] = useState(false);
 
   useEffect(() => {
     if (id) {
@@ -111,7 +159,19 @@ const StorybookViewer: React.FC = () => {
 
   const fetchStorybook = async (storybookId: string) => {
     try {
-      // Mock storybook data - replace with actual API call
+      try {
+        const response = await apiInstance.get(`/api/storybooks/${storybookId}`);
+        const loadedStorybook = normalizeStorybook(response.data.data);
+        setStorybook(loadedStorybook);
+
+        if (loadedStorybook.audioUrl || loadedStorybook.pages.some(page => page.audioUrl)) {
+          fetchNarrationTiming(storybookId);
+        }
+        return;
+      } catch (apiError) {
+        console.log('Storybook not available from the API, showing the sample storybook:', apiError);
+      }
+
       const mockStorybook: Storybook = {
         id: storybookId,
         storyId: '1',
@@ -182,32 +242,83 @@ const StorybookViewer: React.FC = () => {
     }
   };
 
+  // Narration still plays without timing; pages just will not follow it
+  const fetchNarrationTiming = async (storybookId: string) => {
+    try {
+      const response = await apiInstance.get(`/api/storybooks/${storybookId}/narration/timing`);
+      setNarrationTiming(response.data.data);
+    } catch (error) {
+      console.log('Narration timing not available:', error);
+    }
+  };
+
   const currentPage = storybook?.pages[currentPageIndex];
   const totalPages = storybook?.pages.length || 0;
+  // Newer storybooks have a clip per page; older ones one recording of the whole book
+  const hasBookNarration = !!storybook?.audioUrl;
+  const hasNarration = hasBookNarration || !!storybook?.pages.some(page => page.audioUrl);
+
+  const getPageTiming = useCallback((pageNumber: number) => (
+    narrationTiming?.pages.find(page => page.pageNumber === pageNumber)
+  ), [narrationTiming]);
+
+  // Turn to the page being narrated
+  const handleNarrationTime = useCallback((time: number) => {
+    setNarrationTime(time);
+    if (!storybook?.audioUrl) return;
+
+    let narratedIndex = -1;
+    storybook.pages.forEach((page, index) => {
+      const startTime = getPageTiming(page.pageNumber)?.startTime;
+      if (startTime != null && startTime <= time) {
+        narratedIndex = index;
+      }
+    });
+
+    if (narratedIndex !== -1) {
+      setCurrentPageIndex(narratedIndex);
+    }
+  }, [storybook, getPageTiming]);
+
+  const goToPage = (pageIndex: number) => {
+    setCurrentPageIndex(pageIndex);
+    setContinueNarration(false);
+    if (!hasBookNarration) return;
+
+    // Move the narration along with the reader
+    const startTime = storybook && getPageTiming(storybook.pages[pageIndex].pageNumber)?.startTime;
+    if (startTime != null) {
+      setSeekRequest({ time: startTime });
+    }
+  };
+
+  // A page's clip ending turns to the next page and plays its narration
+  const handlePageNarrationEnded = useCallback(() => {
+    if (currentPageIndex < totalPages - 1) {
+      setCurrentPageIndex(currentPageIndex + 1);
+      setContinueNarration(true);
+    }
+  }, [currentPageIndex, totalPages]);
 
   const nextPage = () => {
     if (currentPageIndex < totalPages - 1) {
-      setCurrentPageIndex(prev => prev + 1);
+      goToPage(currentPageIndex + 1);
     }
   };
 
   const prevPage = () => {
     if (currentPageIndex > 0) {
-      setCurrentPageIndex(prev => prev - 1);
+      goToPage(currentPageIndex - 1);
     }
   };
 
-  const goToPage = (pageIndex: number) => {
-    setCurrentPageIndex(pageIndex);
-  };
-
   const toggleAutoPlay = () => {
     setIsPlaying(!isPlaying);
   };
 
-  // Auto-advance pages when autoplay is enabled
+  // Auto-advance pages when autoplay is enabled; narrated storybooks follow the narration instead
   useEffect(() => {
-    if (isPlaying && totalPages > 0) {
+    if (isPlaying && totalPages > 0 && !hasNarration) {
       const interval = setInterval(() => {
         setCurrentPageIndex(prev => {
           if (prev >= totalPages - 1) {
@@ -220,7 +331,7 @@ const StorybookViewer: React.FC = () => {
 
       return () => clearInterval(interval);
     }
-  }, [isPlaying, totalPages]);
+  }, [isPlaying, totalPages, hasNarration]);
 
   if (loading) {
     return <LoadingSpinner text="Loading your interactive storybook..." />;
@@ -266,17 +377,19 @@ const StorybookViewer: React.FC = () => {
               <span className="text-sm text-gray-500">
                 Page {currentPageIndex + 1} of {totalPages}
               </span>
-              <button
-                onClick={toggleAutoPlay}
-                className={`p-2 rounded-full transition-colors ${
-                  isPlaying 
-                    ? 'bg-red-100 text-red-600 hover:bg-red-200' 
-                    : 'bg-green-100 text-green-600 hover:bg-green-200'
-                }`}
-                title={isPlaying ? 'Pause autoplay' : 'Start autoplay'}
-              >
-                {isPlaying ? <PauseIcon className="h-5 w-5" /> : <PlayIcon className="h-5 w-5" />}
-              </button>
+              {!hasNarration && (
+                <button
+                  onClick={toggleAutoPlay}
+                  className={`p-2 rounded-full transition-colors ${
+                    isPlaying 
+                      ? 'bg-red-100 text-red-600 hover:bg-red-200' 
+                      : 'bg-green-100 text-green-600 hover:bg-green-200'
+                  }`}
+                  title={isPlaying ? 'Pause autoplay' : 'Start autoplay'}
+                >
+                  {isPlaying ? <PauseIcon className="h-5 w-5" /> : <PlayIcon className="h-5 w-5" />}
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -335,6 +448,7 @@ const StorybookViewer: React.FC = () => {
                       src={currentPage.imageUrl}
                       alt={`Page ${currentPage.pageNumber}`}
                       className="w-full h-full object-cover"
+                      sizes="50vw"
                     />
                   )}
                 </div>
@@ -349,7 +463,11 @@ const StorybookViewer: React.FC = () => {
                     </div>
                     
                     <p className="text-lg leading-relaxed text-gray-800 mb-6">
-                      {currentPage.content}
+                      <NarratedText
+                        content={currentPage.content}
+                        timing={getPageTiming(currentPage.pageNumber)}
+                        time={narrationTime}
+                      />
                     </p>
 
                     {/* Interactive Elements */}
@@ -386,6 +504,31 @@ const StorybookViewer: React.FC = () => {
             </AnimatePresence>
           </div>
 
+          {/* Narration */}
+          {(storybook.audioUrl || currentPage.audioUrl) && (
+            <div className="bg-white border-t border-gray-200 p-4">
+              <div className="max-w-4xl mx-auto">
+                {storybook.audioUrl ? (
+                  <EnhancedAudioPlayer
+                    audioUrl={storybook.audioUrl}
+                    title="Story Narration"
+                    onTimeUpdate={handleNarrationTime}
+                    seekTo={seekRequest}
+                  />
+                ) : (
+                  <EnhancedAudioPlayer
+                    key={currentPage.id}
+                    audioUrl={currentPage.audioUrl}
+                    title={`Page ${currentPage.pageNumber} Narration`}
+                    autoPlay={continueNarration}
+                    onTimeUpdate={handleNarrationTime}
+                    onEnded={handlePageNarrationEnded}
+                  />
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Navigation Controls */}
           <div className="bg-white border-t border-gray-200 p-4">
             <div className="flex items-center justify-between max-w-4xl mx-auto">
@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { CastMember, CastVoice, DetectedSpeaker, VoiceCast, VoiceProvider } from '../types';
+import apiInstance from '../services/api';
+import toast from 'react-hot-toast';
+
+interface VoiceCastEditorProps {
+  storyId: string;
+}
+
+interface VoiceOptions {
+  openai: string[];
+  types: string[];
+}
+
+// Picks a provider and a voice; ElevenLabs voices are entered by ID
+const VoicePicker: React.FC<{
+  value: CastVoice;
+  options: VoiceOptions;
+  onChange: (value: CastVoice) => void;
+  disabled?: boolean;
+}> = ({ value, options, onChange, disabled }) => (
+  <div className="flex items-center space-x-2">
+    <select
+      value={value.provider}
+      onChange={(e) => onChange({ provider: e.target.value as VoiceProvider, voice: 'female' })}
+      className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+      disabled={disabled}
+    >
+      <option value="openai">OpenAI</option>
+      <option value="elevenlabs">ElevenLabs</option>
+    </select>
+    {value.provider === 'openai' ? (
+      <select
+        value={value.voice}
+        onChange={(e) => onChange({ ...value, voice: e.target.value })}
+        className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+        disabled={disabled}
+      >
+        {[...options.openai, ...options.types].map(voice => (
+          <option key={voice} value={voice}>{voice}</option>
+        ))}
+      </select>
+    ) : (
+      <input
+        value={value.voice}
+        onChange={(e) => onChange({ ...value, voice: e.target.value.trim() })}
+        placeholder="Voice ID or type"
+        className="w-44 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+        disabled={disabled}
+      />
+    )}
+  </div>
+);
+
+export const VoiceCastEditor: React.FC<VoiceCastEditorProps> = ({ storyId }) => {
+  const [cast, setCast] = useState<VoiceCast>({ characters: [] });
+  const [speakers, setSpeakers] = useState<DetectedSpeaker[]>([]);
+  const [options, setOptions] = useState<VoiceOptions>({ openai: ['alloy'], types: [] });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchCast = async () => {
+      try {
+        const response = await apiInstance.get(`/api/stories/${storyId}/voice-cast`);
+        setCast({ characters: [], ...response.data.data.voiceCast });
+        setSpeakers(response.data.data.speakers);
+        setOptions(response.data.data.voices);
+      } catch (error) {
+        console.error('Failed to load voice cast:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchCast();
+  }, [storyId]);
+
+  const updateCharacter = (index: number, changes: Partial<CastMember>) => {
+    setCast(prev => ({
+      ...prev,
+      characters: prev.characters.map((character, i) => (i === index ? { ...character, ...changes } : character))
+    }));
+  };
+
+  const addCharacter = (name: string) => {
+    setCast(prev => ({
+      ...prev,
+      characters: [...prev.characters, { name, aliases: [], provider: 'openai', voice: 'alloy' }]
+    }));
+  };
+
+  const removeCharacter = (index: number) => {
+    setCast(prev => ({ ...prev, characters: prev.characters.filter((_, i) => i !== index) }));
+  };
+
+  const saveCast = async () => {
+    setSaving(true);
+    try {
+      const response = await apiInstance.put(`/api/stories/${storyId}/voice-cast`, cast);
+      setCast({ characters: [], ...response.data.data.voiceCast });
+      setSpeakers(response.data.data.speakers);
+      toast.success('Voice cast saved');
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Failed to save voice cast');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  const castNames = new Set(cast.characters.map(character => character.name.toLowerCase()));
+  const uncastSpeakers = speakers.filter(speaker => !speaker.cast && !castNames.has(speaker.name.toLowerCase()));
+
+  return (
+    <div className="bg-white rounded-lg p-4 space-y-4">
+      <p className="text-sm text-gray-600">
+        Give characters their own voices; quoted dialogue is read by the speaking character and everything else by the narrator.
+      </p>
+
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-700">Narrator</span>
+        <VoicePicker
+          value={cast.narrator || { provider: 'openai', voice: 'alloy' }}
+          options={options}
+          onChange={(narrator) => setCast(prev => ({ ...prev, narrator }))}
+          disabled={saving}
+        />
+      </div>
+
+      {cast.characters.map((character, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2 border-t border-gray-100 pt-3">
+          <input
+            value={character.name}
+            onChange={(e) => updateCharacter(index, { name: e.target.value })}
+            placeholder="Character name"
+            className="w-32 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            disabled={saving}
+          />
+          <input
+            value={character.aliases.join(', ')}
+            onChange={(e) => updateCharacter(index, { aliases: e.target.value.split(',').map(alias => alias.trim()).filter(Boolean) })}
+            placeholder="Also called (e.g. the dragon)"
+            className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded-lg text-sm"
+            disabled={saving}
+          />
+          <VoicePicker
+            value={character}
+            options={options}
+            onChange={(voice) => updateCharacter(index, voice)}
+            disabled={saving}
+          />
+          <button
+            onClick={() => removeCharacter(index)}
+            className="text-sm text-red-600 hover:text-red-700"
+            disabled={saving}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+
+      {uncastSpeakers.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 border-t border-gray-100 pt-3">
+          <span className="text-xs text-gray-500">Speakers found in the story:</span>
+          {uncastSpeakers.map(speaker => (
+            <button
+              key={speaker.name}
+              onClick={() => addCharacter(speaker.name)}
+              className="px-2 py-1 bg-purple-50 text-purple-700 rounded-full text-xs hover:bg-purple-100"
+              disabled={saving}
+            >
+              + {speaker.name} ({speaker.lines})
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between border-t border-gray-100 pt-3">
+        <button
+          onClick={() => addCharacter('')}
+          className="text-sm text-purple-700 hover:text-purple-800"
+          disabled={saving}
+        >
+          + Add character
+        </button>
+        <button
+          onClick={saveCast}
+          disabled={saving}
+          className="btn-primary disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save voice cast'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VoiceCastEditor;
@@ -30,4 +30,62 @@ apiInstance.interceptors.response.use(
   }
 );
 
+// Server-sent event received from a streaming endpoint
+export interface StreamEvent {
+  event: string;
+  data: any;
+}
+
+// POST to an endpoint that answers with text/event-stream and hand each event to onEvent.
+// EventSource only supports GET without headers, so the stream is read through fetch.
+export const postEventStream = async (
+  url: string,
+  body: unknown,
+  onEvent: (event: StreamEvent) => void,
+  signal?: AbortSignal
+): Promise<void> => {
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+  const token = localStorage.getItem('authToken');
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${apiInstance.defaults.baseURL || ''}${url}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || `Request failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffered += decoder.decode(value, { stream: true });
+    const messages = buffered.split('\n\n');
+    buffered = messages.pop() || '';
+
+    for (const message of messages) {
+      let event = 'message';
+      let data = '';
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) {
+        onEvent({ event, data: JSON.parse(data) });
+      }
+    }
+  }
+};
+
 export default apiInstance;
\ No newline at end of file
@@ -1,6 +1,7 @@
 // Types for the application
 export interface User {
   id: string;
+  uid?: string;
   email: string;
   name: string;
   picture?: string;
@@ -23,10 +24,103 @@ export interface Story {
   estimatedReadingTime: number;
   views: number;
   likes: number;
+  isLikedByMe?: boolean;
   audioUrl?: string;
   hasAudio: boolean;
   hasStorybook: boolean;
   storybookId?: string;
+  outline?: {
+    logline?: string;
+    provider?: string;
+    generatedAt?: Date;
+  };
+  chapters?: StoryChapter[];
+  currentRevision?: number;
+  voiceCast?: VoiceCast;
+  pronunciations?: Pronunciation[];
+}
+
+export type VoiceProvider = 'openai' | 'elevenlabs';
+
+// voice is an OpenAI voice name, a voice type (male, female, child, elderly) or an ElevenLabs voice ID
+export interface CastVoice {
+  provider: VoiceProvider;
+  voice: string;
+}
+
+export interface CastMember extends CastVoice {
+  name: string;
+  aliases: string[];
+}
+
+export interface VoiceCast {
+  narrator?: CastVoice;
+  characters: CastMember[];
+}
+
+export interface DetectedSpeaker {
+  name: string;
+  lines: number;
+  cast: boolean;
+}
+
+// How narration says an invented name; ipa is used by providers that accept phonemes
+export interface Pronunciation {
+  term: string;
+  respelling: string;
+  ipa?: string;
+}
+
+export interface StoryChapter {
+  number: number;
+  title: string;
+  summary?: string;
+  beats: string[];
+  content: string;
+  recap?: string;
+  wordCount: number;
+  status: 'pending' | 'completed' | 'failed';
+  provider?: string;
+  error?: string;
+  generatedAt?: Date;
+}
+
+export type StoryRevisionSource = 'initial' | 'manual' | 'ai-continue' | 'ai-rewrite' | 'restore';
+
+export interface StoryRevision {
+  _id: string;
+  storyId: string;
+  number: number;
+  title: string;
+  content?: string;
+  chapters?: StoryChapter[];
+  wordCount: number;
+  estimatedReadingTime?: number;
+  source: StoryRevisionSource;
+  authorId: string;
+  authorName?: string;
+  note?: string;
+  aiProvider?: string;
+  restoredFrom?: number;
+  createdAt: Date;
+}
+
+export interface DiffSegment {
+  type: 'equal' | 'insert' | 'delete';
+  text: string;
+}
+
+export interface StoryRevisionDiff {
+  from: StoryRevision;
+  to: StoryRevision;
+  title: DiffSegment[] | null;
+  segments: DiffSegment[];
+  stats: {
+    inserted: number;
+    deleted: number;
+    unchanged: number;
+  };
+  truncated: boolean;
 }
 
 export interface Storybook {
@@ -37,10 +131,67 @@ export interface Storybook {
   creatorId: string;
   createdAt: Date;
   totalDuration: number;
+  audioUrl?: string;
+  // Small WebP copy of the first page's picture unless the creator picked another image
+  thumbnail?: string;
   pdfUrl?: string;
   animationData?: AnimationSequence[];
 }
 
+// Character offsets into the page text with the seconds at which the narration reads them
+export interface NarrationWordTiming {
+  start: number;
+  end: number;
+  startTime: number | null;
+  endTime: number | null;
+}
+
+// Times are from the start of the page's own clip when audioUrl is set, otherwise from the start of the book
+export interface StorybookPageTiming {
+  pageNumber: number;
+  audioUrl?: string | null;
+  captionsUrl?: string;
+  startTime: number | null;
+  endTime: number | null;
+  words: NarrationWordTiming[];
+}
+
+export interface StorybookNarrationTiming {
+  audioUrl: string | null;
+  duration: number;
+  source: 'alignment' | 'estimated' | 'mixed';
+  captionsUrl: string | null;
+  pages: StorybookPageTiming[];
+}
+
+export type StorybookJobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+
+export interface StorybookJobStep {
+  key: string;
+  type: 'scenes' | 'image' | 'narration' | 'save';
+  sceneIndex?: number;
+  status: 'pending' | 'running' | 'completed' | 'failed' | 'cancelled';
+  attempts: number;
+  error?: string;
+}
+
+export interface StorybookJob {
+  id: string;
+  storyId: string;
+  storybookId?: string;
+  status: StorybookJobStatus;
+  steps: StorybookJobStep[];
+  progress: {
+    completed: number;
+    failed: number;
+    total: number;
+    percent: number;
+  };
+  error?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
 export interface StorybookPage {
   id: string;
   pageNumber: number;
@@ -118,13 +269,24 @@ export interface AudioSettings {
 }
 
 export interface AIProvider {
+  id?: string;
   name: string;
   type: string;
   isHealthy: boolean;
-  responseTime: number;
+  isConfigured?: boolean;
+  responseTime: number | null;
   errorRate: number;
   lastChecked: Date;
   quality: number;
+  status?: 'healthy' | 'unhealthy';
+  message?: string;
+  capabilities?: Array<'generate' | 'enhance' | 'stream'>;
+  circuit?: {
+    state: 'closed' | 'open' | 'half-open';
+    consecutiveFailures: number;
+    lastError: string | null;
+    retryAt: string | null;
+  };
 }
 
 export interface StoryCreationRequest {
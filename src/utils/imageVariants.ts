@@ -0,0 +1,20 @@
+// Widths the backend serves generated images at; matches IMAGE_WIDTHS in backend/utils/imageVariants.js
+const IMAGE_WIDTHS = [256, 512, 768, 1024];
+
+// Generated raster images; placeholders and other images are only available as they are
+const RESIZABLE_IMAGE = /\/api\/images\/[^/?#]+\.(png|jpe?g|webp|avif)(\?|$)/i;
+
+// Keeps any other query parameters, such as the access signature of a private image
+export const getImageVariantUrl = (url: string, width: number, format = 'webp'): string => {
+  const [path, query = ''] = url.split('?');
+  const params = new URLSearchParams(query);
+  params.set('w', String(width));
+  params.set('format', format);
+  return `${path}?${params}`;
+};
+
+// srcset offering each width of a generated image as WebP, or undefined for other images
+export const getImageSrcSet = (url: string): string | undefined => {
+  if (!RESIZABLE_IMAGE.test(url)) return undefined;
+  return IMAGE_WIDTHS.map(width => `${getImageVariantUrl(url, width)} ${width}w`).join(', ');
+};
@@ -0,0 +1,7 @@
+// Narration markup such as [pause 2s] or [em]...[/em]; the pattern matches backend/utils/speechMarkup.js
+const SPEECH_MARKUP = /\[(\/?)(pause|emphasis|em|slow|fast|rate)(?:\s+([^\]\n]{0,20}))?\]/gi;
+
+// Blank out narration markup for display, keeping every other character at its offset
+// so word timings still point at the right text
+export const hideSpeechMarkup = (text: string): string =>
+  text.replace(SPEECH_MARKUP, tag => ' '.repeat(tag.length));